@@ -1,58 +1,232 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
 // Interface for CarbonCreditNFT
 interface ICarbonCreditNFT {
     function ownerOf(uint256 tokenId) external view returns (address);
     function isApprovedForAll(address owner, address operator) external view returns (bool);
     function getApproved(uint256 tokenId) external view returns (address);
     function carbonAmount(uint256 tokenId) external view returns (uint256);
+    function creditBatch(uint256 tokenId) external view returns (uint256 creditsId, uint256 vintageYear);
     function burn(uint256 tokenId) external;
+    function mintConverted(
+        address to,
+        address royaltyReceiver,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        string memory tokenURI
+    ) external returns (uint256);
+    function transferFrom(address from, address to, uint256 tokenId) external;
+    function CARBON_DECIMALS() external view returns (uint8);
 }
 
 // Interface for CarbonCreditToken
 interface ICarbonCreditToken {
-    function mint(address to, uint256 amount) external;
+    function mint(address to, uint256 creditsId, uint256 vintageYear, uint256 amount) external;
+    function burnBatchFrom(address account, uint256 creditsId, uint256 vintageYear, uint256 amount) external;
+    function decimals() external view returns (uint8);
 }
 
 /// @title CarbonCreditConverter
-/// @notice Converts CarbonCreditNFTs to CarbonCreditTokens by burning NFTs and minting equivalent tokens.
-/// @dev Interacts with NFT and token contracts via interfaces.
-contract CarbonCreditConverter {
+/// @notice Converts CarbonCreditNFTs to CarbonCreditTokens by burning NFTs and minting equivalent tokens, and
+///         re-bundles tokens of a batch into a new NFT of that batch.
+/// @dev Interacts with NFT and token contracts via interfaces. Needs CONVERTER_ROLE on CarbonCreditToken and,
+///      for re-bundling, on CarbonCreditNFT. Every conversion is recorded with the batch
+///      (creditsId and vintageYear) it moved, so each NFT can be traced back to where its credits came from.
+///      Accounts with GUARDIAN_ROLE can pause conversions.
+///      NFT carbon amounts and token amounts share one unit (tonnes with 18 decimals), which the constructor
+///      checks, so a conversion moves exactly the same amount in either direction.
+///      Conversions relayed by the trusted ERC-2771 forwarder (CarbonCreditForwarder) are made for the account
+///      that signed them.
+contract CarbonCreditConverter is AccessControlEnumerable, Pausable, ERC2771Context {
+    /// @notice Role identifier for guardians who pause conversions.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
     ICarbonCreditNFT public immutable nftContract;
     ICarbonCreditToken public immutable tokenContract;
 
+    /// @notice Direction of a conversion.
+    enum Direction {
+        NFTToTokens, // An NFT was burned and its carbon amount minted as tokens
+        TokensToNFT // Tokens were burned and re-bundled into a new NFT
+    }
+
+    /// @notice Structure to store a conversion.
+    struct Conversion {
+        address account; // Account that converted (and received the tokens or NFT)
+        uint256 tokenId; // NFT burned (NFTToTokens) or minted (TokensToNFT)
+        uint256 creditsId; // Project the credits were issued for
+        uint256 vintageYear; // Vintage of the credits
+        uint256 carbonTons; // CO2 converted, in tonnes with 18 decimals
+        Direction direction;
+        uint256 timestamp; // Time of the conversion
+    }
+
+    /// @notice Number of conversions; conversion IDs run from 0 to conversionCount - 1.
+    uint256 public conversionCount;
+    /// @notice Maps a conversion ID to the conversion.
+    mapping(uint256 => Conversion) public conversions;
+    /// @dev Conversion IDs involving each NFT: the re-bundling that minted it, if any, then its conversion to tokens.
+    mapping(uint256 => uint256[]) private nftConversions;
+
     // Custom errors
     error NotNFTOwner();
     error NotApproved();
     error InvalidCarbonAmount();
+    error EmptyBatch();
 
-    // Event
+    // Events
     event ConvertedToTokens(address indexed user, uint256 indexed tokenId, uint256 carbonTons);
+    event ConvertedToNFT(
+        address indexed user,
+        uint256 indexed tokenId,
+        uint256 indexed creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons
+    );
 
     /// @notice Initializes the converter with NFT and token contract addresses.
     /// @param _nftContract The address of the CarbonCreditNFT contract.
     /// @param _tokenContract The address of the CarbonCreditToken contract.
-    constructor(address _nftContract, address _tokenContract) {
+    /// @param roleManager The address of the RoleManager contract (granted the admin role if non-zero).
+    /// @param trustedForwarder The ERC-2771 forwarder relaying gasless calls, or address(0) for none.
+    constructor(
+        address _nftContract,
+        address _tokenContract,
+        address roleManager,
+        address trustedForwarder
+    ) ERC2771Context(trustedForwarder) {
         if (_nftContract == address(0) || _tokenContract == address(0)) revert("Invalid contract address");
         nftContract = ICarbonCreditNFT(_nftContract);
         tokenContract = ICarbonCreditToken(_tokenContract);
+        if (nftContract.CARBON_DECIMALS() != tokenContract.decimals()) revert("Mismatched carbon units");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        if (roleManager != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, roleManager);
+        }
+    }
+
+    /// @notice Pauses conversions.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function pause() public onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /// @notice Resumes conversions.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function unpause() public onlyRole(GUARDIAN_ROLE) {
+        _unpause();
     }
 
     /// @notice Converts an NFT to equivalent ERC-20 tokens.
-    /// @dev Burns the NFT and mints tokens equal to its carbon amount. Requires owner and approval.
+    /// @dev Burns the NFT and mints tokens equal to its carbon amount into the NFT's batch
+    ///      (creditsId and vintageYear), so provenance is preserved. Requires owner and approval.
     /// @param tokenId The ID of the NFT to convert.
-    function convertNFTtoTokens(uint256 tokenId) public {
-        if (nftContract.ownerOf(tokenId) != msg.sender) revert NotNFTOwner();
-        if (!nftContract.isApprovedForAll(msg.sender, address(this)) && nftContract.getApproved(tokenId) != address(this))
+    function convertNFTtoTokens(uint256 tokenId) public whenNotPaused {
+        _convertNFTtoTokens(tokenId);
+    }
+
+    /// @notice Converts several NFTs to equivalent ERC-20 tokens in one transaction.
+    /// @dev Each NFT is converted as by convertNFTtoTokens; the whole call reverts if any of them can't be.
+    /// @param tokenIds The IDs of the NFTs to convert.
+    function convertNFTsToTokens(uint256[] calldata tokenIds) public whenNotPaused {
+        if (tokenIds.length == 0) revert EmptyBatch();
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _convertNFTtoTokens(tokenIds[i]);
+        }
+    }
+
+    /// @notice Re-bundles ERC-20 tokens of a batch into a single NFT of the same batch.
+    /// @dev Burns the tokens from the caller's balance of the batch, spending the allowance given to this
+    ///      contract, and mints the caller an NFT carrying that batch and amount. The project must be active.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param carbonTons The amount of tokens to bundle, in token units (1e18 = 1 tonne CO2e).
+    /// @param tokenURI The URI for the NFT's metadata.
+    /// @return tokenId The ID of the minted NFT.
+    function convertTokensToNFT(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        string memory tokenURI
+    ) public whenNotPaused returns (uint256 tokenId) {
+        if (carbonTons == 0) revert InvalidCarbonAmount();
+
+        tokenContract.burnBatchFrom(_msgSender(), creditsId, vintageYear, carbonTons);
+        // CarbonCreditNFT approves the marketplace on behalf of the caller, which has to own the new NFT, so
+        // mint it here and hand it over; its royalties go to the account that bundled the tokens
+        tokenId = nftContract.mintConverted(address(this), _msgSender(), creditsId, vintageYear, carbonTons, tokenURI);
+        nftContract.transferFrom(address(this), _msgSender(), tokenId);
+
+        _record(tokenId, creditsId, vintageYear, carbonTons, Direction.TokensToNFT);
+        emit ConvertedToNFT(_msgSender(), tokenId, creditsId, vintageYear, carbonTons);
+    }
+
+    /// @notice Returns the conversions involving an NFT, oldest first.
+    /// @param tokenId The ID of the NFT.
+    /// @return The conversion IDs: the re-bundling that minted the NFT, if any, then its conversion to tokens.
+    function getConversionsOf(uint256 tokenId) public view returns (uint256[] memory) {
+        return nftConversions[tokenId];
+    }
+
+    /// @dev Burns an NFT owned by the caller and mints its carbon amount as tokens of the same batch.
+    function _convertNFTtoTokens(uint256 tokenId) private {
+        if (nftContract.ownerOf(tokenId) != _msgSender()) revert NotNFTOwner();
+        if (!nftContract.isApprovedForAll(_msgSender(), address(this)) && nftContract.getApproved(tokenId) != address(this))
             revert NotApproved();
 
         uint256 carbonTons = nftContract.carbonAmount(tokenId);
         if (carbonTons == 0) revert InvalidCarbonAmount();
 
+        (uint256 creditsId, uint256 vintageYear) = nftContract.creditBatch(tokenId);
+
         nftContract.burn(tokenId); // Burn NFT to prevent double counting
-        tokenContract.mint(msg.sender, carbonTons); // Mint equivalent ERC-20 tokens
+        tokenContract.mint(_msgSender(), creditsId, vintageYear, carbonTons); // Mint equivalent ERC-20 tokens of the same batch
+
+        _record(tokenId, creditsId, vintageYear, carbonTons, Direction.NFTToTokens);
+        emit ConvertedToTokens(_msgSender(), tokenId, carbonTons);
+    }
+
+    /// @dev Records a conversion by the caller.
+    function _record(
+        uint256 tokenId,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        Direction direction
+    ) private {
+        uint256 conversionId = conversionCount;
+        conversions[conversionId] = Conversion(
+            _msgSender(),
+            tokenId,
+            creditsId,
+            vintageYear,
+            carbonTons,
+            direction,
+            block.timestamp
+        );
+        nftConversions[tokenId].push(conversionId);
+        conversionCount++;
+    }
+
+    /// @dev Resolves the caller of calls relayed by the trusted forwarder to the account that signed them.
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    /// @dev See {_msgSender}.
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
 
-        emit ConvertedToTokens(msg.sender, tokenId, carbonTons);
+    /// @dev See {_msgSender}.
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/// @title CarbonCreditForwarder
+/// @notice Trusted ERC-2771 forwarder of the Carbon Credit System, relaying EIP-712 signed requests so that
+///         users without CELO for gas (e.g. MiniPay users holding only stablecoins) can use the marketplace,
+///         the converter and the token through a relayer that pays the gas.
+/// @dev CarbonCreditMarketplace, CarbonCreditConverter and CarbonCreditToken are deployed with this contract as
+///      their trusted forwarder and treat a relayed call as made by the request's signer (`from`). Requests are
+///      signed over the `ForwardRequest` type of the "CarbonCreditForwarder" version "1" domain, carry a deadline
+///      and use this contract's per-signer nonces. See packages/hardhat/relayer for the relayer.
+contract CarbonCreditForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("CarbonCreditForwarder") {}
+}
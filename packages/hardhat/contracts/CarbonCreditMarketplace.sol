@@ -1,45 +1,184 @@
  // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
 // Interface for CarbonCreditNFT (ERC-721)
 interface ICarbonCreditNFT {
     function ownerOf(uint256 tokenId) external view returns (address);
     function safeTransferFrom(address from, address to, uint256 tokenId) external;
     function getApproved(uint256 tokenId) external view returns (address);
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address, uint256);
 }
 
 // Interface for CarbonCreditToken (ERC-20)
 interface ICarbonCreditToken {
-    function balanceOf(address account) external view returns (uint256);
+    function batchBalanceOf(address account, uint256 creditsId, uint256 vintageYear) external view returns (uint256);
     function allowance(address owner, address spender) external view returns (uint256);
-    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+    function transferBatchFrom(
+        address from,
+        address to,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) external returns (bool);
 }
 
 /// @title CarbonCreditMarketplace
 /// @notice A marketplace for buying and selling CarbonCreditNFTs (ERC-721) and CarbonCreditTokens (ERC-20).
-/// @dev Interacts with NFT and token contracts via interfaces.
-contract CarbonCreditMarketplace {
+///         Sellers post token listings (asks) and buyers post buy orders (bids) that escrow their payment.
+///         NFTs can also be sold through English (ascending bid) or Dutch (declining price) auctions.
+/// @dev Interacts with NFT and token contracts via interfaces. Each listing names the currency it is priced in:
+///      address(0) for native CELO, or an ERC-20 such as cUSD or cEUR that is pulled from the buyer's allowance.
+///      Every sale pays a protocol fee into the treasury balance, and NFT sales pay the ERC-2981 royalty of
+///      CarbonCreditNFT; the seller receives the rest. Payouts to anyone but the caller are credited to a
+///      proceeds ledger and pulled with withdrawProceeds, and every entry point that moves assets is nonReentrant.
+///      Accounts with GUARDIAN_ROLE can pause listing, buying, bidding and settlement; cancellations and
+///      withdrawals stay open so users can get their assets and payments back.
+///      Calls relayed by the trusted ERC-2771 forwarder (CarbonCreditForwarder) act for the account that signed
+///      them, so users without CELO for gas can trade through a relayer.
+///      Sellers can also sign listings off-chain as EIP-712 orders (domain "CarbonCreditMarketplace", version "1"),
+///      which cost nothing to post and are verified and settled when a buyer fills them. Incrementing the
+///      seller's order nonce cancels all of their outstanding signed orders at once.
+contract CarbonCreditMarketplace is AccessControlEnumerable, ReentrancyGuard, Pausable, ERC2771Context, EIP712 {
+    using SafeERC20 for IERC20;
+
+    /// @notice Role identifier for accounts that set the protocol fee and treasury.
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    /// @notice Role identifier for guardians who pause trading.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    /// @notice Maximum protocol fee, in basis points of the sale price.
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 1000;
+    /// @notice Token amount of one whole CarbonCreditToken (1 tonne CO2e), the unit token prices are quoted in.
+    uint256 public constant TOKEN_UNIT = 1e18;
+    /// @notice EIP-712 type hash of NFTOrder.
+    bytes32 public constant NFT_ORDER_TYPEHASH =
+        keccak256(
+            "NFTOrder(address seller,uint256 tokenId,uint256 price,address paymentToken,uint256 nonce,uint256 deadline)"
+        );
+    /// @notice EIP-712 type hash of TokenOrder.
+    bytes32 public constant TOKEN_ORDER_TYPEHASH =
+        keccak256(
+            "TokenOrder(address seller,uint256 creditsId,uint256 vintageYear,uint256 amount,uint256 pricePerUnit,address paymentToken,uint256 nonce,uint256 deadline)"
+        );
+
     ICarbonCreditNFT public immutable nftContract;
     ICarbonCreditToken public immutable tokenContract;
 
+    /// @notice Protocol fee, in basis points of the sale price.
+    uint256 public protocolFeeBps;
+    /// @notice Address that receives collected protocol fees.
+    address public treasury;
+    /// @notice Protocol fees collected but not yet withdrawn to the treasury, per payment token.
+    mapping(address => uint256) public treasuryBalance;
+
     struct NFTListing {
         uint256 tokenId;
         address seller;
-        uint256 price; // Price in wei
+        uint256 price; // Price in the smallest unit of the payment token
+        address paymentToken; // ERC-20 accepted as payment, or address(0) for CELO
         bool active;
     }
 
     struct TokenListing {
         address seller;
-        uint256 amount; // Amount of ERC-20 tokens
-        uint256 price; // Price in wei
+        uint256 creditsId; // Project of the listed batch
+        uint256 vintageYear; // Vintage of the listed batch
+        uint256 amount; // Amount of ERC-20 tokens still for sale, in token units (18 decimals)
+        uint256 pricePerUnit; // Price per whole token (1 tonne CO2e) in the smallest unit of the payment token
+        address paymentToken; // ERC-20 accepted as payment, or address(0) for CELO
+        bool active;
+    }
+
+    struct BuyOrder {
+        address buyer;
+        uint256 creditsId; // Project of the wanted batch
+        uint256 vintageYear; // Vintage of the wanted batch
+        uint256 amount; // Amount of ERC-20 tokens still wanted, in token units (18 decimals)
+        uint256 pricePerUnit; // Maximum price per whole token in the smallest unit of the payment token
+        address paymentToken; // ERC-20 escrowed as payment, or address(0) for CELO
         bool active;
     }
 
+    enum AuctionType {
+        English,
+        Dutch
+    }
+
+    struct Auction {
+        uint256 tokenId;
+        address seller;
+        AuctionType auctionType;
+        address paymentToken; // ERC-20 accepted as payment, or address(0) for CELO
+        uint256 startPrice; // Dutch: price at startTime, declining linearly to reservePrice
+        uint256 reservePrice; // English: minimum first bid; Dutch: floor price reached at endTime
+        uint256 startTime;
+        uint256 endTime;
+        address highestBidder; // English: current leader; Dutch: buyer once sold
+        uint256 highestBid; // English: escrowed leading bid; Dutch: price paid once sold
+        bool active; // False once settled or cancelled
+    }
+
     mapping(uint256 => NFTListing) public nftListings;
     mapping(uint256 => TokenListing) public tokenListings;
+    mapping(uint256 => BuyOrder) public buyOrders;
     uint256 public nftListingCount;
     uint256 public tokenListingCount;
+    uint256 public buyOrderCount;
+
+    mapping(uint256 => Auction) public auctions;
+    uint256 public auctionCount;
+
+    /// @notice An NFT listing signed off-chain by its seller.
+    struct NFTOrder {
+        address seller;
+        uint256 tokenId;
+        uint256 price; // Price in the smallest unit of the payment token
+        address paymentToken; // ERC-20 accepted as payment, or address(0) for CELO
+        uint256 nonce; // Seller's order nonce when signing; the order lapses once the seller increments it
+        uint256 deadline; // Last timestamp the order can be filled at
+    }
+
+    /// @notice A token listing signed off-chain by its seller, which buyers can fill partially.
+    struct TokenOrder {
+        address seller;
+        uint256 creditsId; // Project of the offered batch
+        uint256 vintageYear; // Vintage of the offered batch
+        uint256 amount; // Amount of ERC-20 tokens offered, in token units (18 decimals)
+        uint256 pricePerUnit; // Price per whole token (1 tonne CO2e) in the smallest unit of the payment token
+        address paymentToken; // ERC-20 accepted as payment, or address(0) for CELO
+        uint256 nonce; // Seller's order nonce when signing; the order lapses once the seller increments it
+        uint256 deadline; // Last timestamp the order can be filled at
+    }
+
+    /// @notice Current order nonce of each seller; only signed orders carrying it can be filled.
+    mapping(address => uint256) public orderNonces;
+    /// @notice Amount filled so far of each signed order, by EIP-712 order hash (1 once an NFT order is filled).
+    mapping(bytes32 => uint256) public orderFills;
+
+    /// @notice Funds owed to sellers, royalty receivers and refunded buyers and bidders, claimable
+    ///         with withdrawProceeds.
+    /// @dev Maps an account to a payment token (address(0) for CELO) to the amount owed. Settlement
+    ///      only credits this ledger, so an account that cannot receive funds can't block a trade.
+    mapping(address => mapping(address => uint256)) public proceeds;
 
     // Custom errors
     error NotNFTOwner();
@@ -49,98 +188,796 @@ contract CarbonCreditMarketplace {
     error InsufficientTokenBalance();
     error InsufficientTokenAllowance();
     error SellerNoLongerOwns();
+    error UnexpectedNativePayment();
+    error InvalidAmount();
+    error InsufficientListingAmount();
+    error NotOrderOwner();
+    error OrderNotActive();
+    error InsufficientOrderAmount();
+    error OrdersDoNotMatch();
+    error InvalidDuration();
+    error InvalidPriceRange();
+    error WrongAuctionType();
+    error AuctionNotActive();
+    error AuctionEnded();
+    error AuctionNotEnded();
+    error AuctionHasBids();
+    error BidTooLow();
+    error NothingToWithdraw();
+    error InvalidProtocolFee();
+    error InvalidTreasury();
+    error InvalidSignature();
+    error OrderExpired();
+    error OrderCancelled();
+    error OrderAlreadyFilled();
 
     // Events
-    event NFTListed(uint256 indexed tokenId, address indexed seller, uint256 price);
-    event TokenListed(uint256 indexed listingId, address indexed seller, uint256 amount, uint256 price);
-    event NFTSold(uint256 indexed tokenId, address indexed buyer, uint256 price);
-    event TokenSold(uint256 indexed listingId, address indexed buyer, uint256 amount, uint256 price);
+    event NFTListed(uint256 indexed tokenId, address indexed seller, uint256 price, address paymentToken);
+    event TokenListed(
+        uint256 indexed listingId,
+        address indexed seller,
+        uint256 indexed creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 pricePerUnit,
+        address paymentToken
+    );
+    event NFTListingCancelled(uint256 indexed tokenId);
+    event TokenListingCancelled(uint256 indexed listingId);
+    event NFTSold(uint256 indexed tokenId, address indexed buyer, uint256 price, address paymentToken);
+    event TokenSold(
+        uint256 indexed listingId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 totalPrice,
+        uint256 remainingAmount,
+        address paymentToken
+    );
+    event BuyOrderPlaced(
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 indexed creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 pricePerUnit,
+        address paymentToken
+    );
+    event BuyOrderFilled(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 amount,
+        uint256 totalPrice,
+        uint256 remainingAmount,
+        address paymentToken
+    );
+    event BuyOrderCancelled(uint256 indexed orderId, uint256 refund);
+    event AuctionCreated(
+        uint256 indexed auctionId,
+        uint256 indexed tokenId,
+        address indexed seller,
+        AuctionType auctionType,
+        address paymentToken,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+    event BidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 amount);
+    event AuctionSettled(uint256 indexed auctionId, address indexed winner, uint256 price);
+    event AuctionCancelled(uint256 indexed auctionId);
+    event ProceedsCredited(address indexed account, address indexed paymentToken, uint256 amount);
+    event ProceedsWithdrawn(address indexed account, address indexed paymentToken, uint256 amount);
+    event ProtocolFeeUpdated(uint256 feeBps);
+    event TreasuryUpdated(address indexed treasury);
+    event ProtocolFeeCollected(address indexed paymentToken, address indexed seller, uint256 amount);
+    event RoyaltyPaid(uint256 indexed tokenId, address indexed receiver, address paymentToken, uint256 amount);
+    event TreasuryWithdrawn(address indexed paymentToken, address indexed treasury, uint256 amount);
+    event SignedNFTOrderFilled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256 tokenId,
+        uint256 price,
+        address paymentToken
+    );
+    event SignedTokenOrderFilled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 totalPrice,
+        address paymentToken
+    );
+    event OrderNonceIncremented(address indexed seller, uint256 newNonce);
 
     /// @notice Initializes the marketplace with NFT and token contract addresses.
+    /// @dev Sets the deployer as the default admin and initial treasury, and grants the RoleManager admin
+    ///      rights so it can grant FEE_MANAGER_ROLE. The protocol fee starts at zero.
     /// @param _nftContract The address of the CarbonCreditNFT contract.
     /// @param _tokenContract The address of the CarbonCreditToken contract.
-    constructor(address _nftContract, address _tokenContract) {
+    /// @param roleManager The address of the RoleManager contract.
+    /// @param trustedForwarder The ERC-2771 forwarder relaying gasless calls, or address(0) for none.
+    constructor(
+        address _nftContract,
+        address _tokenContract,
+        address roleManager,
+        address trustedForwarder
+    ) ERC2771Context(trustedForwarder) EIP712("CarbonCreditMarketplace", "1") {
         if (_nftContract == address(0) || _tokenContract == address(0)) revert("Invalid contract address");
         nftContract = ICarbonCreditNFT(_nftContract);
         tokenContract = ICarbonCreditToken(_tokenContract);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        if (roleManager != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, roleManager);
+        }
+        treasury = msg.sender;
+    }
+
+    /// @notice Pauses listing, buying, bidding and settlement.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function pause() public onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /// @notice Resumes listing, buying, bidding and settlement.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function unpause() public onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /// @notice Sets the protocol fee charged on every sale.
+    /// @dev Only callable by accounts with FEE_MANAGER_ROLE.
+    /// @param feeBps The fee in basis points (at most MAX_PROTOCOL_FEE_BPS).
+    function setProtocolFee(uint256 feeBps) public onlyRole(FEE_MANAGER_ROLE) {
+        if (feeBps > MAX_PROTOCOL_FEE_BPS) revert InvalidProtocolFee();
+        protocolFeeBps = feeBps;
+        emit ProtocolFeeUpdated(feeBps);
+    }
+
+    /// @notice Sets the address that receives protocol fees.
+    /// @dev Only callable by accounts with FEE_MANAGER_ROLE. Applies to fees withdrawn from now on.
+    /// @param newTreasury The new treasury address.
+    function setTreasury(address newTreasury) public onlyRole(FEE_MANAGER_ROLE) {
+        if (newTreasury == address(0)) revert InvalidTreasury();
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    /// @notice Sends the collected protocol fees in a payment token to the treasury. Anyone may call this.
+    /// @param paymentToken The ERC-20 to withdraw, or address(0) for CELO.
+    function withdrawTreasury(address paymentToken) public nonReentrant {
+        uint256 amount = treasuryBalance[paymentToken];
+        if (amount == 0) revert NothingToWithdraw();
+
+        treasuryBalance[paymentToken] = 0;
+        _pay(paymentToken, treasury, amount);
+
+        emit TreasuryWithdrawn(paymentToken, treasury, amount);
     }
 
     /// @notice Lists an NFT for sale.
     /// @param tokenId The ID of the NFT to list.
-    /// @param price The price in wei.
-    function listNFT(uint256 tokenId, uint256 price) public {
-        if (nftContract.ownerOf(tokenId) != msg.sender) revert NotNFTOwner();
+    /// @param price The price in the smallest unit of the payment token.
+    /// @param paymentToken The ERC-20 accepted as payment, or address(0) for CELO.
+    function listNFT(uint256 tokenId, uint256 price, address paymentToken) public whenNotPaused {
+        if (nftContract.ownerOf(tokenId) != _msgSender()) revert NotNFTOwner();
         if (nftContract.getApproved(tokenId) != address(this)) revert NotApproved();
 
-        nftListings[tokenId] = NFTListing(tokenId, msg.sender, price, true);
+        nftListings[tokenId] = NFTListing(tokenId, _msgSender(), price, paymentToken, true);
         nftListingCount++;
-        emit NFTListed(tokenId, msg.sender, price);
+        emit NFTListed(tokenId, _msgSender(), price, paymentToken);
     }
 
-    /// @notice Lists ERC-20 tokens for sale.
-    /// @param amount The amount of tokens to list.
-    /// @param price The price in wei.
-    function listTokens(uint256 amount, uint256 price) public {
-        if (tokenContract.balanceOf(msg.sender) < amount) revert InsufficientTokenBalance();
-        if (tokenContract.allowance(msg.sender, address(this)) < amount) revert InsufficientTokenAllowance();
+    /// @notice Lists ERC-20 tokens of a specific batch for sale.
+    /// @param creditsId The project of the batch to list.
+    /// @param vintageYear The vintage of the batch to list.
+    /// @param amount The amount of tokens to list, in token units.
+    /// @param pricePerUnit The price per whole token (TOKEN_UNIT) in the smallest unit of the payment token.
+    /// @param paymentToken The ERC-20 accepted as payment, or address(0) for CELO.
+    function listTokens(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 pricePerUnit,
+        address paymentToken
+    ) public whenNotPaused {
+        if (amount == 0) revert InvalidAmount();
+        if (tokenContract.batchBalanceOf(_msgSender(), creditsId, vintageYear) < amount) revert InsufficientTokenBalance();
+        if (tokenContract.allowance(_msgSender(), address(this)) < amount) revert InsufficientTokenAllowance();
 
-        tokenListings[tokenListingCount] = TokenListing(msg.sender, amount, price, true);
+        tokenListings[tokenListingCount] = TokenListing(
+            _msgSender(),
+            creditsId,
+            vintageYear,
+            amount,
+            pricePerUnit,
+            paymentToken,
+            true
+        );
         tokenListingCount++;
-        emit TokenListed(tokenListingCount - 1, msg.sender, amount, price);
+        emit TokenListed(tokenListingCount - 1, _msgSender(), creditsId, vintageYear, amount, pricePerUnit, paymentToken);
+    }
+
+    /// @notice Lists ERC-20 tokens of a specific batch for sale, approving the marketplace with an EIP-2612 permit.
+    /// @dev Saves the separate approve transaction. A failing permit (e.g. one already submitted by someone
+    ///      else) is ignored; listTokens still requires the allowance to be in place.
+    /// @param creditsId The project of the batch to list.
+    /// @param vintageYear The vintage of the batch to list.
+    /// @param amount The amount of tokens to list, in token units; also the permitted allowance.
+    /// @param pricePerUnit The price per whole token (TOKEN_UNIT) in the smallest unit of the payment token.
+    /// @param paymentToken The ERC-20 accepted as payment, or address(0) for CELO.
+    /// @param deadline The permit's expiry timestamp.
+    /// @param v The permit signature's recovery byte.
+    /// @param r The permit signature's r value.
+    /// @param s The permit signature's s value.
+    function listTokensWithPermit(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 pricePerUnit,
+        address paymentToken,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public {
+        try tokenContract.permit(_msgSender(), address(this), amount, deadline, v, r, s) {} catch {}
+        listTokens(creditsId, vintageYear, amount, pricePerUnit, paymentToken);
     }
 
     /// @notice Buys a listed NFT.
+    /// @dev CELO listings are paid with msg.value; ERC-20 listings require an allowance for the price.
     /// @param tokenId The ID of the NFT to buy.
-    function buyNFT(uint256 tokenId) public payable {
+    function buyNFT(uint256 tokenId) public payable nonReentrant whenNotPaused {
         NFTListing memory listing = nftListings[tokenId];
         if (!listing.active) revert ListingNotActive();
-        if (msg.value < listing.price) revert InsufficientPayment();
+        _checkPayment(listing.paymentToken, listing.price);
         if (nftContract.ownerOf(tokenId) != listing.seller) revert SellerNoLongerOwns();
 
         nftListings[tokenId].active = false;
-        nftContract.safeTransferFrom(listing.seller, msg.sender, tokenId);
-        payable(listing.seller).transfer(listing.price);
-
-        emit NFTSold(tokenId, msg.sender, listing.price);
+        nftContract.safeTransferFrom(listing.seller, _msgSender(), tokenId);
+        _collectPayment(listing.paymentToken, listing.price);
+        _payNFTSale(listing.paymentToken, listing.seller, listing.price, tokenId);
 
-        if (msg.value > listing.price) {
-            payable(msg.sender).transfer(msg.value - listing.price);
-        }
+        emit NFTSold(tokenId, _msgSender(), listing.price, listing.paymentToken);
     }
 
-    /// @notice Buys listed ERC-20 tokens.
+    /// @notice Buys some or all of the tokens in a listing, transferring them from the listed batch.
+    /// @dev The buyer pays `amount * pricePerUnit / TOKEN_UNIT`, rounded up: CELO listings with msg.value,
+    ///      ERC-20 listings through an allowance. The listing stays active until its remaining amount reaches zero.
     /// @param listingId The ID of the token listing.
-    function buyTokens(uint256 listingId) public payable {
+    /// @param amount The amount of tokens to buy.
+    function buyTokens(uint256 listingId, uint256 amount) public payable nonReentrant whenNotPaused {
         TokenListing memory listing = tokenListings[listingId];
         if (!listing.active) revert ListingNotActive();
-        if (msg.value < listing.price) revert InsufficientPayment();
+        if (amount == 0) revert InvalidAmount();
+        if (amount > listing.amount) revert InsufficientListingAmount();
+        uint256 totalPrice = _tokenPrice(amount, listing.pricePerUnit);
+        _checkPayment(listing.paymentToken, totalPrice);
 
-        tokenListings[listingId].active = false;
-        tokenContract.transferFrom(listing.seller, msg.sender, listing.amount);
-        payable(listing.seller).transfer(listing.price);
+        uint256 remainingAmount = listing.amount - amount;
+        tokenListings[listingId].amount = remainingAmount;
+        if (remainingAmount == 0) tokenListings[listingId].active = false;
+        tokenContract.transferBatchFrom(
+            listing.seller,
+            _msgSender(),
+            listing.creditsId,
+            listing.vintageYear,
+            amount
+        );
+        _collectPayment(listing.paymentToken, totalPrice);
+        _paySale(listing.paymentToken, listing.seller, totalPrice, address(0), 0);
 
-        emit TokenSold(listingId, msg.sender, listing.amount, listing.price);
-
-        if (msg.value > listing.price) {
-            payable(msg.sender).transfer(msg.value - listing.price);
-        }
+        emit TokenSold(listingId, _msgSender(), amount, totalPrice, remainingAmount, listing.paymentToken);
     }
 
     /// @notice Cancels an NFT listing.
     /// @param tokenId The ID of the NFT listing to cancel.
     function cancelNFTListing(uint256 tokenId) public {
         NFTListing memory listing = nftListings[tokenId];
-        if (listing.seller != msg.sender) revert NotNFTOwner();
+        if (listing.seller != _msgSender()) revert NotNFTOwner();
         if (!listing.active) revert ListingNotActive();
         nftListings[tokenId].active = false;
+        emit NFTListingCancelled(tokenId);
     }
 
     /// @notice Cancels an ERC-20 token listing.
     /// @param listingId The ID of the token listing to cancel.
     function cancelTokenListing(uint256 listingId) public {
         TokenListing memory listing = tokenListings[listingId];
-        if (listing.seller != msg.sender) revert NotNFTOwner();
+        if (listing.seller != _msgSender()) revert NotNFTOwner();
         if (!listing.active) revert ListingNotActive();
         tokenListings[listingId].active = false;
+        emit TokenListingCancelled(listingId);
+    }
+
+    /// @notice Buys the NFT of a listing signed off-chain by its seller.
+    /// @dev The seller must still own the NFT and have approved the marketplace (done at mint). CELO orders
+    ///      are paid with msg.value; ERC-20 orders require an allowance for the price.
+    /// @param order The signed order.
+    /// @param signature The seller's EIP-712 signature of the order.
+    function fillNFTOrder(NFTOrder calldata order, bytes calldata signature) public payable nonReentrant whenNotPaused {
+        bytes32 orderHash = hashNFTOrder(order);
+        _checkOrder(orderHash, order.seller, order.nonce, order.deadline, signature);
+        if (orderFills[orderHash] != 0) revert OrderAlreadyFilled();
+        _checkPayment(order.paymentToken, order.price);
+        if (nftContract.ownerOf(order.tokenId) != order.seller) revert SellerNoLongerOwns();
+
+        orderFills[orderHash] = 1;
+        nftContract.safeTransferFrom(order.seller, _msgSender(), order.tokenId);
+        _collectPayment(order.paymentToken, order.price);
+        _payNFTSale(order.paymentToken, order.seller, order.price, order.tokenId);
+
+        emit SignedNFTOrderFilled(orderHash, order.seller, _msgSender(), order.tokenId, order.price, order.paymentToken);
+    }
+
+    /// @notice Buys some or all of the tokens of a listing signed off-chain by its seller.
+    /// @dev The tokens are transferred from the seller's batch using their allowance to the marketplace. The
+    ///      buyer pays `amount * pricePerUnit / TOKEN_UNIT`, rounded up, as for buyTokens.
+    /// @param order The signed order.
+    /// @param amount The amount of tokens to buy.
+    /// @param signature The seller's EIP-712 signature of the order.
+    function fillTokenOrder(
+        TokenOrder calldata order,
+        uint256 amount,
+        bytes calldata signature
+    ) public payable nonReentrant whenNotPaused {
+        bytes32 orderHash = hashTokenOrder(order);
+        _checkOrder(orderHash, order.seller, order.nonce, order.deadline, signature);
+        if (amount == 0) revert InvalidAmount();
+        uint256 filled = orderFills[orderHash];
+        if (amount > order.amount - filled) revert InsufficientListingAmount();
+        uint256 totalPrice = _tokenPrice(amount, order.pricePerUnit);
+        _checkPayment(order.paymentToken, totalPrice);
+
+        orderFills[orderHash] = filled + amount;
+        tokenContract.transferBatchFrom(order.seller, _msgSender(), order.creditsId, order.vintageYear, amount);
+        _collectPayment(order.paymentToken, totalPrice);
+        _paySale(order.paymentToken, order.seller, totalPrice, address(0), 0);
+
+        emit SignedTokenOrderFilled(
+            orderHash,
+            order.seller,
+            _msgSender(),
+            order.creditsId,
+            order.vintageYear,
+            amount,
+            totalPrice,
+            order.paymentToken
+        );
+    }
+
+    /// @notice Cancels all of the caller's outstanding signed orders by incrementing their order nonce.
+    /// @dev Orders signed afterwards must carry the new nonce.
+    function incrementOrderNonce() public {
+        uint256 newNonce = ++orderNonces[_msgSender()];
+        emit OrderNonceIncremented(_msgSender(), newNonce);
+    }
+
+    /// @notice Returns the EIP-712 hash of an NFT order, which its seller signs.
+    /// @param order The order.
+    /// @return The order hash.
+    function hashNFTOrder(NFTOrder calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(NFT_ORDER_TYPEHASH, order)));
+    }
+
+    /// @notice Returns the EIP-712 hash of a token order, which its seller signs.
+    /// @param order The order.
+    /// @return The order hash.
+    function hashTokenOrder(TokenOrder calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(TOKEN_ORDER_TYPEHASH, order)));
+    }
+
+    /// @notice Places a buy order (bid) for tokens of a specific batch, escrowing the full payment.
+    /// @dev CELO bids escrow msg.value and credit any excess to proceeds; ERC-20 bids pull
+    ///      `amount * pricePerUnit / TOKEN_UNIT`, rounded up, from the buyer's allowance.
+    /// @param creditsId The project of the wanted batch.
+    /// @param vintageYear The vintage of the wanted batch.
+    /// @param amount The amount of tokens wanted, in token units.
+    /// @param pricePerUnit The maximum price per whole token in the smallest unit of the payment token.
+    /// @param paymentToken The ERC-20 escrowed as payment, or address(0) for CELO.
+    /// @return The ID of the buy order.
+    function placeBuyOrder(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 pricePerUnit,
+        address paymentToken
+    ) public payable nonReentrant whenNotPaused returns (uint256) {
+        if (amount == 0) revert InvalidAmount();
+        uint256 escrow = _tokenPrice(amount, pricePerUnit);
+        _checkPayment(paymentToken, escrow);
+
+        uint256 orderId = buyOrderCount;
+        buyOrders[orderId] = BuyOrder(_msgSender(), creditsId, vintageYear, amount, pricePerUnit, paymentToken, true);
+        buyOrderCount++;
+        _collectPayment(paymentToken, escrow);
+
+        emit BuyOrderPlaced(orderId, _msgSender(), creditsId, vintageYear, amount, pricePerUnit, paymentToken);
+        return orderId;
+    }
+
+    /// @notice Sells tokens of the wanted batch into a buy order at the order's price.
+    /// @dev Requires the seller's token allowance to this contract. The order stays active until its
+    ///      remaining amount reaches zero.
+    /// @param orderId The ID of the buy order.
+    /// @param amount The amount of tokens to sell.
+    function fillBuyOrder(uint256 orderId, uint256 amount) public nonReentrant whenNotPaused {
+        BuyOrder memory order = buyOrders[orderId];
+        uint256 totalPrice = _consumeBuyOrder(orderId, order, amount);
+
+        tokenContract.transferBatchFrom(_msgSender(), order.buyer, order.creditsId, order.vintageYear, amount);
+        _paySale(order.paymentToken, _msgSender(), totalPrice, address(0), 0);
+
+        emit BuyOrderFilled(
+            orderId,
+            _msgSender(),
+            amount,
+            totalPrice,
+            buyOrders[orderId].amount,
+            order.paymentToken
+        );
+    }
+
+    /// @notice Matches a token listing (ask) against a buy order (bid) for the same batch and currency.
+    /// @dev Anyone may call this. The match only succeeds if the bid price is at least the ask price;
+    ///      the trade executes at the ask price and the escrowed difference is credited to the buyer's proceeds.
+    ///      The ask price is capped at the escrow the fill releases: the two are rounded up over different
+    ///      amounts, so at equal prices the release can fall a unit short, and the seller is never credited
+    ///      more than was escrowed.
+    /// @param listingId The ID of the token listing.
+    /// @param orderId The ID of the buy order.
+    /// @param amount The amount of tokens to trade.
+    function matchOrders(uint256 listingId, uint256 orderId, uint256 amount) public nonReentrant whenNotPaused {
+        TokenListing memory listing = tokenListings[listingId];
+        BuyOrder memory order = buyOrders[orderId];
+        if (!listing.active) revert ListingNotActive();
+        if (
+            listing.creditsId != order.creditsId ||
+            listing.vintageYear != order.vintageYear ||
+            listing.paymentToken != order.paymentToken ||
+            listing.pricePerUnit > order.pricePerUnit
+        ) revert OrdersDoNotMatch();
+        if (amount > listing.amount) revert InsufficientListingAmount();
+        uint256 escrowed = _consumeBuyOrder(orderId, order, amount);
+
+        uint256 totalPrice = Math.min(_tokenPrice(amount, listing.pricePerUnit), escrowed);
+        uint256 remainingAmount = listing.amount - amount;
+        tokenListings[listingId].amount = remainingAmount;
+        if (remainingAmount == 0) tokenListings[listingId].active = false;
+
+        tokenContract.transferBatchFrom(listing.seller, order.buyer, listing.creditsId, listing.vintageYear, amount);
+        _paySale(order.paymentToken, listing.seller, totalPrice, address(0), 0);
+        if (escrowed > totalPrice) {
+            _credit(order.buyer, order.paymentToken, escrowed - totalPrice);
+        }
+
+        emit TokenSold(listingId, order.buyer, amount, totalPrice, remainingAmount, listing.paymentToken);
+        emit BuyOrderFilled(
+            orderId,
+            listing.seller,
+            amount,
+            totalPrice,
+            buyOrders[orderId].amount,
+            order.paymentToken
+        );
+    }
+
+    /// @notice Cancels a buy order and refunds the escrow for its unfilled amount.
+    /// @param orderId The ID of the buy order to cancel.
+    function cancelBuyOrder(uint256 orderId) public nonReentrant {
+        BuyOrder memory order = buyOrders[orderId];
+        if (order.buyer != _msgSender()) revert NotOrderOwner();
+        if (!order.active) revert OrderNotActive();
+
+        buyOrders[orderId].active = false;
+        uint256 refund = _tokenPrice(order.amount, order.pricePerUnit);
+        _pay(order.paymentToken, _msgSender(), refund);
+
+        emit BuyOrderCancelled(orderId, refund);
+    }
+
+    /// @notice Starts an English auction for an NFT. The highest bid at or above the reserve wins.
+    /// @dev Like listNFT, the NFT stays with the seller and requires the marketplace's approval until
+    ///      settlement. Outbid bids are credited to the bidder's proceeds.
+    /// @param tokenId The ID of the NFT to auction.
+    /// @param reservePrice The minimum first bid in the smallest unit of the payment token.
+    /// @param duration The auction length in seconds.
+    /// @param paymentToken The ERC-20 accepted as payment, or address(0) for CELO.
+    /// @return The ID of the auction.
+    function createEnglishAuction(
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 duration,
+        address paymentToken
+    ) public whenNotPaused returns (uint256) {
+        return _createAuction(tokenId, AuctionType.English, 0, reservePrice, duration, paymentToken);
+    }
+
+    /// @notice Starts a Dutch auction for an NFT. The price falls linearly from `startPrice` to
+    ///         `reservePrice` over the auction; the first buyer wins at the current price.
+    /// @param tokenId The ID of the NFT to auction.
+    /// @param startPrice The opening price in the smallest unit of the payment token.
+    /// @param reservePrice The floor price reached at the end of the auction.
+    /// @param duration The auction length in seconds.
+    /// @param paymentToken The ERC-20 accepted as payment, or address(0) for CELO.
+    /// @return The ID of the auction.
+    function createDutchAuction(
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint256 duration,
+        address paymentToken
+    ) public whenNotPaused returns (uint256) {
+        if (startPrice < reservePrice) revert InvalidPriceRange();
+        return _createAuction(tokenId, AuctionType.Dutch, startPrice, reservePrice, duration, paymentToken);
+    }
+
+    /// @notice Bids on an English auction.
+    /// @dev CELO bids are paid with msg.value (any excess is credited to proceeds); ERC-20 bids are
+    ///      pulled from the bidder's allowance. The previous leader's bid is credited to their proceeds.
+    /// @param auctionId The ID of the auction.
+    /// @param amount The bid in the smallest unit of the payment token.
+    function placeBid(uint256 auctionId, uint256 amount) public payable nonReentrant whenNotPaused {
+        Auction memory auction = auctions[auctionId];
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.auctionType != AuctionType.English) revert WrongAuctionType();
+        if (block.timestamp >= auction.endTime) revert AuctionEnded();
+        if (amount < auction.reservePrice || amount <= auction.highestBid) revert BidTooLow();
+        _checkPayment(auction.paymentToken, amount);
+
+        if (auction.highestBidder != address(0)) {
+            _credit(auction.highestBidder, auction.paymentToken, auction.highestBid);
+        }
+        auctions[auctionId].highestBidder = _msgSender();
+        auctions[auctionId].highestBid = amount;
+
+        if (auction.paymentToken == address(0)) {
+            if (msg.value > amount) _credit(_msgSender(), address(0), msg.value - amount);
+        } else {
+            IERC20(auction.paymentToken).safeTransferFrom(_msgSender(), address(this), amount);
+        }
+
+        emit BidPlaced(auctionId, _msgSender(), amount);
+    }
+
+    /// @notice Buys the NFT in a Dutch auction at the current price.
+    /// @dev Settles immediately through the same transfer and payment path as buyNFT.
+    /// @param auctionId The ID of the auction.
+    function buyDutchAuction(uint256 auctionId) public payable nonReentrant whenNotPaused {
+        Auction memory auction = auctions[auctionId];
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.auctionType != AuctionType.Dutch) revert WrongAuctionType();
+        if (block.timestamp >= auction.endTime) revert AuctionEnded();
+        uint256 price = currentPrice(auctionId);
+        _checkPayment(auction.paymentToken, price);
+        if (nftContract.ownerOf(auction.tokenId) != auction.seller) revert SellerNoLongerOwns();
+
+        auctions[auctionId].active = false;
+        auctions[auctionId].highestBidder = _msgSender();
+        auctions[auctionId].highestBid = price;
+        nftContract.safeTransferFrom(auction.seller, _msgSender(), auction.tokenId);
+        _collectPayment(auction.paymentToken, price);
+        _payNFTSale(auction.paymentToken, auction.seller, price, auction.tokenId);
+
+        emit AuctionSettled(auctionId, _msgSender(), price);
+    }
+
+    /// @notice Settles an English auction after it ends, transferring the NFT to the highest bidder
+    ///         and paying the seller. Anyone may call this.
+    /// @dev If nobody bid, the auction just closes. If the NFT can no longer be transferred (e.g. the
+    ///      seller moved it, or the winner rejects it), the winning bid is credited back to the winner.
+    /// @param auctionId The ID of the auction.
+    function settleAuction(uint256 auctionId) public nonReentrant whenNotPaused {
+        Auction memory auction = auctions[auctionId];
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.auctionType != AuctionType.English) revert WrongAuctionType();
+        if (block.timestamp < auction.endTime) revert AuctionNotEnded();
+
+        auctions[auctionId].active = false;
+        if (auction.highestBidder == address(0)) {
+            emit AuctionSettled(auctionId, address(0), 0);
+            return;
+        }
+
+        try nftContract.safeTransferFrom(auction.seller, auction.highestBidder, auction.tokenId) {
+            _payNFTSale(auction.paymentToken, auction.seller, auction.highestBid, auction.tokenId);
+            emit AuctionSettled(auctionId, auction.highestBidder, auction.highestBid);
+        } catch {
+            _credit(auction.highestBidder, auction.paymentToken, auction.highestBid);
+            emit AuctionSettled(auctionId, address(0), 0);
+        }
+    }
+
+    /// @notice Cancels an auction that has not received a bid or sale yet.
+    /// @param auctionId The ID of the auction to cancel.
+    function cancelAuction(uint256 auctionId) public {
+        Auction memory auction = auctions[auctionId];
+        if (auction.seller != _msgSender()) revert NotNFTOwner();
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.highestBidder != address(0)) revert AuctionHasBids();
+
+        auctions[auctionId].active = false;
+        emit AuctionCancelled(auctionId);
+    }
+
+    /// @notice Withdraws the caller's sale proceeds, royalties and refunds in a payment token.
+    /// @param paymentToken The ERC-20 to withdraw, or address(0) for CELO.
+    function withdrawProceeds(address paymentToken) public nonReentrant {
+        uint256 amount = proceeds[_msgSender()][paymentToken];
+        if (amount == 0) revert NothingToWithdraw();
+
+        proceeds[_msgSender()][paymentToken] = 0;
+        _pay(paymentToken, _msgSender(), amount);
+
+        emit ProceedsWithdrawn(_msgSender(), paymentToken, amount);
+    }
+
+    /// @notice Returns the price an auction currently asks: the declining price of a Dutch auction,
+    ///         or the leading bid of an English auction.
+    /// @param auctionId The ID of the auction.
+    /// @return The current price in the smallest unit of the payment token.
+    function currentPrice(uint256 auctionId) public view returns (uint256) {
+        Auction memory auction = auctions[auctionId];
+        if (auction.auctionType == AuctionType.English) return auction.highestBid;
+        if (block.timestamp >= auction.endTime) return auction.reservePrice;
+
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 duration = auction.endTime - auction.startTime;
+        return auction.startPrice - ((auction.startPrice - auction.reservePrice) * elapsed) / duration;
     }
-}
\ No newline at end of file
+
+    /// @dev Validates the seller and stores a new auction starting now.
+    function _createAuction(
+        uint256 tokenId,
+        AuctionType auctionType,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint256 duration,
+        address paymentToken
+    ) internal returns (uint256) {
+        if (nftContract.ownerOf(tokenId) != _msgSender()) revert NotNFTOwner();
+        if (nftContract.getApproved(tokenId) != address(this)) revert NotApproved();
+        if (duration == 0) revert InvalidDuration();
+
+        uint256 auctionId = auctionCount;
+        Auction storage auction = auctions[auctionId];
+        auction.tokenId = tokenId;
+        auction.seller = _msgSender();
+        auction.auctionType = auctionType;
+        auction.paymentToken = paymentToken;
+        auction.startPrice = startPrice;
+        auction.reservePrice = reservePrice;
+        auction.startTime = block.timestamp;
+        auction.endTime = block.timestamp + duration;
+        auction.active = true;
+        auctionCount++;
+
+        emit AuctionCreated(
+            auctionId,
+            tokenId,
+            _msgSender(),
+            auctionType,
+            paymentToken,
+            startPrice,
+            reservePrice,
+            auction.endTime
+        );
+        return auctionId;
+    }
+
+    /// @dev Reverts unless msg.value matches the listing currency: enough CELO for native listings,
+    ///      none at all for ERC-20 listings.
+    function _checkPayment(address paymentToken, uint256 price) internal view {
+        if (paymentToken == address(0)) {
+            if (msg.value < price) revert InsufficientPayment();
+        } else if (msg.value != 0) {
+            revert UnexpectedNativePayment();
+        }
+    }
+
+    /// @dev Checks that a signed order is live and signed by its seller (an EOA or an ERC-1271 wallet).
+    function _checkOrder(
+        bytes32 orderHash,
+        address seller,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal view {
+        if (block.timestamp > deadline) revert OrderExpired();
+        if (nonce != orderNonces[seller]) revert OrderCancelled();
+        if (!SignatureChecker.isValidSignatureNow(seller, orderHash, signature)) revert InvalidSignature();
+    }
+
+    /// @dev Validates a fill of `amount` against a buy order, decrements its remaining amount and
+    ///      returns the escrow released by the fill: the escrow of the amount before the fill minus that of
+    ///      the amount after it, so fills and the final refund add up to exactly what was escrowed.
+    function _consumeBuyOrder(uint256 orderId, BuyOrder memory order, uint256 amount) internal returns (uint256) {
+        if (!order.active) revert OrderNotActive();
+        if (amount == 0) revert InvalidAmount();
+        if (amount > order.amount) revert InsufficientOrderAmount();
+
+        uint256 remainingAmount = order.amount - amount;
+        buyOrders[orderId].amount = remainingAmount;
+        if (remainingAmount == 0) buyOrders[orderId].active = false;
+        return _tokenPrice(order.amount, order.pricePerUnit) - _tokenPrice(remainingAmount, order.pricePerUnit);
+    }
+
+    /// @dev Returns the price of `amount` token units at `pricePerUnit` per whole token, rounded up in the
+    ///      seller's favour, so that splitting a purchase into small fills never lowers its price.
+    function _tokenPrice(uint256 amount, uint256 pricePerUnit) internal pure returns (uint256) {
+        return Math.ceilDiv(amount * pricePerUnit, TOKEN_UNIT);
+    }
+
+    /// @dev Sends `amount` of the payment token (CELO for address(0)) held by this contract. CELO is sent
+    ///      with all remaining gas so smart-contract wallets can receive it; callers are nonReentrant
+    ///      and only pay the caller or the treasury, so a failing recipient only blocks its own call.
+    function _pay(address paymentToken, address to, uint256 amount) internal {
+        if (paymentToken == address(0)) {
+            Address.sendValue(payable(to), amount);
+        } else {
+            IERC20(paymentToken).safeTransfer(to, amount);
+        }
+    }
+
+    /// @dev Takes `price` from the buyer into this contract, after _checkPayment has validated msg.value.
+    ///      CELO overpayments are credited to the buyer's proceeds rather than sent back, so that a
+    ///      buyer that can't accept CELO can still buy; ERC-20 payments are pulled from its allowance.
+    function _collectPayment(address paymentToken, uint256 price) internal {
+        if (paymentToken == address(0)) {
+            if (msg.value > price) _credit(_msgSender(), address(0), msg.value - price);
+        } else {
+            IERC20(paymentToken).safeTransferFrom(_msgSender(), address(this), price);
+        }
+    }
+
+    /// @dev Pays out an NFT sale, including the NFT's ERC-2981 royalty.
+    function _payNFTSale(address paymentToken, address seller, uint256 price, uint256 tokenId) internal {
+        (address royaltyReceiver, uint256 royalty) = nftContract.royaltyInfo(tokenId, price);
+        if (royalty > 0) emit RoyaltyPaid(tokenId, royaltyReceiver, paymentToken, royalty);
+        _paySale(paymentToken, seller, price, royaltyReceiver, royalty);
+    }
+
+    /// @dev Splits a sale price held by this contract: the protocol fee goes to the treasury balance,
+    ///      and the royalty (if any) and the remainder are credited to the receiver's and seller's proceeds.
+    function _paySale(
+        address paymentToken,
+        address seller,
+        uint256 price,
+        address royaltyReceiver,
+        uint256 royalty
+    ) internal {
+        uint256 fee = (price * protocolFeeBps) / 10_000;
+        if (fee > 0) {
+            treasuryBalance[paymentToken] += fee;
+            emit ProtocolFeeCollected(paymentToken, seller, fee);
+        }
+        if (royalty > 0) {
+            _credit(royaltyReceiver, paymentToken, royalty);
+        }
+        _credit(seller, paymentToken, price - fee - royalty);
+    }
+
+    /// @dev Adds `amount` to an account's withdrawable proceeds in a payment token.
+    function _credit(address account, address paymentToken, uint256 amount) internal {
+        proceeds[account][paymentToken] += amount;
+        emit ProceedsCredited(account, paymentToken, amount);
+    }
+
+    /// @dev Resolves the caller of calls relayed by the trusted forwarder to the account that signed them.
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    /// @dev See {_msgSender}.
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    /// @dev See {_msgSender}.
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+}
@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+// Interface for CarbonCreditNFT
+interface ICarbonCreditNFT {
+    function carbonAmount(uint256 tokenId) external view returns (uint256);
+    function creditBatch(uint256 tokenId) external view returns (uint256 creditsId, uint256 vintageYear);
+    function offchainTokenURI(uint256 tokenId) external view returns (string memory);
+    function CARBON_DECIMALS() external view returns (uint8);
+}
+
+// Interface for CarbonCreditProjectRegistry
+interface ICarbonCreditProjectRegistry {
+    function projects(uint256 projectId) external view returns (
+        address developer,
+        string memory location,
+        string memory methodology,
+        string memory metadataURI,
+        uint8 status
+    );
+}
+
+// Interface for CarbonCreditToken
+interface ICarbonCreditToken {
+    function verificationData(bytes32 key) external view returns (
+        string memory mrvDataHash,
+        string memory verificationStandard,
+        string memory creditType,
+        uint256 verifiedTonnage,
+        uint256 issuedAmount,
+        bool isIssued
+    );
+}
+
+/// @title CarbonCreditMetadata
+/// @notice Renders the metadata of CarbonCreditNFTs on-chain, as a base64 `data:` URI of JSON with an SVG badge.
+/// @dev Reads the NFT's batch and carbon amount, the project from CarbonCreditProjectRegistry and the vintage's
+///      VerificationData from CarbonCreditToken at call time, so the metadata follows project and verification
+///      updates. The JSON follows `metadata/carbon-credit-metadata.schema.json`: ERC-721 `name`, `description`,
+///      `image` and `attributes`, the off-chain URI given at mint as `external_url`, and a `carbon_credit` object
+///      linking the NFT to its creditsId, vintage and verification data.
+contract CarbonCreditMetadata {
+    using Strings for uint256;
+
+    ICarbonCreditNFT public immutable nftContract;
+    ICarbonCreditProjectRegistry public immutable projectRegistry;
+    ICarbonCreditToken public immutable tokenContract;
+
+    /// @dev Project fields used in the metadata.
+    struct ProjectInfo {
+        string location;
+        string methodology;
+        string metadataURI;
+    }
+
+    /// @dev Verification fields used in the metadata; mrvDataHash is empty for unverified vintages.
+    struct VerificationInfo {
+        string mrvDataHash;
+        string verificationStandard;
+        string creditType;
+        uint256 verifiedTonnage;
+    }
+
+    /// @notice Initializes the renderer with the contracts it reads from.
+    /// @param _nftContract The address of the CarbonCreditNFT contract.
+    /// @param _projectRegistry The address of the CarbonCreditProjectRegistry contract.
+    /// @param _tokenContract The address of the CarbonCreditToken contract.
+    constructor(address _nftContract, address _projectRegistry, address _tokenContract) {
+        if (_nftContract == address(0) || _projectRegistry == address(0) || _tokenContract == address(0))
+            revert("Invalid contract address");
+        nftContract = ICarbonCreditNFT(_nftContract);
+        projectRegistry = ICarbonCreditProjectRegistry(_projectRegistry);
+        tokenContract = ICarbonCreditToken(_tokenContract);
+    }
+
+    /// @notice Returns the metadata of an NFT as a `data:application/json;base64` URI.
+    /// @param tokenId The ID of the NFT.
+    /// @return The token URI.
+    function tokenURI(uint256 tokenId) public view returns (string memory) {
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(tokenJSON(tokenId))));
+    }
+
+    /// @notice Returns the metadata JSON of an NFT.
+    /// @param tokenId The ID of the NFT.
+    /// @return json The JSON document.
+    function tokenJSON(uint256 tokenId) public view returns (string memory json) {
+        (uint256 creditsId, uint256 vintageYear) = nftContract.creditBatch(tokenId);
+        uint256 amount = nftContract.carbonAmount(tokenId);
+        string memory tonnes = _formatTonnes(amount);
+        ProjectInfo memory project = _project(creditsId);
+        VerificationInfo memory verification = _verification(creditsId, vintageYear);
+
+        json = string.concat(
+            '{"name":"Carbon Credit #',
+            tokenId.toString(),
+            '","description":"',
+            string.concat(tonnes, " t CO2e of carbon credits from project #", creditsId.toString()),
+            string.concat(", vintage ", vintageYear.toString(), ".")
+        );
+        json = string.concat(
+            json,
+            '","image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(_badge(tokenId, creditsId, vintageYear, tonnes, project.location))),
+            '"'
+        );
+        string memory externalURI = nftContract.offchainTokenURI(tokenId);
+        if (bytes(externalURI).length != 0) {
+            json = string.concat(json, ',"external_url":"', Strings.escapeJSON(externalURI), '"');
+        }
+        json = string.concat(json, ',"attributes":', _attributes(creditsId, vintageYear, tonnes, project, verification));
+        json = string.concat(
+            json,
+            ',"carbon_credit":',
+            _carbonCredit(creditsId, vintageYear, amount, tonnes, project, verification),
+            "}"
+        );
+    }
+
+    /// @dev Builds the ERC-721 `attributes` array.
+    function _attributes(
+        uint256 creditsId,
+        uint256 vintageYear,
+        string memory tonnes,
+        ProjectInfo memory project,
+        VerificationInfo memory verification
+    ) private pure returns (string memory attributes) {
+        attributes = string.concat(
+            '[{"trait_type":"Project","display_type":"number","value":',
+            creditsId.toString(),
+            '},{"trait_type":"Vintage","display_type":"number","value":',
+            vintageYear.toString(),
+            '},{"trait_type":"Tonnes CO2e","value":"',
+            tonnes
+        );
+        attributes = string.concat(
+            attributes,
+            '"},{"trait_type":"Location","value":"',
+            Strings.escapeJSON(project.location),
+            '"},{"trait_type":"Methodology","value":"',
+            Strings.escapeJSON(project.methodology)
+        );
+        attributes = string.concat(
+            attributes,
+            '"},{"trait_type":"Verification Standard","value":"',
+            Strings.escapeJSON(verification.verificationStandard),
+            '"},{"trait_type":"Credit Type","value":"',
+            Strings.escapeJSON(verification.creditType),
+            '"}]'
+        );
+    }
+
+    /// @dev Builds the `carbon_credit` object; `verification` is omitted while the vintage is unverified.
+    function _carbonCredit(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        string memory tonnes,
+        ProjectInfo memory project,
+        VerificationInfo memory verification
+    ) private pure returns (string memory carbonCredit) {
+        carbonCredit = string.concat(
+            '{"credits_id":',
+            creditsId.toString(),
+            ',"vintage_year":',
+            vintageYear.toString(),
+            ',"carbon_amount":"',
+            amount.toString(),
+            '","tonnes":"',
+            tonnes
+        );
+        carbonCredit = string.concat(
+            carbonCredit,
+            '","project":{"location":"',
+            Strings.escapeJSON(project.location),
+            '","methodology":"',
+            Strings.escapeJSON(project.methodology),
+            '","metadata_uri":"',
+            Strings.escapeJSON(project.metadataURI),
+            '"}'
+        );
+        if (bytes(verification.mrvDataHash).length != 0) {
+            carbonCredit = string.concat(
+                carbonCredit,
+                ',"verification":{"mrv_data_hash":"',
+                Strings.escapeJSON(verification.mrvDataHash),
+                '","standard":"',
+                Strings.escapeJSON(verification.verificationStandard),
+                '","credit_type":"',
+                Strings.escapeJSON(verification.creditType)
+            );
+            carbonCredit = string.concat(
+                carbonCredit,
+                '","verified_tonnage":"',
+                verification.verifiedTonnage.toString(),
+                '"}'
+            );
+        }
+        carbonCredit = string.concat(carbonCredit, "}");
+    }
+
+    /// @dev Draws the SVG badge shown as the NFT's image.
+    function _badge(
+        uint256 tokenId,
+        uint256 creditsId,
+        uint256 vintageYear,
+        string memory tonnes,
+        string memory location
+    ) private pure returns (string memory badge) {
+        badge = string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">',
+            '<rect width="350" height="350" rx="24" fill="#476520"/>',
+            '<circle cx="175" cy="120" r="62" fill="none" stroke="#FFFFFF" stroke-width="6"/>',
+            '<text x="175" y="132" font-family="sans-serif" font-size="30" font-weight="bold" fill="#FFFFFF" text-anchor="middle">CO2e</text>'
+        );
+        badge = string.concat(
+            badge,
+            '<text x="175" y="230" font-family="sans-serif" font-size="28" fill="#FFFFFF" text-anchor="middle">',
+            tonnes,
+            ' t</text><text x="175" y="266" font-family="sans-serif" font-size="16" fill="#FFFFFF" text-anchor="middle">Project #',
+            creditsId.toString(),
+            string.concat(" / Vintage ", vintageYear.toString())
+        );
+        badge = string.concat(
+            badge,
+            '</text><text x="175" y="292" font-family="sans-serif" font-size="14" fill="#FFFFFF" text-anchor="middle">',
+            _escapeXML(location),
+            '</text><text x="175" y="326" font-family="sans-serif" font-size="12" fill="#FFFFFF" text-anchor="middle">Carbon Credit #',
+            tokenId.toString(),
+            "</text></svg>"
+        );
+    }
+
+    /// @dev Reads the project fields used in the metadata.
+    function _project(uint256 creditsId) private view returns (ProjectInfo memory project) {
+        (, project.location, project.methodology, project.metadataURI, ) = projectRegistry.projects(creditsId);
+    }
+
+    /// @dev Reads the verification fields used in the metadata.
+    function _verification(uint256 creditsId, uint256 vintageYear) private view returns (VerificationInfo memory info) {
+        (info.mrvDataHash, info.verificationStandard, info.creditType, info.verifiedTonnage, , ) = tokenContract
+            .verificationData(keccak256(abi.encodePacked(creditsId, vintageYear)));
+    }
+
+    /// @dev Formats an amount with CARBON_DECIMALS decimals as tonnes, without trailing zeros (e.g. "2.5").
+    function _formatTonnes(uint256 amount) private view returns (string memory) {
+        uint256 unit = 10 ** nftContract.CARBON_DECIMALS();
+        uint256 fraction = amount % unit;
+        if (fraction == 0) return (amount / unit).toString();
+
+        uint256 digits = nftContract.CARBON_DECIMALS();
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            digits--;
+        }
+        bytes memory padded = bytes(fraction.toString());
+        bytes memory zeros = new bytes(digits - padded.length);
+        for (uint256 i = 0; i < zeros.length; i++) zeros[i] = "0";
+        return string.concat((amount / unit).toString(), ".", string(zeros), string(padded));
+    }
+
+    /// @dev Escapes the characters that are special in SVG text.
+    function _escapeXML(string memory input) private pure returns (string memory) {
+        bytes memory buffer = bytes(input);
+        bytes memory output = "";
+        for (uint256 i = 0; i < buffer.length; i++) {
+            bytes1 char = buffer[i];
+            if (char == "&") output = abi.encodePacked(output, "&amp;");
+            else if (char == "<") output = abi.encodePacked(output, "&lt;");
+            else if (char == ">") output = abi.encodePacked(output, "&gt;");
+            else output = abi.encodePacked(output, char);
+        }
+        return string(output);
+    }
+}
@@ -2,14 +2,53 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
+// Interface for CarbonCreditProjectRegistry
+interface ICarbonCreditProjectRegistry {
+    function projectStatus(uint256 projectId) external view returns (uint8);
+}
+
+// Interface for CarbonCreditToken
+interface ICarbonCreditToken {
+    function recordIssuance(uint256 creditsId, uint256 vintageYear, uint256 amount) external;
+}
+
+// Interface for CarbonCreditMetadata
+interface ICarbonCreditMetadata {
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+}
 
 /// @title CarbonCreditNFT
 /// @notice Manages unique carbon credits as ERC-721 NFTs, with metadata and CO2 tracking.
-/// @dev Extends ERC721URIStorage for token URI storage and AccessControl for role-based permissions.
-contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
+/// @dev Extends ERC721URIStorage for token URI storage, ERC2981 for resale royalties to the original
+///      recipient of each NFT (the project developer), and AccessControlEnumerable for role-based permissions.
+///      Every NFT belongs to a project (creditsId) of CarbonCreditProjectRegistry, which must be active to mint.
+///      Minted carbon amounts count against the issuance cap of the vintage in CarbonCreditToken, where this
+///      contract holds ISSUER_ROLE; NFTs re-bundled from burned tokens by the converter are not counted again.
+///      Accounts with GUARDIAN_ROLE can pause minting, transfers and burns, and freeze single accounts or
+///      batches pending an investigation.
+///      Calls relayed by the trusted ERC-2771 forwarder (CarbonCreditForwarder) act for the account that signed
+///      them, so holders can approve and transfer NFTs without paying gas.
+contract CarbonCreditNFT is ERC721URIStorage, ERC2981, AccessControlEnumerable, Pausable, ERC2771Context {
     /// @notice Role identifier for authorized minters.
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    /// @notice Role identifier for converters re-bundling burned tokens into NFTs (CarbonCreditConverter).
+    bytes32 public constant CONVERTER_ROLE = keccak256("CONVERTER_ROLE");
+    /// @notice Role identifier for guardians who pause the contract and freeze accounts and batches.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @dev ProjectStatus.Active in CarbonCreditProjectRegistry.
+    uint8 private constant PROJECT_ACTIVE = 3;
+
+    /// @notice The registry of the projects NFTs are minted for.
+    ICarbonCreditProjectRegistry public immutable projectRegistry;
+
+    /// @notice The token whose verified vintages cap how many credits can be minted as NFTs.
+    ICarbonCreditToken public immutable creditToken;
 
     /// @notice Counter for generating unique token IDs.
     uint256 public tokenIdCounter;
@@ -17,9 +56,36 @@ contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
     /// @notice Address of the CarbonCreditMarketplace contract.
     address public marketplaceAddress;
 
-    /// @notice Maps token ID to CO2 amount (in tons) for each NFT.
+    /// @notice Contract rendering token URIs on-chain (CarbonCreditMetadata), or address(0) to serve the URIs
+    ///         given at mint.
+    address public metadataRenderer;
+
+    /// @notice Maximum royalty, in basis points of the sale price.
+    uint96 public constant MAX_ROYALTY_BPS = 1000;
+
+    /// @notice Royalty, in basis points of the sale price, assigned to newly minted NFTs.
+    uint96 public royaltyBps;
+
+    /// @notice Number of decimals of carbonAmount, matching CarbonCreditToken so NFTs convert to tokens one to one.
+    uint8 public constant CARBON_DECIMALS = 18;
+
+    /// @notice Maps token ID to CO2 amount for each NFT, in tonnes with CARBON_DECIMALS decimals.
     mapping(uint256 => uint256) public carbonAmount;
 
+    /// @notice Structure identifying the project and vintage an NFT's credits were issued for.
+    struct CreditBatch {
+        uint256 creditsId;
+        uint256 vintageYear;
+    }
+
+    /// @notice Maps token ID to the batch (creditsId and vintageYear) of its credits.
+    mapping(uint256 => CreditBatch) public creditBatch;
+
+    /// @notice Accounts that can neither send, receive nor burn NFTs.
+    mapping(address => bool) public frozenAccounts;
+    /// @notice Maps a creditsId and vintageYear to whether NFTs of that batch are frozen.
+    mapping(uint256 => mapping(uint256 => bool)) public frozenBatches;
+
     /// @notice Custom error for unauthorized access to minting.
     error NotMinter();
     /// @notice Custom error for unauthorized access to admin functions.
@@ -30,14 +96,30 @@ contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
     error InvalidCarbonAmount();
     /// @notice Custom error for invalid marketplace address.
     error InvalidMarketplaceAddress();
-     
+    /// @notice Custom error for a royalty above MAX_ROYALTY_BPS.
+    error InvalidRoyalty();
+    /// @notice Custom error for minting credits of a project that is not active.
+    error ProjectNotActive();
+    /// @notice Custom error for moving NFTs from or to a frozen account.
+    error AccountFrozen(address account);
+    /// @notice Custom error for moving NFTs of a frozen batch.
+    error BatchFrozen(uint256 creditsId, uint256 vintageYear);
 
     /// @notice Emitted when a new carbon credit NFT is minted.
     /// @param tokenId The ID of the minted NFT.
     /// @param to The address receiving the NFT.
-    /// @param carbonTons The CO2 amount (in tons) represented by the NFT.
+    /// @param creditsId The project the NFT's credits were issued for.
+    /// @param vintageYear The vintage of the NFT's credits.
+    /// @param carbonTons The CO2 amount represented by the NFT, in tonnes with CARBON_DECIMALS decimals.
     /// @param tokenURI The URI storing metadata (e.g., project details).
-    event CreditMinted(uint256 indexed tokenId, address indexed to, uint256 carbonTons, string tokenURI);
+    event CreditMinted(
+        uint256 indexed tokenId,
+        address indexed to,
+        uint256 indexed creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        string tokenURI
+    );
 
     /// @notice Emitted when a carbon credit NFT is burned (retired).
     /// @param tokenId The ID of the burned NFT.
@@ -48,10 +130,35 @@ contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
     /// @param newMarketplaceAddress The new marketplace address.
     event MarketplaceAddressUpdated(address indexed newMarketplaceAddress);
 
+    /// @notice Emitted when the metadata renderer is updated.
+    /// @param renderer The new renderer, or address(0) for the URIs given at mint.
+    event MetadataRendererUpdated(address indexed renderer);
+
+    /// @notice Emitted when the royalty for newly minted NFTs is updated.
+    /// @param royaltyBps The new royalty in basis points.
+    event RoyaltyUpdated(uint96 royaltyBps);
+
+    /// @notice Emitted when an account is frozen or unfrozen.
+    event AccountFreezeUpdated(address indexed account, bool frozen);
+    /// @notice Emitted when a batch is frozen or unfrozen.
+    event BatchFreezeUpdated(uint256 indexed creditsId, uint256 vintageYear, bool frozen);
+
     /// @notice Initializes the contract with default admin, minter roles, RoleManager, and marketplace integration.
     /// @dev Sets the deployer as the default admin and minter, grants RoleManager admin role, and sets initial marketplace address.
     /// @param roleManager The address of the RoleManager contract.
-    constructor(address roleManager) ERC721("CarbonCreditNFT", "CCNFT") {
+    /// @param _projectRegistry The address of the CarbonCreditProjectRegistry contract.
+    /// @param _creditToken The address of the CarbonCreditToken contract.
+    /// @param trustedForwarder The ERC-2771 forwarder relaying gasless calls, or address(0) for none.
+    constructor(
+        address roleManager,
+        address _projectRegistry,
+        address _creditToken,
+        address trustedForwarder
+    ) ERC721("CarbonCreditNFT", "CCNFT") ERC2771Context(trustedForwarder) {
+        if (_projectRegistry == address(0) || _creditToken == address(0)) revert("Invalid contract address");
+        projectRegistry = ICarbonCreditProjectRegistry(_projectRegistry);
+        creditToken = ICarbonCreditToken(_creditToken);
+
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(MINTER_ROLE, msg.sender);
         if (roleManager != address(0)) {
@@ -71,20 +178,121 @@ contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
         emit MarketplaceAddressUpdated(newMarketplaceAddress);
     }
 
+    /// @notice Sets the contract rendering token URIs on-chain.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Emits ERC-4906 BatchMetadataUpdate for all tokens.
+    /// @param newMetadataRenderer The CarbonCreditMetadata contract, or address(0) to serve the URIs given at mint.
+    function setMetadataRenderer(address newMetadataRenderer) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        metadataRenderer = newMetadataRenderer;
+        emit MetadataRendererUpdated(newMetadataRenderer);
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /// @notice Sets the royalty assigned to NFTs minted from now on.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Existing NFTs keep their royalty.
+    /// @param newRoyaltyBps The royalty in basis points (at most MAX_ROYALTY_BPS).
+    function setRoyalty(uint96 newRoyaltyBps) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newRoyaltyBps > MAX_ROYALTY_BPS) revert InvalidRoyalty();
+        royaltyBps = newRoyaltyBps;
+        emit RoyaltyUpdated(newRoyaltyBps);
+    }
+
+    /// @notice Pauses minting, transfers and burns.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function pause() public onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /// @notice Resumes minting, transfers and burns.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function unpause() public onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /// @notice Freezes or unfreezes an account pending an investigation.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    /// @param account The account to freeze or unfreeze.
+    /// @param frozen True to freeze the account, false to unfreeze it.
+    function setAccountFrozen(address account, bool frozen) public onlyRole(GUARDIAN_ROLE) {
+        frozenAccounts[account] = frozen;
+        emit AccountFreezeUpdated(account, frozen);
+    }
+
+    /// @notice Freezes or unfreezes every NFT of a batch pending an investigation (e.g., of a fraudulent project).
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param frozen True to freeze the batch, false to unfreeze it.
+    function setBatchFrozen(uint256 creditsId, uint256 vintageYear, bool frozen) public onlyRole(GUARDIAN_ROLE) {
+        frozenBatches[creditsId][vintageYear] = frozen;
+        emit BatchFreezeUpdated(creditsId, vintageYear, frozen);
+    }
+
     /// @notice Mints a new carbon credit NFT with specified CO2 amount and metadata.
-    /// @dev Only callable by accounts with MINTER_ROLE. Approves the marketplace contract for the NFT.
+    /// @dev Only callable by accounts with MINTER_ROLE, for active projects. The carbon amount is counted against
+    ///      the vintage's issuance cap in CarbonCreditToken, so minting reverts for unverified vintages and above
+    ///      the verified tonnage. Approves the marketplace contract for the NFT and makes the recipient its
+    ///      ERC-2981 royalty receiver at the current royaltyBps.
+    ///      Minting does not go through CarbonCreditVerification: once an issued proposal has set a vintage's
+    ///      verified tonnage, a single MINTER_ROLE holder can mint NFTs up to what remains of it without a
+    ///      verifier quorum. MINTER_ROLE should therefore be granted as sparingly as issuance itself.
+    /// @param to The address to receive the NFT.
+    /// @param creditsId The project the NFT's credits were issued for.
+    /// @param vintageYear The vintage of the NFT's credits.
+    /// @param carbonTons The CO2 amount represented by the NFT, in tonnes with CARBON_DECIMALS decimals.
+    /// @param uri The URI for metadata (e.g., IPFS link to project details).
+    /// @return The ID of the newly minted NFT.
+    function mint(
+        address to,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        string memory uri
+    ) public returns (uint256) {
+        if (!hasRole(MINTER_ROLE, _msgSender())) revert NotMinter();
+        if (carbonTons == 0) revert InvalidCarbonAmount();
+        if (projectRegistry.projectStatus(creditsId) != PROJECT_ACTIVE) revert ProjectNotActive();
+        creditToken.recordIssuance(creditsId, vintageYear, carbonTons);
+        return _mintCredit(to, to, creditsId, vintageYear, carbonTons, uri);
+    }
+
+    /// @notice Mints an NFT re-bundling tokens of a batch the converter has burned.
+    /// @dev Only callable by accounts with CONVERTER_ROLE, for active projects. The credits were counted against
+    ///      the issuance cap when first issued, so they are not counted again.
     /// @param to The address to receive the NFT.
-    /// @param carbonTons The CO2 amount (in tons) represented by the NFT.
-    /// @param tokenURI The URI for metadata (e.g., IPFS link to project details).
+    /// @param royaltyReceiver The address to receive the NFT's royalties (the owner of the burned tokens).
+    /// @param creditsId The project the NFT's credits were issued for.
+    /// @param vintageYear The vintage of the NFT's credits.
+    /// @param carbonTons The CO2 amount of the burned tokens, in tonnes with CARBON_DECIMALS decimals.
+    /// @param uri The URI for metadata.
     /// @return The ID of the newly minted NFT.
-    function mint(address to, uint256 carbonTons, string memory tokenURI) public returns (uint256) {
-        if (!hasRole(MINTER_ROLE, msg.sender)) revert NotMinter();
+    function mintConverted(
+        address to,
+        address royaltyReceiver,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        string memory uri
+    ) public onlyRole(CONVERTER_ROLE) returns (uint256) {
         if (carbonTons == 0) revert InvalidCarbonAmount();
+        if (projectRegistry.projectStatus(creditsId) != PROJECT_ACTIVE) revert ProjectNotActive();
+        return _mintCredit(to, royaltyReceiver, creditsId, vintageYear, carbonTons, uri);
+    }
 
+    /// @dev Mints an NFT of a batch, approving the marketplace and setting its royalty receiver.
+    function _mintCredit(
+        address to,
+        address royaltyReceiver,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 carbonTons,
+        string memory uri
+    ) internal returns (uint256) {
         uint256 newTokenId = tokenIdCounter;
+        creditBatch[newTokenId] = CreditBatch(creditsId, vintageYear);
         _mint(to, newTokenId);
-        _setTokenURI(newTokenId, tokenURI);
+        _setTokenURI(newTokenId, uri);
         carbonAmount[newTokenId] = carbonTons;
+        _setTokenRoyalty(newTokenId, royaltyReceiver, royaltyBps);
 
         // Approve the marketplace contract to transfer this NFT
         if (marketplaceAddress != address(0)) {
@@ -92,7 +300,7 @@ contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
         }
 
         tokenIdCounter++;
-        emit CreditMinted(newTokenId, to, carbonTons, tokenURI);
+        emit CreditMinted(newTokenId, to, creditsId, vintageYear, carbonTons, uri);
         return newTokenId;
     }
 
@@ -100,16 +308,63 @@ contract CarbonCreditNFT is ERC721URIStorage, AccessControl {
     /// @dev Only callable by the NFT owner or approved address. Emits CreditBurned event.
     /// @param tokenId The ID of the NFT to burn.
     function burn(uint256 tokenId) public {
-        if (!_isAuthorized(ownerOf(tokenId), msg.sender, tokenId)) revert NotOwnerOrApproved();
+        if (!_isAuthorized(ownerOf(tokenId), _msgSender(), tokenId)) revert NotOwnerOrApproved();
         _burn(tokenId);
-        emit CreditBurned(tokenId, msg.sender);
+        _resetTokenRoyalty(tokenId);
+        emit CreditBurned(tokenId, _msgSender());
+    }
+
+    /// @dev Blocks mints, transfers and burns while paused and for frozen accounts and batches.
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        _requireNotPaused();
+        CreditBatch storage batch = creditBatch[tokenId];
+        if (frozenBatches[batch.creditsId][batch.vintageYear]) revert BatchFrozen(batch.creditsId, batch.vintageYear);
+        if (frozenAccounts[to]) revert AccountFrozen(to);
+
+        address from = super._update(to, tokenId, auth);
+        if (frozenAccounts[from]) revert AccountFrozen(from);
+        return from;
+    }
+
+    /// @notice Returns the metadata URI of an NFT.
+    /// @dev Rendered on-chain by metadataRenderer when one is set, otherwise the URI given at mint.
+    /// @param tokenId The ID of the NFT.
+    /// @return The token URI.
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        if (metadataRenderer == address(0)) return super.tokenURI(tokenId);
+        _requireOwned(tokenId);
+        return ICarbonCreditMetadata(metadataRenderer).tokenURI(tokenId);
+    }
+
+    /// @notice Returns the off-chain metadata URI given when the NFT was minted.
+    /// @param tokenId The ID of the NFT.
+    /// @return The URI given at mint.
+    function offchainTokenURI(uint256 tokenId) public view returns (string memory) {
+        return super.tokenURI(tokenId);
     }
 
-    /// @notice Overrides supportsInterface to handle ERC721URIStorage and AccessControl interfaces.
+    /// @notice Overrides supportsInterface to handle ERC721URIStorage, ERC2981 and AccessControlEnumerable interfaces.
     /// @dev Includes ERC721URIStorage to support IERC4906 (Metadata Update).
     /// @param interfaceId The interface ID to check.
     /// @return True if the interface is supported, false otherwise.
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721URIStorage, AccessControl) returns (bool) {
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC721URIStorage, ERC2981, AccessControlEnumerable) returns (bool) {
         return super.supportsInterface(interfaceId);
     }
-}
\ No newline at end of file
+
+    /// @dev Resolves the caller of calls relayed by the trusted forwarder to the account that signed them.
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    /// @dev See {_msgSender}.
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    /// @dev See {_msgSender}.
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+}
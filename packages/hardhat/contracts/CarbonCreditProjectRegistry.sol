@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+
+/// @title CarbonCreditProjectRegistry
+/// @notice Registry of carbon credit projects: who develops them, where they are, which methodology they follow
+///         and where they stand in their lifecycle. A project ID is the `creditsId` used by CarbonCreditToken and
+///         CarbonCreditNFT, and every vintage of a project is verified and issued under it.
+/// @dev Developers register their own projects and keep them up to date; accounts with VERIFIER_ROLE move
+///      projects through the lifecycle. Only active projects can have credits issued or minted.
+contract CarbonCreditProjectRegistry is AccessControlEnumerable {
+    /// @notice Role identifier for verifiers who validate, activate and suspend projects.
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+
+    /// @notice Lifecycle states of a project.
+    enum ProjectStatus {
+        None,
+        Registered, // Submitted by its developer; not yet validated
+        Validated, // Design validated; vintages can be verified
+        Active, // Credits can be issued and minted
+        Suspended, // Issuance halted until reactivated
+        Retired // Closed for good
+    }
+
+    /// @notice Structure to store a carbon credit project.
+    struct Project {
+        address developer; // Account that owns and maintains the project
+        string location; // Where the project is (e.g., "Kenya, Kasigau Corridor")
+        string methodology; // Methodology followed (e.g., "VM0009")
+        string metadataURI; // URI of the project documentation (e.g., IPFS link)
+        ProjectStatus status;
+    }
+
+    /// @notice Number of registered projects; project IDs run from 1 to projectCount.
+    uint256 public projectCount;
+    /// @notice Maps a project ID to the project.
+    mapping(uint256 => Project) public projects;
+
+    // Custom errors
+    error ProjectNotFound();
+    error NotProjectDeveloper();
+    error InvalidDeveloper();
+    error EmptyMethodology();
+    error InvalidStatusTransition(ProjectStatus from, ProjectStatus to);
+
+    /// @notice Emitted when a project is registered.
+    event ProjectRegistered(
+        uint256 indexed projectId,
+        address indexed developer,
+        string location,
+        string methodology,
+        string metadataURI
+    );
+    /// @notice Emitted when the metadata URI of a project is updated.
+    event ProjectMetadataUpdated(uint256 indexed projectId, string metadataURI);
+    /// @notice Emitted when a project is handed over to a new developer.
+    event ProjectDeveloperTransferred(
+        uint256 indexed projectId,
+        address indexed previousDeveloper,
+        address indexed newDeveloper
+    );
+    /// @notice Emitted when a project moves to another lifecycle state.
+    event ProjectStatusChanged(uint256 indexed projectId, ProjectStatus from, ProjectStatus to);
+
+    /// @notice Initializes the registry and sets the deployer as the default admin.
+    /// @param roleManager The address of the RoleManager contract (granted the admin role if non-zero).
+    constructor(address roleManager) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        if (roleManager != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, roleManager);
+        }
+    }
+
+    /// @dev Reverts unless the project exists and the caller is its developer.
+    modifier onlyDeveloper(uint256 projectId) {
+        if (projects[projectId].status == ProjectStatus.None) revert ProjectNotFound();
+        if (projects[projectId].developer != msg.sender) revert NotProjectDeveloper();
+        _;
+    }
+
+    /// @notice Registers a project with the caller as its developer.
+    /// @param location Where the project is.
+    /// @param methodology The methodology the project follows.
+    /// @param metadataURI The URI of the project documentation.
+    /// @return The ID of the project.
+    function registerProject(
+        string memory location,
+        string memory methodology,
+        string memory metadataURI
+    ) public returns (uint256) {
+        if (bytes(methodology).length == 0) revert EmptyMethodology();
+
+        uint256 projectId = projectCount + 1;
+        projects[projectId] = Project(msg.sender, location, methodology, metadataURI, ProjectStatus.Registered);
+        projectCount = projectId;
+
+        emit ProjectRegistered(projectId, msg.sender, location, methodology, metadataURI);
+        return projectId;
+    }
+
+    /// @notice Updates the metadata URI of a project.
+    /// @dev Only callable by the project's developer.
+    /// @param projectId The ID of the project.
+    /// @param metadataURI The new URI of the project documentation.
+    function setMetadataURI(uint256 projectId, string memory metadataURI) public onlyDeveloper(projectId) {
+        projects[projectId].metadataURI = metadataURI;
+        emit ProjectMetadataUpdated(projectId, metadataURI);
+    }
+
+    /// @notice Hands a project over to a new developer.
+    /// @dev Only callable by the project's developer.
+    /// @param projectId The ID of the project.
+    /// @param newDeveloper The account taking over the project.
+    function transferProject(uint256 projectId, address newDeveloper) public onlyDeveloper(projectId) {
+        if (newDeveloper == address(0)) revert InvalidDeveloper();
+        projects[projectId].developer = newDeveloper;
+        emit ProjectDeveloperTransferred(projectId, msg.sender, newDeveloper);
+    }
+
+    /// @notice Moves a project to another lifecycle state.
+    /// @dev Verifiers may validate a registered project, activate a validated or suspended one, suspend an
+    ///      active one and retire any project that is not retired yet. Developers may only retire their own.
+    /// @param projectId The ID of the project.
+    /// @param newStatus The state to move the project to.
+    function setProjectStatus(uint256 projectId, ProjectStatus newStatus) public {
+        Project storage project = projects[projectId];
+        ProjectStatus status = project.status;
+        if (status == ProjectStatus.None) revert ProjectNotFound();
+
+        bool isDeveloperRetiring = newStatus == ProjectStatus.Retired && project.developer == msg.sender;
+        if (!isDeveloperRetiring) _checkRole(VERIFIER_ROLE);
+        if (!_isValidTransition(status, newStatus)) revert InvalidStatusTransition(status, newStatus);
+
+        project.status = newStatus;
+        emit ProjectStatusChanged(projectId, status, newStatus);
+    }
+
+    /// @notice Returns a project.
+    /// @param projectId The ID of the project.
+    function getProject(uint256 projectId) public view returns (Project memory) {
+        return projects[projectId];
+    }
+
+    /// @notice Returns the lifecycle state of a project (None if it does not exist).
+    /// @param projectId The ID of the project.
+    function projectStatus(uint256 projectId) public view returns (ProjectStatus) {
+        return projects[projectId].status;
+    }
+
+    /// @dev Whether a project may move from `from` to `to`.
+    function _isValidTransition(ProjectStatus from, ProjectStatus to) private pure returns (bool) {
+        if (to == ProjectStatus.Validated) return from == ProjectStatus.Registered;
+        if (to == ProjectStatus.Active) return from == ProjectStatus.Validated || from == ProjectStatus.Suspended;
+        if (to == ProjectStatus.Suspended) return from == ProjectStatus.Active;
+        if (to == ProjectStatus.Retired) return from != ProjectStatus.Retired;
+        return false;
+    }
+}
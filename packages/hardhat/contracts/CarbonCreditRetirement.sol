@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+// Interface for CarbonCreditNFT
+interface ICarbonCreditNFT {
+    function ownerOf(uint256 tokenId) external view returns (address);
+    function isApprovedForAll(address owner, address operator) external view returns (bool);
+    function getApproved(uint256 tokenId) external view returns (address);
+    function carbonAmount(uint256 tokenId) external view returns (uint256);
+    function creditBatch(uint256 tokenId) external view returns (uint256 creditsId, uint256 vintageYear);
+    function burn(uint256 tokenId) external;
+}
+
+// Interface for CarbonCreditToken
+interface ICarbonCreditToken {
+    function burnBatchFrom(address account, uint256 creditsId, uint256 vintageYear, uint256 amount) external;
+    function verificationData(bytes32 key) external view returns (
+        string memory mrvDataHash,
+        string memory verificationStandard,
+        string memory creditType,
+        uint256 verifiedTonnage,
+        uint256 issuedAmount,
+        bool isIssued
+    );
+}
+
+/// @title CarbonCreditRetirement
+/// @notice Retires carbon credits on behalf of a beneficiary and issues a non-transferable retirement certificate.
+/// @dev Burns CarbonCreditTokens (via allowance) or CarbonCreditNFTs (via approval) and records each retirement
+///      on-chain. Certificates are ERC-721 tokens that can only be minted, never transferred.
+contract CarbonCreditRetirement is ERC721 {
+    ICarbonCreditNFT public immutable nftContract;
+    ICarbonCreditToken public immutable tokenContract;
+
+    /// @notice Structure to store the details of a retirement.
+    struct Retirement {
+        address retiree; // Account that retired the credits and holds the certificate
+        string beneficiary; // Party on whose behalf the credits were retired
+        string reason; // Retirement reason (e.g., "2024 Scope 1 offsetting")
+        uint256 creditsId; // Project the retired credits were issued for
+        uint256 vintageYear; // Vintage of the retired credits
+        uint256 amount; // Amount of CO2 retired, in token units (1e18 = 1 tonne CO2e)
+        bool isNFT; // True if a CarbonCreditNFT was retired, false for CarbonCreditTokens
+        uint256 nftTokenId; // ID of the retired NFT (only meaningful if isNFT is true)
+        uint256 retiredAt; // Block timestamp of the retirement
+    }
+
+    /// @notice Counter for generating unique certificate IDs.
+    uint256 public certificateCount;
+
+    /// @notice Maps a certificate ID to its retirement record.
+    mapping(uint256 => Retirement) public retirements;
+
+    /// @notice Maps a key (hashed creditsId and vintageYear) to the total amount retired for it.
+    mapping(bytes32 => uint256) public retiredAmount;
+
+    /// @notice Maps a retiree to the IDs of their retirement certificates.
+    mapping(address => uint256[]) private retireeCertificates;
+
+    // Custom errors
+    error NotNFTOwner();
+    error NotApproved();
+    error InvalidCarbonAmount();
+    error CreditsNotVerified();
+    error EmptyBeneficiary();
+    error CertificateNonTransferable();
+
+    /// @notice Emitted when carbon credits are retired and a certificate is issued.
+    /// @param certificateId The ID of the retirement certificate.
+    /// @param retiree The account that retired the credits.
+    /// @param creditsId The project the retired credits were issued for.
+    /// @param vintageYear The vintage of the retired credits.
+    /// @param amount The amount of CO2 retired, in token units.
+    /// @param beneficiary The party on whose behalf the credits were retired.
+    /// @param reason The retirement reason.
+    event CreditsRetired(
+        uint256 indexed certificateId,
+        address indexed retiree,
+        uint256 indexed creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        string beneficiary,
+        string reason
+    );
+
+    /// @notice Initializes the retirement registry with NFT and token contract addresses.
+    /// @param _nftContract The address of the CarbonCreditNFT contract.
+    /// @param _tokenContract The address of the CarbonCreditToken contract.
+    constructor(address _nftContract, address _tokenContract) ERC721("CarbonCreditRetirementCertificate", "CCRC") {
+        if (_nftContract == address(0) || _tokenContract == address(0)) revert("Invalid contract address");
+        nftContract = ICarbonCreditNFT(_nftContract);
+        tokenContract = ICarbonCreditToken(_tokenContract);
+    }
+
+    /// @notice Retires ERC-20 carbon credit tokens and mints a retirement certificate to the caller.
+    /// @dev Burns the tokens of the given batch through the caller's allowance to this contract.
+    /// @param creditsId The project the retired credits were issued for.
+    /// @param vintageYear The vintage of the retired credits.
+    /// @param amount The amount of tokens to retire, in token units (1e18 = 1 tonne CO2e).
+    /// @param beneficiary The party on whose behalf the credits are retired.
+    /// @param reason The retirement reason.
+    /// @return The ID of the retirement certificate.
+    function retireTokens(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        string memory beneficiary,
+        string memory reason
+    ) public returns (uint256) {
+        if (amount == 0) revert InvalidCarbonAmount();
+        _checkVerified(creditsId, vintageYear);
+
+        tokenContract.burnBatchFrom(msg.sender, creditsId, vintageYear, amount);
+
+        return _recordRetirement(Retirement(
+            msg.sender, beneficiary, reason, creditsId, vintageYear, amount, false, 0, block.timestamp
+        ));
+    }
+
+    /// @notice Retires a carbon credit NFT and mints a retirement certificate to the caller.
+    /// @dev Burns the NFT and records the batch it was minted for. Requires ownership and approval,
+    ///      as in CarbonCreditConverter.
+    /// @param tokenId The ID of the NFT to retire.
+    /// @param beneficiary The party on whose behalf the credits are retired.
+    /// @param reason The retirement reason.
+    /// @return The ID of the retirement certificate.
+    function retireNFT(
+        uint256 tokenId,
+        string memory beneficiary,
+        string memory reason
+    ) public returns (uint256) {
+        if (nftContract.ownerOf(tokenId) != msg.sender) revert NotNFTOwner();
+        if (!nftContract.isApprovedForAll(msg.sender, address(this)) && nftContract.getApproved(tokenId) != address(this))
+            revert NotApproved();
+        (uint256 creditsId, uint256 vintageYear) = nftContract.creditBatch(tokenId);
+        _checkVerified(creditsId, vintageYear);
+
+        uint256 carbonTons = nftContract.carbonAmount(tokenId);
+        if (carbonTons == 0) revert InvalidCarbonAmount();
+
+        nftContract.burn(tokenId);
+
+        return _recordRetirement(Retirement(
+            msg.sender, beneficiary, reason, creditsId, vintageYear, carbonTons, true, tokenId, block.timestamp
+        ));
+    }
+
+    /// @notice Returns the IDs of all retirement certificates held by a retiree.
+    /// @param retiree The account to look up.
+    /// @return The certificate IDs, in retirement order.
+    function getRetirementsByRetiree(address retiree) public view returns (uint256[] memory) {
+        return retireeCertificates[retiree];
+    }
+
+    /// @dev Reverts unless verification data exists for the given project and vintage.
+    function _checkVerified(uint256 creditsId, uint256 vintageYear) internal view {
+        (string memory mrvDataHash, , , , , ) = tokenContract.verificationData(
+            keccak256(abi.encodePacked(creditsId, vintageYear))
+        );
+        if (bytes(mrvDataHash).length == 0) revert CreditsNotVerified();
+    }
+
+    /// @dev Stores a retirement, mints its certificate to the retiree and emits CreditsRetired.
+    function _recordRetirement(Retirement memory retirement) internal returns (uint256) {
+        if (bytes(retirement.beneficiary).length == 0) revert EmptyBeneficiary();
+
+        uint256 certificateId = certificateCount;
+        retirements[certificateId] = retirement;
+        retiredAmount[keccak256(abi.encodePacked(retirement.creditsId, retirement.vintageYear))] += retirement.amount;
+        retireeCertificates[retirement.retiree].push(certificateId);
+        certificateCount++;
+
+        _mint(retirement.retiree, certificateId);
+
+        emit CreditsRetired(
+            certificateId,
+            retirement.retiree,
+            retirement.creditsId,
+            retirement.vintageYear,
+            retirement.amount,
+            retirement.beneficiary,
+            retirement.reason
+        );
+        return certificateId;
+    }
+
+    /// @dev Blocks transfers so certificates stay with the retiree; only minting is allowed.
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        if (from != address(0)) revert CertificateNonTransferable();
+        return super._update(to, tokenId, auth);
+    }
+}
@@ -2,34 +2,117 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+// Interface for CarbonCreditProjectRegistry
+interface ICarbonCreditProjectRegistry {
+    function projectStatus(uint256 projectId) external view returns (uint8);
+}
 
 /// @title CarbonCreditToken
 /// @notice Manages fungible carbon credits as ERC-20 tokens with verification data for transparency.
-/// @dev Extends ERC20 for token functionality and AccessControl for role-based permissions.
-contract CarbonCreditToken is ERC20, AccessControl {
+/// @dev Extends ERC20 for token functionality and AccessControlEnumerable for role-based permissions.
+///      Alongside the ERC-20 balance, every holder has per-batch balances keyed by (creditsId, vintageYear)
+///      whose sum always equals their ERC-20 balance. Batch-specific functions move a chosen batch; plain
+///      ERC-20 transfers and burns draw from the holder's batches in reverse order of `getBatchesOf`.
+///      A creditsId is a project ID in CarbonCreditProjectRegistry; vintages are verified under validated or
+///      active projects, and credits are only issued for active ones.
+///      Accounts with GUARDIAN_ROLE can pause every balance change and verification, and freeze single
+///      accounts or batches pending an investigation.
+///      Amounts use the ERC-20's 18 decimals: 1e18 token units are one tonne of CO2e, so credits can be
+///      fractional. Verified tonnage and issuance are expressed in the same units, as are CarbonCreditNFT amounts.
+///      Holders can approve spenders with an EIP-2612 `permit` signature, and calls relayed by the trusted
+///      ERC-2771 forwarder (CarbonCreditForwarder) act for the account that signed them.
+contract CarbonCreditToken is ERC20Permit, AccessControlEnumerable, Pausable, ERC2771Context {
     /// @notice Role identifier for authorized verifiers who can set verification data and issue credits.
+    /// @dev In deployments this role is held only by CarbonCreditVerification, so issuance needs a verifier quorum.
     bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     /// @notice Role identifier for authorized converters (e.g., CarbonCreditConverter contract).
     bytes32 public constant CONVERTER_ROLE = keccak256("CONVERTER_ROLE");
+    /// @notice Role identifier for contracts issuing verified credits in another form (CarbonCreditNFT), which
+    ///         count against the same issuance cap as issueCredits.
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    /// @notice Role identifier for guardians who pause the contract and freeze accounts and batches.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @dev ProjectStatus.Validated and ProjectStatus.Active in CarbonCreditProjectRegistry.
+    uint8 private constant PROJECT_VALIDATED = 2;
+    uint8 private constant PROJECT_ACTIVE = 3;
 
-    // --- Counter Implementation ---
-    uint256 private creditsIdCounter;
+    /// @notice The registry of the projects credits are issued for.
+    ICarbonCreditProjectRegistry public immutable projectRegistry;
 
     /// @notice Structure to store verification data for a carbon credit project.
     struct VerificationData {
         string mrvDataHash; // Hash of Measurement, Reporting, and Verification (MRV) data
         string verificationStandard; // Standard used (e.g., Verra, Gold Standard)
         string creditType; // Type of credit (e.g., renewable, forestry)
+        uint256 verifiedTonnage; // CO2e verified for this project and vintage, in token units (the issuance cap)
+        uint256 issuedAmount; // Cumulative token units issued against verifiedTonnage, as tokens or NFTs
         bool isIssued; // Indicates if credits have been issued for this project and vintage
     }
 
     /// @notice Maps a key (hashed creditsId and vintageYear) to verification data.
     mapping(bytes32 => VerificationData) public verificationData;
 
-    /// @notice Maps a creditsId to an array of vintage years for tracking project vintages.
+    /// @notice Maps a creditsId (project ID) to the vintage years verified for the project.
     mapping(uint256 => uint256[]) public projectVintages;
 
+    /// @notice Structure identifying a batch of credits by project and vintage.
+    struct CreditBatch {
+        uint256 creditsId;
+        uint256 vintageYear;
+    }
+
+    /// @notice Maps a batch key (hashed creditsId and vintageYear) back to its project and vintage.
+    mapping(bytes32 => CreditBatch) public creditBatches;
+
+    /// @notice Maps a batch key to the circulating supply of that batch.
+    mapping(bytes32 => uint256) public batchSupply;
+
+    /// @notice Accounts that can neither send, receive nor burn credits.
+    mapping(address => bool) public frozenAccounts;
+    /// @notice Batch keys (hashed creditsId and vintageYear) whose credits can neither move nor be issued.
+    mapping(bytes32 => bool) public frozenBatches;
+
+    /// @notice Issuance status a project query matches.
+    enum IssuanceFilter {
+        Any,
+        Issued,
+        NotIssued
+    }
+
+    /// @notice Criteria for `getProjects` and `countProjects`; empty strings and zero years match anything.
+    struct ProjectFilter {
+        string creditType; // Exact credit type (e.g., "Renewable")
+        string verificationStandard; // Exact verification standard (e.g., "Verra")
+        uint256 minVintageYear; // Earliest vintage, inclusive
+        uint256 maxVintageYear; // Latest vintage, inclusive
+        IssuanceFilter issuance;
+    }
+
+    /// @notice Largest page `getProjects` returns.
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    /// @notice Most verified vintages a single `getProjects` call examines.
+    uint256 public constant MAX_SCAN = 1000;
+
+    /// @dev Batch keys of every verified vintage, in verification order.
+    bytes32[] private verifiedBatches;
+    /// @dev Batch keys of every vintage with issued credits, in order of first issuance.
+    bytes32[] private issuedBatches;
+
+    /// @dev Per-holder balance of each batch.
+    mapping(address => mapping(bytes32 => uint256)) private batchBalances;
+    /// @dev Batch keys with a non-zero balance, per holder.
+    mapping(address => bytes32[]) private heldBatches;
+    /// @dev 1-based position of a batch key in heldBatches (0 means not held).
+    mapping(address => mapping(bytes32 => uint256)) private heldBatchIndex;
+    /// @dev Batch moved by the current mint, burn or transfer; zero for plain ERC-20 transfers and burns.
+    bytes32 private selectedBatch;
+
     /// @notice Custom error for unauthorized admin actions.
     error NotAdmin();
     /// @notice Custom error for unauthorized verifier actions.
@@ -42,6 +125,26 @@ contract CarbonCreditToken is ERC20, AccessControl {
     error EmptyMRVDataHash();
     /// @notice Custom error for missing verification data.
     error VerificationDataMissing();
+    /// @notice Custom error for moving more of a batch than the holder owns.
+    error InsufficientBatchBalance();
+    /// @notice Custom error for verification data without verified tonnage.
+    error InvalidVerifiedTonnage();
+    /// @notice Custom error for issuing more credits than remain of the verified tonnage.
+    /// @param requested The amount that was to be issued.
+    /// @param remaining The amount that can still be issued for the project vintage.
+    error IssuanceCapExceeded(uint256 requested, uint256 remaining);
+    /// @notice Custom error for verifying a vintage of a project that is not validated or active.
+    error ProjectNotValidated();
+    /// @notice Custom error for issuing credits for a project that is not active.
+    error ProjectNotActive();
+    /// @notice Custom error for verifying a vintage that already has verification data.
+    error VintageAlreadyVerified();
+    /// @notice Custom error for a page size of zero or above MAX_PAGE_SIZE.
+    error InvalidPageSize();
+    /// @notice Custom error for moving credits from or to a frozen account.
+    error AccountFrozen(address account);
+    /// @notice Custom error for moving or issuing credits of a frozen batch.
+    error BatchFrozen(uint256 creditsId, uint256 vintageYear);
 
     /// @notice Emitted when verification data is set for a project.
     event VerificationDataSet(
@@ -49,7 +152,8 @@ contract CarbonCreditToken is ERC20, AccessControl {
         uint256 vintageYear,
         string mrvDataHash,
         string verificationStandard,
-        string creditType
+        string creditType,
+        uint256 verifiedTonnage
     );
 
     /// @notice Emitted when carbon credits are issued.
@@ -61,24 +165,103 @@ contract CarbonCreditToken is ERC20, AccessControl {
         string mrvDataHash
     );
 
-    /// @notice Initializes the contract with token name, symbol, and RoleManager integration.
+    /// @notice Emitted when credits of a batch move between accounts (including mints and burns).
+    /// @param from The sender, or the zero address for mints.
+    /// @param to The recipient, or the zero address for burns.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The number of tokens moved.
+    event BatchTransfer(
+        address indexed from,
+        address indexed to,
+        uint256 indexed creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    );
+
+    /// @notice Emitted when an account is frozen or unfrozen.
+    event AccountFreezeUpdated(address indexed account, bool frozen);
+    /// @notice Emitted when a batch is frozen or unfrozen.
+    event BatchFreezeUpdated(uint256 indexed creditsId, uint256 vintageYear, bool frozen);
+
+    /// @notice Initializes the contract with token name, symbol, RoleManager and project registry integration.
     /// @dev Sets the deployer as the default admin and verifier, and grants RoleManager admin role if provided.
     /// @param roleManager The address of the RoleManager contract.
-    constructor(address roleManager) ERC20("CarbonCreditToken", "CCT") {
+    /// @param _projectRegistry The address of the CarbonCreditProjectRegistry contract.
+    /// @param trustedForwarder The ERC-2771 forwarder relaying gasless calls, or address(0) for none.
+    constructor(
+        address roleManager,
+        address _projectRegistry,
+        address trustedForwarder
+    ) ERC20("CarbonCreditToken", "CCT") ERC20Permit("CarbonCreditToken") ERC2771Context(trustedForwarder) {
+        if (_projectRegistry == address(0)) revert("Invalid contract address");
+        projectRegistry = ICarbonCreditProjectRegistry(_projectRegistry);
+
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(VERIFIER_ROLE, msg.sender);
         if (roleManager != address(0)) {
             _grantRole(DEFAULT_ADMIN_ROLE, roleManager);
         }
-        creditsIdCounter = 0; // Initialize counter to 0
     }
 
-    /// @notice Mints ERC-20 tokens for the converter contract.
-    /// @dev Only callable by accounts with CONVERTER_ROLE.
+    /// @dev Selects the batch moved by the ERC-20 balance updates of the wrapped function.
+    modifier inBatch(uint256 creditsId, uint256 vintageYear) {
+        selectedBatch = _batchKey(creditsId, vintageYear);
+        _;
+        selectedBatch = bytes32(0);
+    }
+
+    /// @notice Pauses issuance, verification, transfers and burns.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function pause() public onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /// @notice Resumes issuance, verification, transfers and burns.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    function unpause() public onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /// @notice Freezes or unfreezes an account pending an investigation.
+    /// @dev Only callable by accounts with GUARDIAN_ROLE.
+    /// @param account The account to freeze or unfreeze.
+    /// @param frozen True to freeze the account, false to unfreeze it.
+    function setAccountFrozen(address account, bool frozen) public onlyRole(GUARDIAN_ROLE) {
+        frozenAccounts[account] = frozen;
+        emit AccountFreezeUpdated(account, frozen);
+    }
+
+    /// @notice Freezes or unfreezes a batch pending an investigation (e.g., of a fraudulent project).
+    /// @dev Only callable by accounts with GUARDIAN_ROLE. Plain ERC-20 transfers that would draw from a
+    ///      frozen batch revert; holders can still move their other batches with transferBatch.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param frozen True to freeze the batch, false to unfreeze it.
+    function setBatchFrozen(uint256 creditsId, uint256 vintageYear, bool frozen) public onlyRole(GUARDIAN_ROLE) {
+        frozenBatches[_batchKey(creditsId, vintageYear)] = frozen;
+        emit BatchFreezeUpdated(creditsId, vintageYear, frozen);
+    }
+
+    /// @notice Mints ERC-20 tokens of a verified batch for the converter contract.
+    /// @dev Only callable by accounts with CONVERTER_ROLE. The tokens stand for credits already issued in
+    ///      another form (a burned NFT), so the batch's circulating supply can never exceed its issued amount.
     /// @param to The address to receive the tokens.
-    /// @param amount The number of tokens to mint (1 token = 1 ton CO2).
-    function mint(address to, uint256 amount) public onlyRole(CONVERTER_ROLE) {
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The amount to mint, in token units (1e18 = 1 tonne CO2e).
+    function mint(
+        address to,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) public onlyRole(CONVERTER_ROLE) inBatch(creditsId, vintageYear) {
         if (amount == 0) revert InvalidCreditAmount();
+        bytes32 key = _batchKey(creditsId, vintageYear);
+        VerificationData storage data = verificationData[key];
+        if (bytes(data.mrvDataHash).length == 0) revert VerificationDataMissing();
+        uint256 unbacked = data.issuedAmount - batchSupply[key];
+        if (amount > unbacked) revert IssuanceCapExceeded(amount, unbacked);
         _mint(to, amount);
     }
 
@@ -86,119 +269,437 @@ contract CarbonCreditToken is ERC20, AccessControl {
     /// @dev Callable by token holders to reduce their balance.
     /// @param amount The number of tokens to burn.
     function burn(uint256 amount) public {
-        _burn(msg.sender, amount);
+        _burn(_msgSender(), amount);
     }
 
-    /// @notice Sets verification data for a carbon credit project.
-    /// @dev Only callable by accounts with VERIFIER_ROLE. Generates a new creditsId.
+    /// @notice Burns (retires) ERC-20 carbon credit tokens on behalf of a holder.
+    /// @dev Spends the caller's allowance, e.g. for CarbonCreditRetirement.
+    /// @param account The address whose tokens are burned.
+    /// @param amount The number of tokens to burn.
+    function burnFrom(address account, uint256 amount) public {
+        _spendAllowance(account, _msgSender(), amount);
+        _burn(account, amount);
+    }
+
+    /// @notice Transfers tokens of a specific batch, preserving their provenance.
+    /// @param to The address to receive the tokens.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The number of tokens to transfer.
+    /// @return True if the transfer succeeded.
+    function transferBatch(
+        address to,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) public inBatch(creditsId, vintageYear) returns (bool) {
+        _transfer(_msgSender(), to, amount);
+        return true;
+    }
+
+    /// @notice Transfers tokens of a specific batch on behalf of a holder, spending the caller's allowance.
+    /// @param from The address to take the tokens from.
+    /// @param to The address to receive the tokens.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The number of tokens to transfer.
+    /// @return True if the transfer succeeded.
+    function transferBatchFrom(
+        address from,
+        address to,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) public inBatch(creditsId, vintageYear) returns (bool) {
+        _spendAllowance(from, _msgSender(), amount);
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    /// @notice Burns (retires) tokens of a specific batch on behalf of a holder, spending the caller's allowance.
+    /// @param account The address whose tokens are burned.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The number of tokens to burn.
+    function burnBatchFrom(
+        address account,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) public inBatch(creditsId, vintageYear) {
+        _spendAllowance(account, _msgSender(), amount);
+        _burn(account, amount);
+    }
+
+    /// @notice Returns an account's balance of a specific batch.
+    /// @param account The address to check.
+    /// @param creditsId The project the credits were issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @return The number of tokens of the batch held by the account.
+    function batchBalanceOf(address account, uint256 creditsId, uint256 vintageYear) public view returns (uint256) {
+        return batchBalances[account][_batchKey(creditsId, vintageYear)];
+    }
+
+    /// @notice Returns every batch held by an account with its balance.
+    /// @param account The address to check.
+    function getBatchesOf(address account) public view returns (
+        uint256[] memory creditsIds,
+        uint256[] memory vintageYears,
+        uint256[] memory amounts
+    ) {
+        bytes32[] memory keys = heldBatches[account];
+        creditsIds = new uint256[](keys.length);
+        vintageYears = new uint256[](keys.length);
+        amounts = new uint256[](keys.length);
+
+        for (uint256 i = 0; i < keys.length; i++) {
+            CreditBatch memory batch = creditBatches[keys[i]];
+            creditsIds[i] = batch.creditsId;
+            vintageYears[i] = batch.vintageYear;
+            amounts[i] = batchBalances[account][keys[i]];
+        }
+
+        return (creditsIds, vintageYears, amounts);
+    }
+
+    /// @notice Sets verification data for a new vintage of a registered project.
+    /// @dev Only callable by accounts with VERIFIER_ROLE. The project must be validated or active, and each
+    ///      vintage is verified once. The verified tonnage caps how many credits can ever be issued for it.
     function setVerificationData(
+        uint256 creditsId,
         uint256 vintageYear,
         string memory mrvDataHash,
         string memory verificationStandard,
-        string memory creditType
-    ) public onlyRole(VERIFIER_ROLE) returns (uint256) {
+        string memory creditType,
+        uint256 verifiedTonnage
+    ) public onlyRole(VERIFIER_ROLE) whenNotPaused {
         if (bytes(mrvDataHash).length == 0) revert EmptyMRVDataHash();
+        if (verifiedTonnage == 0) revert InvalidVerifiedTonnage();
+        uint8 status = projectRegistry.projectStatus(creditsId);
+        if (status != PROJECT_VALIDATED && status != PROJECT_ACTIVE) revert ProjectNotValidated();
 
-        uint256 newCreditsId = creditsIdCounter + 1;
-        bytes32 key = keccak256(abi.encodePacked(newCreditsId, vintageYear));
-        verificationData[key] = VerificationData(mrvDataHash, verificationStandard, creditType, false);
-        projectVintages[newCreditsId].push(vintageYear);
-        creditsIdCounter++;
+        bytes32 key = _batchKey(creditsId, vintageYear);
+        if (bytes(verificationData[key].mrvDataHash).length != 0) revert VintageAlreadyVerified();
+        verificationData[key] = VerificationData(
+            mrvDataHash,
+            verificationStandard,
+            creditType,
+            verifiedTonnage,
+            0,
+            false
+        );
+        creditBatches[key] = CreditBatch(creditsId, vintageYear);
+        projectVintages[creditsId].push(vintageYear);
+        verifiedBatches.push(key);
 
-        emit VerificationDataSet(newCreditsId, vintageYear, mrvDataHash, verificationStandard, creditType);
-        return newCreditsId;
+        emit VerificationDataSet(creditsId, vintageYear, mrvDataHash, verificationStandard, creditType, verifiedTonnage);
     }
 
     /// @notice Issues ERC-20 carbon credits for a verified project.
-    /// @dev Only callable by accounts with VERIFIER_ROLE. Marks project as issued.
+    /// @dev Only callable by accounts with VERIFIER_ROLE, for active projects. Marks project as issued and mints
+    ///      into its batch. Issuance is cumulative and may not exceed the verified tonnage of the project vintage.
     function issueCredits(
         address to,
         uint256 creditsId,
         uint256 vintageYear,
         uint256 amount
-    ) public onlyRole(VERIFIER_ROLE) {
-        if (amount == 0) revert InvalidCreditAmount();
-        bytes32 key = keccak256(abi.encodePacked(creditsId, vintageYear));
-        if (bytes(verificationData[key].mrvDataHash).length == 0) revert VerificationDataMissing();
-
-        verificationData[key].isIssued = true;
+    ) public onlyRole(VERIFIER_ROLE) inBatch(creditsId, vintageYear) {
+        VerificationData storage data = _recordIssuance(creditsId, vintageYear, amount);
         _mint(to, amount);
-        emit CreditsIssued(creditsId, vintageYear, to, amount, verificationData[key].mrvDataHash);
+        emit CreditsIssued(creditsId, vintageYear, to, amount, data.mrvDataHash);
     }
 
-    /// @notice Returns all verified projects with their verification data and issuance status.
-    function getVerifiedProjects() public view returns (
+    /// @notice Counts credits issued outside this contract (as CarbonCreditNFTs) against a vintage's issuance cap.
+    /// @dev Only callable by accounts with ISSUER_ROLE, for active projects. Reverts like issueCredits when the
+    ///      vintage is unverified or `amount` exceeds what remains of its verified tonnage.
+    /// @param creditsId The project the credits are issued for.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The amount issued, in token units (1e18 = 1 tonne CO2e).
+    function recordIssuance(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) external onlyRole(ISSUER_ROLE) whenNotPaused {
+        _recordIssuance(creditsId, vintageYear, amount);
+    }
+
+    /// @notice Returns how many credits can still be issued for a project vintage.
+    /// @param creditsId The project ID.
+    /// @param vintageYear The vintage of the credits.
+    /// @return The verified tonnage not yet issued (zero if the vintage was never verified).
+    function remainingIssuableSupply(uint256 creditsId, uint256 vintageYear) public view returns (uint256) {
+        VerificationData storage data = verificationData[_batchKey(creditsId, vintageYear)];
+        return data.verifiedTonnage - data.issuedAmount;
+    }
+
+    /// @notice Returns the issuance cap of every vintage of a project and how much of it remains.
+    /// @param creditsId The project ID.
+    /// @return vintageYears The verified vintages of the project.
+    /// @return verifiedTonnages The verified tonnage (issuance cap) of each vintage.
+    /// @return remaining The credits that can still be issued for each vintage.
+    function getIssuanceCaps(uint256 creditsId) public view returns (
+        uint256[] memory vintageYears,
+        uint256[] memory verifiedTonnages,
+        uint256[] memory remaining
+    ) {
+        vintageYears = projectVintages[creditsId];
+        verifiedTonnages = new uint256[](vintageYears.length);
+        remaining = new uint256[](vintageYears.length);
+
+        for (uint256 i = 0; i < vintageYears.length; i++) {
+            VerificationData storage data = verificationData[_batchKey(creditsId, vintageYears[i])];
+            verifiedTonnages[i] = data.verifiedTonnage;
+            remaining[i] = data.verifiedTonnage - data.issuedAmount;
+        }
+
+        return (vintageYears, verifiedTonnages, remaining);
+    }
+
+    /// @notice Returns the number of verified project vintages.
+    function verifiedProjectCount() public view returns (uint256) {
+        return verifiedBatches.length;
+    }
+
+    /// @notice Returns the number of project vintages with issued credits.
+    function issuedProjectCount() public view returns (uint256) {
+        return issuedBatches.length;
+    }
+
+    /// @notice Returns a page of verified project vintages, in verification order.
+    /// @param offset The position of the first vintage to return.
+    /// @param limit The maximum number of vintages to return (at most MAX_PAGE_SIZE).
+    function getVerifiedProjects(uint256 offset, uint256 limit) public view returns (
         uint256[] memory creditsIds,
         uint256[] memory vintageYears,
         VerificationData[] memory data
     ) {
-        uint256 totalProjects = creditsIdCounter;
-        uint256 totalEntries = 0;
+        return _page(verifiedBatches, offset, limit);
+    }
 
-        // Count total entries (creditsId, vintageYear pairs)
-        for (uint256 id = 1; id <= totalProjects; id++) {
-            totalEntries += projectVintages[id].length;
-        }
+    /// @notice Returns a page of project vintages with issued credits, in order of first issuance.
+    /// @param offset The position of the first vintage to return.
+    /// @param limit The maximum number of vintages to return (at most MAX_PAGE_SIZE).
+    function getIssuedProjects(uint256 offset, uint256 limit) public view returns (
+        uint256[] memory creditsIds,
+        uint256[] memory vintageYears,
+        VerificationData[] memory data
+    ) {
+        return _page(issuedBatches, offset, limit);
+    }
 
-        creditsIds = new uint256[](totalEntries);
-        vintageYears = new uint256[](totalEntries);
-        data = new VerificationData[](totalEntries);
-        uint256 index = 0;
-
-        // Populate arrays
-        for (uint256 id = 1; id <= totalProjects; id++) {
-            uint256[] memory vintages = projectVintages[id];
-            for (uint256 i = 0; i < vintages.length; i++) {
-                bytes32 key = keccak256(abi.encodePacked(id, vintages[i]));
-                creditsIds[index] = id;
-                vintageYears[index] = vintages[i];
-                data[index] = verificationData[key];
-                index++;
+    /// @notice Returns verified project vintages matching a filter, in verification order.
+    /// @dev Examines the verified vintages from `offset` on until `limit` matches are found, the list ends or
+    ///      MAX_SCAN vintages have been examined, so a page may hold fewer than `limit` matches even when more
+    ///      follow. Continue from `nextOffset`; the query is complete once it reaches verifiedProjectCount().
+    /// @param filter The criteria to match.
+    /// @param offset The position in the verified vintages to start examining from.
+    /// @param limit The maximum number of matches to return (at most MAX_PAGE_SIZE).
+    /// @return creditsIds The project of each match.
+    /// @return vintageYears The vintage of each match.
+    /// @return data The verification data of each match.
+    /// @return nextOffset The position to continue the query from.
+    function getProjects(ProjectFilter calldata filter, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory creditsIds,
+        uint256[] memory vintageYears,
+        VerificationData[] memory data,
+        uint256 nextOffset
+    ) {
+        if (limit == 0 || limit > MAX_PAGE_SIZE) revert InvalidPageSize();
+        uint256 total = verifiedBatches.length;
+        uint256 end = offset < total && total - offset > MAX_SCAN ? offset + MAX_SCAN : total;
+
+        bytes32[] memory matches = new bytes32[](limit);
+        uint256 found = 0;
+
+        nextOffset = offset;
+        while (nextOffset < end && found < limit) {
+            bytes32 key = verifiedBatches[nextOffset];
+            nextOffset++;
+            if (_matches(key, filter)) {
+                matches[found] = key;
+                found++;
             }
         }
 
-        return (creditsIds, vintageYears, data);
+        creditsIds = new uint256[](found);
+        vintageYears = new uint256[](found);
+        data = new VerificationData[](found);
+
+        for (uint256 i = 0; i < found; i++) {
+            CreditBatch memory batch = creditBatches[matches[i]];
+            creditsIds[i] = batch.creditsId;
+            vintageYears[i] = batch.vintageYear;
+            data[i] = verificationData[matches[i]];
+        }
+
+        return (creditsIds, vintageYears, data, nextOffset);
     }
 
-    /// @notice Returns all projects with issued credits.
-    function getIssuedProjects() public view returns (
+    /// @notice Counts the verified project vintages matching a filter.
+    /// @dev Examines every verified vintage; for unfiltered totals use verifiedProjectCount and issuedProjectCount.
+    /// @param filter The criteria to match.
+    function countProjects(ProjectFilter calldata filter) public view returns (uint256 count) {
+        for (uint256 i = 0; i < verifiedBatches.length; i++) {
+            if (_matches(verifiedBatches[i], filter)) count++;
+        }
+    }
+
+    /// @dev Returns the batches at positions offset..offset+limit of `keys` with their verification data.
+    function _page(bytes32[] storage keys, uint256 offset, uint256 limit) private view returns (
         uint256[] memory creditsIds,
         uint256[] memory vintageYears,
         VerificationData[] memory data
     ) {
-        uint256 totalProjects = creditsIdCounter;
-        uint256 issuedCount = 0;
-
-        // Count issued projects
-        for (uint256 id = 1; id <= totalProjects; id++) {
-            uint256[] memory vintages = projectVintages[id];
-            for (uint256 i = 0; i < vintages.length; i++) {
-                bytes32 key = keccak256(abi.encodePacked(id, vintages[i]));
-                if (verificationData[key].isIssued) {
-                    issuedCount++;
-                }
-            }
+        if (limit == 0 || limit > MAX_PAGE_SIZE) revert InvalidPageSize();
+        uint256 size = offset < keys.length ? keys.length - offset : 0;
+        if (size > limit) size = limit;
+
+        creditsIds = new uint256[](size);
+        vintageYears = new uint256[](size);
+        data = new VerificationData[](size);
+
+        for (uint256 i = 0; i < size; i++) {
+            bytes32 key = keys[offset + i];
+            CreditBatch memory batch = creditBatches[key];
+            creditsIds[i] = batch.creditsId;
+            vintageYears[i] = batch.vintageYear;
+            data[i] = verificationData[key];
         }
 
-        creditsIds = new uint256[](issuedCount);
-        vintageYears = new uint256[](issuedCount);
-        data = new VerificationData[](issuedCount);
-        uint256 index = 0;
-
-        // Populate arrays for issued projects
-        for (uint256 id = 1; id <= totalProjects; id++) {
-            uint256[] memory vintages = projectVintages[id];
-            for (uint256 i = 0; i < vintages.length; i++) {
-                bytes32 key = keccak256(abi.encodePacked(id, vintages[i]));
-                if (verificationData[key].isIssued) {
-                    creditsIds[index] = id;
-                    vintageYears[index] = vintages[i];
-                    data[index] = verificationData[key];
-                    index++;
-                }
+        return (creditsIds, vintageYears, data);
+    }
+
+    /// @dev Whether the verified batch `key` matches `filter`.
+    function _matches(bytes32 key, ProjectFilter calldata filter) private view returns (bool) {
+        VerificationData storage entry = verificationData[key];
+        if (filter.issuance == IssuanceFilter.Issued && !entry.isIssued) return false;
+        if (filter.issuance == IssuanceFilter.NotIssued && entry.isIssued) return false;
+
+        uint256 vintageYear = creditBatches[key].vintageYear;
+        if (vintageYear < filter.minVintageYear) return false;
+        if (filter.maxVintageYear != 0 && vintageYear > filter.maxVintageYear) return false;
+
+        if (
+            bytes(filter.creditType).length != 0 &&
+            keccak256(bytes(entry.creditType)) != keccak256(bytes(filter.creditType))
+        ) return false;
+        if (
+            bytes(filter.verificationStandard).length != 0 &&
+            keccak256(bytes(entry.verificationStandard)) != keccak256(bytes(filter.verificationStandard))
+        ) return false;
+        return true;
+    }
+
+    /// @dev Counts `amount` against the issuance cap of a verified vintage of an active project.
+    function _recordIssuance(
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount
+    ) internal returns (VerificationData storage data) {
+        if (amount == 0) revert InvalidCreditAmount();
+        bytes32 key = _batchKey(creditsId, vintageYear);
+        data = verificationData[key];
+        if (bytes(data.mrvDataHash).length == 0) revert VerificationDataMissing();
+        if (projectRegistry.projectStatus(creditsId) != PROJECT_ACTIVE) revert ProjectNotActive();
+        uint256 remaining = data.verifiedTonnage - data.issuedAmount;
+        if (amount > remaining) revert IssuanceCapExceeded(amount, remaining);
+
+        data.issuedAmount += amount;
+        if (!data.isIssued) {
+            data.isIssued = true;
+            issuedBatches.push(key);
+        }
+    }
+
+    /// @dev Mirrors every ERC-20 balance change in the per-batch balances. Reverts while paused and for
+    ///      frozen accounts.
+    function _update(address from, address to, uint256 value) internal override {
+        _requireNotPaused();
+        if (frozenAccounts[from]) revert AccountFrozen(from);
+        if (frozenAccounts[to]) revert AccountFrozen(to);
+        super._update(from, to, value);
+
+        bytes32 batch = selectedBatch;
+        if (batch != bytes32(0)) {
+            _moveBatch(from, to, batch, value);
+            return;
+        }
+
+        // Self-transfers leave the batches untouched.
+        if (from == to) return;
+
+        // Plain ERC-20 transfers and burns draw from the most recently added batches first.
+        // super._update has already checked the balance, so the held batches cover `value`.
+        uint256 remaining = value;
+        while (remaining > 0) {
+            bytes32[] storage held = heldBatches[from];
+            bytes32 key = held[held.length - 1];
+            uint256 available = batchBalances[from][key];
+            uint256 moved = available < remaining ? available : remaining;
+            _moveBatch(from, to, key, moved);
+            remaining -= moved;
+        }
+    }
+
+    /// @dev Moves `amount` of a batch between per-batch balances, tracking held batches and batch supply.
+    function _moveBatch(address from, address to, bytes32 key, uint256 amount) internal {
+        if (amount == 0) return;
+        if (frozenBatches[key]) {
+            CreditBatch memory frozenBatch = creditBatches[key];
+            revert BatchFrozen(frozenBatch.creditsId, frozenBatch.vintageYear);
+        }
+
+        if (from == address(0)) {
+            batchSupply[key] += amount;
+        } else {
+            uint256 balance = batchBalances[from][key];
+            if (balance < amount) revert InsufficientBatchBalance();
+            batchBalances[from][key] = balance - amount;
+            if (balance == amount) _removeHeldBatch(from, key);
+        }
+
+        if (to == address(0)) {
+            batchSupply[key] -= amount;
+        } else {
+            if (heldBatchIndex[to][key] == 0) {
+                heldBatches[to].push(key);
+                heldBatchIndex[to][key] = heldBatches[to].length;
             }
+            batchBalances[to][key] += amount;
         }
 
-        return (creditsIds, vintageYears, data);
+        CreditBatch memory batch = creditBatches[key];
+        emit BatchTransfer(from, to, batch.creditsId, batch.vintageYear, amount);
+    }
+
+    /// @dev Removes a batch from an account's held batches (swap and pop).
+    function _removeHeldBatch(address account, bytes32 key) internal {
+        bytes32[] storage held = heldBatches[account];
+        uint256 index = heldBatchIndex[account][key] - 1;
+        bytes32 last = held[held.length - 1];
+        held[index] = last;
+        heldBatchIndex[account][last] = index + 1;
+        held.pop();
+        delete heldBatchIndex[account][key];
+    }
+
+    /// @dev Resolves the caller of calls relayed by the trusted forwarder to the account that signed them.
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    /// @dev See {_msgSender}.
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    /// @dev See {_msgSender}.
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+
+    /// @dev Returns the key identifying a batch (and its verification data).
+    function _batchKey(uint256 creditsId, uint256 vintageYear) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(creditsId, vintageYear));
     }
-}
\ No newline at end of file
+}
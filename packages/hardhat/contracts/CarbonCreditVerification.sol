@@ -0,0 +1,343 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+
+// Interface for CarbonCreditToken
+interface ICarbonCreditToken {
+    function setVerificationData(
+        uint256 creditsId,
+        uint256 vintageYear,
+        string memory mrvDataHash,
+        string memory verificationStandard,
+        string memory creditType,
+        uint256 verifiedTonnage
+    ) external;
+    function issueCredits(address to, uint256 creditsId, uint256 vintageYear, uint256 amount) external;
+    function verificationData(bytes32 key) external view returns (
+        string memory mrvDataHash,
+        string memory verificationStandard,
+        string memory creditType,
+        uint256 verifiedTonnage,
+        uint256 issuedAmount,
+        bool isIssued
+    );
+    function projectRegistry() external view returns (address);
+}
+
+// Interface for CarbonCreditProjectRegistry
+interface ICarbonCreditProjectRegistry {
+    function projects(uint256 projectId) external view returns (
+        address developer,
+        string memory location,
+        string memory methodology,
+        string memory metadataURI,
+        uint8 status
+    );
+}
+
+/// @title CarbonCreditVerification
+/// @notice Multi-party workflow for issuing carbon credits: a project is proposed by its developer or a verifier,
+///         attested by a quorum of verifiers, left open to disputes by auditors for a challenge period, and only
+///         then issued. The proposer or the admin can cancel a proposal that is still open.
+/// @dev This contract is meant to be the only VERIFIER_ROLE holder on CarbonCreditToken, so no single key
+///      can issue credits. Verifiers and auditors hold VERIFIER_ROLE and AUDITOR_ROLE here, granted through
+///      RoleManager; the admin sets the quorum and challenge period and resolves disputes.
+contract CarbonCreditVerification is AccessControlEnumerable {
+    /// @notice Role identifier for verifiers who attest proposals.
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    /// @notice Role identifier for auditors who can dispute attested proposals.
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    ICarbonCreditToken public immutable tokenContract;
+
+    /// @notice Stages of an issuance proposal.
+    enum Status {
+        None,
+        Pending, // Collecting attestations
+        Attested, // Quorum reached; open to challenges until challengeEndsAt
+        Disputed, // Challenged by an auditor; waiting for the admin to resolve
+        Rejected, // Dispute upheld; can never be issued
+        Issued, // Credits issued (and the verification data set, for the vintage's first tranche)
+        Cancelled // Withdrawn by the proposer or the admin before it was issued
+    }
+
+    /// @notice Structure to store an issuance proposal.
+    struct Proposal {
+        address proposer; // Account that proposed the issuance (e.g., the project developer)
+        address recipient; // Account receiving the issued credits
+        uint256 creditsId; // Project in CarbonCreditProjectRegistry the vintage belongs to
+        uint256 vintageYear; // Vintage of the credits
+        uint256 amount; // Token units to issue in this tranche (1e18 = 1 tonne CO2e)
+        uint256 verifiedTonnage; // CO2e verified for the whole vintage, in token units (its issuance cap)
+        string mrvDataHash; // Hash of Measurement, Reporting, and Verification (MRV) data
+        string verificationStandard; // Standard used (e.g., Verra, Gold Standard)
+        string creditType; // Type of credit (e.g., renewable, forestry)
+        uint256 attestations; // Number of current verifiers that attested
+        uint256 challengeEndsAt; // End of the challenge period (set once the quorum is reached)
+        Status status;
+        uint256 requiredAttestations; // Attestations needed to issue, fixed when the quorum is reached
+    }
+
+    /// @notice Number of verifier attestations a proposal needs.
+    uint256 public quorum;
+    /// @notice Time, in seconds, auditors have to dispute a proposal after it reaches the quorum.
+    uint256 public challengePeriod;
+
+    /// @notice Counter for generating unique proposal IDs.
+    uint256 public proposalCount;
+    /// @notice Maps a proposal ID to the proposal.
+    mapping(uint256 => Proposal) public proposals;
+    /// @notice Maps a proposal ID and verifier to whether the verifier attested it.
+    mapping(uint256 => mapping(address => bool)) public hasAttested;
+    /// @notice Maps a project ID and vintage to whether a proposal for it is still pending, attested or disputed.
+    mapping(uint256 => mapping(uint256 => bool)) public hasOpenProposal;
+
+    // Custom errors
+    error InvalidQuorum();
+    error InvalidCreditAmount();
+    error InvalidVerifiedTonnage();
+    error VintageProposalOpen();
+    error EmptyMRVDataHash();
+    error InvalidRecipient();
+    error ProjectNotFound();
+    error NotProjectDeveloperOrVerifier();
+    error NotProposerOrAdmin();
+    error ProposalNotOpen();
+    error ProposalNotPending();
+    error ProposalNotAttested();
+    error ProposalNotDisputed();
+    error AlreadyAttested();
+    error InsufficientAttestations();
+    error SelfAttestation();
+    error ChallengePeriodActive();
+    error ChallengePeriodEnded();
+
+    /// @notice Emitted when an issuance is proposed.
+    event IssuanceProposed(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address indexed recipient,
+        uint256 creditsId,
+        uint256 vintageYear,
+        uint256 amount,
+        string mrvDataHash
+    );
+    /// @notice Emitted when a verifier attests a proposal.
+    event ProposalAttested(uint256 indexed proposalId, address indexed verifier, uint256 attestations);
+    /// @notice Emitted when a proposal reaches the quorum and its challenge period starts.
+    event ChallengePeriodStarted(uint256 indexed proposalId, uint256 challengeEndsAt);
+    /// @notice Emitted when an auditor disputes a proposal.
+    event ProposalChallenged(uint256 indexed proposalId, address indexed auditor, string reason);
+    /// @notice Emitted when the admin resolves a dispute.
+    /// @param upheld True if the proposal was rejected, false if it may still be issued.
+    event DisputeResolved(uint256 indexed proposalId, bool upheld);
+    /// @notice Emitted when a proposal is cancelled.
+    event ProposalCancelled(uint256 indexed proposalId, address indexed canceller);
+    /// @notice Emitted when the credits of a proposal are issued.
+    event ProposalIssued(uint256 indexed proposalId, uint256 indexed creditsId, address indexed recipient, uint256 amount);
+    event QuorumUpdated(uint256 quorum);
+    event ChallengePeriodUpdated(uint256 challengePeriod);
+
+    /// @notice Initializes the workflow with the token contract and its settings.
+    /// @param _tokenContract The address of the CarbonCreditToken contract.
+    /// @param roleManager The address of the RoleManager contract (granted the admin role if non-zero).
+    /// @param _quorum The number of attestations a proposal needs.
+    /// @param _challengePeriod The dispute window, in seconds, after the quorum is reached.
+    constructor(address _tokenContract, address roleManager, uint256 _quorum, uint256 _challengePeriod) {
+        if (_tokenContract == address(0)) revert("Invalid contract address");
+        if (_quorum == 0) revert InvalidQuorum();
+        tokenContract = ICarbonCreditToken(_tokenContract);
+        quorum = _quorum;
+        challengePeriod = _challengePeriod;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        if (roleManager != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, roleManager);
+        }
+    }
+
+    /// @notice Proposes issuing a tranche of credits for a vintage of a registered project.
+    /// @dev Only callable by the project's developer or by accounts with VERIFIER_ROLE. The verification data
+    ///      only applies to the first tranche of a vintage; later tranches top up against the verified tonnage
+    ///      already set on CarbonCreditToken. Reverts while another proposal for the same vintage is open.
+    /// @param creditsId The project ID in CarbonCreditProjectRegistry.
+    /// @param recipient The account to receive the credits.
+    /// @param vintageYear The vintage of the credits.
+    /// @param amount The number of tokens to issue.
+    /// @param verifiedTonnage The CO2e verified for the whole vintage; at least `amount`.
+    /// @param mrvDataHash The hash of the project's MRV data.
+    /// @param verificationStandard The standard used (e.g., Verra).
+    /// @param creditType The type of credit (e.g., Renewable).
+    /// @return The ID of the proposal.
+    function propose(
+        uint256 creditsId,
+        address recipient,
+        uint256 vintageYear,
+        uint256 amount,
+        uint256 verifiedTonnage,
+        string memory mrvDataHash,
+        string memory verificationStandard,
+        string memory creditType
+    ) public returns (uint256) {
+        (address developer, , , , ) = ICarbonCreditProjectRegistry(tokenContract.projectRegistry()).projects(
+            creditsId
+        );
+        if (developer == address(0)) revert ProjectNotFound();
+        if (msg.sender != developer && !hasRole(VERIFIER_ROLE, msg.sender)) revert NotProjectDeveloperOrVerifier();
+        if (recipient == address(0)) revert InvalidRecipient();
+        if (amount == 0) revert InvalidCreditAmount();
+        if (verifiedTonnage < amount) revert InvalidVerifiedTonnage();
+        if (bytes(mrvDataHash).length == 0) revert EmptyMRVDataHash();
+        if (hasOpenProposal[creditsId][vintageYear]) revert VintageProposalOpen();
+
+        uint256 proposalId = proposalCount;
+        Proposal storage proposal = proposals[proposalId];
+        proposal.proposer = msg.sender;
+        proposal.recipient = recipient;
+        proposal.creditsId = creditsId;
+        proposal.vintageYear = vintageYear;
+        proposal.amount = amount;
+        proposal.verifiedTonnage = verifiedTonnage;
+        proposal.mrvDataHash = mrvDataHash;
+        proposal.verificationStandard = verificationStandard;
+        proposal.creditType = creditType;
+        proposal.status = Status.Pending;
+        hasOpenProposal[creditsId][vintageYear] = true;
+        proposalCount++;
+
+        emit IssuanceProposed(proposalId, msg.sender, recipient, creditsId, vintageYear, amount, mrvDataHash);
+        return proposalId;
+    }
+
+    /// @notice Attests a pending proposal. The attestation that reaches the quorum starts the challenge period.
+    /// @dev Only callable by accounts with VERIFIER_ROLE; verifiers cannot attest their own proposals. Attestations
+    ///      of accounts that have since lost VERIFIER_ROLE are not counted.
+    /// @param proposalId The ID of the proposal.
+    function attest(uint256 proposalId) public onlyRole(VERIFIER_ROLE) {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.status != Status.Pending) revert ProposalNotPending();
+        if (proposal.proposer == msg.sender) revert SelfAttestation();
+        if (hasAttested[proposalId][msg.sender]) revert AlreadyAttested();
+
+        hasAttested[proposalId][msg.sender] = true;
+        proposal.attestations = _countAttestations(proposalId);
+        emit ProposalAttested(proposalId, msg.sender, proposal.attestations);
+
+        if (proposal.attestations >= quorum) {
+            proposal.status = Status.Attested;
+            proposal.challengeEndsAt = block.timestamp + challengePeriod;
+            proposal.requiredAttestations = quorum;
+            emit ChallengePeriodStarted(proposalId, proposal.challengeEndsAt);
+        }
+    }
+
+    /// @notice Disputes an attested proposal during its challenge period, blocking issuance until resolved.
+    /// @dev Only callable by accounts with AUDITOR_ROLE.
+    /// @param proposalId The ID of the proposal.
+    /// @param reason Why the proposal is disputed.
+    function challenge(uint256 proposalId, string memory reason) public onlyRole(AUDITOR_ROLE) {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.status != Status.Attested) revert ProposalNotAttested();
+        if (block.timestamp >= proposal.challengeEndsAt) revert ChallengePeriodEnded();
+
+        proposal.status = Status.Disputed;
+        emit ProposalChallenged(proposalId, msg.sender, reason);
+    }
+
+    /// @notice Resolves a dispute: upholding it rejects the proposal, dismissing it lets it be issued.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. A dismissed proposal can be issued right away.
+    /// @param proposalId The ID of the disputed proposal.
+    /// @param upheld True to reject the proposal, false to dismiss the dispute.
+    function resolveDispute(uint256 proposalId, bool upheld) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.status != Status.Disputed) revert ProposalNotDisputed();
+
+        if (upheld) {
+            proposal.status = Status.Rejected;
+            hasOpenProposal[proposal.creditsId][proposal.vintageYear] = false;
+        } else {
+            proposal.status = Status.Attested;
+            proposal.challengeEndsAt = block.timestamp;
+        }
+        emit DisputeResolved(proposalId, upheld);
+    }
+
+    /// @notice Cancels a proposal that is pending, attested or disputed, so that its vintage can be proposed again.
+    /// @dev Only callable by the proposer or by accounts with DEFAULT_ADMIN_ROLE. This is how a proposal that never
+    ///      reaches the quorum, or whose issuance keeps reverting (e.g., the project was suspended or the cap is
+    ///      used up), is closed.
+    /// @param proposalId The ID of the proposal.
+    function cancel(uint256 proposalId) public {
+        Proposal storage proposal = proposals[proposalId];
+        if (
+            proposal.status != Status.Pending &&
+            proposal.status != Status.Attested &&
+            proposal.status != Status.Disputed
+        ) revert ProposalNotOpen();
+        if (proposal.proposer != msg.sender && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert NotProposerOrAdmin();
+
+        proposal.status = Status.Cancelled;
+        hasOpenProposal[proposal.creditsId][proposal.vintageYear] = false;
+        emit ProposalCancelled(proposalId, msg.sender);
+    }
+
+    /// @notice Issues the credits of a proposal whose challenge period has passed. Anyone may call this.
+    /// @dev Sets the verification data of the vintage on CarbonCreditToken if it has none yet, with the attested
+    ///      verified tonnage as its issuance cap, and issues the tranche to the recipient. Reverts if the project
+    ///      is not active or the tranche exceeds what remains of the cap. Attestations are recounted against the
+    ///      current verifiers, so a proposal whose verifiers lost VERIFIER_ROLE since they attested reverts with
+    ///      InsufficientAttestations; it can then only be cancelled and proposed again.
+    /// @param proposalId The ID of the proposal.
+    function issue(uint256 proposalId) public {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.status != Status.Attested) revert ProposalNotAttested();
+        if (block.timestamp < proposal.challengeEndsAt) revert ChallengePeriodActive();
+        if (_countAttestations(proposalId) < proposal.requiredAttestations) revert InsufficientAttestations();
+
+        proposal.status = Status.Issued;
+        hasOpenProposal[proposal.creditsId][proposal.vintageYear] = false;
+        (string memory mrvDataHash, , , , , ) = tokenContract.verificationData(
+            keccak256(abi.encodePacked(proposal.creditsId, proposal.vintageYear))
+        );
+        if (bytes(mrvDataHash).length == 0) {
+            tokenContract.setVerificationData(
+                proposal.creditsId,
+                proposal.vintageYear,
+                proposal.mrvDataHash,
+                proposal.verificationStandard,
+                proposal.creditType,
+                proposal.verifiedTonnage
+            );
+        }
+        tokenContract.issueCredits(proposal.recipient, proposal.creditsId, proposal.vintageYear, proposal.amount);
+
+        emit ProposalIssued(proposalId, proposal.creditsId, proposal.recipient, proposal.amount);
+    }
+
+    /// @notice Sets the number of attestations new and pending proposals need.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Proposals already attested keep the quorum they
+    ///      reached.
+    /// @param newQuorum The new quorum; must be at least 1.
+    function setQuorum(uint256 newQuorum) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newQuorum == 0) revert InvalidQuorum();
+        quorum = newQuorum;
+        emit QuorumUpdated(newQuorum);
+    }
+
+    /// @notice Sets the challenge period for proposals that reach the quorum from now on.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE.
+    /// @param newChallengePeriod The new challenge period in seconds.
+    function setChallengePeriod(uint256 newChallengePeriod) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        challengePeriod = newChallengePeriod;
+        emit ChallengePeriodUpdated(newChallengePeriod);
+    }
+
+    /// @dev Counts the current verifiers that attested a proposal.
+    function _countAttestations(uint256 proposalId) private view returns (uint256 count) {
+        uint256 verifierCount = getRoleMemberCount(VERIFIER_ROLE);
+        for (uint256 i = 0; i < verifierCount; i++) {
+            if (hasAttested[proposalId][getRoleMember(VERIFIER_ROLE, i)]) count++;
+        }
+    }
+}
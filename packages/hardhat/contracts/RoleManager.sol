@@ -1,31 +1,109 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 
 /// @title RoleManager
-/// @notice Centralizes role management for CarbonCreditToken and CarbonCreditNFT contracts.
-/// @dev Uses AccessControl to manage roles across multiple contracts.
-contract RoleManager is AccessControl {
-    /// @notice Role identifier for authorized verifiers (for CarbonCreditToken).
+/// @notice Centralizes role management for the CarbonCreditToken, CarbonCreditNFT, CarbonCreditMarketplace,
+///         CarbonCreditConverter, CarbonCreditProjectRegistry and CarbonCreditVerification contracts.
+/// @dev Uses AccessControl to manage roles across multiple contracts. The target contracts use
+///      AccessControlEnumerable, so the members of each of their roles can be listed through this contract.
+///
+///      Privileged calls can also go through a timelocked, multisig-style flow: an approver proposes a call,
+///      once `approvalThreshold` approvers have approved it the call is queued for `timelockDelay` seconds, and
+///      then anyone may execute it from this contract. Once RoleManager is the only DEFAULT_ADMIN_ROLE holder
+///      on itself and on the contracts it manages (see the GovernedCarbonCreditSystem Ignition module), every
+///      admin action, including changes to the approvers, threshold and delay, has to follow that flow.
+contract RoleManager is AccessControlEnumerable {
+    /// @notice Role identifier for authorized verifiers (for CarbonCreditToken and CarbonCreditVerification).
     bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     /// @notice Role identifier for authorized minters (for CarbonCreditNFT).
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    /// @notice Role identifier for managing the protocol fee and treasury (for CarbonCreditMarketplace).
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    /// @notice Role identifier for auditors who can dispute issuance proposals (for CarbonCreditVerification).
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    /// @notice Role identifier for guardians who pause contracts and freeze accounts and batches (for
+    ///         CarbonCreditToken, CarbonCreditNFT, CarbonCreditConverter and CarbonCreditMarketplace).
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    /// @notice Role identifier for the approvers who propose, approve and cancel privileged operations.
+    bytes32 public constant APPROVER_ROLE = keccak256("APPROVER_ROLE");
+
+    /// @notice Stages of a privileged operation.
+    enum OperationState {
+        None,
+        Pending, // Collecting approvals
+        Queued, // Approved; executable once readyAt has passed
+        Executed,
+        Cancelled
+    }
+
+    /// @notice Structure to store a privileged operation: a call made from RoleManager once approved.
+    struct Operation {
+        address proposer; // Approver that proposed the operation
+        address target; // Contract to call (may be RoleManager itself)
+        bytes data; // Encoded function call
+        string description; // What the operation does, for the other approvers
+        uint256 approvals; // Number of current approvers that approved, including the proposer
+        uint256 readyAt; // Earliest execution time (set once the threshold is reached)
+        OperationState state;
+        uint256 threshold; // Approvals needed to execute, fixed when the operation is queued
+    }
+
+    /// @notice Number of approvals an operation needs before it is queued.
+    uint256 public approvalThreshold = 1;
+    /// @notice Time, in seconds, a queued operation waits before it can be executed.
+    uint256 public timelockDelay;
+
+    /// @notice Counter for generating unique operation IDs.
+    uint256 public operationCount;
+    /// @notice Maps an operation ID to the operation.
+    mapping(uint256 => Operation) public operations;
+    /// @notice Maps an operation ID and approver to whether the approver approved it.
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
 
     /// @notice Custom error for unauthorized admin actions.
     error NotAdmin();
+    /// @notice Custom error for batch calls whose arrays differ in length.
+    error ArrayLengthMismatch();
+    error InvalidThreshold();
+    error OperationNotPending();
+    error OperationNotQueued();
+    error AlreadyApproved();
+    error InsufficientApprovals();
+    error TimelockActive();
 
     /// @notice Emitted when a role is granted to an account for a specific contract.
     /// @param role The role being granted.
     /// @param account The address receiving the role.
     /// @param targetContract The contract for which the role is granted.
-    event roleGranted(bytes32 indexed role, address indexed account, address indexed targetContract);
+    event ContractRoleGranted(bytes32 indexed role, address indexed account, address indexed targetContract);
 
     /// @notice Emitted when a role is revoked from an account for a specific contract.
     /// @param role The role being revoked.
     /// @param account The address losing the role.
     /// @param targetContract The contract for which the role is revoked.
-    event roleRevoked(bytes32 indexed role, address indexed account, address indexed targetContract);
+    event ContractRoleRevoked(bytes32 indexed role, address indexed account, address indexed targetContract);
+
+    /// @notice Emitted when an approver proposes a privileged operation.
+    event OperationProposed(
+        uint256 indexed operationId,
+        address indexed proposer,
+        address indexed target,
+        bytes data,
+        string description
+    );
+    /// @notice Emitted when an approver approves an operation.
+    event OperationApproved(uint256 indexed operationId, address indexed approver, uint256 approvals);
+    /// @notice Emitted when an operation reaches the approval threshold and its timelock starts.
+    event OperationQueued(uint256 indexed operationId, uint256 readyAt);
+    /// @notice Emitted when a queued operation is executed.
+    event OperationExecuted(uint256 indexed operationId);
+    /// @notice Emitted when an approver cancels an operation.
+    event OperationCancelled(uint256 indexed operationId, address indexed canceller);
+    event ApprovalThresholdUpdated(uint256 approvalThreshold);
+    event TimelockDelayUpdated(uint256 timelockDelay);
 
     /// @notice Initializes the contract and sets the deployer as the default admin.
     constructor() {
@@ -42,14 +120,7 @@ contract RoleManager is AccessControl {
         address account,
         address targetContract
     ) public onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (targetContract == address(0)) revert("Invalid contract address");
-        if (account == address(0)) revert("Invalid account address");
-
-        // Grant role in the target contract
-        AccessControl target = AccessControl(targetContract);
-        target.grantRole(role, account);
-
-        emit roleGranted(role, account, targetContract);
+        _grantRoleToContract(role, account, targetContract);
     }
 
     /// @notice Revokes a role from an account for a specific target contract.
@@ -62,14 +133,144 @@ contract RoleManager is AccessControl {
         address account,
         address targetContract
     ) public onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (targetContract == address(0)) revert("Invalid contract address");
-        if (account == address(0)) revert("Invalid account address");
+        _revokeRoleFromContract(role, account, targetContract);
+    }
 
-        // Revoke role in the target contract
-        AccessControl target = AccessControl(targetContract);
-        target.revokeRole(role, account);
+    /// @notice Grants several roles at once; entry `i` grants `roles[i]` to `accounts[i]` on `targetContracts[i]`.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Reverts as a whole if any grant fails.
+    /// @param roles The roles to grant.
+    /// @param accounts The addresses to receive the roles.
+    /// @param targetContracts The contracts to grant the roles for.
+    function batchGrantRoles(
+        bytes32[] calldata roles,
+        address[] calldata accounts,
+        address[] calldata targetContracts
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (roles.length != accounts.length || roles.length != targetContracts.length) revert ArrayLengthMismatch();
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRoleToContract(roles[i], accounts[i], targetContracts[i]);
+        }
+    }
+
+    /// @notice Revokes several roles at once; entry `i` revokes `roles[i]` from `accounts[i]` on `targetContracts[i]`.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Reverts as a whole if any revocation fails.
+    /// @param roles The roles to revoke.
+    /// @param accounts The addresses to lose the roles.
+    /// @param targetContracts The contracts to revoke the roles from.
+    function batchRevokeRoles(
+        bytes32[] calldata roles,
+        address[] calldata accounts,
+        address[] calldata targetContracts
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (roles.length != accounts.length || roles.length != targetContracts.length) revert ArrayLengthMismatch();
+        for (uint256 i = 0; i < roles.length; i++) {
+            _revokeRoleFromContract(roles[i], accounts[i], targetContracts[i]);
+        }
+    }
+
+    /// @notice Adds approvers and sets the approval threshold and timelock delay in one call.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Approvers already in place keep their role.
+    /// @param approvers The accounts to grant APPROVER_ROLE.
+    /// @param threshold The number of approvals an operation needs; at most the number of approvers.
+    /// @param delay The timelock delay in seconds.
+    function configureGovernance(
+        address[] calldata approvers,
+        uint256 threshold,
+        uint256 delay
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (approvers[i] == address(0)) revert("Invalid account address");
+            _grantRole(APPROVER_ROLE, approvers[i]);
+        }
+        setApprovalThreshold(threshold);
+        setTimelockDelay(delay);
+    }
+
+    /// @notice Sets the number of approvals new and pending operations need.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Operations already queued keep the threshold
+    ///      they were queued with.
+    /// @param newThreshold The new threshold; between 1 and the number of approvers.
+    function setApprovalThreshold(uint256 newThreshold) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newThreshold == 0 || newThreshold > getRoleMemberCount(APPROVER_ROLE)) revert InvalidThreshold();
+        approvalThreshold = newThreshold;
+        emit ApprovalThresholdUpdated(newThreshold);
+    }
+
+    /// @notice Sets the timelock delay for operations queued from now on.
+    /// @dev Only callable by accounts with DEFAULT_ADMIN_ROLE.
+    /// @param newDelay The new delay in seconds.
+    function setTimelockDelay(uint256 newDelay) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        timelockDelay = newDelay;
+        emit TimelockDelayUpdated(newDelay);
+    }
+
+    /// @notice Proposes a privileged call to be made from RoleManager. The proposal counts as the proposer's
+    ///         approval.
+    /// @dev Only callable by accounts with APPROVER_ROLE.
+    /// @param target The contract to call (e.g., CarbonCreditNFT, or RoleManager itself).
+    /// @param data The encoded function call (e.g., `updateMarketplaceAddress(newMarketplace)`).
+    /// @param description What the operation does.
+    /// @return The ID of the operation.
+    function proposeOperation(
+        address target,
+        bytes calldata data,
+        string calldata description
+    ) public onlyRole(APPROVER_ROLE) returns (uint256) {
+        if (target == address(0)) revert("Invalid contract address");
+
+        uint256 operationId = operationCount;
+        Operation storage operation = operations[operationId];
+        operation.proposer = msg.sender;
+        operation.target = target;
+        operation.data = data;
+        operation.description = description;
+        operation.state = OperationState.Pending;
+        operationCount++;
+
+        emit OperationProposed(operationId, msg.sender, target, data, description);
+        _approve(operationId, operation);
+        return operationId;
+    }
 
-        emit roleRevoked(role, account, targetContract);
+    /// @notice Approves a pending operation. The approval that reaches the threshold queues it.
+    /// @dev Only callable by accounts with APPROVER_ROLE.
+    /// @param operationId The ID of the operation.
+    function approveOperation(uint256 operationId) public onlyRole(APPROVER_ROLE) {
+        Operation storage operation = operations[operationId];
+        if (operation.state != OperationState.Pending) revert OperationNotPending();
+        if (hasApproved[operationId][msg.sender]) revert AlreadyApproved();
+        _approve(operationId, operation);
+    }
+
+    /// @notice Executes a queued operation whose timelock has passed. Anyone may call this.
+    /// @dev The call is made from RoleManager and reverts with the target's error if it fails. Approvals are
+    ///      recounted against the current approvers and compared with the threshold the operation was queued
+    ///      with, so an operation whose approvers lost APPROVER_ROLE while it was queued reverts with
+    ///      InsufficientApprovals; it can then only be cancelled and proposed again.
+    /// @param operationId The ID of the operation.
+    /// @return The data returned by the call.
+    function executeOperation(uint256 operationId) public returns (bytes memory) {
+        Operation storage operation = operations[operationId];
+        if (operation.state != OperationState.Queued) revert OperationNotQueued();
+        if (block.timestamp < operation.readyAt) revert TimelockActive();
+        if (_countApprovals(operationId) < operation.threshold) revert InsufficientApprovals();
+
+        operation.state = OperationState.Executed;
+        emit OperationExecuted(operationId);
+        return Address.functionCall(operation.target, operation.data);
+    }
+
+    /// @notice Cancels an operation that is pending or queued.
+    /// @dev Only callable by accounts with APPROVER_ROLE.
+    /// @param operationId The ID of the operation.
+    function cancelOperation(uint256 operationId) public onlyRole(APPROVER_ROLE) {
+        Operation storage operation = operations[operationId];
+        if (operation.state != OperationState.Pending && operation.state != OperationState.Queued) {
+            revert OperationNotPending();
+        }
+
+        operation.state = OperationState.Cancelled;
+        emit OperationCancelled(operationId, msg.sender);
     }
 
     /// @notice Checks if an account has a specific role in a target contract.
@@ -86,4 +287,76 @@ contract RoleManager is AccessControl {
         AccessControl target = AccessControl(targetContract);
         return target.hasRole(role, account);
     }
-}
\ No newline at end of file
+
+    /// @notice Lists the accounts holding a role in a target contract, including roles granted directly on it.
+    /// @param role The role to list (e.g., VERIFIER_ROLE or DEFAULT_ADMIN_ROLE).
+    /// @param targetContract The contract to list the role members of.
+    /// @return The accounts holding the role, in no particular order.
+    function getRoleMembersInContract(bytes32 role, address targetContract) public view returns (address[] memory) {
+        if (targetContract == address(0)) revert("Invalid contract address");
+        return AccessControlEnumerable(targetContract).getRoleMembers(role);
+    }
+
+    /// @notice Returns the number of accounts holding a role in a target contract.
+    /// @param role The role to count.
+    /// @param targetContract The contract to count the role members of.
+    function getRoleMemberCountInContract(bytes32 role, address targetContract) public view returns (uint256) {
+        if (targetContract == address(0)) revert("Invalid contract address");
+        return AccessControlEnumerable(targetContract).getRoleMemberCount(role);
+    }
+
+    /// @dev Records the caller's approval and queues the operation once the threshold is reached. Approvals of
+    ///      accounts that have since lost APPROVER_ROLE are not counted.
+    function _approve(uint256 operationId, Operation storage operation) private {
+        hasApproved[operationId][msg.sender] = true;
+        operation.approvals = _countApprovals(operationId);
+        emit OperationApproved(operationId, msg.sender, operation.approvals);
+
+        if (operation.approvals >= approvalThreshold) {
+            operation.state = OperationState.Queued;
+            operation.readyAt = block.timestamp + timelockDelay;
+            operation.threshold = approvalThreshold;
+            emit OperationQueued(operationId, operation.readyAt);
+        }
+    }
+
+    /// @dev Counts the current approvers that approved an operation.
+    function _countApprovals(uint256 operationId) private view returns (uint256 count) {
+        uint256 approverCount = getRoleMemberCount(APPROVER_ROLE);
+        for (uint256 i = 0; i < approverCount; i++) {
+            if (hasApproved[operationId][getRoleMember(APPROVER_ROLE, i)]) count++;
+        }
+    }
+
+    /// @dev Keeps enough approvers for the approval threshold to be reachable.
+    function _revokeRole(bytes32 role, address account) internal override returns (bool revoked) {
+        revoked = super._revokeRole(role, account);
+        if (role == APPROVER_ROLE && revoked && getRoleMemberCount(APPROVER_ROLE) < approvalThreshold) {
+            revert InvalidThreshold();
+        }
+    }
+
+    /// @dev Grants `role` to `account` on `targetContract`, which must have this contract as an admin.
+    function _grantRoleToContract(bytes32 role, address account, address targetContract) private {
+        if (targetContract == address(0)) revert("Invalid contract address");
+        if (account == address(0)) revert("Invalid account address");
+
+        // Grant role in the target contract
+        AccessControl target = AccessControl(targetContract);
+        target.grantRole(role, account);
+
+        emit ContractRoleGranted(role, account, targetContract);
+    }
+
+    /// @dev Revokes `role` from `account` on `targetContract`, which must have this contract as an admin.
+    function _revokeRoleFromContract(bytes32 role, address account, address targetContract) private {
+        if (targetContract == address(0)) revert("Invalid contract address");
+        if (account == address(0)) revert("Invalid account address");
+
+        // Revoke role in the target contract
+        AccessControl target = AccessControl(targetContract);
+        target.revokeRole(role, account);
+
+        emit ContractRoleRevoked(role, account, targetContract);
+    }
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+/// @title MaliciousReceiver
+/// @notice Contract account used in tests to act as a hostile seller, buyer or bidder on the marketplace.
+/// @dev Forwards arbitrary calls with `execute`. When it receives CELO or an NFT it either accepts, rejects
+///      the transfer, or re-enters `target` with `reentryData`, bubbling up any revert. Never deploy to a
+///      public network.
+contract MaliciousReceiver is IERC721Receiver {
+    enum Mode {
+        Accept,
+        Reject,
+        Reenter
+    }
+
+    Mode public mode;
+    address public target;
+    bytes public reentryData;
+
+    /// @notice Sets how the contract reacts to incoming CELO and NFTs.
+    /// @param newMode Accept, Reject or Reenter.
+    /// @param newTarget The contract called on re-entry.
+    /// @param newReentryData The calldata sent to `newTarget` on re-entry.
+    function setMode(Mode newMode, address newTarget, bytes calldata newReentryData) external {
+        mode = newMode;
+        target = newTarget;
+        reentryData = newReentryData;
+    }
+
+    /// @notice Calls another contract from this account, bubbling up any revert.
+    /// @param to The contract to call.
+    /// @param data The calldata.
+    function execute(address to, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = to.call{value: msg.value}(data);
+        if (!success) _bubble(result);
+        return result;
+    }
+
+    receive() external payable {
+        _react();
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external returns (bytes4) {
+        _react();
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    function _react() internal {
+        if (mode == Mode.Reject) revert("MaliciousReceiver: rejected");
+        if (mode == Mode.Reenter) {
+            (bool success, bytes memory result) = target.call(reentryData);
+            if (!success) _bubble(result);
+        }
+    }
+
+    function _bubble(bytes memory result) internal pure {
+        assembly {
+            revert(add(result, 32), mload(result))
+        }
+    }
+}
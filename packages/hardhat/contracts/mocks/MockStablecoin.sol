@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title MockStablecoin
+/// @notice Freely mintable ERC-20 standing in for Celo stablecoins (cUSD, cEUR) in tests and local deployments.
+/// @dev Uses 18 decimals, like the Mento stablecoins it replaces. Never deploy to a public network.
+contract MockStablecoin is ERC20 {
+    /// @notice Creates a mock stablecoin.
+    /// @param name The token name (e.g., "Celo Dollar").
+    /// @param symbol The token symbol (e.g., "cUSD").
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    /// @notice Mints tokens to any account; there is no access control.
+    /// @param to The account receiving the tokens.
+    /// @param amount The amount to mint.
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+}
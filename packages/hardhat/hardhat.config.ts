@@ -43,7 +43,13 @@ const config: HardhatUserConfig = {
   sourcify: {
     enabled: false,
   },
-  solidity: '0.8.28',
+  solidity: {
+    version: '0.8.28',
+    settings: {
+      // Keeps the marketplace below the 24 KB contract size limit
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
 };
 
 export default config;
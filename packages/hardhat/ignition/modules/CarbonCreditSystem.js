@@ -4,23 +4,61 @@ const CarbonCreditSystemModule = buildModule("CarbonCreditSystemModule", (m) =>
   // Deploy RoleManager first, as other contracts depend on it
   const roleManager = m.contract("RoleManager");
 
-  // Deploy CarbonCreditNFT, passing the RoleManager address
-  const nft = m.contract("CarbonCreditNFT", [roleManager]);
+  // Deploy CarbonCreditProjectRegistry, passing the RoleManager address
+  const projectRegistry = m.contract("CarbonCreditProjectRegistry", [roleManager]);
 
-  // Deploy CarbonCreditToken, passing the RoleManager address
-  const token = m.contract("CarbonCreditToken", [roleManager]);
+  // Deploy CarbonCreditForwarder, the trusted forwarder that relays gasless (ERC-2771) calls
+  const forwarder = m.contract("CarbonCreditForwarder");
 
-  // Deploy CarbonCreditMarketplace, passing NFT and Token addresses
-  const marketplace = m.contract("CarbonCreditMarketplace", [nft, token]);
+  // Deploy CarbonCreditToken, passing the RoleManager, ProjectRegistry and Forwarder addresses
+  const token = m.contract("CarbonCreditToken", [roleManager, projectRegistry, forwarder]);
 
-  // Deploy CarbonCreditConverter, passing NFT and Token addresses
-  const converter = m.contract("CarbonCreditConverter", [nft, token]);
+  // Deploy CarbonCreditNFT, passing the RoleManager, ProjectRegistry, Token and Forwarder addresses
+  const nft = m.contract("CarbonCreditNFT", [roleManager, projectRegistry, token, forwarder]);
+
+  // Deploy CarbonCreditMarketplace, passing NFT, Token, RoleManager and Forwarder addresses
+  const marketplace = m.contract("CarbonCreditMarketplace", [nft, token, roleManager, forwarder]);
+
+  // Deploy CarbonCreditConverter, passing NFT, Token, RoleManager and Forwarder addresses
+  const converter = m.contract("CarbonCreditConverter", [nft, token, roleManager, forwarder]);
+
+  // Deploy CarbonCreditRetirement, passing NFT and Token addresses
+  const retirement = m.contract("CarbonCreditRetirement", [nft, token]);
+
+  // Deploy CarbonCreditVerification, passing the Token and RoleManager addresses and its quorum settings
+  const verificationQuorum = m.getParameter("verificationQuorum", 2);
+  const challengePeriod = m.getParameter("challengePeriod", 3 * 24 * 60 * 60);
+  const verification = m.contract("CarbonCreditVerification", [token, roleManager, verificationQuorum, challengePeriod]);
+
+  // Deploy CarbonCreditMetadata, passing the NFT, ProjectRegistry and Token addresses
+  const metadata = m.contract("CarbonCreditMetadata", [nft, projectRegistry, token]);
 
   // Set the marketplace address in CarbonCreditNFT after deployment
   m.call(nft, "updateMarketplaceAddress", [marketplace]);
 
+  // Render NFT metadata on-chain
+  m.call(nft, "setMetadataRenderer", [metadata]);
+
+  // Make the verification workflow the only issuer of CarbonCreditToken credits
+  const verifierRole = m.staticCall(token, "VERIFIER_ROLE");
+  m.call(roleManager, "grantRoleToContract", [verifierRole, verification, token]);
+  m.call(token, "renounceRole", [verifierRole, m.getAccount(0)]);
+
+  // Count NFT mints against the same issuance caps as token issuance
+  const issuerRole = m.staticCall(token, "ISSUER_ROLE");
+  m.call(roleManager, "grantRoleToContract", [issuerRole, nft, token], { id: "grantNFTIssuerRole" });
+
+  // Let the converter burn and mint credits in both directions
+  const converterRole = m.staticCall(token, "CONVERTER_ROLE");
+  m.call(roleManager, "grantRoleToContract", [converterRole, converter, token], { id: "grantConverterRole" });
+  m.call(roleManager, "grantRoleToContract", [converterRole, converter, nft], { id: "grantConverterNFTRole" });
+
+  // NFTs are only minted by minters granted through RoleManager, never by the deployer
+  const minterRole = m.staticCall(nft, "MINTER_ROLE");
+  m.call(nft, "renounceRole", [minterRole, m.getAccount(0)], { id: "renounceMinterRole" });
+
   // Return all deployed contract futures for later use
-  return { roleManager, nft, token, marketplace, converter };
+  return { roleManager, projectRegistry, nft, token, marketplace, converter, retirement, verification, metadata, forwarder };
 });
 
 export default CarbonCreditSystemModule;
\ No newline at end of file
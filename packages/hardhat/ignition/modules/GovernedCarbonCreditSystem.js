@@ -0,0 +1,59 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+import CarbonCreditSystemModule from "./CarbonCreditSystem.js";
+
+// Deploys the Carbon Credit System and hands every admin role over to RoleManager's timelocked,
+// M-of-N governance, so the deployer is left without any privileged role.
+const GovernedCarbonCreditSystemModule = buildModule("GovernedCarbonCreditSystemModule", (m) => {
+  const {
+    roleManager,
+    projectRegistry,
+    nft,
+    token,
+    marketplace,
+    converter,
+    retirement,
+    verification,
+    metadata,
+    forwarder,
+  } = m.useModule(CarbonCreditSystemModule);
+
+  // Approvers who propose, approve and cancel privileged operations, how many of them must approve an
+  // operation, and how long (in seconds) an approved operation waits before it can be executed
+  const approvers = m.getParameter("approvers");
+  const approvalThreshold = m.getParameter("approvalThreshold", 2);
+  const timelockDelay = m.getParameter("timelockDelay", 2 * 24 * 60 * 60);
+
+  const deployer = m.getAccount(0);
+  const adminRole = m.staticCall(roleManager, "DEFAULT_ADMIN_ROLE");
+
+  const configureGovernance = m.call(roleManager, "configureGovernance", [approvers, approvalThreshold, timelockDelay]);
+
+  // RoleManager administers itself, so changes to its approvers and settings go through governance too
+  const selfAdmin = m.call(roleManager, "grantRole", [adminRole, roleManager], { after: [configureGovernance] });
+
+  // The deployer gives up its admin roles once RoleManager holds them all
+  const after = [selfAdmin];
+  m.call(projectRegistry, "renounceRole", [adminRole, deployer], { after });
+  m.call(nft, "renounceRole", [adminRole, deployer], { after });
+  m.call(token, "renounceRole", [adminRole, deployer], { after });
+  m.call(marketplace, "renounceRole", [adminRole, deployer], { after });
+  m.call(converter, "renounceRole", [adminRole, deployer], { after });
+  m.call(verification, "renounceRole", [adminRole, deployer], { after });
+  m.call(roleManager, "renounceRole", [adminRole, deployer], { after });
+
+  return {
+    roleManager,
+    projectRegistry,
+    nft,
+    token,
+    marketplace,
+    converter,
+    retirement,
+    verification,
+    metadata,
+    forwarder,
+  };
+});
+
+export default GovernedCarbonCreditSystemModule;
@@ -0,0 +1,12 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+// Local-only stand-ins for cUSD and cEUR, so the marketplace can be exercised
+// with ERC-20 payments on a Hardhat node. Never deploy this module to Celo.
+const MockStablecoinsModule = buildModule("MockStablecoinsModule", (m) => {
+  const cUSD = m.contract("MockStablecoin", ["Celo Dollar", "cUSD"], { id: "cUSD" });
+  const cEUR = m.contract("MockStablecoin", ["Celo Euro", "cEUR"], { id: "cEUR" });
+
+  return { cUSD, cEUR };
+});
+
+export default MockStablecoinsModule;
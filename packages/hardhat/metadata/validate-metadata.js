@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const schema = require('./carbon-credit-metadata.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Validates carbon credit NFT metadata against carbon-credit-metadata.schema.json.
+ * @param {object} metadata The parsed metadata JSON.
+ * @param {object} [expected] The NFT's on-chain data to cross-check the metadata against:
+ *   `creditsId`, `vintageYear` and `carbonAmount` (numbers, bigints or decimal strings).
+ * @returns {{ valid: boolean, errors: string[] }} The result, with one message per problem.
+ */
+function validateMetadata(metadata, expected = {}) {
+    const errors = [];
+    if (!validateSchema(metadata)) {
+        validateSchema.errors.forEach(error => errors.push(`${error.dataPath || '(root)'} ${error.message}`));
+        return { valid: false, errors };
+    }
+
+    const credit = metadata.carbon_credit;
+    const checks = [
+        ['creditsId', 'credits_id', credit.credits_id],
+        ['vintageYear', 'vintage_year', credit.vintage_year],
+        ['carbonAmount', 'carbon_amount', credit.carbon_amount],
+    ];
+    checks.forEach(([key, field, actual]) => {
+        if (expected[key] === undefined) return;
+        if (BigInt(actual) !== BigInt(expected[key])) {
+            errors.push(`.carbon_credit.${field} is ${actual}, expected ${expected[key]}`);
+        }
+    });
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Decodes a `data:application/json;base64` token URI, as returned by CarbonCreditNFT.tokenURI.
+ * @param {string} uri The token URI.
+ * @returns {object} The parsed metadata.
+ */
+function decodeTokenURI(uri) {
+    const prefix = 'data:application/json;base64,';
+    if (!uri.startsWith(prefix)) throw new Error('Not a base64 JSON data URI');
+    return JSON.parse(Buffer.from(uri.slice(prefix.length), 'base64').toString('utf8'));
+}
+
+module.exports = { validateMetadata, decodeTokenURI, schema };
+
+// Usage: node metadata/validate-metadata.js <file.json>...
+if (require.main === module) {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('Usage: validate-metadata <file.json>...');
+        process.exit(1);
+    }
+
+    let failed = false;
+    files.forEach(file => {
+        const { valid, errors } = validateMetadata(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+        if (valid) {
+            console.log(`✅ ${file}`);
+        } else {
+            failed = true;
+            console.error(`❌ ${file}`);
+            errors.forEach(error => console.error(`   ${error}`));
+        }
+    });
+    process.exit(failed ? 1 : 0);
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// EIP-712 type of the requests CarbonCreditForwarder executes (OpenZeppelin ERC2771Forwarder)
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' },
+    ],
+};
+
+// Contracts of the Ignition module that trust CarbonCreditForwarder, the only targets the relayer pays gas for
+const TRUSTED_CONTRACTS = ['CarbonCreditMarketplace', 'CarbonCreditConverter', 'CarbonCreditToken', 'CarbonCreditNFT'];
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/** An error answered with an HTTP status instead of a 500. */
+class RelayError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Signs a request for CarbonCreditForwarder.execute, as the frontend does for MiniPay users.
+ * @param {import('ethers').Contract} forwarder The CarbonCreditForwarder contract.
+ * @param {import('ethers').Signer} signer The account the relayed call is made for.
+ * @param {{ to: string, data: string, value?: bigint, gas?: bigint, deadline?: number }} call The call to relay;
+ *   `deadline` defaults to one hour after the latest block.
+ * @returns {Promise<object>} The ForwardRequestData (from, to, value, gas, deadline, data, signature).
+ */
+async function signForwardRequest(forwarder, signer, { to, data, value = 0n, gas = 1_000_000n, deadline }) {
+    const from = await signer.getAddress();
+    if (deadline === undefined) {
+        deadline = (await signer.provider.getBlock('latest')).timestamp + 60 * 60;
+    }
+    const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+    const request = {
+        from,
+        to,
+        value,
+        gas,
+        nonce: await forwarder.nonces(from),
+        deadline,
+        data,
+    };
+    const signature = await signer.signTypedData({ name, version, chainId, verifyingContract }, FORWARD_REQUEST_TYPES, request);
+
+    const { nonce, ...forwardRequest } = request;
+    return { ...forwardRequest, signature };
+}
+
+/**
+ * Creates a relayer that pays the gas of signed requests to the contracts trusting the forwarder.
+ * @param {{ forwarder: import('ethers').Contract, targets: string[] }} options The forwarder, connected to the
+ *   account paying the gas, and the contracts requests may call.
+ * @returns {{ relay: (request: object) => Promise<{ transactionHash: string, blockNumber: number }> }}
+ */
+function createRelayer({ forwarder, targets }) {
+    const allowedTargets = new Set(targets.map(target => target.toLowerCase()));
+
+    async function relay(request) {
+        if (!request || typeof request.to !== 'string' || !allowedTargets.has(request.to.toLowerCase())) {
+            throw new RelayError(400, 'Requests can only call the Carbon Credit System contracts');
+        }
+        if (BigInt(request.value ?? 0) !== 0n) {
+            throw new RelayError(400, 'The relayer does not pay CELO sent with a request');
+        }
+        const forwardRequest = { ...request, value: 0n };
+        if (!(await forwarder.verify(forwardRequest))) {
+            throw new RelayError(400, 'Invalid signature, nonce or deadline');
+        }
+
+        let tx;
+        try {
+            tx = await forwarder.execute(forwardRequest);
+        } catch (error) {
+            throw new RelayError(422, error.shortMessage || error.message);
+        }
+        const receipt = await tx.wait();
+        return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+    }
+
+    return { relay };
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) reject(new RelayError(413, 'Request body too large'));
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Serves a relayer over HTTP: `POST /relay` with `{ "request": ForwardRequestData }` answers
+ * `{ transactionHash, blockNumber }`, and `GET /health` describes the relayer.
+ * @param {ReturnType<typeof createRelayer>} relayer The relayer.
+ * @param {object} info Returned by `GET /health` (e.g. chainId and forwarder address).
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createServer(relayer, info) {
+    return http.createServer(async (req, res) => {
+        // The frontend is served from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+            } else if (req.method === 'GET' && req.url === '/health') {
+                sendJSON(res, 200, info);
+            } else if (req.method === 'POST' && req.url === '/relay') {
+                let payload;
+                try {
+                    payload = JSON.parse(await readBody(req));
+                } catch (error) {
+                    throw error instanceof RelayError ? error : new RelayError(400, 'Body must be JSON');
+                }
+                sendJSON(res, 200, await relayer.relay(payload.request));
+            } else {
+                sendJSON(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            const status = error instanceof RelayError ? error.status : 500;
+            if (status === 500) console.error('❌ Relay failed:', error);
+            sendJSON(res, status, { error: status === 500 ? 'Relay failed' : error.message });
+        }
+    });
+}
+
+module.exports = { FORWARD_REQUEST_TYPES, TRUSTED_CONTRACTS, RelayError, signForwardRequest, createRelayer, createServer };
+
+// Usage: npx hardhat run relayer/relayer.js --network localhost
+// Reads the addresses of the network's Ignition deployment and pays gas with RELAYER_PRIVATE_KEY, or with the
+// node's first account if it is not set.
+async function main() {
+    const { ethers } = require('hardhat');
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const deploymentId = process.env.DEPLOYMENT_ID || `chain-${chainId}`;
+    const ignitionModule = process.env.IGNITION_MODULE || 'CarbonCreditSystemModule';
+    const addressesPath = path.join(__dirname, '..', 'ignition', 'deployments', deploymentId, 'deployed_addresses.json');
+    if (!fs.existsSync(addressesPath)) {
+        throw new Error(`No Ignition deployment at ${path.dirname(addressesPath)}; deploy the contracts first`);
+    }
+    const addresses = JSON.parse(fs.readFileSync(addressesPath, 'utf8'));
+    const addressOf = name => {
+        const address = addresses[`${ignitionModule}#${name}`];
+        if (!address) throw new Error(`${name} is not part of deployment ${deploymentId}`);
+        return address;
+    };
+
+    const relayerSigner = process.env.RELAYER_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const forwarder = await ethers.getContractAt('CarbonCreditForwarder', addressOf('CarbonCreditForwarder'), relayerSigner);
+    const targets = TRUSTED_CONTRACTS.map(addressOf);
+
+    const port = Number(process.env.RELAYER_PORT || 8787);
+    const info = { chainId: Number(chainId), forwarder: forwarder.target, relayer: relayerSigner.address, targets };
+    createServer(createRelayer({ forwarder, targets }), info).listen(port, () => {
+        console.log(`⛽ Relaying requests for ${info.forwarder} on http://localhost:${port} from ${info.relayer}`);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// CarbonCreditProjectRegistry.ProjectStatus
+const PROJECT_VALIDATED = 2;
+const PROJECT_ACTIVE = 3;
+
+// Projects of the demo, developed by one account. Tonnages are whole tonnes of CO2e. Each vintage is proposed to
+// CarbonCreditVerification with its verified tonnage and `issued` as the first tranche; `pending` vintages are left
+// waiting for their second attestation instead of being issued.
+const DEMO_PROJECTS = [
+    {
+        location: 'Kenya, Kasigau Corridor',
+        methodology: 'VM0009',
+        metadataURI: 'ipfs://demo/kasigau-corridor-redd',
+        verificationStandard: 'Verra',
+        creditType: 'Forestry',
+        vintages: [
+            { year: 2021, verified: 5000, issued: 3000 },
+            { year: 2022, verified: 6000, issued: 2500 },
+        ],
+    },
+    {
+        location: 'India, Jaisalmer',
+        methodology: 'ACM0002',
+        metadataURI: 'ipfs://demo/rajasthan-wind-farm',
+        verificationStandard: 'Gold Standard',
+        creditType: 'Renewable',
+        vintages: [
+            { year: 2022, verified: 8000, issued: 4000 },
+            { year: 2023, verified: 9000, issued: 1500 },
+        ],
+    },
+    {
+        location: 'Ghana, Ashanti Region',
+        methodology: 'GS-TPDDTEC',
+        metadataURI: 'ipfs://demo/ashanti-clean-cookstoves',
+        verificationStandard: 'Gold Standard',
+        creditType: 'Cookstoves',
+        vintages: [{ year: 2023, verified: 1200, issued: 800 }],
+    },
+    {
+        location: 'Brazil, Pará',
+        methodology: 'VM0015',
+        metadataURI: 'ipfs://demo/para-avoided-deforestation',
+        verificationStandard: 'Verra',
+        creditType: 'Forestry',
+        // Proposed but not attested by both verifiers yet, for the verifier inbox
+        vintages: [{ year: 2024, verified: 10000, issued: 2000, pending: true }],
+    },
+];
+
+const tonnes = (ethers, value) => ethers.parseUnits(String(value), 18);
+
+/**
+ * Grants the demo accounts their roles through RoleManager: MINTER on the NFT, VERIFIER on the verification
+ * workflow for both verifiers, and VERIFIER on the project registry for the first one. Granting a role an
+ * account already has is a no-op.
+ * @param {object} contracts The deployed contracts (roleManager, projectRegistry, nftContract, verification),
+ *   with roleManager connected to its admin.
+ * @param {{ minter: import('ethers').Signer, verifier: import('ethers').Signer,
+ *   secondVerifier: import('ethers').Signer }} accounts The demo accounts.
+ */
+async function grantDemoRoles(
+    { roleManager, projectRegistry, nftContract, verification },
+    { minter, verifier, secondVerifier }
+) {
+    const MINTER_ROLE = await roleManager.MINTER_ROLE();
+    const VERIFIER_ROLE = await roleManager.VERIFIER_ROLE();
+
+    await (await roleManager.grantRoleToContract(MINTER_ROLE, minter.address, nftContract.target)).wait();
+    for (const account of [verifier, secondVerifier]) {
+        await (await roleManager.grantRoleToContract(VERIFIER_ROLE, account.address, verification.target)).wait();
+    }
+    await (await roleManager.grantRoleToContract(VERIFIER_ROLE, verifier.address, projectRegistry.target)).wait();
+}
+
+/**
+ * Registers and activates the demo projects and issues their vintages to the developer through
+ * CarbonCreditVerification: the developer proposes each vintage, both verifiers attest it and, once the challenge
+ * period has passed, it is issued. Assumes a quorum of two. Pending vintages keep a single attestation.
+ * @param {typeof import('ethers')} ethers The ethers library of the Hardhat runtime.
+ * @param {object} contracts The deployed contracts (projectRegistry, verification).
+ * @param {{ verifier: import('ethers').Signer, secondVerifier: import('ethers').Signer,
+ *   developer: import('ethers').Signer }} accounts The demo accounts.
+ * @param {typeof DEMO_PROJECTS} [projects] The projects to create.
+ * @returns {Promise<Array<object>>} The projects with their `creditsId`.
+ */
+async function seedProjects(
+    ethers,
+    { projectRegistry, verification },
+    { verifier, secondVerifier, developer },
+    projects = DEMO_PROJECTS
+) {
+    const seeded = [];
+    const attested = [];
+    for (const project of projects) {
+        await (
+            await projectRegistry.connect(developer).registerProject(project.location, project.methodology, project.metadataURI)
+        ).wait();
+        const creditsId = await projectRegistry.projectCount();
+        await (await projectRegistry.connect(verifier).setProjectStatus(creditsId, PROJECT_VALIDATED)).wait();
+        await (await projectRegistry.connect(verifier).setProjectStatus(creditsId, PROJECT_ACTIVE)).wait();
+
+        for (const vintage of project.vintages) {
+            const proposalId = await verification.proposalCount();
+            await (
+                await verification
+                    .connect(developer)
+                    .propose(
+                        creditsId,
+                        developer.address,
+                        vintage.year,
+                        tonnes(ethers, vintage.issued),
+                        tonnes(ethers, vintage.verified),
+                        `${project.metadataURI}/mrv-${vintage.year}.json`,
+                        project.verificationStandard,
+                        project.creditType
+                    )
+            ).wait();
+            await (await verification.connect(verifier).attest(proposalId)).wait();
+            if (!vintage.pending) {
+                await (await verification.connect(secondVerifier).attest(proposalId)).wait();
+                attested.push(proposalId);
+            }
+        }
+        seeded.push({ ...project, creditsId });
+    }
+
+    // Every attested proposal is open to disputes for the challenge period; skip past it and issue them
+    await ethers.provider.send('evm_increaseTime', [Number(await verification.challengePeriod())]);
+    await ethers.provider.send('evm_mine', []);
+    for (const proposalId of attested) {
+        await (await verification.issue(proposalId)).wait();
+    }
+    return seeded;
+}
+
+/**
+ * Mints NFTs, converts credits in both directions, lists NFTs and tokens for CELO and cUSD, and trades
+ * some of them, leaving open listings and a partly filled buy order behind.
+ * @param {typeof import('ethers')} ethers The ethers library of the Hardhat runtime.
+ * @param {object} contracts The deployed contracts (tokenContract, nftContract, marketplace, converterContract)
+ *   and a `stablecoin` the buyer holds at least 600 of.
+ * @param {object} accounts The minter, developer (seller) and buyer.
+ * @param {Array<object>} projects Projects returned by `seedProjects`.
+ * @returns {Promise<{ nftIds: bigint[], tokenListings: bigint[], buyOrderId: bigint }>} The listed NFTs (the first
+ *   one sold), the token listing IDs and the buy order ID.
+ */
+async function seedMarket(
+    ethers,
+    { tokenContract, nftContract, marketplace, converterContract, stablecoin },
+    { minter, developer, buyer },
+    projects
+) {
+    const [forest, wind, cookstoves] = projects;
+    const mintNFT = async (project, vintageYear, carbonTons) => {
+        const tokenId = await nftContract.tokenIdCounter();
+        await (
+            await nftContract
+                .connect(minter)
+                .mint(minter.address, project.creditsId, vintageYear, tonnes(ethers, carbonTons), `${project.metadataURI}/nft-${tokenId}.json`)
+        ).wait();
+        return tokenId;
+    };
+
+    // The minter mints NFTs to itself (minting approves the marketplace on the minter's behalf) and hands them over
+    const forestNFT = await mintNFT(forest, 2021, 50);
+    const cookstovesNFT = await mintNFT(cookstoves, 2023, 20);
+    for (const tokenId of [forestNFT, cookstovesNFT]) {
+        await (await nftContract.connect(minter).transferFrom(minter.address, developer.address, tokenId)).wait();
+    }
+
+    // The developer bundles wind credits into an NFT, and splits the cookstoves NFT back into tokens
+    const windNFT = await nftContract.tokenIdCounter();
+    await (await tokenContract.connect(developer).approve(converterContract.target, tonnes(ethers, 40))).wait();
+    await (
+        await converterContract
+            .connect(developer)
+            .convertTokensToNFT(wind.creditsId, 2023, tonnes(ethers, 40), `${wind.metadataURI}/nft-${windNFT}.json`)
+    ).wait();
+    await (await nftContract.connect(developer).approve(converterContract.target, cookstovesNFT)).wait();
+    await (await converterContract.connect(developer).convertNFTsToTokens([cookstovesNFT])).wait();
+
+    // NFT listings: one for CELO, one for cUSD
+    const nftListings = [forestNFT, windNFT];
+    for (const tokenId of nftListings) {
+        await (await nftContract.connect(developer).approve(marketplace.target, tokenId)).wait();
+    }
+    await (await marketplace.connect(developer).listNFT(forestNFT, ethers.parseEther('5'), ethers.ZeroAddress)).wait();
+    await (await marketplace.connect(developer).listNFT(windNFT, ethers.parseEther('350'), stablecoin.target)).wait();
+
+    // Token listings; the marketplace moves sold tokens with the developer's allowance
+    await (await tokenContract.connect(developer).approve(marketplace.target, tonnes(ethers, 1000))).wait();
+    const tokenListings = [];
+    for (const [project, vintageYear, amount, pricePerUnit, paymentToken] of [
+        [forest, 2021, 400, ethers.parseEther('12'), stablecoin.target],
+        [forest, 2022, 250, ethers.parseEther('0.8'), ethers.ZeroAddress],
+        [wind, 2022, 200, ethers.parseEther('6.5'), stablecoin.target],
+        [cookstoves, 2023, 20, ethers.parseEther('15'), stablecoin.target],
+    ]) {
+        tokenListings.push(await marketplace.tokenListingCount());
+        await (
+            await marketplace
+                .connect(developer)
+                .listTokens(project.creditsId, vintageYear, tonnes(ethers, amount), pricePerUnit, paymentToken)
+        ).wait();
+    }
+
+    // Trades: the buyer takes an NFT and parts of two token listings
+    await (await marketplace.connect(buyer).buyNFT(forestNFT, { value: ethers.parseEther('5') })).wait();
+    await (await marketplace.connect(buyer).buyTokens(tokenListings[1], tonnes(ethers, 10), { value: ethers.parseEther('8') })).wait();
+    await (await stablecoin.connect(buyer).approve(marketplace.target, ethers.parseEther('600'))).wait();
+    await (await marketplace.connect(buyer).buyTokens(tokenListings[0], tonnes(ethers, 25))).wait();
+
+    // A cUSD buy order for wind credits, half filled by the developer
+    const buyOrderId = await marketplace.buyOrderCount();
+    await (
+        await marketplace
+            .connect(buyer)
+            .placeBuyOrder(wind.creditsId, 2023, tonnes(ethers, 30), ethers.parseEther('9'), stablecoin.target)
+    ).wait();
+    await (await marketplace.connect(developer).fillBuyOrder(buyOrderId, tonnes(ethers, 15))).wait();
+
+    return { nftIds: nftListings, tokenListings, buyOrderId };
+}
+
+/**
+ * Runs the whole demo scenario: roles, projects, credits, NFTs, conversions, listings and trades.
+ * Works on any deployment where `accounts.admin` administers RoleManager, so tests can run it on their
+ * own fixture. The buyer needs 13 CELO, plus gas, and 600 of `contracts.stablecoin`.
+ * @param {typeof import('ethers')} ethers The ethers library of the Hardhat runtime.
+ * @param {object} contracts The deployed contracts and a stablecoin.
+ * @param {{ admin: import('ethers').Signer, minter: import('ethers').Signer, verifier: import('ethers').Signer,
+ *   secondVerifier: import('ethers').Signer, developer: import('ethers').Signer, buyer: import('ethers').Signer }}
+ *   accounts The demo accounts.
+ * @returns {Promise<object>} The seeded projects and market (see `seedProjects` and `seedMarket`).
+ */
+async function seedDemo(ethers, contracts, accounts) {
+    await grantDemoRoles({ ...contracts, roleManager: contracts.roleManager.connect(accounts.admin) }, accounts);
+    const projects = await seedProjects(ethers, contracts, accounts);
+    const market = await seedMarket(ethers, contracts, accounts, projects);
+    return { projects, ...market };
+}
+
+module.exports = { DEMO_PROJECTS, grantDemoRoles, seedProjects, seedMarket, seedDemo };
+
+// Usage: npx hardhat run scenarios/demo.js --network localhost
+// Deploys the system and the mock stablecoins to a running `hardhat node` with Ignition (reusing an existing
+// deployment), then seeds the demo with the node's accounts: #0 admin, #1 minter, #2 and #3 verifiers, #4 buyer
+// and #5 developer, as in the tests.
+async function main() {
+    const hre = require('hardhat');
+    const { ethers } = hre;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    if (chainId !== 31337n) throw new Error('The demo only seeds a local Hardhat node');
+
+    // Ignition would resume a deployment recorded for a node that has since been restarted
+    const addressesPath = path.join(__dirname, '..', 'ignition', 'deployments', `chain-${chainId}`, 'deployed_addresses.json');
+    if (fs.existsSync(addressesPath)) {
+        const recorded = JSON.parse(fs.readFileSync(addressesPath, 'utf8'))['CarbonCreditSystemModule#RoleManager'];
+        if (recorded && (await ethers.provider.getCode(recorded)) === '0x') {
+            throw new Error(`${path.dirname(addressesPath)} is from an earlier node; delete it and seed again`);
+        }
+    }
+
+    for (const modulePath of ['ignition/modules/CarbonCreditSystem.js', 'ignition/modules/MockStablecoins.js']) {
+        await hre.run({ scope: 'ignition', task: 'deploy' }, { modulePath: path.join(__dirname, '..', modulePath) });
+    }
+    const addresses = JSON.parse(fs.readFileSync(addressesPath, 'utf8'));
+    const contractAt = (name, futureId) => ethers.getContractAt(name, addresses[futureId]);
+
+    const contracts = {
+        roleManager: await contractAt('RoleManager', 'CarbonCreditSystemModule#RoleManager'),
+        projectRegistry: await contractAt('CarbonCreditProjectRegistry', 'CarbonCreditSystemModule#CarbonCreditProjectRegistry'),
+        tokenContract: await contractAt('CarbonCreditToken', 'CarbonCreditSystemModule#CarbonCreditToken'),
+        nftContract: await contractAt('CarbonCreditNFT', 'CarbonCreditSystemModule#CarbonCreditNFT'),
+        marketplace: await contractAt('CarbonCreditMarketplace', 'CarbonCreditSystemModule#CarbonCreditMarketplace'),
+        converterContract: await contractAt('CarbonCreditConverter', 'CarbonCreditSystemModule#CarbonCreditConverter'),
+        verification: await contractAt('CarbonCreditVerification', 'CarbonCreditSystemModule#CarbonCreditVerification'),
+        stablecoin: await contractAt('MockStablecoin', 'MockStablecoinsModule#cUSD'),
+    };
+    if ((await contracts.projectRegistry.projectCount()) > 0n) {
+        console.log('ℹ️  The deployment already has projects; restart the node and delete its Ignition deployment to seed again.');
+        return;
+    }
+
+    const [admin, minter, verifier, secondVerifier, buyer, developer] = await ethers.getSigners();
+    await (await contracts.stablecoin.mint(buyer.address, ethers.parseEther('1000'))).wait();
+    const { projects, nftIds, tokenListings, buyOrderId } = await seedDemo(ethers, contracts, {
+        admin,
+        minter,
+        verifier,
+        secondVerifier,
+        developer,
+        buyer,
+    });
+
+    console.log(`🌱 Seeded ${projects.length} projects, ${nftIds.length} NFT listings, ${tokenListings.length} token listings and buy order #${buyOrderId}`);
+    console.log(`   Developer ${developer.address}, buyer ${buyer.address}, verifiers ${verifier.address} and ${secondVerifier.address}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
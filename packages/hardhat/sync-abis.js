@@ -2,55 +2,301 @@
 
 const fs = require('fs');
 const path = require('path');
+const { Interface, JsonRpcProvider, getAddress } = require('ethers');
 
 // Configuration - directory files
 const HARDHAT_ARTIFACTS_PATH = './artifacts/contracts';
+const IGNITION_DEPLOYMENTS_PATH = './ignition/deployments';
 const REACT_ABI_PATH = '../react-app/abis';
+const REACT_MANIFEST_PATH = '../react-app/abis/deployments.json';
+const REACT_CLIENT_PATH = '../react-app/lib/generated.ts';
+const REACT_LOCAL_ENV_PATH = '../react-app/.env.local';
 
-// Create the React ABI directory if it doesn't exist
-if (!fs.existsSync(REACT_ABI_PATH)) {
-    fs.mkdirSync(REACT_ABI_PATH, { recursive: true });
+// The Ignition module whose contracts the dApp uses; mock stablecoins deployed
+// into the same deployment folder are left out of the manifest
+const IGNITION_MODULE = 'CarbonCreditSystemModule';
+
+// Contracts that get a typed ABI, per-chain addresses and hooks in the generated client
+const CLIENT_CONTRACTS = [
+    'RoleManager',
+    'CarbonCreditProjectRegistry',
+    'CarbonCreditNFT',
+    'CarbonCreditToken',
+    'CarbonCreditMarketplace',
+    'CarbonCreditConverter',
+    'CarbonCreditRetirement',
+    'CarbonCreditVerification',
+    'CarbonCreditMetadata',
+    'CarbonCreditForwarder',
+];
+
+const CHAIN_NAMES = { 42220: 'celo', 44787: 'alfajores', 31337: 'localhost' };
+
+// Nodes the deployed code is read from, as in hardhat.config.ts plus a local `npx hardhat node`
+const RPC_URLS = {
+    42220: 'https://forno.celo.org',
+    44787: 'https://alfajores-forno.celo-testnet.org',
+    31337: 'http://127.0.0.1:8545',
+};
+
+// Local node deployments change with every restart, so their addresses are not committed to the
+// manifest; they go to the dApp's untracked .env.local as the fallback addresses instead
+const LOCAL_CHAIN_ID = 31337;
+const LOCAL_ENV_VARS = {
+    CarbonCreditMarketplace: 'NEXT_PUBLIC_MARKETPLACE_ADDRESS',
+    CarbonCreditNFT: 'NEXT_PUBLIC_NFT_ADDRESS',
+    CarbonCreditToken: 'NEXT_PUBLIC_TOKEN_ADDRESS',
+    CarbonCreditConverter: 'NEXT_PUBLIC_CONVERTER_ADDRESS',
+    CarbonCreditRetirement: 'NEXT_PUBLIC_RETIREMENT_ADDRESS',
+    CarbonCreditVerification: 'NEXT_PUBLIC_VERIFICATION_ADDRESS',
+    CarbonCreditProjectRegistry: 'NEXT_PUBLIC_PROJECT_REGISTRY_ADDRESS',
+    RoleManager: 'NEXT_PUBLIC_ROLE_MANAGER_ADDRESS',
+    CarbonCreditForwarder: 'NEXT_PUBLIC_FORWARDER_ADDRESS',
+};
+
+// Reads the ABI of a contract from its Hardhat artifact, which is named after the contract and its source file
+function readAbi(name) {
+    const artifactPath = path.join(HARDHAT_ARTIFACTS_PATH, `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(artifactPath)) return undefined;
+    return JSON.parse(fs.readFileSync(artifactPath, 'utf8')).abi;
 }
 
-// Function to walk through directories recursively
-function walkDir(dir) {
-    let results = [];
-    const list = fs.readdirSync(dir);
-    list.forEach(file => {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-        if (stat && stat.isDirectory()) {
-            results = results.concat(walkDir(filePath));
-        } else {
-            if (file.endsWith('.json') && !file.includes('.dbg.')) {
-                results.push(filePath);
+// Reads the chain ID an Ignition deployment was made on from the first entry of its journal
+function deploymentChainId(deploymentDir) {
+    const journal = fs.readFileSync(path.join(deploymentDir, 'journal.jsonl'), 'utf8');
+    return JSON.parse(journal.split('\n').find(line => line.trim() !== '')).chainId;
+}
+
+// Reads every Ignition deployment: its chain and the address and name of each contract of IGNITION_MODULE
+function readDeployments() {
+    if (!fs.existsSync(IGNITION_DEPLOYMENTS_PATH)) return [];
+
+    return fs.readdirSync(IGNITION_DEPLOYMENTS_PATH)
+        .map(deploymentId => path.join(IGNITION_DEPLOYMENTS_PATH, deploymentId))
+        .filter(deploymentDir => fs.existsSync(path.join(deploymentDir, 'deployed_addresses.json')))
+        .map(deploymentDir => {
+            const addresses = JSON.parse(fs.readFileSync(path.join(deploymentDir, 'deployed_addresses.json'), 'utf8'));
+            const contracts = Object.entries(addresses)
+                .filter(([futureId]) => futureId.startsWith(`${IGNITION_MODULE}#`))
+                .map(([futureId, address]) => {
+                    const artifactPath = path.join(deploymentDir, 'artifacts', `${futureId}.json`);
+                    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+                    return { name: artifact.contractName, address: getAddress(address) };
+                });
+            return { deploymentDir, chainId: deploymentChainId(deploymentDir), contracts };
+        });
+}
+
+// Collects the operands of the PUSH1-PUSH4 instructions in a bytecode, which is
+// where the Solidity dispatcher compares the function selectors it handles
+function pushedSelectors(bytecode) {
+    const code = Buffer.from(bytecode.replace(/^0x/, ''), 'hex');
+    const selectors = new Set();
+    for (let i = 0; i < code.length; i++) {
+        const opcode = code[i];
+        if (opcode >= 0x60 && opcode <= 0x7f) {
+            const size = opcode - 0x5f;
+            if (size <= 4) {
+                selectors.add(code.subarray(i + 1, i + 1 + size).toString('hex').padStart(8, '0'));
             }
+            i += size;
+        }
+    }
+    return selectors;
+}
+
+// Lists the functions of an ABI that a deployed bytecode does not implement
+function missingFunctions(abi, deployedBytecode) {
+    const selectors = pushedSelectors(deployedBytecode);
+    const missing = [];
+    new Interface(abi).forEachFunction(fragment => {
+        if (!selectors.has(fragment.selector.slice(2))) missing.push(fragment.format('sighash'));
+    });
+    return missing;
+}
+
+// Lists what is wrong with the contracts of a deployment: the code at each address is read from the
+// chain, so a contract that changed since it was deployed, or a local node that was restarted, is caught
+async function checkDeployment({ deploymentDir, chainId, contracts }, abis) {
+    const url = RPC_URLS[chainId];
+    if (!url) return [`${deploymentDir}: no RPC URL for chain ${chainId} in sync-abis.js`];
+
+    const provider = new JsonRpcProvider(url, chainId, { staticNetwork: true });
+    const errors = [];
+    try {
+        for (const { name, address } of contracts) {
+            if (!abis[name]) continue;
+            const code = await provider.getCode(address);
+            if (code === '0x') {
+                errors.push(`${name} (${deploymentDir}) has no code at ${address} on ${url}`);
+                continue;
+            }
+            const missing = missingFunctions(abis[name], code);
+            if (missing.length > 0) {
+                errors.push(`${name} at ${address} (${deploymentDir}) does not implement ${missing.join(', ')}`);
+            }
+        }
+    } catch (error) {
+        errors.push(`${deploymentDir}: could not read the deployed code from ${url} (${error.shortMessage ?? error.message})`);
+    } finally {
+        provider.destroy();
+    }
+    return errors;
+}
+
+// Builds the per-chain address manifest and the local node's addresses; with `checkCode`, every
+// deployed contract is also checked against its current ABI
+async function buildManifest(deployments, abis, checkCode) {
+    const manifest = {};
+    let localAddresses;
+    const errors = [];
+    const seen = new Set();
+    for (const deployment of deployments) {
+        const { deploymentDir, chainId, contracts } = deployment;
+        if (seen.has(chainId)) {
+            errors.push(`${deploymentDir}: a second deployment for chain ${chainId}; remove one of them`);
+            continue;
         }
+        seen.add(chainId);
+        if (checkCode) errors.push(...(await checkDeployment(deployment, abis)));
+
+        const addresses = Object.fromEntries(contracts.map(({ name, address }) => [name, address]));
+        if (chainId === LOCAL_CHAIN_ID) {
+            localAddresses = addresses;
+        } else {
+            manifest[chainId] = addresses;
+        }
+    }
+    return { manifest, localAddresses, errors };
+}
+
+// Sets the NEXT_PUBLIC_*_ADDRESS variables of the dApp's .env.local, keeping its other lines
+function writeLocalEnv(addresses) {
+    const managed = Object.values(LOCAL_ENV_VARS);
+    const lines = fs.existsSync(REACT_LOCAL_ENV_PATH)
+        ? fs.readFileSync(REACT_LOCAL_ENV_PATH, 'utf8').split('\n').filter(line => !managed.some(name => line.startsWith(`${name}=`)))
+        : [];
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    Object.entries(LOCAL_ENV_VARS).forEach(([name, variable]) => {
+        if (addresses[name]) lines.push(`${variable}=${addresses[name]}`);
     });
-    return results;
+    fs.writeFileSync(REACT_LOCAL_ENV_PATH, `${lines.join('\n')}\n`);
+}
+
+function camelCase(name) {
+    return name.replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, prefix => prefix.toLowerCase());
+}
+
+function pascalCase(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Renders the typed client: ABIs as const, per-chain addresses and wagmi hooks
+// resolving the address of the connected chain (see wagmi/codegen)
+function renderClient(abis, manifest) {
+    const lines = [
+        '// Generated by packages/hardhat/sync-abis.js from the Hardhat artifacts and',
+        '// Ignition deployments. Do not edit; run `yarn hardhat:sync:abis` instead.',
+        '',
+        'import {',
+        '  createUseReadContract,',
+        '  createUseWatchContractEvent,',
+        '  createUseWriteContract,',
+        "} from 'wagmi/codegen';",
+        '',
+    ];
+
+    CLIENT_CONTRACTS.forEach(name => {
+        const id = camelCase(name);
+        const hook = pascalCase(id);
+        const abi = abis[name];
+        const addresses = Object.keys(manifest)
+            .filter(chainId => manifest[chainId][name])
+            .map(chainId => `  ${chainId}: '${manifest[chainId][name]}',`);
+
+        lines.push(
+            `// ${name}`,
+            '',
+            `export const ${id}Abi = ${JSON.stringify(abi, null, 2)} as const;`,
+            '',
+            `export const ${id}Address = {`,
+            ...addresses,
+            '} as const;',
+            '',
+            `export const ${id}Config = { address: ${id}Address, abi: ${id}Abi } as const;`,
+            '',
+            `export const useRead${hook} = /*#__PURE__*/ createUseReadContract(${id}Config);`,
+            `export const useWrite${hook} = /*#__PURE__*/ createUseWriteContract(${id}Config);`,
+            `export const useWatch${hook}Event = /*#__PURE__*/ createUseWatchContractEvent(${id}Config);`
+        );
+
+        const seen = new Set();
+        abi.filter(item => item.type === 'function').forEach(fn => {
+            // Overloads share one hook; the arguments pick the overload
+            if (seen.has(fn.name)) return;
+            seen.add(fn.name);
+            const isRead = fn.stateMutability === 'view' || fn.stateMutability === 'pure';
+            lines.push(
+                `export const use${isRead ? 'Read' : 'Write'}${hook}${pascalCase(fn.name)} = /*#__PURE__*/ ` +
+                    `${isRead ? 'createUseReadContract' : 'createUseWriteContract'}({ ...${id}Config, functionName: '${fn.name}' });`
+            );
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
 }
 
 // Main script
-console.log("🔄 Syncing ABIs to React app...");
+async function main() {
+    console.log("🔄 Syncing ABIs to React app...");
+
+    // Only the deployable contracts; mocks and the interfaces declared in several sources are left out
+    const abis = Object.fromEntries(CLIENT_CONTRACTS.map(name => [name, readAbi(name)]));
+    const missingContracts = CLIENT_CONTRACTS.filter(name => !abis[name]);
+    if (missingContracts.length > 0) {
+        throw new Error(`No artifacts for ${missingContracts.join(', ')}; run \`npx hardhat compile\` first`);
+    }
 
-try {
-    // Find all artifact JSON files
-    const artifactFiles = walkDir(HARDHAT_ARTIFACTS_PATH);
+    // Check the deployments before writing anything, so that a mismatch leaves the app untouched. Reading
+    // the deployed code needs every deployment's node, so it only happens with --check-deployments
+    const checkCode = process.argv.includes('--check-deployments');
+    const { manifest, localAddresses, errors } = await buildManifest(readDeployments(), abis, checkCode);
+    if (errors.length > 0) {
+        console.error("❌ The deployments don't match the compiled contracts:");
+        errors.forEach(error => console.error(`   - ${error}`));
+        console.error('   Redeploy with Ignition, start the node a local deployment was made on, or delete a stale deployment (e.g. ignition/deployments/chain-31337 after restarting a local node).');
+        process.exit(1);
+    }
 
-    artifactFiles.forEach(filepath => {
-        // Read and parse the artifact file
-        const artifact = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-        const filename = path.basename(filepath);
-        const contractName = filename.replace('.json', '');
+    // Create the React ABI directory if it doesn't exist
+    if (!fs.existsSync(REACT_ABI_PATH)) {
+        fs.mkdirSync(REACT_ABI_PATH, { recursive: true });
+    }
 
-        // Extract and save just the ABI
+    // Extract and save just the ABIs
+    Object.entries(abis).forEach(([contractName, abi]) => {
         const abiPath = path.join(REACT_ABI_PATH, `${contractName}.json`);
-        fs.writeFileSync(abiPath, JSON.stringify(artifact.abi, null, 2));
+        fs.writeFileSync(abiPath, JSON.stringify(abi, null, 2));
         console.log(`Copied ABI for ${contractName}`);
     });
 
+    fs.writeFileSync(REACT_MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+    Object.keys(manifest).forEach(chainId => {
+        console.log(`Recorded ${Object.keys(manifest[chainId]).length} addresses on ${CHAIN_NAMES[chainId] ?? `chain ${chainId}`}`);
+    });
+    if (localAddresses) {
+        writeLocalEnv(localAddresses);
+        console.log(`Recorded the local node's addresses in ${REACT_LOCAL_ENV_PATH}`);
+    }
+
+    fs.writeFileSync(REACT_CLIENT_PATH, renderClient(abis, manifest));
+    console.log(`Generated typed contract hooks in ${REACT_CLIENT_PATH}`);
+
     console.log("✅ ABI sync complete!");
-} catch (error) {
+}
+
+main().catch(error => {
     console.error("❌ Error syncing ABIs:", error);
     process.exit(1);
-}
+});
@@ -1,5 +1,44 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");describe("Carbon Credit System", function () {
+const { ethers, ignition } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { validateMetadata, decodeTokenURI } = require("../metadata/validate-metadata");
+const { RelayError, signForwardRequest, createRelayer, createServer } = require("../relayer/relayer");
+const { DEMO_PROJECTS, seedDemo } = require("../scenarios/demo");describe("Carbon Credit System", function () {
+  // CarbonCreditProjectRegistry.ProjectStatus
+  const PROJECT_REGISTERED = 1;
+  const PROJECT_VALIDATED = 2;
+  const PROJECT_ACTIVE = 3;
+  const PROJECT_SUSPENDED = 4;
+  const PROJECT_RETIRED = 5;
+
+  // Token amounts have 18 decimals: tonnes(1) is one tonne of CO2e
+  const tonnes = (value) => ethers.parseUnits(String(value), 18);
+
+  // EIP-712 types of the marketplace's signed orders
+  const NFT_ORDER_TYPES = {
+    NFTOrder: [
+      { name: "seller", type: "address" },
+      { name: "tokenId", type: "uint256" },
+      { name: "price", type: "uint256" },
+      { name: "paymentToken", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const TOKEN_ORDER_TYPES = {
+    TokenOrder: [
+      { name: "seller", type: "address" },
+      { name: "creditsId", type: "uint256" },
+      { name: "vintageYear", type: "uint256" },
+      { name: "amount", type: "uint256" },
+      { name: "pricePerUnit", type: "uint256" },
+      { name: "paymentToken", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
   async function deployCarbonCreditFixture() {
     const [owner, minter, verifier, converter, buyer, seller] = await ethers.getSigners();
 
@@ -7,21 +46,38 @@ const { ethers } = require("hardhat");describe("Carbon Credit System", function
 const RoleManager = await ethers.getContractFactory("RoleManager");
 const roleManager = await RoleManager.deploy();
 
+// Deploy CarbonCreditProjectRegistry
+const CarbonCreditProjectRegistry = await ethers.getContractFactory("CarbonCreditProjectRegistry");
+const projectRegistry = await CarbonCreditProjectRegistry.deploy(roleManager.target);
+
+// Deploy CarbonCreditForwarder, the trusted forwarder of gasless (ERC-2771) calls
+const CarbonCreditForwarder = await ethers.getContractFactory("CarbonCreditForwarder");
+const forwarder = await CarbonCreditForwarder.deploy();
+
 // Deploy CarbonCreditToken
 const CarbonCreditToken = await ethers.getContractFactory("CarbonCreditToken");
-const tokenContract = await CarbonCreditToken.deploy(roleManager.target);
+const tokenContract = await CarbonCreditToken.deploy(roleManager.target, projectRegistry.target, forwarder.target);
 
 // Deploy CarbonCreditNFT
 const CarbonCreditNFT = await ethers.getContractFactory("CarbonCreditNFT");
-const nftContract = await CarbonCreditNFT.deploy(roleManager.target);
+const nftContract = await CarbonCreditNFT.deploy(roleManager.target, projectRegistry.target, tokenContract.target, forwarder.target);
 
 // Deploy CarbonCreditMarketplace
 const CarbonCreditMarketplace = await ethers.getContractFactory("CarbonCreditMarketplace");
-const marketplace = await CarbonCreditMarketplace.deploy(nftContract.target, tokenContract.target);
+const marketplace = await CarbonCreditMarketplace.deploy(nftContract.target, tokenContract.target, roleManager.target, forwarder.target);
 
 // Deploy CarbonCreditConverter
 const CarbonCreditConverter = await ethers.getContractFactory("CarbonCreditConverter");
-const converterContract = await CarbonCreditConverter.deploy(nftContract.target, tokenContract.target);
+const converterContract = await CarbonCreditConverter.deploy(nftContract.target, tokenContract.target, roleManager.target, forwarder.target);
+
+// Deploy CarbonCreditRetirement
+const CarbonCreditRetirement = await ethers.getContractFactory("CarbonCreditRetirement");
+const retirementContract = await CarbonCreditRetirement.deploy(nftContract.target, tokenContract.target);
+
+// Deploy a mock cUSD stablecoin and fund the buyer with it
+const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+const stablecoin = await MockStablecoin.deploy("Celo Dollar", "cUSD");
+await stablecoin.mint(buyer.address, ethers.parseEther("1000"));
 
 // Grant roles via RoleManager
 const MINTER_ROLE = await roleManager.MINTER_ROLE();
@@ -31,16 +87,30 @@ const CONVERTER_ROLE = await tokenContract.CONVERTER_ROLE();
 await roleManager.grantRoleToContract(MINTER_ROLE, minter.address, nftContract.target);
 await roleManager.grantRoleToContract(VERIFIER_ROLE, verifier.address, tokenContract.target);
 await roleManager.grantRoleToContract(CONVERTER_ROLE, converterContract.target, tokenContract.target);
+await roleManager.grantRoleToContract(CONVERTER_ROLE, converterContract.target, nftContract.target);
+await roleManager.grantRoleToContract(await tokenContract.ISSUER_ROLE(), nftContract.target, tokenContract.target);
+await roleManager.grantRoleToContract(VERIFIER_ROLE, verifier.address, projectRegistry.target);
+
+// Register two active projects (creditsId 1 and 2), developed by the seller
+for (const projectId of [1, 2]) {
+  await projectRegistry.connect(seller).registerProject("Kenya", "VM0009", `ipfs://project-${projectId}`);
+  await projectRegistry.connect(verifier).setProjectStatus(projectId, PROJECT_VALIDATED);
+  await projectRegistry.connect(verifier).setProjectStatus(projectId, PROJECT_ACTIVE);
+}
 
 // Set marketplace address in CarbonCreditNFT
 await nftContract.updateMarketplaceAddress(marketplace.target);
 
 return {
   roleManager,
+  projectRegistry,
   tokenContract,
   nftContract,
   marketplace,
   converterContract,
+  retirementContract,
+  stablecoin,
+  forwarder,
   owner,
   minter,
   verifier,
@@ -70,9 +140,13 @@ return {
 it("Should revert if deploying with zero addresses", async function () {
   const CarbonCreditMarketplace = await ethers.getContractFactory("CarbonCreditMarketplace");
   const CarbonCreditConverter = await ethers.getContractFactory("CarbonCreditConverter");
+  const CarbonCreditToken = await ethers.getContractFactory("CarbonCreditToken");
+  const CarbonCreditNFT = await ethers.getContractFactory("CarbonCreditNFT");
 
-  await expect(CarbonCreditMarketplace.deploy(ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
-  await expect(CarbonCreditConverter.deploy(ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
+  await expect(CarbonCreditMarketplace.deploy(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
+  await expect(CarbonCreditToken.deploy(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
+  await expect(CarbonCreditNFT.deploy(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
+  await expect(CarbonCreditConverter.deploy(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
 });
 
   });  describe("Role Management", function () {
@@ -117,15 +191,100 @@ it("Should revert if granting roles with invalid addresses", async function () {
       roleManager.revokeRoleFromContract(MINTER_ROLE, nonMinter.address, nftContract.target)
     ).to.not.be.reverted;
     expect(await roleManager.hasRoleInContract(MINTER_ROLE, nonMinter.address, nftContract.target)).to.be.false;
+  });
+
+  it("Should emit events when granting and revoking roles", async function () {
+    const { roleManager, nftContract, buyer, MINTER_ROLE } = await deployCarbonCreditFixture();
+
+    await expect(roleManager.grantRoleToContract(MINTER_ROLE, buyer.address, nftContract.target))
+      .to.emit(roleManager, "ContractRoleGranted")
+      .withArgs(MINTER_ROLE, buyer.address, nftContract.target);
+    await expect(roleManager.revokeRoleFromContract(MINTER_ROLE, buyer.address, nftContract.target))
+      .to.emit(roleManager, "ContractRoleRevoked")
+      .withArgs(MINTER_ROLE, buyer.address, nftContract.target);
+  });
+
+  it("Should grant and revoke roles in batches across contracts", async function () {
+    const { roleManager, nftContract, tokenContract, projectRegistry, buyer, seller, MINTER_ROLE, VERIFIER_ROLE } =
+      await deployCarbonCreditFixture();
+    const roles = [MINTER_ROLE, VERIFIER_ROLE, VERIFIER_ROLE];
+    const accounts = [buyer.address, seller.address, seller.address];
+    const targets = [nftContract.target, tokenContract.target, projectRegistry.target];
+
+    await expect(roleManager.batchGrantRoles(roles, accounts, targets))
+      .to.emit(roleManager, "ContractRoleGranted")
+      .withArgs(VERIFIER_ROLE, seller.address, projectRegistry.target);
+    for (let i = 0; i < roles.length; i++) {
+      expect(await roleManager.hasRoleInContract(roles[i], accounts[i], targets[i])).to.be.true;
+    }
+
+    await expect(roleManager.batchRevokeRoles(roles.slice(0, 2), accounts.slice(0, 2), targets.slice(0, 2)))
+      .to.emit(roleManager, "ContractRoleRevoked")
+      .withArgs(MINTER_ROLE, buyer.address, nftContract.target);
+    expect(await nftContract.hasRole(MINTER_ROLE, buyer.address)).to.be.false;
+    expect(await tokenContract.hasRole(VERIFIER_ROLE, seller.address)).to.be.false;
+    expect(await projectRegistry.hasRole(VERIFIER_ROLE, seller.address)).to.be.true;
+  });
+
+  it("Should reject invalid batch role changes as a whole", async function () {
+    const { roleManager, nftContract, tokenContract, buyer, seller, MINTER_ROLE, VERIFIER_ROLE } =
+      await deployCarbonCreditFixture();
+
+    await expect(
+      roleManager.batchGrantRoles([MINTER_ROLE, VERIFIER_ROLE], [buyer.address], [nftContract.target, tokenContract.target])
+    ).to.be.revertedWithCustomError(roleManager, "ArrayLengthMismatch");
+    await expect(
+      roleManager.batchRevokeRoles([MINTER_ROLE], [buyer.address], [])
+    ).to.be.revertedWithCustomError(roleManager, "ArrayLengthMismatch");
+    await expect(
+      roleManager.connect(seller).batchGrantRoles([MINTER_ROLE], [seller.address], [nftContract.target])
+    ).to.be.revertedWithCustomError(roleManager, "AccessControlUnauthorizedAccount");
+
+    // The second entry is invalid, so the first one is not applied either
+    await expect(
+      roleManager.batchGrantRoles(
+        [MINTER_ROLE, VERIFIER_ROLE],
+        [buyer.address, ethers.ZeroAddress],
+        [nftContract.target, tokenContract.target]
+      )
+    ).to.be.revertedWith("Invalid account address");
+    expect(await nftContract.hasRole(MINTER_ROLE, buyer.address)).to.be.false;
+  });
+
+  it("Should list the members of a role in each contract", async function () {
+    const { roleManager, nftContract, tokenContract, owner, minter, verifier, converterContract, MINTER_ROLE, VERIFIER_ROLE, CONVERTER_ROLE } =
+      await deployCarbonCreditFixture();
+    const DEFAULT_ADMIN_ROLE = await roleManager.DEFAULT_ADMIN_ROLE();
+
+    expect(await roleManager.getRoleMembersInContract(MINTER_ROLE, nftContract.target)).to.deep.equal([
+      owner.address,
+      minter.address,
+    ]);
+    expect(await roleManager.getRoleMembersInContract(VERIFIER_ROLE, tokenContract.target)).to.deep.equal([owner.address, verifier.address]);
+    expect(await roleManager.getRoleMembersInContract(CONVERTER_ROLE, tokenContract.target)).to.deep.equal([converterContract.target]);
+    expect(await roleManager.getRoleMembersInContract(CONVERTER_ROLE, nftContract.target)).to.deep.equal([converterContract.target]);
+    // Roles granted directly on the target contract are listed too
+    expect(await roleManager.getRoleMembersInContract(DEFAULT_ADMIN_ROLE, tokenContract.target)).to.deep.equal([
+      owner.address,
+      roleManager.target,
+    ]);
+    expect(await roleManager.getRoleMemberCountInContract(MINTER_ROLE, nftContract.target)).to.equal(2);
+
+    await roleManager.revokeRoleFromContract(MINTER_ROLE, minter.address, nftContract.target);
+    expect(await roleManager.getRoleMembersInContract(MINTER_ROLE, nftContract.target)).to.deep.equal([owner.address]);
+    expect(await roleManager.getRoleMemberCountInContract(MINTER_ROLE, nftContract.target)).to.equal(1);
+
+    await expect(roleManager.getRoleMembersInContract(MINTER_ROLE, ethers.ZeroAddress)).to.be.revertedWith("Invalid contract address");
   });  });  describe("CarbonCreditNFT", function () {
     it("Should mint NFT and approve marketplace", async function () {
-      const { nftContract, marketplace, minter } = await deployCarbonCreditFixture();
+      const { nftContract, marketplace, minter, tokenContract, verifier } = await deployCarbonCreditFixture();
       const carbonTons = 10;
       const tokenURI = "ipfs://test";
 
-  await expect(nftContract.connect(minter).mint(minter.address, carbonTons, tokenURI))
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await expect(nftContract.connect(minter).mint(minter.address, 1, 2023, carbonTons, tokenURI))
     .to.emit(nftContract, "CreditMinted")
-    .withArgs(0, minter.address, carbonTons, tokenURI);
+    .withArgs(0, minter.address, 1, 2023, carbonTons, tokenURI);
 
   expect(await nftContract.ownerOf(0)).to.equal(minter.address);
   expect(await nftContract.carbonAmount(0)).to.equal(carbonTons);
@@ -134,24 +293,26 @@ it("Should revert if granting roles with invalid addresses", async function () {
 });
 
    it("Should mint NFT without marketplace approval if address is zero", async function () {
-const { roleManager, minter } = await deployCarbonCreditFixture();
+const { roleManager, projectRegistry, tokenContract, verifier, minter } = await deployCarbonCreditFixture();
 const carbonTons = 10;
 const tokenURI = "ipfs://test";
 
 // Deploy a new CarbonCreditNFT instance without setting marketplace address
 const CarbonCreditNFT = await ethers.getContractFactory("CarbonCreditNFT");
-const nftContract = await CarbonCreditNFT.deploy(roleManager.target);
+const nftContract = await CarbonCreditNFT.deploy(roleManager.target, projectRegistry.target, tokenContract.target, ethers.ZeroAddress);
 
-// Grant MINTER_ROLE to minter
+// Grant MINTER_ROLE to minter, and let the NFT count its mints against the token's issuance caps
 const MINTER_ROLE = await roleManager.MINTER_ROLE();
 await roleManager.grantRoleToContract(MINTER_ROLE, minter.address, nftContract.target);
+await roleManager.grantRoleToContract(await tokenContract.ISSUER_ROLE(), nftContract.target, tokenContract.target);
+await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv", "Verra", "Renewable", tonnes(1000));
 
 // Verify marketplace address is zero
 expect(await nftContract.marketplaceAddress()).to.equal(ethers.ZeroAddress);
 
-await expect(nftContract.connect(minter).mint(minter.address, carbonTons, tokenURI))
+await expect(nftContract.connect(minter).mint(minter.address, 1, 2023, carbonTons, tokenURI))
   .to.emit(nftContract, "CreditMinted")
-  .withArgs(0, minter.address, carbonTons, tokenURI);
+  .withArgs(0, minter.address, 1, 2023, carbonTons, tokenURI);
 
 expect(await nftContract.getApproved(0)).to.equal(ethers.ZeroAddress);
 
@@ -160,22 +321,45 @@ expect(await nftContract.getApproved(0)).to.equal(ethers.ZeroAddress);
 it("Should revert if non-minter tries to mint", async function () {
   const { nftContract, seller } = await deployCarbonCreditFixture();
   await expect(
-    nftContract.connect(seller).mint(seller.address, 10, "ipfs://test")
+    nftContract.connect(seller).mint(seller.address, 1, 2023, 10, "ipfs://test")
   ).to.be.revertedWithCustomError(nftContract, "NotMinter");
 });
 
+it("Should count NFT mints against the vintage's issuance cap", async function () {
+  const { nftContract, tokenContract, minter, verifier } = await deployCarbonCreditFixture();
+  const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+
+  await expect(nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(10), "ipfs://test"))
+    .to.be.revertedWithCustomError(tokenContract, "VerificationDataMissing");
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv", "Verra", "Renewable", tonnes(100));
+  await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, tonnes(60));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(30), "ipfs://test");
+  expect((await tokenContract.verificationData(key)).issuedAmount).to.equal(tonnes(90));
+  expect(await tokenContract.remainingIssuableSupply(1, 2023)).to.equal(tonnes(10));
+
+  await expect(nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(11), "ipfs://test"))
+    .to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded")
+    .withArgs(tonnes(11), tonnes(10));
+  await expect(tokenContract.connect(verifier).recordIssuance(1, 2023, tonnes(1)))
+    .to.be.revertedWithCustomError(tokenContract, "AccessControlUnauthorizedAccount");
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(10), "ipfs://test");
+  expect(await tokenContract.remainingIssuableSupply(1, 2023)).to.equal(0);
+});
+
 it("Should revert if minting with zero carbon tons", async function () {
   const { nftContract, minter } = await deployCarbonCreditFixture();
   await expect(
-    nftContract.connect(minter).mint(minter.address, 0, "ipfs://test")
+    nftContract.connect(minter).mint(minter.address, 1, 2023, 0, "ipfs://test")
   ).to.be.revertedWithCustomError(nftContract, "InvalidCarbonAmount");
 });
 
 it("Should burn NFT if called by owner", async function () {
-  const { nftContract, minter, buyer } = await deployCarbonCreditFixture();
+  const { nftContract, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
   const tokenId = 0;
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
 
   await expect(
     nftContract.connect(buyer).burn(tokenId)
@@ -206,6 +390,33 @@ it("Should revert if updating marketplace with zero address", async function ()
   ).to.be.revertedWithCustomError(nftContract, "InvalidMarketplaceAddress");
 });
 
+it("Should assign ERC-2981 royalties to the original recipient", async function () {
+  const { nftContract, owner, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
+
+  await expect(nftContract.connect(owner).setRoyalty(500))
+    .to.emit(nftContract, "RoyaltyUpdated")
+    .withArgs(500);
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await nftContract.connect(minter).transferFrom(minter.address, buyer.address, 0);
+
+  const [receiver, royalty] = await nftContract.royaltyInfo(0, ethers.parseEther("2"));
+  expect(receiver).to.equal(minter.address);
+  expect(royalty).to.equal(ethers.parseEther("0.1"));
+  expect(await nftContract.supportsInterface("0x2a55205a")).to.be.true;
+});
+
+it("Should revert if setting an invalid royalty or without admin role", async function () {
+  const { nftContract, owner, minter } = await deployCarbonCreditFixture();
+
+  await expect(
+    nftContract.connect(owner).setRoyalty(1001)
+  ).to.be.revertedWithCustomError(nftContract, "InvalidRoyalty");
+  await expect(
+    nftContract.connect(minter).setRoyalty(100)
+  ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+});
+
   });  describe("CarbonCreditToken", function () {
     it("Should set verification data and issue credits", async function () {
       const { tokenContract, verifier } = await deployCarbonCreditFixture();
@@ -216,10 +427,10 @@ it("Should revert if updating marketplace with zero address", async function ()
       const amount = 100;
 
   await expect(
-    tokenContract.connect(verifier).setVerificationData(vintageYear, mrvDataHash, verificationStandard, creditType)
+    tokenContract.connect(verifier).setVerificationData(1, vintageYear, mrvDataHash, verificationStandard, creditType, amount)
   )
     .to.emit(tokenContract, "VerificationDataSet")
-    .withArgs(1, vintageYear, mrvDataHash, verificationStandard, creditType);
+    .withArgs(1, vintageYear, mrvDataHash, verificationStandard, creditType, amount);
 
   await expect(tokenContract.connect(verifier).issueCredits(verifier.address, 1, vintageYear, amount))
     .to.emit(tokenContract, "CreditsIssued")
@@ -238,23 +449,69 @@ it("Should revert if non-verifier tries to issue credits", async function () {
 it("Should revert if setting verification data with empty MRV hash", async function () {
   const { tokenContract, verifier } = await deployCarbonCreditFixture();
   await expect(
-    tokenContract.connect(verifier).setVerificationData(2023, "", "Verra", "Renewable")
+    tokenContract.connect(verifier).setVerificationData(1, 2023, "", "Verra", "Renewable", 1000)
   ).to.be.revertedWithCustomError(tokenContract, "EmptyMRVDataHash");
 });
 
 it("Should revert if issuing credits with zero amount", async function () {
   const { tokenContract, verifier } = await deployCarbonCreditFixture();
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 1000);
   await expect(
     tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, 0)
   ).to.be.revertedWithCustomError(tokenContract, "InvalidCreditAmount");
 });
 
+it("Should revert if setting verification data without verified tonnage", async function () {
+  const { tokenContract, verifier } = await deployCarbonCreditFixture();
+  await expect(
+    tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 0)
+  ).to.be.revertedWithCustomError(tokenContract, "InvalidVerifiedTonnage");
+});
+
+it("Should cap cumulative issuance at the verified tonnage", async function () {
+  const { tokenContract, verifier, buyer } = await deployCarbonCreditFixture();
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 100);
+
+  await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, 60);
+  expect(await tokenContract.remainingIssuableSupply(1, 2023)).to.equal(40);
+
+  await expect(tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2023, 50))
+    .to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded")
+    .withArgs(50, 40);
+
+  await tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2023, 40);
+  expect(await tokenContract.remainingIssuableSupply(1, 2023)).to.equal(0);
+  await expect(tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2023, 1))
+    .to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded")
+    .withArgs(1, 0);
+
+  const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+  const data = await tokenContract.verificationData(key);
+  expect(data.verifiedTonnage).to.equal(100);
+  expect(data.issuedAmount).to.equal(100);
+  expect(await tokenContract.totalSupply()).to.equal(100);
+});
+
+it("Should report the issuance caps of a project", async function () {
+  const { tokenContract, verifier } = await deployCarbonCreditFixture();
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 100);
+  await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, 30);
+
+  const [vintageYears, verifiedTonnages, remaining] = await tokenContract.getIssuanceCaps(1);
+  expect(vintageYears).to.deep.equal([2023n]);
+  expect(verifiedTonnages).to.deep.equal([100n]);
+  expect(remaining).to.deep.equal([70n]);
+
+  const [unknownVintages] = await tokenContract.getIssuanceCaps(2);
+  expect(unknownVintages).to.have.length(0);
+  expect(await tokenContract.remainingIssuableSupply(1, 2024)).to.equal(0);
+});
+
 it("Should burn tokens", async function () {
   const { tokenContract, verifier } = await deployCarbonCreditFixture();
   const amount = 100;
 
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 1000);
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
 
   await tokenContract.connect(verifier).burn(50);
@@ -268,9 +525,9 @@ it("Should retrieve verified projects", async function () {
   const verificationStandard = "Verra";
   const creditType = "Renewable";
 
-  await tokenContract.connect(verifier).setVerificationData(vintageYear, mrvDataHash, verificationStandard, creditType);
+  await tokenContract.connect(verifier).setVerificationData(1, vintageYear, mrvDataHash, verificationStandard, creditType, 1000);
 
-  const [creditsIds, vintageYears, data] = await tokenContract.getVerifiedProjects();
+  const [creditsIds, vintageYears, data] = await tokenContract.getVerifiedProjects(0, 100);
   expect(creditsIds).to.have.length(1);
   expect(creditsIds[0]).to.equal(1);
   expect(vintageYears[0]).to.equal(vintageYear);
@@ -288,10 +545,10 @@ it("Should retrieve issued projects", async function () {
   const creditType = "Renewable";
   const amount = 100;
 
-  await tokenContract.connect(verifier).setVerificationData(vintageYear, mrvDataHash, verificationStandard, creditType);
+  await tokenContract.connect(verifier).setVerificationData(1, vintageYear, mrvDataHash, verificationStandard, creditType, 1000);
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, vintageYear, amount);
 
-  const [creditsIds, vintageYears, data] = await tokenContract.getIssuedProjects();
+  const [creditsIds, vintageYears, data] = await tokenContract.getIssuedProjects(0, 100);
   expect(creditsIds).to.have.length(1);
   expect(creditsIds[0]).to.equal(1);
   expect(vintageYears[0]).to.equal(vintageYear);
@@ -308,11 +565,11 @@ it("Should retrieve issued projects", async function () {
     const amount = 100;
 
 for (const year of vintageYears) {
-  await tokenContract.connect(verifier).setVerificationData(year, mrvDataHash, verificationStandard, creditType);
+  await tokenContract.connect(verifier).setVerificationData(year == 2023 ? 1 : 2, year, mrvDataHash, verificationStandard, creditType, 1000);
   await tokenContract.connect(verifier).issueCredits(verifier.address, year == 2023 ? 1 : 2, year, amount);
 }
 
-const [creditsIds, vintageYearsResult, data] = await tokenContract.getIssuedProjects();
+const [creditsIds, vintageYearsResult, data] = await tokenContract.getIssuedProjects(0, 100);
 expect(creditsIds).to.have.length(2);
 expect(creditsIds[0]).to.equal(1);
 expect(creditsIds[1]).to.equal(2);
@@ -328,64 +585,162 @@ expect(data[1].isIssued).to.be.true;
     ).to.be.revertedWithCustomError(tokenContract, "VerificationDataMissing");
   });  it("Should handle empty verified projects list", async function () {
     const { tokenContract } = await deployCarbonCreditFixture();
-    const [creditsIds, vintageYears, data] = await tokenContract.getVerifiedProjects();
+    const [creditsIds, vintageYears, data] = await tokenContract.getVerifiedProjects(0, 100);
     expect(creditsIds).to.have.length(0);
     expect(vintageYears).to.have.length(0);
     expect(data).to.have.length(0);
   });  it("Should handle empty issued projects list", async function () {
     const { tokenContract } = await deployCarbonCreditFixture();
-    const [creditsIds, vintageYears, data] = await tokenContract.getIssuedProjects();
+    const [creditsIds, vintageYears, data] = await tokenContract.getIssuedProjects(0, 100);
     expect(creditsIds).to.have.length(0);
     expect(vintageYears).to.have.length(0);
     expect(data).to.have.length(0);
   });
+
+  describe("Credit batches", function () {
+    async function twoBatchesFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, verifier } = fixture;
+      await tokenContract.connect(verifier).setVerificationData(1, 2018, "ipfs://forest", "Verra", "Forestry", 1000);
+      await tokenContract.connect(verifier).setVerificationData(2, 2024, "ipfs://solar", "Gold Standard", "Renewable", 1000);
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2018, 100);
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 2, 2024, 50);
+      return fixture;
+    }
+
+    it("Should track issued credits per batch", async function () {
+      const { tokenContract, verifier } = await twoBatchesFixture();
+
+      expect(await tokenContract.balanceOf(verifier.address)).to.equal(150);
+      expect(await tokenContract.batchBalanceOf(verifier.address, 1, 2018)).to.equal(100);
+      expect(await tokenContract.batchBalanceOf(verifier.address, 2, 2024)).to.equal(50);
+      expect(await tokenContract.batchSupply(ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2018]))).to.equal(100);
+
+      const [creditsIds, vintageYears, amounts] = await tokenContract.getBatchesOf(verifier.address);
+      expect(creditsIds).to.deep.equal([1n, 2n]);
+      expect(vintageYears).to.deep.equal([2018n, 2024n]);
+      expect(amounts).to.deep.equal([100n, 50n]);
+    });
+
+    it("Should emit BatchTransfer when issuing credits", async function () {
+      const { tokenContract, verifier } = await twoBatchesFixture();
+
+      await expect(tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2018, 5))
+        .to.emit(tokenContract, "BatchTransfer")
+        .withArgs(ethers.ZeroAddress, verifier.address, 1, 2018, 5);
+    });
+
+    it("Should transfer a specific batch", async function () {
+      const { tokenContract, verifier, buyer } = await twoBatchesFixture();
+
+      await expect(tokenContract.connect(verifier).transferBatch(buyer.address, 1, 2018, 30))
+        .to.emit(tokenContract, "BatchTransfer")
+        .withArgs(verifier.address, buyer.address, 1, 2018, 30);
+
+      expect(await tokenContract.batchBalanceOf(verifier.address, 1, 2018)).to.equal(70);
+      expect(await tokenContract.batchBalanceOf(verifier.address, 2, 2024)).to.equal(50);
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2018)).to.equal(30);
+      expect(await tokenContract.balanceOf(buyer.address)).to.equal(30);
+    });
+
+    it("Should revert if transferring more of a batch than held", async function () {
+      const { tokenContract, verifier, buyer } = await twoBatchesFixture();
+
+      await expect(
+        tokenContract.connect(verifier).transferBatch(buyer.address, 2, 2024, 60)
+      ).to.be.revertedWithCustomError(tokenContract, "InsufficientBatchBalance");
+    });
+
+    it("Should transfer a specific batch with allowance", async function () {
+      const { tokenContract, verifier, buyer, seller } = await twoBatchesFixture();
+
+      await tokenContract.connect(verifier).approve(seller.address, 20);
+      await tokenContract.connect(seller).transferBatchFrom(verifier.address, buyer.address, 2, 2024, 20);
+
+      expect(await tokenContract.batchBalanceOf(buyer.address, 2, 2024)).to.equal(20);
+      expect(await tokenContract.allowance(verifier.address, seller.address)).to.equal(0);
+      await expect(
+        tokenContract.connect(seller).transferBatchFrom(verifier.address, buyer.address, 2, 2024, 1)
+      ).to.be.revertedWithCustomError(tokenContract, "ERC20InsufficientAllowance");
+    });
+
+    it("Should move batches along with plain ERC-20 transfers", async function () {
+      const { tokenContract, verifier, buyer } = await twoBatchesFixture();
+
+      await tokenContract.connect(verifier).transfer(buyer.address, 70);
+
+      // The most recently added batch (2024) is drawn first, then the 2018 batch.
+      expect(await tokenContract.batchBalanceOf(buyer.address, 2, 2024)).to.equal(50);
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2018)).to.equal(20);
+      expect(await tokenContract.batchBalanceOf(verifier.address, 1, 2018)).to.equal(80);
+      expect(await tokenContract.batchBalanceOf(verifier.address, 2, 2024)).to.equal(0);
+
+      const [creditsIds] = await tokenContract.getBatchesOf(verifier.address);
+      expect(creditsIds).to.deep.equal([1n]);
+    });
+
+    it("Should reduce batch supply when burning", async function () {
+      const { tokenContract, verifier } = await twoBatchesFixture();
+
+      await tokenContract.connect(verifier).burn(60);
+
+      expect(await tokenContract.totalSupply()).to.equal(90);
+      expect(await tokenContract.batchSupply(ethers.solidityPackedKeccak256(["uint256", "uint256"], [2, 2024]))).to.equal(0);
+      expect(await tokenContract.batchSupply(ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2018]))).to.equal(90);
+    });
+  });
   });  describe("CarbonCreditMarketplace", function () {
     it("Should list and buy NFT", async function () {
-      const { nftContract, marketplace, minter, buyer } = await deployCarbonCreditFixture();
+      const { nftContract, marketplace, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
       const tokenId = 0;
       const price = ethers.parseEther("1");
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
 
-  await expect(marketplace.connect(minter).listNFT(tokenId, price))
+  await expect(marketplace.connect(minter).listNFT(tokenId, price, ethers.ZeroAddress))
     .to.emit(marketplace, "NFTListed")
-    .withArgs(tokenId, minter.address, price);
+    .withArgs(tokenId, minter.address, price, ethers.ZeroAddress);
 
   const tx = marketplace.connect(buyer).buyNFT(tokenId, { value: price });
   await expect(tx)
     .to.emit(marketplace, "NFTSold")
-    .withArgs(tokenId, buyer.address, price);
-  await expect(tx).to.changeEtherBalances([buyer, minter], [-price, price]);
+    .withArgs(tokenId, buyer.address, price, ethers.ZeroAddress);
+  await expect(tx).to.changeEtherBalances([buyer, marketplace], [-price, price]);
+  expect(await marketplace.proceeds(minter.address, ethers.ZeroAddress)).to.equal(price);
 
   expect(await nftContract.ownerOf(tokenId)).to.equal(buyer.address);
   expect((await marketplace.nftListings(tokenId)).active).to.be.false;
 });
 
-it("Should buy NFT with excess payment and refund", async function () {
-  const { nftContract, marketplace, minter, buyer } = await deployCarbonCreditFixture();
+it("Should buy NFT with excess payment and credit the excess to proceeds", async function () {
+  const { nftContract, marketplace, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
   const tokenId = 0;
   const price = ethers.parseEther("1");
   const excessPayment = ethers.parseEther("1.5");
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
-  await marketplace.connect(minter).listNFT(tokenId, price);
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await marketplace.connect(minter).listNFT(tokenId, price, ethers.ZeroAddress);
 
   const tx = marketplace.connect(buyer).buyNFT(tokenId, { value: excessPayment });
   await expect(tx)
     .to.emit(marketplace, "NFTSold")
-    .withArgs(tokenId, buyer.address, price);
-  await expect(tx).to.changeEtherBalances([buyer, minter], [-price, price]);
+    .withArgs(tokenId, buyer.address, price, ethers.ZeroAddress);
+  await expect(tx).to.changeEtherBalances([buyer, marketplace], [-excessPayment, excessPayment]);
+  expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(excessPayment - price);
 
   expect(await nftContract.ownerOf(tokenId)).to.equal(buyer.address);
 });
 
 it("Should revert if insufficient payment for NFT", async function () {
-  const { nftContract, marketplace, minter, buyer } = await deployCarbonCreditFixture();
+  const { nftContract, marketplace, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
   const tokenId = 0;
   const price = ethers.parseEther("1");
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
-  await marketplace.connect(minter).listNFT(tokenId, price);
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await marketplace.connect(minter).listNFT(tokenId, price, ethers.ZeroAddress);
 
   await expect(
     marketplace.connect(buyer).buyNFT(tokenId, { value: ethers.parseEther("0.5") })
@@ -393,12 +748,13 @@ it("Should revert if insufficient payment for NFT", async function () {
 });
 
 it("Should revert if seller no longer owns NFT", async function () {
-  const { nftContract, marketplace, minter, buyer } = await deployCarbonCreditFixture();
+  const { nftContract, marketplace, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
   const tokenId = 0;
   const price = ethers.parseEther("1");
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
-  await marketplace.connect(minter).listNFT(tokenId, price);
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await marketplace.connect(minter).listNFT(tokenId, price, ethers.ZeroAddress);
   await nftContract.connect(minter).transferFrom(minter.address, buyer.address, tokenId);
 
   await expect(
@@ -408,171 +764,3338 @@ it("Should revert if seller no longer owns NFT", async function () {
 
 it("Should list and buy tokens", async function () {
   const { tokenContract, marketplace, verifier, buyer } = await deployCarbonCreditFixture();
-  const amount = 100;
-  const price = ethers.parseEther("1");
+  const amount = tonnes(100);
+  const pricePerUnit = ethers.parseEther("0.01");
+  const price = pricePerUnit * 100n;
 
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
   await tokenContract.connect(verifier).approve(marketplace.target, amount);
 
-  await expect(marketplace.connect(verifier).listTokens(amount, price))
+  await expect(marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, ethers.ZeroAddress))
     .to.emit(marketplace, "TokenListed")
-    .withArgs(0, verifier.address, amount, price);
+    .withArgs(0, verifier.address, 1, 2023, amount, pricePerUnit, ethers.ZeroAddress);
 
-  const tx = marketplace.connect(buyer).buyTokens(0, { value: price });
+  const tx = marketplace.connect(buyer).buyTokens(0, amount, { value: price });
   await expect(tx)
     .to.emit(marketplace, "TokenSold")
-    .withArgs(0, buyer.address, amount, price);
-  await expect(tx).to.changeEtherBalances([buyer, verifier], [-price, price]);
+    .withArgs(0, buyer.address, amount, price, 0, ethers.ZeroAddress);
+  await expect(tx).to.changeEtherBalances([buyer, marketplace], [-price, price]);
+  expect(await marketplace.proceeds(verifier.address, ethers.ZeroAddress)).to.equal(price);
 
   expect(await tokenContract.balanceOf(buyer.address)).to.equal(amount);
   expect((await marketplace.tokenListings(0)).active).to.be.false;
 });
 
-it("Should buy tokens with excess payment and refund", async function () {
+it("Should buy tokens with excess payment and credit the excess to proceeds", async function () {
   const { tokenContract, marketplace, verifier, buyer } = await deployCarbonCreditFixture();
-  const amount = 100;
-  const price = ethers.parseEther("1");
+  const amount = tonnes(100);
+  const pricePerUnit = ethers.parseEther("0.01");
+  const price = pricePerUnit * 100n;
   const excessPayment = ethers.parseEther("1.5");
 
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
   await tokenContract.connect(verifier).approve(marketplace.target, amount);
 
-  await marketplace.connect(verifier).listTokens(amount, price);
+  await marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, ethers.ZeroAddress);
 
-  const tx = marketplace.connect(buyer).buyTokens(0, { value: excessPayment });
+  const tx = marketplace.connect(buyer).buyTokens(0, amount, { value: excessPayment });
   await expect(tx)
     .to.emit(marketplace, "TokenSold")
-    .withArgs(0, buyer.address, amount, price);
-  await expect(tx).to.changeEtherBalances([buyer, verifier], [-price, price]);
+    .withArgs(0, buyer.address, amount, price, 0, ethers.ZeroAddress);
+  await expect(tx).to.changeEtherBalances([buyer, marketplace], [-excessPayment, excessPayment]);
+  expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(excessPayment - price);
 
   expect(await tokenContract.balanceOf(buyer.address)).to.equal(amount);
 });
 
 it("Should revert if insufficient payment for tokens", async function () {
   const { tokenContract, marketplace, verifier, buyer } = await deployCarbonCreditFixture();
-  const amount = 100;
-  const price = ethers.parseEther("1");
+  const amount = tonnes(100);
+  const pricePerUnit = ethers.parseEther("0.01");
+  const price = pricePerUnit * 100n;
 
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
   await tokenContract.connect(verifier).approve(marketplace.target, amount);
 
-  await marketplace.connect(verifier).listTokens(amount, price);
+  await marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, ethers.ZeroAddress);
 
   await expect(
-    marketplace.connect(buyer).buyTokens(0, { value: ethers.parseEther("0.5") })
+    marketplace.connect(buyer).buyTokens(0, amount, { value: ethers.parseEther("0.5") })
   ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
 });
 
 it("Should cancel NFT listing", async function () {
-  const { nftContract, marketplace, minter } = await deployCarbonCreditFixture();
+  const { nftContract, marketplace, minter, tokenContract, verifier } = await deployCarbonCreditFixture();
   const tokenId = 0;
   const price = ethers.parseEther("1");
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
-  await marketplace.connect(minter).listNFT(tokenId, price);
-  await marketplace.connect(minter).cancelNFTListing(tokenId);
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await marketplace.connect(minter).listNFT(tokenId, price, ethers.ZeroAddress);
+  await expect(marketplace.connect(minter).cancelNFTListing(tokenId))
+    .to.emit(marketplace, "NFTListingCancelled")
+    .withArgs(tokenId);
 
   expect((await marketplace.nftListings(tokenId)).active).to.be.false;
 });
 
 it("Should cancel token listing", async function () {
   const { tokenContract, marketplace, verifier } = await deployCarbonCreditFixture();
-  const amount = 100;
-  const price = ethers.parseEther("1");
+  const amount = tonnes(100);
+  const pricePerUnit = ethers.parseEther("0.01");
 
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
   await tokenContract.connect(verifier).approve(marketplace.target, amount);
 
-  await marketplace.connect(verifier).listTokens(amount, price);
-  await marketplace.connect(verifier).cancelTokenListing(0);
+  await marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, ethers.ZeroAddress);
+  await expect(marketplace.connect(verifier).cancelTokenListing(0))
+    .to.emit(marketplace, "TokenListingCancelled")
+    .withArgs(0);
 
   expect((await marketplace.tokenListings(0)).active).to.be.false;
 });
 
 it("Should revert if listing tokens with insufficient balance", async function () {
   const { tokenContract, marketplace, verifier } = await deployCarbonCreditFixture();
-  const amount = 100;
-  const price = ethers.parseEther("1");
+  const amount = tonnes(100);
+  const pricePerUnit = ethers.parseEther("0.01");
 
   await expect(
-    marketplace.connect(verifier).listTokens(amount, price)
+    marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, ethers.ZeroAddress)
   ).to.be.revertedWithCustomError(marketplace, "InsufficientTokenBalance");
 });
 
 it("Should revert if listing tokens with insufficient allowance", async function () {
   const { tokenContract, marketplace, verifier } = await deployCarbonCreditFixture();
-  const amount = 100;
-  const price = ethers.parseEther("1");
+  const amount = tonnes(100);
+  const pricePerUnit = ethers.parseEther("0.01");
 
-  await tokenContract.connect(verifier).setVerificationData(2023, "ipfs://test", "Verra", "Renewable");
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
   await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
 
   await expect(
-    marketplace.connect(verifier).listTokens(amount, price)
+    marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, ethers.ZeroAddress)
   ).to.be.revertedWithCustomError(marketplace, "InsufficientTokenAllowance");
 });
 
-  it("Should revert if canceling non-existent NFT listing", async function () {
-    const { marketplace, minter } = await deployCarbonCreditFixture();
+  it("Should sell tokens from the listed batch", async function () {
+    const { tokenContract, marketplace, verifier, buyer } = await deployCarbonCreditFixture();
+    const price = ethers.parseEther("1");
+
+    await tokenContract.connect(verifier).setVerificationData(1, 2018, "ipfs://forest", "Verra", "Forestry", tonnes(1000));
+    await tokenContract.connect(verifier).setVerificationData(2, 2024, "ipfs://solar", "Gold Standard", "Renewable", tonnes(1000));
+    await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2018, tonnes(100));
+    await tokenContract.connect(verifier).issueCredits(verifier.address, 2, 2024, tonnes(100));
+    await tokenContract.connect(verifier).approve(marketplace.target, tonnes(40));
+
+    await marketplace.connect(verifier).listTokens(1, 2018, tonnes(40), price, ethers.ZeroAddress);
+    const listing = await marketplace.tokenListings(0);
+    expect(listing.creditsId).to.equal(1);
+    expect(listing.vintageYear).to.equal(2018);
+
+    await marketplace.connect(buyer).buyTokens(0, tonnes(40), { value: price * 40n });
+    expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2018)).to.equal(tonnes(40));
+    expect(await tokenContract.batchBalanceOf(buyer.address, 2, 2024)).to.equal(0);
+  });
+
+  it("Should revert if listing more of a batch than held", async function () {
+    const { tokenContract, marketplace, verifier } = await deployCarbonCreditFixture();
+
+    await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+    await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, tonnes(100));
+    await tokenContract.connect(verifier).approve(marketplace.target, tonnes(100));
+
     await expect(
-      marketplace.connect(minter).cancelNFTListing(999)
-    ).to.be.revertedWithCustomError(marketplace, "NotNFTOwner");
-  });  });  describe("CarbonCreditConverter", function () {
-    it("Should convert NFT to tokens with single approval", async function () {
-      const { nftContract, tokenContract, converterContract, minter } = await deployCarbonCreditFixture();
-      const tokenId = 0;
-      const carbonTons = 10;
+      marketplace.connect(verifier).listTokens(2, 2023, tonnes(100), ethers.parseEther("1"), ethers.ZeroAddress)
+    ).to.be.revertedWithCustomError(marketplace, "InsufficientTokenBalance");
+  });
 
-  await nftContract.connect(minter).mint(minter.address, carbonTons, "ipfs://test");
-  await nftContract.connect(minter).approve(converterContract.target, tokenId);
+  describe("Partial fills", function () {
+    async function tokenListingFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, marketplace, verifier } = fixture;
+      const pricePerUnit = ethers.parseEther("0.02");
 
-  await expect(converterContract.connect(minter).convertNFTtoTokens(tokenId))
-    .to.emit(converterContract, "ConvertedToTokens")
-    .withArgs(minter.address, tokenId, carbonTons);
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, tonnes(500));
+      await tokenContract.connect(verifier).approve(marketplace.target, tonnes(500));
+      await marketplace.connect(verifier).listTokens(1, 2023, tonnes(500), pricePerUnit, ethers.ZeroAddress);
 
-  expect(await tokenContract.balanceOf(minter.address)).to.equal(carbonTons);
-  await expect(nftContract.ownerOf(tokenId)).to.be.revertedWithCustomError(nftContract, "ERC721NonexistentToken");
-});
+      return { ...fixture, pricePerUnit };
+    }
 
-it("Should convert NFT to tokens with approval for all", async function () {
-  const { nftContract, tokenContract, converterContract, minter } = await deployCarbonCreditFixture();
-  const tokenId = 0;
-  const carbonTons = 10;
+    it("Should fill part of a listing and keep the rest for sale", async function () {
+      const { tokenContract, marketplace, verifier, buyer, pricePerUnit } = await tokenListingFixture();
+      const price = pricePerUnit * 3n;
 
-  await nftContract.connect(minter).mint(minter.address, carbonTons, "ipfs://test");
-  await nftContract.connect(minter).setApprovalForAll(converterContract.target, true);
+      const tx = marketplace.connect(buyer).buyTokens(0, tonnes(3), { value: price });
+      await expect(tx)
+        .to.emit(marketplace, "TokenSold")
+        .withArgs(0, buyer.address, tonnes(3), price, tonnes(497), ethers.ZeroAddress);
+      await expect(tx).to.changeEtherBalances([buyer, marketplace], [-price, price]);
+      expect(await marketplace.proceeds(verifier.address, ethers.ZeroAddress)).to.equal(price);
 
-  await expect(converterContract.connect(minter).convertNFTtoTokens(tokenId))
-    .to.emit(converterContract, "ConvertedToTokens")
-    .withArgs(minter.address, tokenId, carbonTons);
+      const listing = await marketplace.tokenListings(0);
+      expect(listing.amount).to.equal(tonnes(497));
+      expect(listing.active).to.be.true;
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes(3));
+    });
 
-  expect(await tokenContract.balanceOf(minter.address)).to.equal(carbonTons);
-  await expect(nftContract.ownerOf(tokenId)).to.be.revertedWithCustomError(nftContract, "ERC721NonexistentToken");
-});
+    it("Should deactivate a listing once fully filled", async function () {
+      const { marketplace, buyer, seller, pricePerUnit } = await tokenListingFixture();
 
-it("Should revert if non-owner tries to convert", async function () {
-  const { nftContract, converterContract, minter, buyer } = await deployCarbonCreditFixture();
-  const tokenId = 0;
+      await marketplace.connect(buyer).buyTokens(0, tonnes(200), { value: pricePerUnit * 200n });
+      await expect(marketplace.connect(seller).buyTokens(0, tonnes(300), { value: pricePerUnit * 300n }))
+        .to.emit(marketplace, "TokenSold")
+        .withArgs(0, seller.address, tonnes(300), pricePerUnit * 300n, 0, ethers.ZeroAddress);
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
-  await expect(
-    converterContract.connect(buyer).convertNFTtoTokens(tokenId)
-  ).to.be.revertedWithCustomError(converterContract, "NotNFTOwner");
-});
+      const listing = await marketplace.tokenListings(0);
+      expect(listing.amount).to.equal(0);
+      expect(listing.active).to.be.false;
+      await expect(
+        marketplace.connect(buyer).buyTokens(0, tonnes(1), { value: pricePerUnit })
+      ).to.be.revertedWithCustomError(marketplace, "ListingNotActive");
+    });
 
-it("Should revert if converter not approved", async function () {
-  const { nftContract, converterContract, minter } = await deployCarbonCreditFixture();
-  const tokenId = 0;
+    it("Should revert if buying more than the remaining amount", async function () {
+      const { marketplace, buyer, pricePerUnit } = await tokenListingFixture();
 
-  await nftContract.connect(minter).mint(minter.address, 10, "ipfs://test");
-  await expect(
-    converterContract.connect(minter).convertNFTtoTokens(tokenId)
-  ).to.be.revertedWithCustomError(converterContract, "NotApproved");
-});
+      await expect(
+        marketplace.connect(buyer).buyTokens(0, tonnes(501), { value: pricePerUnit * 501n })
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientListingAmount");
+    });
+
+    it("Should revert if buying or listing zero tokens", async function () {
+      const { marketplace, verifier, buyer } = await tokenListingFixture();
+
+      await expect(
+        marketplace.connect(buyer).buyTokens(0, 0)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidAmount");
+      await expect(
+        marketplace.connect(verifier).listTokens(1, 2023, 0, 1, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidAmount");
+    });
+
+    it("Should revert if paying less than the price of the filled amount", async function () {
+      const { marketplace, buyer, pricePerUnit } = await tokenListingFixture();
+
+      await expect(
+        marketplace.connect(buyer).buyTokens(0, tonnes(10), { value: pricePerUnit * 10n - 1n })
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
+    });
+  });
+
+  describe("Order book", function () {
+    async function orderBookFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, marketplace, verifier, seller } = fixture;
+
+      // The seller holds 500 tons of project 1, vintage 2023, approved for the marketplace
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(500));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(500));
+
+      return fixture;
+    }
+
+    it("Should place a CELO buy order and escrow the payment", async function () {
+      const { marketplace, buyer } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("0.01");
+      const escrow = pricePerUnit * 50n;
+
+      const tx = marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(50), pricePerUnit, ethers.ZeroAddress, {
+        value: escrow + ethers.parseEther("1"),
+      });
+      await expect(tx)
+        .to.emit(marketplace, "BuyOrderPlaced")
+        .withArgs(0, buyer.address, 1, 2023, tonnes(50), pricePerUnit, ethers.ZeroAddress);
+      await expect(tx).to.changeEtherBalances(
+        [buyer, marketplace],
+        [-(escrow + ethers.parseEther("1")), escrow + ethers.parseEther("1")]
+      );
+      expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+
+      const order = await marketplace.buyOrders(0);
+      expect(order.amount).to.equal(tonnes(50));
+      expect(order.active).to.be.true;
+      expect(await marketplace.buyOrderCount()).to.equal(1);
+    });
+
+    it("Should place a stablecoin buy order and escrow the payment", async function () {
+      const { marketplace, stablecoin, buyer } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("2");
+      const escrow = pricePerUnit * 50n;
+
+      await stablecoin.connect(buyer).approve(marketplace.target, escrow);
+      const tx = marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(50), pricePerUnit, stablecoin.target);
+      await expect(tx).to.changeTokenBalances(stablecoin, [buyer, marketplace], [-escrow, escrow]);
+    });
+
+    it("Should revert if the buy order is underfunded", async function () {
+      const { marketplace, buyer } = await orderBookFixture();
+
+      await expect(
+        marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(50), ethers.parseEther("0.01"), ethers.ZeroAddress, {
+          value: ethers.parseEther("0.49"),
+        })
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
+    });
+
+    it("Should let a seller fill a buy order partially and then fully", async function () {
+      const { tokenContract, marketplace, buyer, seller } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("0.01");
+
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(50), pricePerUnit, ethers.ZeroAddress, {
+        value: pricePerUnit * 50n,
+      });
+
+      const tx = marketplace.connect(seller).fillBuyOrder(0, tonnes(20));
+      await expect(tx)
+        .to.emit(marketplace, "BuyOrderFilled")
+        .withArgs(0, seller.address, tonnes(20), pricePerUnit * 20n, tonnes(30), ethers.ZeroAddress);
+      await expect(tx)
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(seller.address, ethers.ZeroAddress, pricePerUnit * 20n);
+      expect(await marketplace.proceeds(seller.address, ethers.ZeroAddress)).to.equal(pricePerUnit * 20n);
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes(20));
+      expect((await marketplace.buyOrders(0)).active).to.be.true;
+
+      await marketplace.connect(seller).fillBuyOrder(0, tonnes(30));
+      const order = await marketplace.buyOrders(0);
+      expect(order.amount).to.equal(0);
+      expect(order.active).to.be.false;
+      await expect(
+        marketplace.connect(seller).fillBuyOrder(0, tonnes(1))
+      ).to.be.revertedWithCustomError(marketplace, "OrderNotActive");
+    });
+
+    it("Should revert if filling more than the buy order wants", async function () {
+      const { marketplace, buyer, seller } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("0.01");
+
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(50), pricePerUnit, ethers.ZeroAddress, {
+        value: pricePerUnit * 50n,
+      });
+
+      await expect(
+        marketplace.connect(seller).fillBuyOrder(0, tonnes(51))
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientOrderAmount");
+    });
+
+    it("Should only fill a buy order with the wanted batch", async function () {
+      const { tokenContract, marketplace, verifier, buyer, seller } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("0.01");
+
+      await tokenContract.connect(verifier).setVerificationData(2, 2018, "ipfs://forest", "Verra", "Forestry", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(seller.address, 2, 2018, tonnes(100));
+      await marketplace.connect(buyer).placeBuyOrder(2, 2018, tonnes(150), pricePerUnit, ethers.ZeroAddress, {
+        value: pricePerUnit * 150n,
+      });
+
+      await expect(
+        marketplace.connect(seller).fillBuyOrder(0, tonnes(150))
+      ).to.be.revertedWithCustomError(tokenContract, "InsufficientBatchBalance");
+    });
+
+    it("Should cancel a buy order and refund the unfilled escrow", async function () {
+      const { marketplace, stablecoin, buyer, seller } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("2");
+
+      await stablecoin.connect(buyer).approve(marketplace.target, pricePerUnit * 50n);
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(50), pricePerUnit, stablecoin.target);
+      await marketplace.connect(seller).fillBuyOrder(0, tonnes(10));
+
+      await expect(
+        marketplace.connect(seller).cancelBuyOrder(0)
+      ).to.be.revertedWithCustomError(marketplace, "NotOrderOwner");
+
+      const tx = marketplace.connect(buyer).cancelBuyOrder(0);
+      await expect(tx)
+        .to.emit(marketplace, "BuyOrderCancelled")
+        .withArgs(0, pricePerUnit * 40n);
+      await expect(tx).to.changeTokenBalances(stablecoin, [buyer, marketplace], [pricePerUnit * 40n, -pricePerUnit * 40n]);
+      expect((await marketplace.buyOrders(0)).active).to.be.false;
+    });
+
+    it("Should match an ask and a bid at the ask price", async function () {
+      const { tokenContract, marketplace, owner, buyer, seller } = await orderBookFixture();
+      const askPrice = ethers.parseEther("0.01");
+      const bidPrice = ethers.parseEther("0.015");
+
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(100), askPrice, ethers.ZeroAddress);
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(60), bidPrice, ethers.ZeroAddress, {
+        value: bidPrice * 60n,
+      });
+
+      const tx = marketplace.connect(owner).matchOrders(0, 0, tonnes(60));
+      await expect(tx)
+        .to.emit(marketplace, "TokenSold")
+        .withArgs(0, buyer.address, tonnes(60), askPrice * 60n, tonnes(40), ethers.ZeroAddress);
+      await expect(tx)
+        .to.emit(marketplace, "BuyOrderFilled")
+        .withArgs(0, seller.address, tonnes(60), askPrice * 60n, 0, ethers.ZeroAddress);
+      await expect(tx).to.changeEtherBalance(marketplace, 0);
+      expect(await marketplace.proceeds(seller.address, ethers.ZeroAddress)).to.equal(askPrice * 60n);
+      expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal((bidPrice - askPrice) * 60n);
+
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes(60));
+      expect((await marketplace.tokenListings(0)).amount).to.equal(tonnes(40));
+      expect((await marketplace.buyOrders(0)).active).to.be.false;
+    });
+
+    it("Should not match orders when the bid is below the ask", async function () {
+      const { marketplace, buyer, seller } = await orderBookFixture();
+      const askPrice = ethers.parseEther("0.02");
+      const bidPrice = ethers.parseEther("0.01");
+
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(100), askPrice, ethers.ZeroAddress);
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(60), bidPrice, ethers.ZeroAddress, {
+        value: bidPrice * 60n,
+      });
+
+      await expect(
+        marketplace.matchOrders(0, 0, tonnes(60))
+      ).to.be.revertedWithCustomError(marketplace, "OrdersDoNotMatch");
+    });
+
+    it("Should not match orders for different currencies", async function () {
+      const { marketplace, stablecoin, buyer, seller } = await orderBookFixture();
+      const pricePerUnit = ethers.parseEther("0.01");
+
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(100), pricePerUnit, ethers.ZeroAddress);
+      await stablecoin.connect(buyer).approve(marketplace.target, pricePerUnit * 60n);
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(60), pricePerUnit, stablecoin.target);
+
+      await expect(
+        marketplace.matchOrders(0, 0, tonnes(60))
+      ).to.be.revertedWithCustomError(marketplace, "OrdersDoNotMatch");
+    });
+  });
+
+  describe("Signed orders", function () {
+    // The minter holds NFT 0 and the seller 500 tons of project 1 / 2023, both approved for the marketplace
+    async function signedOrdersFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, nftContract, marketplace, minter, verifier, seller } = fixture;
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(10), "ipfs://nft-0");
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(500));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(500));
+
+      const [, name, version, chainId, verifyingContract] = await marketplace.eip712Domain();
+      const domain = { name, version, chainId, verifyingContract };
+      const deadline = (await time.latest()) + 24 * 60 * 60;
+
+      const nftOrder = (overrides = {}) => ({
+        seller: minter.address,
+        tokenId: 0,
+        price: ethers.parseEther("1"),
+        paymentToken: ethers.ZeroAddress,
+        nonce: 0,
+        deadline,
+        ...overrides,
+      });
+      const tokenOrder = (overrides = {}) => ({
+        seller: seller.address,
+        creditsId: 1,
+        vintageYear: 2023,
+        amount: tonnes(100),
+        pricePerUnit: ethers.parseEther("2"),
+        paymentToken: fixture.stablecoin.target,
+        nonce: 0,
+        deadline,
+        ...overrides,
+      });
+      const signNFTOrder = (signer, order) => signer.signTypedData(domain, NFT_ORDER_TYPES, order);
+      const signTokenOrder = (signer, order) => signer.signTypedData(domain, TOKEN_ORDER_TYPES, order);
+
+      return { ...fixture, domain, nftOrder, tokenOrder, signNFTOrder, signTokenOrder };
+    }
+
+    it("Should fill a signed NFT order once", async function () {
+      const { marketplace, nftContract, minter, buyer, domain, nftOrder, signNFTOrder } = await signedOrdersFixture();
+      const order = nftOrder();
+      const signature = await signNFTOrder(minter, order);
+      const orderHash = ethers.TypedDataEncoder.hash(domain, NFT_ORDER_TYPES, order);
+
+      expect(await marketplace.hashNFTOrder(order)).to.equal(orderHash);
+      const tx = marketplace.connect(buyer).fillNFTOrder(order, signature, { value: order.price });
+      await expect(tx)
+        .to.emit(marketplace, "SignedNFTOrderFilled")
+        .withArgs(orderHash, minter.address, buyer.address, 0, order.price, ethers.ZeroAddress);
+      await expect(tx).to.changeEtherBalances([buyer, marketplace], [-order.price, order.price]);
+
+      expect(await nftContract.ownerOf(0)).to.equal(buyer.address);
+      expect(await marketplace.orderFills(orderHash)).to.equal(1);
+      expect(await marketplace.proceeds(minter.address, ethers.ZeroAddress)).to.equal(order.price);
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(order, signature, { value: order.price })
+      ).to.be.revertedWithCustomError(marketplace, "OrderAlreadyFilled");
+    });
+
+    it("Should fill a signed token order partially", async function () {
+      const { marketplace, tokenContract, stablecoin, seller, buyer, domain, tokenOrder, signTokenOrder } =
+        await signedOrdersFixture();
+      const order = tokenOrder();
+      const signature = await signTokenOrder(seller, order);
+      const orderHash = ethers.TypedDataEncoder.hash(domain, TOKEN_ORDER_TYPES, order);
+      await stablecoin.connect(buyer).approve(marketplace.target, ethers.parseEther("1000"));
+
+      await expect(marketplace.connect(buyer).fillTokenOrder(order, tonnes(30), signature))
+        .to.emit(marketplace, "SignedTokenOrderFilled")
+        .withArgs(orderHash, seller.address, buyer.address, 1, 2023, tonnes(30), ethers.parseEther("60"), stablecoin.target);
+      await marketplace.connect(buyer).fillTokenOrder(order, tonnes("12.5"), signature);
+
+      expect(await marketplace.orderFills(orderHash)).to.equal(tonnes("42.5"));
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes("42.5"));
+      expect(await marketplace.proceeds(seller.address, stablecoin.target)).to.equal(ethers.parseEther("85"));
+      await expect(
+        marketplace.connect(buyer).fillTokenOrder(order, tonnes("57.6"), signature)
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientListingAmount");
+      await expect(
+        marketplace.connect(buyer).fillTokenOrder(order, 0, signature)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidAmount");
+    });
+
+    it("Should reject tampered, foreign and expired orders", async function () {
+      const { marketplace, minter, buyer, nftOrder, signNFTOrder } = await signedOrdersFixture();
+      const order = nftOrder();
+      const signature = await signNFTOrder(minter, order);
+
+      const cheaper = { ...order, price: ethers.parseEther("0.1") };
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(cheaper, signature, { value: cheaper.price })
+      ).to.be.revertedWithCustomError(marketplace, "InvalidSignature");
+
+      const signedByBuyer = await signNFTOrder(buyer, order);
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(order, signedByBuyer, { value: order.price })
+      ).to.be.revertedWithCustomError(marketplace, "InvalidSignature");
+
+      const expired = nftOrder({ deadline: (await time.latest()) - 1 });
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(expired, await signNFTOrder(minter, expired), { value: order.price })
+      ).to.be.revertedWithCustomError(marketplace, "OrderExpired");
+
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(order, signature, { value: order.price - 1n })
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
+    });
+
+    it("Should cancel all outstanding orders by incrementing the nonce", async function () {
+      const { marketplace, stablecoin, seller, buyer, tokenOrder, signTokenOrder } = await signedOrdersFixture();
+      const first = tokenOrder();
+      const second = tokenOrder({ pricePerUnit: ethers.parseEther("3") });
+      const signatures = [await signTokenOrder(seller, first), await signTokenOrder(seller, second)];
+      await stablecoin.connect(buyer).approve(marketplace.target, ethers.parseEther("1000"));
+
+      await expect(marketplace.connect(seller).incrementOrderNonce())
+        .to.emit(marketplace, "OrderNonceIncremented")
+        .withArgs(seller.address, 1);
+      expect(await marketplace.orderNonces(seller.address)).to.equal(1);
+
+      await expect(
+        marketplace.connect(buyer).fillTokenOrder(first, tonnes(1), signatures[0])
+      ).to.be.revertedWithCustomError(marketplace, "OrderCancelled");
+      await expect(
+        marketplace.connect(buyer).fillTokenOrder(second, tonnes(1), signatures[1])
+      ).to.be.revertedWithCustomError(marketplace, "OrderCancelled");
+
+      const reposted = tokenOrder({ nonce: 1 });
+      await expect(
+        marketplace.connect(buyer).fillTokenOrder(reposted, tonnes(1), await signTokenOrder(seller, reposted))
+      ).to.emit(marketplace, "SignedTokenOrderFilled");
+    });
+
+    it("Should not fill signed orders while paused or once the seller sold the NFT", async function () {
+      const { marketplace, nftContract, owner, minter, buyer, nftOrder, signNFTOrder } = await signedOrdersFixture();
+      const order = nftOrder();
+      const signature = await signNFTOrder(minter, order);
+
+      await marketplace.grantRole(await marketplace.GUARDIAN_ROLE(), owner.address);
+      await marketplace.pause();
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(order, signature, { value: order.price })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await marketplace.unpause();
+
+      await nftContract.connect(minter).transferFrom(minter.address, owner.address, 0);
+      await expect(
+        marketplace.connect(buyer).fillNFTOrder(order, signature, { value: order.price })
+      ).to.be.revertedWithCustomError(marketplace, "SellerNoLongerOwns");
+    });
+  });
+
+  describe("Auctions", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function auctionFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { nftContract, minter, tokenContract, verifier } = fixture;
+
+      // Minting approves the marketplace, as for fixed-price listings
+      await tokenContract.connect(verifier).setVerificationData(1, 2018, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2018, 50, "ipfs://scarce");
+      return fixture;
+    }
+
+    it("Should run an English auction and refund the outbid bidder", async function () {
+      const { nftContract, marketplace, minter, buyer, seller } = await auctionFixture();
+      const reserve = ethers.parseEther("1");
+
+      await expect(marketplace.connect(minter).createEnglishAuction(0, reserve, DAY, ethers.ZeroAddress))
+        .to.emit(marketplace, "AuctionCreated")
+        .withArgs(0, 0, minter.address, 0, ethers.ZeroAddress, 0, reserve, anyValue);
+      expect((await marketplace.auctions(0)).endTime).to.equal((await time.latest()) + DAY);
+
+      await expect(marketplace.connect(buyer).placeBid(0, reserve, { value: reserve }))
+        .to.emit(marketplace, "BidPlaced")
+        .withArgs(0, buyer.address, reserve);
+      await marketplace.connect(seller).placeBid(0, ethers.parseEther("1.5"), { value: ethers.parseEther("1.5") });
+      expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(reserve);
+      expect(await marketplace.currentPrice(0)).to.equal(ethers.parseEther("1.5"));
+
+      await expect(
+        marketplace.settleAuction(0)
+      ).to.be.revertedWithCustomError(marketplace, "AuctionNotEnded");
+      await time.increase(DAY);
+
+      const tx = marketplace.settleAuction(0);
+      await expect(tx)
+        .to.emit(marketplace, "AuctionSettled")
+        .withArgs(0, seller.address, ethers.parseEther("1.5"));
+      expect(await marketplace.proceeds(minter.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("1.5"));
+      expect(await nftContract.ownerOf(0)).to.equal(seller.address);
+
+      const withdrawal = marketplace.connect(buyer).withdrawProceeds(ethers.ZeroAddress);
+      await expect(withdrawal)
+        .to.emit(marketplace, "ProceedsWithdrawn")
+        .withArgs(buyer.address, ethers.ZeroAddress, reserve);
+      await expect(withdrawal).to.changeEtherBalance(buyer, reserve);
+      await expect(
+        marketplace.connect(buyer).withdrawProceeds(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "NothingToWithdraw");
+    });
+
+    it("Should reject bids below the reserve, the leading bid or after the end", async function () {
+      const { marketplace, minter, buyer, seller } = await auctionFixture();
+      const reserve = ethers.parseEther("1");
+
+      await marketplace.connect(minter).createEnglishAuction(0, reserve, DAY, ethers.ZeroAddress);
+      await expect(
+        marketplace.connect(buyer).placeBid(0, reserve - 1n, { value: reserve - 1n })
+      ).to.be.revertedWithCustomError(marketplace, "BidTooLow");
+
+      await marketplace.connect(buyer).placeBid(0, reserve, { value: reserve });
+      await expect(
+        marketplace.connect(seller).placeBid(0, reserve, { value: reserve })
+      ).to.be.revertedWithCustomError(marketplace, "BidTooLow");
+      await expect(
+        marketplace.connect(seller).placeBid(0, reserve * 2n, { value: reserve })
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientPayment");
+
+      await time.increase(DAY);
+      await expect(
+        marketplace.connect(seller).placeBid(0, reserve * 2n, { value: reserve * 2n })
+      ).to.be.revertedWithCustomError(marketplace, "AuctionEnded");
+    });
+
+    it("Should run an English auction in a stablecoin", async function () {
+      const { nftContract, marketplace, stablecoin, minter, buyer, seller } = await auctionFixture();
+      const reserve = ethers.parseEther("100");
+
+      await stablecoin.mint(seller.address, ethers.parseEther("1000"));
+      await stablecoin.connect(buyer).approve(marketplace.target, reserve);
+      await stablecoin.connect(seller).approve(marketplace.target, reserve * 2n);
+      await marketplace.connect(minter).createEnglishAuction(0, reserve, DAY, stablecoin.target);
+
+      await expect(
+        marketplace.connect(buyer).placeBid(0, reserve)
+      ).to.changeTokenBalances(stablecoin, [buyer, marketplace], [-reserve, reserve]);
+      await marketplace.connect(seller).placeBid(0, reserve * 2n);
+      expect(await marketplace.proceeds(buyer.address, stablecoin.target)).to.equal(reserve);
+
+      await time.increase(DAY);
+      await marketplace.settleAuction(0);
+      expect(await marketplace.proceeds(minter.address, stablecoin.target)).to.equal(reserve * 2n);
+      expect(await nftContract.ownerOf(0)).to.equal(seller.address);
+
+      await expect(
+        marketplace.connect(buyer).withdrawProceeds(stablecoin.target)
+      ).to.changeTokenBalance(stablecoin, buyer, reserve);
+    });
+
+    it("Should close an English auction without bids", async function () {
+      const { nftContract, marketplace, minter } = await auctionFixture();
+
+      await marketplace.connect(minter).createEnglishAuction(0, ethers.parseEther("1"), DAY, ethers.ZeroAddress);
+      await time.increase(DAY);
+
+      await expect(marketplace.settleAuction(0))
+        .to.emit(marketplace, "AuctionSettled")
+        .withArgs(0, ethers.ZeroAddress, 0);
+      expect(await nftContract.ownerOf(0)).to.equal(minter.address);
+      expect((await marketplace.auctions(0)).active).to.be.false;
+    });
+
+    it("Should refund the winner if the seller moved the NFT before settlement", async function () {
+      const { nftContract, marketplace, minter, buyer, seller } = await auctionFixture();
+      const bid = ethers.parseEther("1");
+
+      await marketplace.connect(minter).createEnglishAuction(0, bid, DAY, ethers.ZeroAddress);
+      await marketplace.connect(buyer).placeBid(0, bid, { value: bid });
+      await nftContract.connect(minter).transferFrom(minter.address, seller.address, 0);
+      await time.increase(DAY);
+
+      await expect(marketplace.settleAuction(0))
+        .to.emit(marketplace, "AuctionSettled")
+        .withArgs(0, ethers.ZeroAddress, 0);
+      expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(bid);
+    });
+
+    it("Should sell a Dutch auction at the declining price", async function () {
+      const { nftContract, marketplace, minter, buyer } = await auctionFixture();
+      const startPrice = ethers.parseEther("10");
+      const reserve = ethers.parseEther("2");
+
+      await marketplace.connect(minter).createDutchAuction(0, startPrice, reserve, 4 * DAY, ethers.ZeroAddress);
+      expect(await marketplace.currentPrice(0)).to.equal(startPrice);
+
+      // Halfway through, the price is halfway between start and reserve
+      await time.increase(2 * DAY - 1);
+      const price = ethers.parseEther("6");
+      const tx = marketplace.connect(buyer).buyDutchAuction(0, { value: startPrice });
+      await expect(tx)
+        .to.emit(marketplace, "AuctionSettled")
+        .withArgs(0, buyer.address, price);
+      await expect(tx).to.changeEtherBalances([buyer, marketplace], [-startPrice, startPrice]);
+      expect(await marketplace.proceeds(minter.address, ethers.ZeroAddress)).to.equal(price);
+      expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(startPrice - price);
+      expect(await nftContract.ownerOf(0)).to.equal(buyer.address);
+
+      await expect(
+        marketplace.connect(buyer).buyDutchAuction(0, { value: startPrice })
+      ).to.be.revertedWithCustomError(marketplace, "AuctionNotActive");
+    });
+
+    it("Should floor a Dutch auction at the reserve price", async function () {
+      const { marketplace, minter, buyer } = await auctionFixture();
+      const reserve = ethers.parseEther("2");
+
+      await marketplace.connect(minter).createDutchAuction(0, ethers.parseEther("10"), reserve, DAY, ethers.ZeroAddress);
+      await time.increase(DAY);
+
+      expect(await marketplace.currentPrice(0)).to.equal(reserve);
+      await expect(
+        marketplace.connect(buyer).buyDutchAuction(0, { value: reserve })
+      ).to.be.revertedWithCustomError(marketplace, "AuctionEnded");
+    });
+
+    it("Should reject mismatched auction calls and invalid parameters", async function () {
+      const { marketplace, minter, buyer } = await auctionFixture();
+
+      await expect(
+        marketplace.connect(minter).createDutchAuction(0, 1, 2, DAY, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidPriceRange");
+      await expect(
+        marketplace.connect(minter).createEnglishAuction(0, 1, 0, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidDuration");
+      await expect(
+        marketplace.connect(buyer).createEnglishAuction(0, 1, DAY, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "NotNFTOwner");
+
+      await marketplace.connect(minter).createDutchAuction(0, 2, 1, DAY, ethers.ZeroAddress);
+      await expect(
+        marketplace.connect(buyer).placeBid(0, 2, { value: 2 })
+      ).to.be.revertedWithCustomError(marketplace, "WrongAuctionType");
+      await expect(
+        marketplace.settleAuction(0)
+      ).to.be.revertedWithCustomError(marketplace, "WrongAuctionType");
+    });
+
+    it("Should let the seller cancel an auction only before the first bid", async function () {
+      const { marketplace, minter, buyer } = await auctionFixture();
+      const reserve = ethers.parseEther("1");
+
+      await marketplace.connect(minter).createEnglishAuction(0, reserve, DAY, ethers.ZeroAddress);
+      await expect(marketplace.connect(minter).cancelAuction(0))
+        .to.emit(marketplace, "AuctionCancelled")
+        .withArgs(0);
+
+      await marketplace.connect(minter).createEnglishAuction(0, reserve, DAY, ethers.ZeroAddress);
+      await expect(
+        marketplace.connect(buyer).cancelAuction(1)
+      ).to.be.revertedWithCustomError(marketplace, "NotNFTOwner");
+      await marketplace.connect(buyer).placeBid(1, reserve, { value: reserve });
+      await expect(
+        marketplace.connect(minter).cancelAuction(1)
+      ).to.be.revertedWithCustomError(marketplace, "AuctionHasBids");
+    });
+  });
+
+  describe("Fees and royalties", function () {
+    async function feeFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { roleManager, marketplace, owner } = fixture;
+      const FEE_MANAGER_ROLE = await roleManager.FEE_MANAGER_ROLE();
+
+      await roleManager.grantRoleToContract(FEE_MANAGER_ROLE, owner.address, marketplace.target);
+      await marketplace.connect(owner).setProtocolFee(250); // 2.5%
+      return { ...fixture, FEE_MANAGER_ROLE };
+    }
+
+    it("Should let a fee manager granted through RoleManager set the fee and treasury", async function () {
+      const { marketplace, owner, seller, FEE_MANAGER_ROLE } = await feeFixture();
+
+      expect(await marketplace.hasRole(FEE_MANAGER_ROLE, owner.address)).to.be.true;
+      expect(await marketplace.protocolFeeBps()).to.equal(250);
+      expect(await marketplace.treasury()).to.equal(owner.address);
+
+      await expect(marketplace.connect(owner).setTreasury(seller.address))
+        .to.emit(marketplace, "TreasuryUpdated")
+        .withArgs(seller.address);
+      await expect(marketplace.connect(owner).setProtocolFee(100))
+        .to.emit(marketplace, "ProtocolFeeUpdated")
+        .withArgs(100);
+    });
+
+    it("Should revert fee changes from non-managers or above the maximum", async function () {
+      const { marketplace, owner, seller } = await feeFixture();
+
+      await expect(
+        marketplace.connect(seller).setProtocolFee(100)
+      ).to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+      await expect(
+        marketplace.connect(seller).setTreasury(seller.address)
+      ).to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+      await expect(
+        marketplace.connect(owner).setProtocolFee(1001)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidProtocolFee");
+      await expect(
+        marketplace.connect(owner).setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "InvalidTreasury");
+    });
+
+    it("Should charge the protocol fee on token sales and withdraw it to the treasury", async function () {
+      const { tokenContract, marketplace, stablecoin, owner, verifier, buyer, seller } = await feeFixture();
+      const price = ethers.parseEther("100");
+      const fee = ethers.parseEther("2.5");
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, tonnes(100));
+      await tokenContract.connect(verifier).approve(marketplace.target, tonnes(100));
+      await marketplace.connect(verifier).listTokens(1, 2023, tonnes(100), ethers.parseEther("1"), stablecoin.target);
+      await stablecoin.connect(buyer).approve(marketplace.target, price);
+
+      const tx = marketplace.connect(buyer).buyTokens(0, tonnes(100));
+      await expect(tx)
+        .to.emit(marketplace, "ProtocolFeeCollected")
+        .withArgs(stablecoin.target, verifier.address, fee);
+      await expect(tx).to.changeTokenBalances(stablecoin, [buyer, marketplace], [-price, price]);
+      expect(await marketplace.proceeds(verifier.address, stablecoin.target)).to.equal(price - fee);
+      expect(await marketplace.treasuryBalance(stablecoin.target)).to.equal(fee);
+
+      await marketplace.connect(owner).setTreasury(seller.address);
+      const withdrawal = marketplace.withdrawTreasury(stablecoin.target);
+      await expect(withdrawal)
+        .to.emit(marketplace, "TreasuryWithdrawn")
+        .withArgs(stablecoin.target, seller.address, fee);
+      await expect(withdrawal).to.changeTokenBalance(stablecoin, seller, fee);
+      expect(await marketplace.treasuryBalance(stablecoin.target)).to.equal(0);
+      await expect(
+        marketplace.withdrawTreasury(stablecoin.target)
+      ).to.be.revertedWithCustomError(marketplace, "NothingToWithdraw");
+    });
+
+    it("Should pay the royalty to the project developer on NFT resales", async function () {
+      const { nftContract, marketplace, owner, minter, buyer, seller, tokenContract, verifier } = await feeFixture();
+      const price = ethers.parseEther("10");
+
+      await nftContract.connect(owner).setRoyalty(500); // 5%
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await marketplace.connect(minter).listNFT(0, ethers.parseEther("5"), ethers.ZeroAddress);
+      await marketplace.connect(buyer).buyNFT(0, { value: ethers.parseEther("5") });
+
+      // Resale: the buyer relists, and the developer (minter) earns the royalty
+      await nftContract.connect(buyer).approve(marketplace.target, 0);
+      await marketplace.connect(buyer).listNFT(0, price, ethers.ZeroAddress);
+      const fee = ethers.parseEther("0.25");
+      const royalty = ethers.parseEther("0.5");
+
+      const tx = marketplace.connect(seller).buyNFT(0, { value: price });
+      await expect(tx)
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(0, minter.address, ethers.ZeroAddress, royalty);
+      await expect(tx)
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(minter.address, ethers.ZeroAddress, royalty);
+      await expect(tx)
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(buyer.address, ethers.ZeroAddress, price - fee - royalty);
+      expect(await marketplace.treasuryBalance(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.125") + fee);
+    });
+
+    it("Should charge fees and royalties when settling an auction", async function () {
+      const { tokenContract, nftContract, marketplace, owner, minter, verifier, buyer, seller } = await feeFixture();
+      const bid = ethers.parseEther("4");
+
+      await nftContract.connect(owner).setRoyalty(1000); // 10%
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await nftContract.connect(minter).transferFrom(minter.address, buyer.address, 0);
+      await nftContract.connect(buyer).approve(marketplace.target, 0);
+      await marketplace.connect(buyer).createEnglishAuction(0, bid, 3600, ethers.ZeroAddress);
+      await marketplace.connect(seller).placeBid(0, bid, { value: bid });
+      await time.increase(3600);
+
+      await marketplace.settleAuction(0);
+      expect(await marketplace.proceeds(buyer.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("3.5"));
+      expect(await marketplace.proceeds(minter.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.4"));
+      expect(await marketplace.treasuryBalance(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should charge the protocol fee when filling buy orders", async function () {
+      const { tokenContract, marketplace, verifier, buyer, seller } = await feeFixture();
+      const pricePerUnit = ethers.parseEther("0.1");
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(100));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(100));
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(100), pricePerUnit, ethers.ZeroAddress, {
+        value: pricePerUnit * 100n,
+      });
+
+      await marketplace.connect(seller).fillBuyOrder(0, tonnes(100));
+      expect(await marketplace.proceeds(seller.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("9.75"));
+      expect(await marketplace.treasuryBalance(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.25"));
+    });
+  });
+
+  describe("Pull payments and reentrancy", function () {
+    const Mode = { Accept: 0, Reject: 1, Reenter: 2 };
+
+    // A contract account that owns NFT 0 and lists it for 1 CELO
+    async function maliciousSellerFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { nftContract, marketplace, minter, tokenContract, verifier } = fixture;
+      const price = ethers.parseEther("1");
+
+      const MaliciousReceiver = await ethers.getContractFactory("MaliciousReceiver");
+      const receiver = await MaliciousReceiver.deploy();
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await nftContract.connect(minter).transferFrom(minter.address, receiver.target, 0);
+      await receiver.execute(
+        nftContract.target,
+        nftContract.interface.encodeFunctionData("approve", [marketplace.target, 0])
+      );
+      await receiver.execute(
+        marketplace.target,
+        marketplace.interface.encodeFunctionData("listNFT", [0, price, ethers.ZeroAddress])
+      );
+      return { ...fixture, receiver, price };
+    }
+
+    it("Should complete a sale when the seller rejects CELO and credit its proceeds", async function () {
+      const { nftContract, marketplace, buyer, receiver, price } = await maliciousSellerFixture();
+      const withdrawProceeds = marketplace.interface.encodeFunctionData("withdrawProceeds", [ethers.ZeroAddress]);
+      await receiver.setMode(Mode.Reject, ethers.ZeroAddress, "0x");
+
+      await expect(marketplace.connect(buyer).buyNFT(0, { value: price }))
+        .to.emit(marketplace, "ProceedsCredited")
+        .withArgs(receiver.target, ethers.ZeroAddress, price);
+      expect(await nftContract.ownerOf(0)).to.equal(buyer.address);
+      expect(await marketplace.proceeds(receiver.target, ethers.ZeroAddress)).to.equal(price);
+
+      // The rejection only blocks the receiver's own withdrawal, which succeeds once it accepts CELO
+      await expect(
+        receiver.execute(marketplace.target, withdrawProceeds)
+      ).to.be.revertedWith("MaliciousReceiver: rejected");
+      await receiver.setMode(Mode.Accept, ethers.ZeroAddress, "0x");
+      await expect(
+        receiver.execute(marketplace.target, withdrawProceeds)
+      ).to.changeEtherBalances([receiver, marketplace], [price, -price]);
+    });
+
+    it("Should block re-entry into withdrawProceeds", async function () {
+      const { marketplace, buyer, receiver, price } = await maliciousSellerFixture();
+      const withdrawProceeds = marketplace.interface.encodeFunctionData("withdrawProceeds", [ethers.ZeroAddress]);
+
+      await marketplace.connect(buyer).buyNFT(0, { value: price });
+      await receiver.setMode(Mode.Reenter, marketplace.target, withdrawProceeds);
+
+      await expect(
+        receiver.execute(marketplace.target, withdrawProceeds)
+      ).to.be.revertedWithCustomError(marketplace, "ReentrancyGuardReentrantCall");
+      expect(await marketplace.proceeds(receiver.target, ethers.ZeroAddress)).to.equal(price);
+    });
+
+    it("Should block a buyer from re-entering the marketplace when it receives the NFT", async function () {
+      const { nftContract, marketplace, minter, receiver } = await maliciousSellerFixture();
+      const price = ethers.parseEther("1");
+
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://one");
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://two");
+      await marketplace.connect(minter).listNFT(1, price, ethers.ZeroAddress);
+      await marketplace.connect(minter).listNFT(2, price, ethers.ZeroAddress);
+      await receiver.setMode(
+        Mode.Reenter,
+        marketplace.target,
+        marketplace.interface.encodeFunctionData("buyNFT", [2])
+      );
+
+      await expect(
+        receiver.execute(marketplace.target, marketplace.interface.encodeFunctionData("buyNFT", [1]), {
+          value: price,
+        })
+      ).to.be.revertedWithCustomError(marketplace, "ReentrancyGuardReentrantCall");
+      expect(await nftContract.ownerOf(1)).to.equal(minter.address);
+      expect((await marketplace.nftListings(2)).active).to.be.true;
+    });
+
+    it("Should let bidders outbid and settle against a bidder that rejects CELO and NFTs", async function () {
+      const { nftContract, marketplace, minter, buyer, receiver } = await maliciousSellerFixture();
+      const bid = ethers.parseEther("1");
+
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://one");
+      await marketplace.connect(minter).createEnglishAuction(1, bid, 3600, ethers.ZeroAddress);
+      await receiver.execute(marketplace.target, marketplace.interface.encodeFunctionData("placeBid", [0, bid]), {
+        value: bid,
+      });
+      await receiver.setMode(Mode.Reject, ethers.ZeroAddress, "0x");
+
+      // Outbidding credits the rejecting bidder instead of sending it CELO
+      await marketplace.connect(buyer).placeBid(0, bid * 2n, { value: bid * 2n });
+      expect(await marketplace.proceeds(receiver.target, ethers.ZeroAddress)).to.equal(bid);
+
+      // A winner that rejects the NFT is credited back, and the seller keeps it
+      await receiver.execute(
+        marketplace.target,
+        marketplace.interface.encodeFunctionData("placeBid", [0, bid * 3n]),
+        { value: bid * 3n }
+      );
+      await time.increase(3600);
+      await expect(marketplace.settleAuction(0))
+        .to.emit(marketplace, "AuctionSettled")
+        .withArgs(0, ethers.ZeroAddress, 0);
+      expect(await nftContract.ownerOf(1)).to.equal(minter.address);
+      expect(await marketplace.proceeds(receiver.target, ethers.ZeroAddress)).to.equal(bid * 4n);
+    });
+
+    it("Should match orders when the buyer rejects its CELO refund", async function () {
+      const { tokenContract, marketplace, verifier, seller, receiver } = await maliciousSellerFixture();
+      const askPrice = ethers.parseEther("0.01");
+      const bidPrice = ethers.parseEther("0.015");
+
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(100));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(100));
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(100), askPrice, ethers.ZeroAddress);
+      await receiver.execute(
+        marketplace.target,
+        marketplace.interface.encodeFunctionData("placeBuyOrder", [1, 2023, tonnes(60), bidPrice, ethers.ZeroAddress]),
+        { value: bidPrice * 60n }
+      );
+      await receiver.setMode(Mode.Reject, ethers.ZeroAddress, "0x");
+
+      await marketplace.matchOrders(0, 0, tonnes(60));
+      expect(await tokenContract.batchBalanceOf(receiver.target, 1, 2023)).to.equal(tonnes(60));
+      expect(await marketplace.proceeds(receiver.target, ethers.ZeroAddress)).to.equal((bidPrice - askPrice) * 60n);
+      expect(await marketplace.proceeds(seller.address, ethers.ZeroAddress)).to.equal(askPrice * 60n);
+    });
+  });
+
+  it("Should revert if canceling non-existent NFT listing", async function () {
+    const { marketplace, minter } = await deployCarbonCreditFixture();
+    await expect(
+      marketplace.connect(minter).cancelNFTListing(999)
+    ).to.be.revertedWithCustomError(marketplace, "NotNFTOwner");
+  });
+
+  describe("Stablecoin payments", function () {
+    it("Should buy NFT with a stablecoin", async function () {
+      const { nftContract, marketplace, stablecoin, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
+      const price = ethers.parseEther("25");
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await expect(marketplace.connect(minter).listNFT(0, price, stablecoin.target))
+        .to.emit(marketplace, "NFTListed")
+        .withArgs(0, minter.address, price, stablecoin.target);
+      expect((await marketplace.nftListings(0)).paymentToken).to.equal(stablecoin.target);
+
+      await stablecoin.connect(buyer).approve(marketplace.target, price);
+      const tx = marketplace.connect(buyer).buyNFT(0);
+      await expect(tx)
+        .to.emit(marketplace, "NFTSold")
+        .withArgs(0, buyer.address, price, stablecoin.target);
+      await expect(tx).to.changeTokenBalances(stablecoin, [buyer, marketplace], [-price, price]);
+      expect(await marketplace.proceeds(minter.address, stablecoin.target)).to.equal(price);
+
+      expect(await nftContract.ownerOf(0)).to.equal(buyer.address);
+    });
+
+    it("Should buy tokens with a stablecoin", async function () {
+      const { tokenContract, marketplace, stablecoin, verifier, buyer } = await deployCarbonCreditFixture();
+      const amount = tonnes(100);
+      const pricePerUnit = ethers.parseEther("2.5");
+      const price = pricePerUnit * 100n;
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, amount);
+      await tokenContract.connect(verifier).approve(marketplace.target, amount);
+      await marketplace.connect(verifier).listTokens(1, 2023, amount, pricePerUnit, stablecoin.target);
+
+      await stablecoin.connect(buyer).approve(marketplace.target, price);
+      const tx = marketplace.connect(buyer).buyTokens(0, amount);
+      await expect(tx)
+        .to.emit(marketplace, "TokenSold")
+        .withArgs(0, buyer.address, amount, price, 0, stablecoin.target);
+      await expect(tx).to.changeTokenBalances(stablecoin, [buyer, marketplace], [-price, price]);
+      expect(await marketplace.proceeds(verifier.address, stablecoin.target)).to.equal(price);
+      await expect(tx).to.changeEtherBalance(verifier, 0);
+
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(amount);
+    });
+
+    it("Should revert if sending CELO to a stablecoin listing", async function () {
+      const { nftContract, marketplace, stablecoin, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
+      const price = ethers.parseEther("25");
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await marketplace.connect(minter).listNFT(0, price, stablecoin.target);
+      await stablecoin.connect(buyer).approve(marketplace.target, price);
+
+      await expect(
+        marketplace.connect(buyer).buyNFT(0, { value: price })
+      ).to.be.revertedWithCustomError(marketplace, "UnexpectedNativePayment");
+    });
+
+    it("Should revert if stablecoin allowance is insufficient", async function () {
+      const { tokenContract, marketplace, stablecoin, verifier, buyer } = await deployCarbonCreditFixture();
+      const price = ethers.parseEther("250");
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, tonnes(100));
+      await tokenContract.connect(verifier).approve(marketplace.target, tonnes(100));
+      await marketplace.connect(verifier).listTokens(1, 2023, tonnes(100), ethers.parseEther("2.5"), stablecoin.target);
+      await stablecoin.connect(buyer).approve(marketplace.target, price - 1n);
+
+      await expect(marketplace.connect(buyer).buyTokens(0, tonnes(100)))
+        .to.be.revertedWithCustomError(stablecoin, "ERC20InsufficientAllowance");
+      expect((await marketplace.tokenListings(0)).active).to.be.true;
+    });
+  });  });  describe("CarbonCreditConverter", function () {
+    it("Should convert NFT to tokens with single approval", async function () {
+      const { nftContract, tokenContract, converterContract, minter, verifier } = await deployCarbonCreditFixture();
+      const tokenId = 0;
+      const carbonTons = 10;
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 1000);
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, carbonTons, "ipfs://test");
+  await nftContract.connect(minter).approve(converterContract.target, tokenId);
+
+  await expect(converterContract.connect(minter).convertNFTtoTokens(tokenId))
+    .to.emit(converterContract, "ConvertedToTokens")
+    .withArgs(minter.address, tokenId, carbonTons);
+
+  expect(await tokenContract.balanceOf(minter.address)).to.equal(carbonTons);
+  await expect(nftContract.ownerOf(tokenId)).to.be.revertedWithCustomError(nftContract, "ERC721NonexistentToken");
+});
+
+it("Should convert NFT to tokens with approval for all", async function () {
+  const { nftContract, tokenContract, converterContract, minter, verifier } = await deployCarbonCreditFixture();
+  const tokenId = 0;
+  const carbonTons = 10;
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 1000);
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, carbonTons, "ipfs://test");
+  await nftContract.connect(minter).setApprovalForAll(converterContract.target, true);
+
+  await expect(converterContract.connect(minter).convertNFTtoTokens(tokenId))
+    .to.emit(converterContract, "ConvertedToTokens")
+    .withArgs(minter.address, tokenId, carbonTons);
+
+  expect(await tokenContract.balanceOf(minter.address)).to.equal(carbonTons);
+  await expect(nftContract.ownerOf(tokenId)).to.be.revertedWithCustomError(nftContract, "ERC721NonexistentToken");
+});
+
+it("Should revert if non-owner tries to convert", async function () {
+  const { nftContract, converterContract, minter, buyer, tokenContract, verifier } = await deployCarbonCreditFixture();
+  const tokenId = 0;
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await expect(
+    converterContract.connect(buyer).convertNFTtoTokens(tokenId)
+  ).to.be.revertedWithCustomError(converterContract, "NotNFTOwner");
+});
+
+it("Should revert if converter not approved", async function () {
+  const { nftContract, converterContract, minter, tokenContract, verifier } = await deployCarbonCreditFixture();
+  const tokenId = 0;
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+  await expect(
+    converterContract.connect(minter).convertNFTtoTokens(tokenId)
+  ).to.be.revertedWithCustomError(converterContract, "NotApproved");
+});
+
+it("Should convert NFT into its own credit batch", async function () {
+  const { nftContract, tokenContract, converterContract, minter, verifier } = await deployCarbonCreditFixture();
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2018, "ipfs://forest", "Verra", "Forestry", 1000);
+  await tokenContract.connect(verifier).setVerificationData(2, 2024, "ipfs://solar", "Gold Standard", "Renewable", 1000);
+  await nftContract.connect(minter).mint(minter.address, 2, 2024, 10, "ipfs://test");
+  await nftContract.connect(minter).setApprovalForAll(converterContract.target, true);
+
+  await expect(converterContract.connect(minter).convertNFTtoTokens(0))
+    .to.emit(tokenContract, "BatchTransfer")
+    .withArgs(ethers.ZeroAddress, minter.address, 2, 2024, 10);
+
+  expect(await tokenContract.batchBalanceOf(minter.address, 2, 2024)).to.equal(10);
+  expect(await tokenContract.batchBalanceOf(minter.address, 1, 2018)).to.equal(0);
+});
+
+it("Should not count conversions between NFTs and tokens against the issuance cap again", async function () {
+  const { nftContract, tokenContract, converterContract, minter, verifier, buyer } = await deployCarbonCreditFixture();
+  const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+
+  await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", tonnes(100));
+  await tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2023, tonnes(60));
+  await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(40), "ipfs://test");
+  expect((await tokenContract.verificationData(key)).issuedAmount).to.equal(tonnes(100));
+
+  // Moving the credits between tokens and NFTs leaves the issued amount as it is
+  await tokenContract.connect(buyer).approve(converterContract.target, tonnes(60));
+  await converterContract.connect(buyer).convertTokensToNFT(1, 2023, tonnes(60), "ipfs://bundle");
+  await nftContract.connect(minter).setApprovalForAll(converterContract.target, true);
+  await converterContract.connect(minter).convertNFTtoTokens(0);
+  expect((await tokenContract.verificationData(key)).issuedAmount).to.equal(tonnes(100));
+  expect(await tokenContract.totalSupply()).to.equal(tonnes(40));
+
+  // Nothing is left to mint, and a converter can't mint tokens no NFT or issuance backs
+  await expect(nftContract.connect(minter).mint(minter.address, 1, 2023, 1, "ipfs://test"))
+    .to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded")
+    .withArgs(1, 0);
+  const CONVERTER_ROLE = await tokenContract.CONVERTER_ROLE();
+  await tokenContract.grantRole(CONVERTER_ROLE, verifier.address);
+  await expect(tokenContract.connect(verifier).mint(verifier.address, 1, 2023, tonnes(61)))
+    .to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded")
+    .withArgs(tonnes(61), tonnes(60));
+});
+
+  // CarbonCreditConverter.Direction
+  const NFT_TO_TOKENS = 0;
+  const TOKENS_TO_NFT = 1;
+
+  // The minter owns NFTs 0 and 1 (project 1 / 2023, 10 and 20 tons) and 2 (project 2 / 2024, 5 tons),
+  // and the buyer holds 100 CCT of project 1 / 2023
+  async function conversionFixture() {
+    const fixture = await deployCarbonCreditFixture();
+    const { nftContract, tokenContract, converterContract, minter, verifier, buyer } = fixture;
+
+    await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv-2023", "Verra", "Renewable", 1000);
+    await tokenContract.connect(verifier).setVerificationData(2, 2024, "ipfs://mrv-2024", "Verra", "Forestry", 1000);
+    await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://nft-0");
+    await nftContract.connect(minter).mint(minter.address, 1, 2023, 20, "ipfs://nft-1");
+    await nftContract.connect(minter).mint(minter.address, 2, 2024, 5, "ipfs://nft-2");
+    await nftContract.connect(minter).setApprovalForAll(converterContract.target, true);
+    await tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2023, 100);
+
+    return fixture;
+  }
+
+  it("Should convert several NFTs in one transaction", async function () {
+    const { converterContract, tokenContract, nftContract, minter } = await conversionFixture();
+
+    await expect(converterContract.connect(minter).convertNFTsToTokens([0, 1, 2]))
+      .to.emit(converterContract, "ConvertedToTokens")
+      .withArgs(minter.address, 0, 10)
+      .and.to.emit(converterContract, "ConvertedToTokens")
+      .withArgs(minter.address, 1, 20)
+      .and.to.emit(converterContract, "ConvertedToTokens")
+      .withArgs(minter.address, 2, 5);
+
+    expect(await tokenContract.batchBalanceOf(minter.address, 1, 2023)).to.equal(30);
+    expect(await tokenContract.batchBalanceOf(minter.address, 2, 2024)).to.equal(5);
+    expect(await nftContract.balanceOf(minter.address)).to.equal(0);
+    expect(await converterContract.conversionCount()).to.equal(3);
+
+    const conversion = await converterContract.conversions(2);
+    expect(conversion.account).to.equal(minter.address);
+    expect(conversion.tokenId).to.equal(2);
+    expect(conversion.creditsId).to.equal(2);
+    expect(conversion.vintageYear).to.equal(2024);
+    expect(conversion.carbonTons).to.equal(5);
+    expect(conversion.direction).to.equal(NFT_TO_TOKENS);
+  });
+
+  it("Should revert a batch conversion as a whole", async function () {
+    const { converterContract, nftContract, tokenContract, minter, buyer } = await conversionFixture();
+    await nftContract.connect(minter).transferFrom(minter.address, buyer.address, 2);
+
+    await expect(converterContract.connect(minter).convertNFTsToTokens([])).to.be.revertedWithCustomError(
+      converterContract,
+      "EmptyBatch"
+    );
+    await expect(converterContract.connect(minter).convertNFTsToTokens([0, 2])).to.be.revertedWithCustomError(
+      converterContract,
+      "NotNFTOwner"
+    );
+    expect(await nftContract.ownerOf(0)).to.equal(minter.address);
+    expect(await tokenContract.balanceOf(minter.address)).to.equal(0);
+  });
+
+  it("Should re-bundle tokens into an NFT of the same batch", async function () {
+    const { converterContract, tokenContract, nftContract, buyer } = await conversionFixture();
+    await tokenContract.connect(buyer).approve(converterContract.target, 40);
+
+    await expect(converterContract.connect(buyer).convertTokensToNFT(1, 2023, 40, "ipfs://bundle"))
+      .to.emit(converterContract, "ConvertedToNFT")
+      .withArgs(buyer.address, 3, 1, 2023, 40)
+      .and.to.emit(tokenContract, "BatchTransfer")
+      .withArgs(buyer.address, ethers.ZeroAddress, 1, 2023, 40);
+
+    expect(await nftContract.ownerOf(3)).to.equal(buyer.address);
+    expect(await nftContract.carbonAmount(3)).to.equal(40);
+    const [creditsId, vintageYear] = await nftContract.creditBatch(3);
+    expect(creditsId).to.equal(1);
+    expect(vintageYear).to.equal(2023);
+    expect(await nftContract.tokenURI(3)).to.equal("ipfs://bundle");
+    // Royalties go to the account that bundled the tokens, not to the converter
+    const [royaltyReceiver] = await nftContract.royaltyInfo(3, ethers.parseEther("1"));
+    expect(royaltyReceiver).to.equal(buyer.address);
+    expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(60);
+    expect(await tokenContract.batchSupply(ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]))).to.equal(60);
+
+    const conversion = await converterContract.conversions(0);
+    expect(conversion.account).to.equal(buyer.address);
+    expect(conversion.direction).to.equal(TOKENS_TO_NFT);
+    expect(await converterContract.getConversionsOf(3)).to.deep.equal([0n]);
+  });
+
+  it("Should trace an NFT through a round trip of conversions", async function () {
+    const { converterContract, tokenContract, nftContract, buyer } = await conversionFixture();
+    await tokenContract.connect(buyer).approve(converterContract.target, 40);
+    await converterContract.connect(buyer).convertTokensToNFT(1, 2023, 40, "ipfs://bundle");
+    await nftContract.connect(buyer).approve(converterContract.target, 3);
+
+    await converterContract.connect(buyer).convertNFTtoTokens(3);
+
+    expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(100);
+    const conversionIds = await converterContract.getConversionsOf(3);
+    expect(conversionIds).to.deep.equal([0n, 1n]);
+    const [bundled, unbundled] = await Promise.all(conversionIds.map((id) => converterContract.conversions(id)));
+    expect(bundled.direction).to.equal(TOKENS_TO_NFT);
+    expect(unbundled.direction).to.equal(NFT_TO_TOKENS);
+    for (const conversion of [bundled, unbundled]) {
+      expect(conversion.creditsId).to.equal(1);
+      expect(conversion.vintageYear).to.equal(2023);
+      expect(conversion.carbonTons).to.equal(40);
+    }
+    expect(await converterContract.getConversionsOf(0)).to.deep.equal([]);
+  });
+
+  it("Should revert invalid re-bundling", async function () {
+    const { converterContract, tokenContract, nftContract, roleManager, buyer, CONVERTER_ROLE } = await conversionFixture();
+
+    await expect(converterContract.connect(buyer).convertTokensToNFT(1, 2023, 0, "ipfs://bundle")).to.be.revertedWithCustomError(
+      converterContract,
+      "InvalidCarbonAmount"
+    );
+    await expect(converterContract.connect(buyer).convertTokensToNFT(1, 2023, 40, "ipfs://bundle")).to.be.revertedWithCustomError(
+      tokenContract,
+      "ERC20InsufficientAllowance"
+    );
+
+    await tokenContract.connect(buyer).approve(converterContract.target, 1000);
+    await expect(converterContract.connect(buyer).convertTokensToNFT(2, 2024, 10, "ipfs://bundle")).to.be.revertedWithCustomError(
+      tokenContract,
+      "InsufficientBatchBalance"
+    );
+
+    await roleManager.revokeRoleFromContract(CONVERTER_ROLE, converterContract.target, nftContract.target);
+    await expect(converterContract.connect(buyer).convertTokensToNFT(1, 2023, 10, "ipfs://bundle")).to.be.revertedWithCustomError(
+      nftContract,
+      "AccessControlUnauthorizedAccount"
+    );
+  });
+
+  });
+  describe("CarbonCreditRetirement", function () {
+    async function issuedCreditsFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, verifier } = fixture;
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 1000);
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, 100);
+      return fixture;
+    }
+
+    it("Should retire tokens and issue a certificate", async function () {
+      const { tokenContract, retirementContract, verifier } = await issuedCreditsFixture();
+
+      await tokenContract.connect(verifier).approve(retirementContract.target, 40);
+      await expect(
+        retirementContract.connect(verifier).retireTokens(1, 2023, 40, "Acme Corp", "2023 Scope 1 offsetting")
+      )
+        .to.emit(retirementContract, "CreditsRetired")
+        .withArgs(0, verifier.address, 1, 2023, 40, "Acme Corp", "2023 Scope 1 offsetting");
+
+      expect(await tokenContract.balanceOf(verifier.address)).to.equal(60);
+      expect(await tokenContract.totalSupply()).to.equal(60);
+      expect(await retirementContract.ownerOf(0)).to.equal(verifier.address);
+
+      const retirement = await retirementContract.retirements(0);
+      expect(retirement.retiree).to.equal(verifier.address);
+      expect(retirement.beneficiary).to.equal("Acme Corp");
+      expect(retirement.reason).to.equal("2023 Scope 1 offsetting");
+      expect(retirement.creditsId).to.equal(1);
+      expect(retirement.vintageYear).to.equal(2023);
+      expect(retirement.amount).to.equal(40);
+      expect(retirement.isNFT).to.be.false;
+
+      const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+      expect(await retirementContract.retiredAmount(key)).to.equal(40);
+      expect(await tokenContract.batchSupply(key)).to.equal(60);
+    });
+
+    it("Should retire an NFT and issue a certificate", async function () {
+      const { nftContract, retirementContract, minter } = await issuedCreditsFixture();
+      const tokenId = 0;
+
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await nftContract.connect(minter).approve(retirementContract.target, tokenId);
+
+      await expect(retirementContract.connect(minter).retireNFT(tokenId, "Acme Corp", "Event offsetting"))
+        .to.emit(retirementContract, "CreditsRetired")
+        .withArgs(0, minter.address, 1, 2023, 10, "Acme Corp", "Event offsetting");
+
+      await expect(nftContract.ownerOf(tokenId)).to.be.revertedWithCustomError(nftContract, "ERC721NonexistentToken");
+      const retirement = await retirementContract.retirements(0);
+      expect(retirement.creditsId).to.equal(1);
+      expect(retirement.vintageYear).to.equal(2023);
+      expect(retirement.isNFT).to.be.true;
+      expect(retirement.nftTokenId).to.equal(tokenId);
+      expect(retirement.amount).to.equal(10);
+    });
+
+    it("Should look up certificates by retiree", async function () {
+      const { tokenContract, retirementContract, verifier, buyer } = await issuedCreditsFixture();
+
+      await tokenContract.connect(verifier).approve(retirementContract.target, 30);
+      await retirementContract.connect(verifier).retireTokens(1, 2023, 10, "Acme Corp", "Q1");
+      await retirementContract.connect(verifier).retireTokens(1, 2023, 20, "Acme Corp", "Q2");
+
+      const certificates = await retirementContract.getRetirementsByRetiree(verifier.address);
+      expect(certificates).to.deep.equal([0n, 1n]);
+      expect(await retirementContract.getRetirementsByRetiree(buyer.address)).to.have.length(0);
+      expect(await retirementContract.balanceOf(verifier.address)).to.equal(2);
+    });
+
+    it("Should not allow certificates to be transferred", async function () {
+      const { tokenContract, retirementContract, verifier, buyer } = await issuedCreditsFixture();
+
+      await tokenContract.connect(verifier).approve(retirementContract.target, 10);
+      await retirementContract.connect(verifier).retireTokens(1, 2023, 10, "Acme Corp", "Q1");
+
+      await expect(
+        retirementContract.connect(verifier).transferFrom(verifier.address, buyer.address, 0)
+      ).to.be.revertedWithCustomError(retirementContract, "CertificateNonTransferable");
+    });
+
+    it("Should revert if retiring credits without verification data", async function () {
+      const { tokenContract, retirementContract, verifier } = await issuedCreditsFixture();
+
+      await tokenContract.connect(verifier).approve(retirementContract.target, 10);
+      await expect(
+        retirementContract.connect(verifier).retireTokens(2, 2023, 10, "Acme Corp", "Q1")
+      ).to.be.revertedWithCustomError(retirementContract, "CreditsNotVerified");
+    });
+
+    it("Should revert if retiring without a beneficiary or amount", async function () {
+      const { tokenContract, retirementContract, verifier } = await issuedCreditsFixture();
+
+      await tokenContract.connect(verifier).approve(retirementContract.target, 10);
+      await expect(
+        retirementContract.connect(verifier).retireTokens(1, 2023, 10, "", "Q1")
+      ).to.be.revertedWithCustomError(retirementContract, "EmptyBeneficiary");
+      await expect(
+        retirementContract.connect(verifier).retireTokens(1, 2023, 0, "Acme Corp", "Q1")
+      ).to.be.revertedWithCustomError(retirementContract, "InvalidCarbonAmount");
+    });
+
+    it("Should revert if retiring tokens without allowance", async function () {
+      const { tokenContract, retirementContract, verifier } = await issuedCreditsFixture();
+
+      await expect(
+        retirementContract.connect(verifier).retireTokens(1, 2023, 10, "Acme Corp", "Q1")
+      ).to.be.revertedWithCustomError(tokenContract, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert if retiring an NFT without ownership or approval", async function () {
+      const { nftContract, retirementContract, minter, buyer } = await issuedCreditsFixture();
+
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      await expect(
+        retirementContract.connect(buyer).retireNFT(0, "Acme Corp", "Q1")
+      ).to.be.revertedWithCustomError(retirementContract, "NotNFTOwner");
+      await expect(
+        retirementContract.connect(minter).retireNFT(0, "Acme Corp", "Q1")
+      ).to.be.revertedWithCustomError(retirementContract, "NotApproved");
+    });
+  });
+  describe("Carbon units", function () {
+    // The buyer holds 12.345 CCT of project 1 / 2023 and the minter a 2.5 t NFT of the same batch
+    async function fractionalCreditsFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, nftContract, converterContract, retirementContract, minter, verifier, buyer } = fixture;
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2023, tonnes("12.345"));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes("2.5"), "ipfs://nft-0");
+      await nftContract.connect(minter).setApprovalForAll(converterContract.target, true);
+      await tokenContract.connect(buyer).approve(converterContract.target, ethers.MaxUint256);
+      await tokenContract.connect(buyer).approve(retirementContract.target, ethers.MaxUint256);
+
+      return fixture;
+    }
+
+    it("Should express NFT and token amounts in tonnes with 18 decimals", async function () {
+      const { tokenContract, nftContract } = await fractionalCreditsFixture();
+
+      expect(await tokenContract.decimals()).to.equal(18);
+      expect(await nftContract.CARBON_DECIMALS()).to.equal(await tokenContract.decimals());
+      expect(ethers.formatUnits(await nftContract.carbonAmount(0), await nftContract.CARBON_DECIMALS())).to.equal("2.5");
+    });
+
+    it("Should convert an NFT into the same amount of whole tokens", async function () {
+      const { converterContract, tokenContract, minter } = await fractionalCreditsFixture();
+
+      await expect(converterContract.connect(minter).convertNFTtoTokens(0))
+        .to.emit(converterContract, "ConvertedToTokens")
+        .withArgs(minter.address, 0, tonnes("2.5"));
+
+      const balance = await tokenContract.balanceOf(minter.address);
+      expect(balance).to.equal(tonnes("2.5"));
+      expect(ethers.formatUnits(balance, await tokenContract.decimals())).to.equal("2.5");
+    });
+
+    it("Should lose no value when converting fractional amounts back and forth", async function () {
+      const { converterContract, tokenContract, nftContract, buyer } = await fractionalCreditsFixture();
+      const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+      const supplyBefore = await tokenContract.batchSupply(key);
+
+      await converterContract.connect(buyer).convertTokensToNFT(1, 2023, tonnes("0.005"), "ipfs://five-kilograms");
+      expect(await nftContract.carbonAmount(1)).to.equal(tonnes("0.005"));
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes("12.34"));
+
+      await nftContract.connect(buyer).approve(converterContract.target, 1);
+      await converterContract.connect(buyer).convertNFTtoTokens(1);
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes("12.345"));
+      expect(await tokenContract.batchSupply(key)).to.equal(supplyBefore);
+
+      const [bundled, unbundled] = await Promise.all([converterContract.conversions(0), converterContract.conversions(1)]);
+      expect(bundled.carbonTons).to.equal(unbundled.carbonTons);
+    });
+
+    it("Should record token and NFT retirements in the same unit", async function () {
+      const { retirementContract, nftContract, minter, buyer } = await fractionalCreditsFixture();
+      const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+
+      await retirementContract.connect(buyer).retireTokens(1, 2023, tonnes("0.345"), "Acme Corp", "Business travel");
+      await nftContract.connect(minter).approve(retirementContract.target, 0);
+      await retirementContract.connect(minter).retireNFT(0, "Acme Corp", "Business travel");
+
+      expect((await retirementContract.retirements(0)).amount).to.equal(tonnes("0.345"));
+      expect((await retirementContract.retirements(1)).amount).to.equal(tonnes("2.5"));
+      expect(await retirementContract.retiredAmount(key)).to.equal(tonnes("2.845"));
+    });
+
+    it("Should price fractional token amounts per whole token", async function () {
+      const { tokenContract, marketplace, stablecoin, buyer, seller, verifier } = await fractionalCreditsFixture();
+      const pricePerUnit = ethers.parseEther("12");
+
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(1));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(1));
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(1), pricePerUnit, stablecoin.target);
+      await stablecoin.connect(buyer).approve(marketplace.target, ethers.parseEther("3"));
+
+      await expect(marketplace.connect(buyer).buyTokens(0, tonnes("0.25")))
+        .to.emit(marketplace, "TokenSold")
+        .withArgs(0, buyer.address, tonnes("0.25"), ethers.parseEther("3"), tonnes("0.75"), stablecoin.target);
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes("12.595"));
+    });
+
+    it("Should pay out exactly the escrow of a buy order despite rounding", async function () {
+      const { tokenContract, marketplace, buyer, seller, verifier } = await fractionalCreditsFixture();
+      // 10 wei per tonne, so fills of 0.15 t fall between wei
+      const pricePerUnit = 10n;
+
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(1));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(1));
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(1), pricePerUnit, ethers.ZeroAddress, { value: 10n });
+
+      await marketplace.connect(seller).fillBuyOrder(0, tonnes("0.15"));
+      await marketplace.connect(seller).fillBuyOrder(0, tonnes("0.15"));
+      const proceeds = await marketplace.proceeds(seller.address, ethers.ZeroAddress);
+      const cancel = marketplace.connect(buyer).cancelBuyOrder(0);
+      await expect(cancel).to.emit(marketplace, "BuyOrderCancelled").withArgs(0, 7n);
+
+      expect(proceeds).to.equal(3n);
+      await expect(cancel).to.changeEtherBalance(marketplace, -7n);
+      expect(await ethers.provider.getBalance(marketplace.target)).to.equal(proceeds);
+    });
+
+    it("Should never credit a matched seller more than the buy order escrowed", async function () {
+      const { tokenContract, marketplace, buyer, seller, verifier } = await fractionalCreditsFixture();
+      // 1 wei per tonne: the whole order escrows 1 wei, but each half is priced at 1 wei
+      const pricePerUnit = 1n;
+
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(1));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(1));
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(1), pricePerUnit, ethers.ZeroAddress);
+      await marketplace.connect(buyer).placeBuyOrder(1, 2023, tonnes(1), pricePerUnit, ethers.ZeroAddress, { value: 1n });
+
+      await expect(marketplace.matchOrders(0, 0, tonnes("0.5")))
+        .to.emit(marketplace, "BuyOrderFilled")
+        .withArgs(0, seller.address, tonnes("0.5"), 0n, tonnes("0.5"), ethers.ZeroAddress);
+      await marketplace.matchOrders(0, 0, tonnes("0.5"));
+
+      const sellerProceeds = await marketplace.proceeds(seller.address, ethers.ZeroAddress);
+      const buyerProceeds = await marketplace.proceeds(buyer.address, ethers.ZeroAddress);
+      const fees = await marketplace.treasuryBalance(ethers.ZeroAddress);
+      expect(sellerProceeds).to.equal(1n);
+      expect(sellerProceeds + buyerProceeds + fees).to.equal(await ethers.provider.getBalance(marketplace.target));
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes("13.345"));
+    });
+
+    it("Should round partial fills up so that splitting a purchase never pays less", async function () {
+      const { tokenContract, marketplace, buyer, seller, verifier } = await fractionalCreditsFixture();
+      // 10 wei per tonne: a 0.01 t fill is worth 0.1 wei
+      const pricePerUnit = 10n;
+
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(1));
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(1));
+      await marketplace.connect(seller).listTokens(1, 2023, tonnes(1), pricePerUnit, ethers.ZeroAddress);
+
+      await expect(marketplace.connect(buyer).buyTokens(0, tonnes("0.01"))).to.be.revertedWithCustomError(
+        marketplace,
+        "InsufficientPayment"
+      );
+      await expect(marketplace.connect(buyer).buyTokens(0, tonnes("0.01"), { value: 1n }))
+        .to.emit(marketplace, "TokenSold")
+        .withArgs(0, buyer.address, tonnes("0.01"), 1n, tonnes("0.99"), ethers.ZeroAddress);
+
+      // Ten 0.099 t fills cost at least what one 0.99 t purchase would
+      for (let i = 0; i < 10; i++) {
+        await marketplace.connect(buyer).buyTokens(0, tonnes("0.099"), { value: 1n });
+      }
+      expect(await marketplace.proceeds(seller.address, ethers.ZeroAddress)).to.be.at.least(1n + 10n);
+      expect((await marketplace.tokenListings(0)).active).to.be.false;
+    });
+  });
+  describe("NFT metadata", function () {
+    // The minter holds a 2.5 t NFT of project 1 / 2023, rendered on-chain by CarbonCreditMetadata
+    async function metadataFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { nftContract, projectRegistry, tokenContract, minter, verifier } = fixture;
+
+      const CarbonCreditMetadata = await ethers.getContractFactory("CarbonCreditMetadata");
+      const metadataRenderer = await CarbonCreditMetadata.deploy(nftContract.target, projectRegistry.target, tokenContract.target);
+      await nftContract.setMetadataRenderer(metadataRenderer.target);
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes("2.5"), "ipfs://nft-0");
+
+      return { ...fixture, metadataRenderer };
+    }
+
+    const decodeImage = (image) =>
+      Buffer.from(image.slice("data:image/svg+xml;base64,".length), "base64").toString("utf8");
+
+    it("Should render the metadata on-chain as base64 JSON", async function () {
+      const { nftContract } = await metadataFixture();
+
+      const uri = await nftContract.tokenURI(0);
+      expect(uri).to.match(/^data:application\/json;base64,/);
+
+      const metadata = decodeTokenURI(uri);
+      expect(metadata.name).to.equal("Carbon Credit #0");
+      expect(metadata.external_url).to.equal("ipfs://nft-0");
+      expect(metadata.carbon_credit).to.deep.equal({
+        credits_id: 1,
+        vintage_year: 2023,
+        carbon_amount: tonnes("2.5").toString(),
+        tonnes: "2.5",
+        project: { location: "Kenya", methodology: "VM0009", metadata_uri: "ipfs://project-1" },
+        verification: {
+          mrv_data_hash: "ipfs://mrv",
+          standard: "Verra",
+          credit_type: "Renewable",
+          verified_tonnage: tonnes(1000).toString(),
+        },
+      });
+      expect(metadata.attributes).to.deep.include({ trait_type: "Tonnes CO2e", value: "2.5" });
+      expect(metadata.attributes).to.deep.include({ trait_type: "Vintage", display_type: "number", value: 2023 });
+
+      const svg = decodeImage(metadata.image);
+      expect(svg).to.match(/^<svg /);
+      expect(svg).to.include("2.5 t");
+      expect(svg).to.include("Project #1 / Vintage 2023");
+    });
+
+    it("Should include the verification data of the vintage", async function () {
+      const { nftContract } = await metadataFixture();
+
+      const metadata = decodeTokenURI(await nftContract.tokenURI(0));
+      expect(metadata.carbon_credit.verification).to.deep.equal({
+        mrv_data_hash: "ipfs://mrv",
+        standard: "Verra",
+        credit_type: "Renewable",
+        verified_tonnage: tonnes(1000).toString(),
+      });
+      expect(metadata.attributes).to.deep.include({ trait_type: "Verification Standard", value: "Verra" });
+    });
+
+    it("Should escape project fields in the JSON and the SVG", async function () {
+      const { nftContract, projectRegistry, minter, verifier, seller, tokenContract } = await metadataFixture();
+      const location = 'Kakamega "North" <Forest> & Co';
+
+      await projectRegistry.connect(seller).registerProject(location, "VM0007", "ipfs://project-3");
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_VALIDATED);
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE);
+      await tokenContract.connect(verifier).setVerificationData(3, 2024, "ipfs://test", "Verra", "Renewable", tonnes(1000));
+      await nftContract.connect(minter).mint(minter.address, 3, 2024, tonnes("0.125"), "ipfs://nft-1");
+
+      const metadata = decodeTokenURI(await nftContract.tokenURI(1));
+      expect(metadata.carbon_credit.project.location).to.equal(location);
+      expect(metadata.carbon_credit.tonnes).to.equal("0.125");
+      expect(decodeImage(metadata.image)).to.include('Kakamega "North" &lt;Forest&gt; &amp; Co');
+    });
+
+    it("Should serve the URI given at mint without a renderer", async function () {
+      const { nftContract, owner } = await metadataFixture();
+
+      await expect(nftContract.connect(owner).setMetadataRenderer(ethers.ZeroAddress))
+        .to.emit(nftContract, "MetadataRendererUpdated")
+        .withArgs(ethers.ZeroAddress)
+        .and.to.emit(nftContract, "BatchMetadataUpdate")
+        .withArgs(0, ethers.MaxUint256);
+      expect(await nftContract.tokenURI(0)).to.equal("ipfs://nft-0");
+      expect(await nftContract.offchainTokenURI(0)).to.equal("ipfs://nft-0");
+    });
+
+    it("Should only let admins set the renderer", async function () {
+      const { nftContract, metadataRenderer, seller } = await metadataFixture();
+
+      await expect(nftContract.connect(seller).setMetadataRenderer(metadataRenderer.target))
+        .to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+      await expect(nftContract.tokenURI(1)).to.be.revertedWithCustomError(nftContract, "ERC721NonexistentToken");
+    });
+
+    it("Should validate metadata against the schema and the NFT", async function () {
+      const { nftContract } = await metadataFixture();
+      const metadata = decodeTokenURI(await nftContract.tokenURI(0));
+      const [creditsId, vintageYear] = await nftContract.creditBatch(0);
+      const onChain = { creditsId, vintageYear, carbonAmount: await nftContract.carbonAmount(0) };
+
+      expect(validateMetadata(metadata, onChain)).to.deep.equal({ valid: true, errors: [] });
+
+      const mismatched = validateMetadata(metadata, { ...onChain, vintageYear: 2024 });
+      expect(mismatched.valid).to.be.false;
+      expect(mismatched.errors).to.deep.equal([".carbon_credit.vintage_year is 2023, expected 2024"]);
+
+      const { carbon_credit, ...withoutCredit } = metadata;
+      expect(validateMetadata(withoutCredit).valid).to.be.false;
+      expect(validateMetadata({ ...metadata, carbon_credit: { ...carbon_credit, carbon_amount: "2.5" } }).valid).to.be.false;
+    });
+  });
+
+  describe("Gasless transactions", function () {
+    // The minter holds a 10 t NFT and the seller 100 CCT of project 1 / 2023; the owner relays requests
+    async function gaslessFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { tokenContract, nftContract, marketplace, converterContract, forwarder, owner, minter, verifier, seller } = fixture;
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2023, tonnes(100));
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, tonnes(10), "ipfs://nft-0");
+
+      const targets = [marketplace.target, converterContract.target, tokenContract.target, nftContract.target];
+      const relayer = createRelayer({ forwarder: forwarder.connect(owner), targets });
+
+      return { ...fixture, relayer };
+    }
+
+    // Signs an EIP-2612 permit letting `spender` spend `value` of the owner's CCT
+    async function signPermit(tokenContract, owner, spender, value) {
+      const [, name, version, chainId, verifyingContract] = await tokenContract.eip712Domain();
+      const deadline = (await time.latest()) + 3600;
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const message = { owner: owner.address, spender, value, nonce: await tokenContract.nonces(owner.address), deadline };
+      const signature = ethers.Signature.from(
+        await owner.signTypedData({ name, version, chainId, verifyingContract }, types, message)
+      );
+      return { deadline, v: signature.v, r: signature.r, s: signature.s };
+    }
+
+    it("Should act for the signer of a forwarded request", async function () {
+      const { forwarder, marketplace, owner, minter } = await gaslessFixture();
+      const price = ethers.parseEther("1");
+      const balanceBefore = await ethers.provider.getBalance(minter.address);
+
+      const request = await signForwardRequest(forwarder, minter, {
+        to: marketplace.target,
+        data: marketplace.interface.encodeFunctionData("listNFT", [0, price, ethers.ZeroAddress]),
+      });
+      await expect(forwarder.connect(owner).execute(request))
+        .to.emit(marketplace, "NFTListed")
+        .withArgs(0, minter.address, price, ethers.ZeroAddress);
+
+      expect((await marketplace.nftListings(0)).seller).to.equal(minter.address);
+      expect(await ethers.provider.getBalance(minter.address)).to.equal(balanceBefore);
+      expect(await forwarder.nonces(minter.address)).to.equal(1);
+    });
+
+    it("Should approve and convert an NFT through the relayer", async function () {
+      const { relayer, forwarder, nftContract, converterContract, tokenContract, minter } = await gaslessFixture();
+      const balanceBefore = await ethers.provider.getBalance(minter.address);
+
+      await relayer.relay(
+        await signForwardRequest(forwarder, minter, {
+          to: nftContract.target,
+          data: nftContract.interface.encodeFunctionData("approve", [converterContract.target, 0]),
+        })
+      );
+      const { transactionHash } = await relayer.relay(
+        await signForwardRequest(forwarder, minter, {
+          to: converterContract.target,
+          data: converterContract.interface.encodeFunctionData("convertNFTtoTokens", [0]),
+        })
+      );
+
+      await expect(transactionHash).to.emit(converterContract, "ConvertedToTokens").withArgs(minter.address, 0, tonnes(10));
+      expect(await tokenContract.batchBalanceOf(minter.address, 1, 2023)).to.equal(tonnes(10));
+      expect((await converterContract.conversions(0)).account).to.equal(minter.address);
+      expect(await ethers.provider.getBalance(minter.address)).to.equal(balanceBefore);
+    });
+
+    it("Should list tokens with a permit instead of an approval", async function () {
+      const { tokenContract, marketplace, seller } = await gaslessFixture();
+      const amount = tonnes(40);
+      const pricePerUnit = ethers.parseEther("0.01");
+      const { deadline, v, r, s } = await signPermit(tokenContract, seller, marketplace.target, amount);
+
+      await expect(
+        marketplace.connect(seller).listTokensWithPermit(1, 2023, amount, pricePerUnit, ethers.ZeroAddress, deadline, v, r, s)
+      )
+        .to.emit(marketplace, "TokenListed")
+        .withArgs(0, seller.address, 1, 2023, amount, pricePerUnit, ethers.ZeroAddress);
+      expect(await tokenContract.allowance(seller.address, marketplace.target)).to.equal(amount);
+      expect(await tokenContract.nonces(seller.address)).to.equal(1);
+
+      // A permit that was already used is ignored as long as the allowance is in place
+      await expect(
+        marketplace.connect(seller).listTokensWithPermit(1, 2023, amount, pricePerUnit, ethers.ZeroAddress, deadline, v, r, s)
+      ).to.emit(marketplace, "TokenListed");
+      await tokenContract.connect(seller).approve(marketplace.target, 0);
+      await expect(
+        marketplace.connect(seller).listTokensWithPermit(1, 2023, amount, pricePerUnit, ethers.ZeroAddress, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(marketplace, "InsufficientTokenAllowance");
+    });
+
+    it("Should list tokens without gas or approval by relaying a permit listing", async function () {
+      const { relayer, forwarder, tokenContract, marketplace, stablecoin, seller, buyer } = await gaslessFixture();
+      const amount = tonnes(40);
+      const pricePerUnit = ethers.parseEther("2");
+      const { deadline, v, r, s } = await signPermit(tokenContract, seller, marketplace.target, amount);
+      const balanceBefore = await ethers.provider.getBalance(seller.address);
+
+      await relayer.relay(
+        await signForwardRequest(forwarder, seller, {
+          to: marketplace.target,
+          data: marketplace.interface.encodeFunctionData("listTokensWithPermit", [
+            1, 2023, amount, pricePerUnit, stablecoin.target, deadline, v, r, s,
+          ]),
+        })
+      );
+      expect((await marketplace.tokenListings(0)).seller).to.equal(seller.address);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(balanceBefore);
+
+      // A buyer holding only stablecoins buys through the relayer too
+      await stablecoin.connect(buyer).approve(marketplace.target, ethers.parseEther("20"));
+      await relayer.relay(
+        await signForwardRequest(forwarder, buyer, {
+          to: marketplace.target,
+          data: marketplace.interface.encodeFunctionData("buyTokens", [0, tonnes(10)]),
+        })
+      );
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2023)).to.equal(tonnes(10));
+      expect(await marketplace.proceeds(seller.address, stablecoin.target)).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should refuse requests the relayer must not pay for", async function () {
+      const { relayer, forwarder, marketplace, stablecoin, minter, buyer } = await gaslessFixture();
+      const listNFT = marketplace.interface.encodeFunctionData("listNFT", [0, ethers.parseEther("1"), ethers.ZeroAddress]);
+
+      const untrustedTarget = await signForwardRequest(forwarder, buyer, {
+        to: stablecoin.target,
+        data: stablecoin.interface.encodeFunctionData("transfer", [minter.address, 1]),
+      });
+      await expect(relayer.relay(untrustedTarget)).to.be.rejectedWith(RelayError, "Carbon Credit System contracts");
+
+      const withValue = await signForwardRequest(forwarder, minter, { to: marketplace.target, data: listNFT, value: 1n });
+      await expect(relayer.relay(withValue)).to.be.rejectedWith(RelayError, "does not pay CELO");
+
+      const request = await signForwardRequest(forwarder, minter, { to: marketplace.target, data: listNFT });
+      await expect(relayer.relay({ ...request, from: buyer.address })).to.be.rejectedWith(RelayError, "Invalid signature");
+
+      const expired = await signForwardRequest(forwarder, minter, {
+        to: marketplace.target,
+        data: listNFT,
+        deadline: (await time.latest()) - 1,
+      });
+      await expect(relayer.relay(expired)).to.be.rejectedWith(RelayError, "Invalid signature");
+
+      // The buyer doesn't own NFT 0, so the call itself fails
+      const failing = await signForwardRequest(forwarder, buyer, { to: marketplace.target, data: listNFT });
+      await expect(relayer.relay(failing)).to.be.rejectedWith(RelayError);
+      expect(await forwarder.nonces(buyer.address)).to.equal(0);
+    });
+
+    it("Should only trust the sender appended by the forwarder", async function () {
+      const { marketplace, minter, buyer } = await gaslessFixture();
+      const listNFT = marketplace.interface.encodeFunctionData("listNFT", [0, ethers.parseEther("1"), ethers.ZeroAddress]);
+
+      // Appending the owner's address to a direct call doesn't make the buyer act as the owner
+      await expect(
+        buyer.sendTransaction({ to: marketplace.target, data: ethers.concat([listNFT, minter.address]) })
+      ).to.be.revertedWithCustomError(marketplace, "NotNFTOwner");
+    });
+
+    it("Should relay requests over HTTP", async function () {
+      const { relayer, forwarder, marketplace, minter } = await gaslessFixture();
+      const server = createServer(relayer, { forwarder: forwarder.target });
+      await new Promise((resolve) => server.listen(0, resolve));
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        expect(await (await fetch(`${url}/health`)).json()).to.deep.equal({ forwarder: forwarder.target });
+
+        const request = await signForwardRequest(forwarder, minter, {
+          to: marketplace.target,
+          data: marketplace.interface.encodeFunctionData("listNFT", [0, ethers.parseEther("1"), ethers.ZeroAddress]),
+        });
+        const body = JSON.stringify({ request }, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+        const response = await fetch(`${url}/relay`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+        expect(response.status).to.equal(200);
+        const { transactionHash } = await response.json();
+        await expect(transactionHash).to.emit(marketplace, "NFTListed");
+
+        const replayed = await fetch(`${url}/relay`, { method: "POST", body });
+        expect(replayed.status).to.equal(400);
+        expect((await replayed.json()).error).to.equal("Invalid signature, nonce or deadline");
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe("Project queries", function () {
+    // Filter fields: creditType, verificationStandard, minVintageYear, maxVintageYear, issuance
+    const ANY = 0;
+    const ISSUED = 1;
+    const NOT_ISSUED = 2;
+    const noFilter = ["", "", 0, 0, ANY];
+
+    // 1,050 vintages spread over three projects; every fourth one has issued credits
+    async function largeCatalogFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { projectRegistry, tokenContract, verifier, seller } = fixture;
+
+      await projectRegistry.connect(seller).registerProject("Peru", "VM0007", "ipfs://project-3");
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_VALIDATED);
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE);
+
+      const catalog = [];
+      for (let i = 0; i < 1050; i++) {
+        const entry = {
+          creditsId: 1 + (i % 3),
+          vintageYear: 1700 + Math.floor(i / 3),
+          creditType: i % 2 === 0 ? "Renewable" : "Forestry",
+          verificationStandard: i % 5 === 0 ? "Gold Standard" : "Verra",
+          isIssued: i % 4 === 0,
+        };
+        await tokenContract
+          .connect(verifier)
+          .setVerificationData(
+            entry.creditsId,
+            entry.vintageYear,
+            `ipfs://mrv-${i}`,
+            entry.verificationStandard,
+            entry.creditType,
+            100
+          );
+        if (entry.isIssued) {
+          await tokenContract.connect(verifier).issueCredits(seller.address, entry.creditsId, entry.vintageYear, 10);
+        }
+        catalog.push(entry);
+      }
+
+      return { ...fixture, catalog };
+    }
+
+    function expectedMatches(catalog, [creditType, verificationStandard, minVintageYear, maxVintageYear, issuance]) {
+      return catalog.filter(
+        (entry) =>
+          (creditType === "" || entry.creditType === creditType) &&
+          (verificationStandard === "" || entry.verificationStandard === verificationStandard) &&
+          entry.vintageYear >= minVintageYear &&
+          (maxVintageYear === 0 || entry.vintageYear <= maxVintageYear) &&
+          (issuance === ANY || entry.isIssued === (issuance === ISSUED))
+      );
+    }
+
+    async function queryAll(tokenContract, filter, limit) {
+      const results = [];
+      const total = await tokenContract.verifiedProjectCount();
+      let offset = 0n;
+      while (offset < total) {
+        const [creditsIds, vintageYears, data, nextOffset] = await tokenContract.getProjects(filter, offset, limit);
+        expect(creditsIds.length).to.be.at.most(limit);
+        creditsIds.forEach((creditsId, i) =>
+          results.push({ creditsId: Number(creditsId), vintageYear: Number(vintageYears[i]), data: data[i] })
+        );
+        expect(nextOffset).to.be.greaterThan(offset);
+        offset = nextOffset;
+      }
+      return results;
+    }
+
+    it("Should count verified and issued vintages", async function () {
+      const { tokenContract, catalog } = await loadFixture(largeCatalogFixture);
+
+      expect(await tokenContract.verifiedProjectCount()).to.equal(catalog.length);
+      expect(await tokenContract.issuedProjectCount()).to.equal(catalog.filter((entry) => entry.isIssued).length);
+      expect(await tokenContract.countProjects(noFilter)).to.equal(catalog.length);
+    });
+
+    it("Should page through every verified vintage", async function () {
+      const { tokenContract, catalog } = await loadFixture(largeCatalogFixture);
+
+      const results = [];
+      for (let offset = 0; offset < catalog.length; offset += 100) {
+        const [creditsIds, vintageYears, data] = await tokenContract.getVerifiedProjects(offset, 100);
+        expect(creditsIds.length).to.equal(Math.min(100, catalog.length - offset));
+        creditsIds.forEach((creditsId, i) =>
+          results.push({ creditsId: Number(creditsId), vintageYear: Number(vintageYears[i]), data: data[i] })
+        );
+      }
+
+      expect(results).to.have.length(catalog.length);
+      results.forEach((result, i) => {
+        expect(result.creditsId).to.equal(catalog[i].creditsId);
+        expect(result.vintageYear).to.equal(catalog[i].vintageYear);
+        expect(result.data.mrvDataHash).to.equal(`ipfs://mrv-${i}`);
+      });
+
+      const [pastEnd] = await tokenContract.getVerifiedProjects(catalog.length, 100);
+      expect(pastEnd).to.have.length(0);
+    });
+
+    it("Should page through issued vintages", async function () {
+      const { tokenContract, catalog } = await loadFixture(largeCatalogFixture);
+      const issued = catalog.filter((entry) => entry.isIssued);
+
+      const results = [];
+      for (let offset = 0; offset < issued.length; offset += 50) {
+        const [creditsIds, vintageYears, data] = await tokenContract.getIssuedProjects(offset, 50);
+        creditsIds.forEach((creditsId, i) => {
+          expect(data[i].isIssued).to.be.true;
+          results.push({ creditsId: Number(creditsId), vintageYear: Number(vintageYears[i]) });
+        });
+      }
+
+      expect(results).to.deep.equal(
+        issued.map(({ creditsId, vintageYear }) => ({ creditsId, vintageYear }))
+      );
+    });
+
+    it("Should reject empty and oversized pages", async function () {
+      const { tokenContract } = await deployCarbonCreditFixture();
+
+      await expect(tokenContract.getVerifiedProjects(0, 0)).to.be.revertedWithCustomError(tokenContract, "InvalidPageSize");
+      await expect(tokenContract.getIssuedProjects(0, 101)).to.be.revertedWithCustomError(tokenContract, "InvalidPageSize");
+      await expect(tokenContract.getProjects(noFilter, 0, 101)).to.be.revertedWithCustomError(tokenContract, "InvalidPageSize");
+    });
+
+    it("Should filter by credit type, standard, vintage range and issuance", async function () {
+      const { tokenContract, catalog } = await loadFixture(largeCatalogFixture);
+      const filters = [
+        ["Forestry", "", 0, 0, ANY],
+        ["", "Gold Standard", 0, 0, ANY],
+        ["", "", 1800, 1809, ANY],
+        ["", "", 0, 1750, NOT_ISSUED],
+        ["Renewable", "Verra", 1900, 0, ISSUED],
+      ];
+
+      for (const filter of filters) {
+        const expected = expectedMatches(catalog, filter);
+        expect(await tokenContract.countProjects(filter)).to.equal(expected.length);
+
+        const results = await queryAll(tokenContract, filter, 100);
+        expect(results.map(({ creditsId, vintageYear }) => ({ creditsId, vintageYear }))).to.deep.equal(
+          expected.map(({ creditsId, vintageYear }) => ({ creditsId, vintageYear }))
+        );
+        for (const { data } of results) {
+          if (filter[0] !== "") expect(data.creditType).to.equal(filter[0]);
+          if (filter[1] !== "") expect(data.verificationStandard).to.equal(filter[1]);
+        }
+      }
+    });
+
+    it("Should bound how many vintages a filtered query examines", async function () {
+      const { tokenContract, catalog } = await loadFixture(largeCatalogFixture);
+      const lastYear = catalog[catalog.length - 1].vintageYear;
+      const filter = ["", "", lastYear, 0, ANY];
+
+      // Nothing matches in the first MAX_SCAN vintages, so the page is empty but the query goes on
+      const maxScan = await tokenContract.MAX_SCAN();
+      let [creditsIds, , , nextOffset] = await tokenContract.getProjects(filter, 0, 10);
+      expect(creditsIds).to.have.length(0);
+      expect(nextOffset).to.equal(maxScan);
+
+      [creditsIds, , , nextOffset] = await tokenContract.getProjects(filter, nextOffset, 10);
+      expect(creditsIds.map(Number)).to.deep.equal([1, 2, 3]);
+      expect(nextOffset).to.equal(catalog.length);
+    });
+
+    it("Should stop at the page limit and resume from the next offset", async function () {
+      const { tokenContract, catalog } = await loadFixture(largeCatalogFixture);
+      const filter = ["Renewable", "", 0, 0, ANY];
+
+      // Every other vintage is renewable, so a page of 10 ends right after the 10th match
+      let [creditsIds, vintageYears, , nextOffset] = await tokenContract.getProjects(filter, 0, 10);
+      expect(creditsIds).to.have.length(10);
+      expect(nextOffset).to.equal(19);
+
+      [creditsIds, vintageYears, , nextOffset] = await tokenContract.getProjects(filter, nextOffset, 10);
+      expect(Number(vintageYears[0])).to.equal(catalog[20].vintageYear);
+      expect(Number(creditsIds[0])).to.equal(catalog[20].creditsId);
+      expect(nextOffset).to.equal(39);
+    });
+  });
+
+  describe("CarbonCreditProjectRegistry", function () {
+    it("Should register a project with its developer", async function () {
+      const { projectRegistry, buyer } = await deployCarbonCreditFixture();
+
+      await expect(projectRegistry.connect(buyer).registerProject("Brazil, Pará", "VM0015", "ipfs://redd"))
+        .to.emit(projectRegistry, "ProjectRegistered")
+        .withArgs(3, buyer.address, "Brazil, Pará", "VM0015", "ipfs://redd");
+
+      expect(await projectRegistry.projectCount()).to.equal(3);
+      const project = await projectRegistry.getProject(3);
+      expect(project.developer).to.equal(buyer.address);
+      expect(project.location).to.equal("Brazil, Pará");
+      expect(project.methodology).to.equal("VM0015");
+      expect(project.metadataURI).to.equal("ipfs://redd");
+      expect(project.status).to.equal(PROJECT_REGISTERED);
+
+      await expect(
+        projectRegistry.connect(buyer).registerProject("Brazil", "", "ipfs://redd")
+      ).to.be.revertedWithCustomError(projectRegistry, "EmptyMethodology");
+    });
+
+    it("Should move projects through their lifecycle", async function () {
+      const { projectRegistry, verifier, buyer } = await deployCarbonCreditFixture();
+      await projectRegistry.connect(buyer).registerProject("Brazil", "VM0015", "ipfs://redd");
+
+      await expect(projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE))
+        .to.be.revertedWithCustomError(projectRegistry, "InvalidStatusTransition")
+        .withArgs(PROJECT_REGISTERED, PROJECT_ACTIVE);
+      await expect(projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_VALIDATED))
+        .to.emit(projectRegistry, "ProjectStatusChanged")
+        .withArgs(3, PROJECT_REGISTERED, PROJECT_VALIDATED);
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE);
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_SUSPENDED);
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE);
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_RETIRED);
+      expect(await projectRegistry.projectStatus(3)).to.equal(PROJECT_RETIRED);
+
+      await expect(projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE))
+        .to.be.revertedWithCustomError(projectRegistry, "InvalidStatusTransition")
+        .withArgs(PROJECT_RETIRED, PROJECT_ACTIVE);
+      await expect(
+        projectRegistry.connect(verifier).setProjectStatus(99, PROJECT_VALIDATED)
+      ).to.be.revertedWithCustomError(projectRegistry, "ProjectNotFound");
+    });
+
+    it("Should only let verifiers change the status, except developers retiring their own project", async function () {
+      const { projectRegistry, seller, buyer, VERIFIER_ROLE } = await deployCarbonCreditFixture();
+
+      await expect(projectRegistry.connect(seller).setProjectStatus(1, PROJECT_SUSPENDED))
+        .to.be.revertedWithCustomError(projectRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(seller.address, VERIFIER_ROLE);
+      await expect(projectRegistry.connect(buyer).setProjectStatus(1, PROJECT_RETIRED))
+        .to.be.revertedWithCustomError(projectRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(buyer.address, VERIFIER_ROLE);
+
+      await expect(projectRegistry.connect(seller).setProjectStatus(1, PROJECT_RETIRED))
+        .to.emit(projectRegistry, "ProjectStatusChanged")
+        .withArgs(1, PROJECT_ACTIVE, PROJECT_RETIRED);
+    });
+
+    it("Should let the developer update and hand over the project", async function () {
+      const { projectRegistry, seller, buyer } = await deployCarbonCreditFixture();
+
+      await expect(projectRegistry.connect(seller).setMetadataURI(1, "ipfs://updated"))
+        .to.emit(projectRegistry, "ProjectMetadataUpdated")
+        .withArgs(1, "ipfs://updated");
+      await expect(
+        projectRegistry.connect(buyer).setMetadataURI(1, "ipfs://hijacked")
+      ).to.be.revertedWithCustomError(projectRegistry, "NotProjectDeveloper");
+      await expect(
+        projectRegistry.connect(seller).transferProject(1, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(projectRegistry, "InvalidDeveloper");
+
+      await expect(projectRegistry.connect(seller).transferProject(1, buyer.address))
+        .to.emit(projectRegistry, "ProjectDeveloperTransferred")
+        .withArgs(1, seller.address, buyer.address);
+      await projectRegistry.connect(buyer).setMetadataURI(1, "ipfs://new-owner");
+      expect((await projectRegistry.getProject(1)).metadataURI).to.equal("ipfs://new-owner");
+      await expect(
+        projectRegistry.connect(seller).setMetadataURI(1, "ipfs://old-owner")
+      ).to.be.revertedWithCustomError(projectRegistry, "NotProjectDeveloper");
+      await expect(
+        projectRegistry.connect(seller).setMetadataURI(99, "ipfs://missing")
+      ).to.be.revertedWithCustomError(projectRegistry, "ProjectNotFound");
+    });
+
+    it("Should verify several vintages under one project", async function () {
+      const { tokenContract, verifier } = await deployCarbonCreditFixture();
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2021, "ipfs://2021", "Verra", "Forestry", 100);
+      await tokenContract.connect(verifier).setVerificationData(1, 2022, "ipfs://2022", "Verra", "Forestry", 200);
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2022, 50);
+
+      expect(await tokenContract.projectVintages(1, 0)).to.equal(2021);
+      expect(await tokenContract.projectVintages(1, 1)).to.equal(2022);
+      const [vintageYears, verifiedTonnages, remaining] = await tokenContract.getIssuanceCaps(1);
+      expect(vintageYears).to.deep.equal([2021n, 2022n]);
+      expect(verifiedTonnages).to.deep.equal([100n, 200n]);
+      expect(remaining).to.deep.equal([100n, 150n]);
+
+      await expect(
+        tokenContract.connect(verifier).setVerificationData(1, 2022, "ipfs://again", "Verra", "Forestry", 100)
+      ).to.be.revertedWithCustomError(tokenContract, "VintageAlreadyVerified");
+    });
+
+    it("Should only verify vintages of validated or active projects", async function () {
+      const { projectRegistry, tokenContract, verifier, buyer } = await deployCarbonCreditFixture();
+      await projectRegistry.connect(buyer).registerProject("Brazil", "VM0015", "ipfs://redd");
+
+      await expect(
+        tokenContract.connect(verifier).setVerificationData(3, 2023, "ipfs://test", "Verra", "Forestry", 100)
+      ).to.be.revertedWithCustomError(tokenContract, "ProjectNotValidated");
+      await expect(
+        tokenContract.connect(verifier).setVerificationData(99, 2023, "ipfs://test", "Verra", "Forestry", 100)
+      ).to.be.revertedWithCustomError(tokenContract, "ProjectNotValidated");
+
+      // Validated projects can be verified, but credits are only issued once active
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_VALIDATED);
+      await tokenContract.connect(verifier).setVerificationData(3, 2023, "ipfs://test", "Verra", "Forestry", 100);
+      await expect(
+        tokenContract.connect(verifier).issueCredits(buyer.address, 3, 2023, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "ProjectNotActive");
+
+      await projectRegistry.connect(verifier).setProjectStatus(3, PROJECT_ACTIVE);
+      await tokenContract.connect(verifier).issueCredits(buyer.address, 3, 2023, 10);
+      expect(await tokenContract.batchBalanceOf(buyer.address, 3, 2023)).to.equal(10);
+    });
+
+    it("Should stop issuance and minting while a project is suspended", async function () {
+      const { projectRegistry, tokenContract, nftContract, verifier, minter } = await deployCarbonCreditFixture();
+      await tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://test", "Verra", "Renewable", 100);
+
+      await projectRegistry.connect(verifier).setProjectStatus(1, PROJECT_SUSPENDED);
+      await expect(
+        tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "ProjectNotActive");
+      await expect(
+        nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test")
+      ).to.be.revertedWithCustomError(nftContract, "ProjectNotActive");
+
+      await projectRegistry.connect(verifier).setProjectStatus(1, PROJECT_ACTIVE);
+      await tokenContract.connect(verifier).issueCredits(verifier.address, 1, 2023, 10);
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 10, "ipfs://test");
+      expect(await nftContract.ownerOf(0)).to.equal(minter.address);
+    });
+  });
+
+  describe("CarbonCreditVerification", function () {
+    const CHALLENGE_PERIOD = 3 * 24 * 60 * 60;
+
+    async function verificationFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { roleManager, tokenContract, verifier, converter, seller, VERIFIER_ROLE } = fixture;
+
+      const CarbonCreditVerification = await ethers.getContractFactory("CarbonCreditVerification");
+      const verification = await CarbonCreditVerification.deploy(
+        tokenContract.target,
+        roleManager.target,
+        2,
+        CHALLENGE_PERIOD
+      );
+
+      // The workflow is the only issuer; verifier and converter attest, seller audits
+      const AUDITOR_ROLE = await roleManager.AUDITOR_ROLE();
+      await roleManager.grantRoleToContract(VERIFIER_ROLE, verification.target, tokenContract.target);
+      await roleManager.grantRoleToContract(VERIFIER_ROLE, verifier.address, verification.target);
+      await roleManager.grantRoleToContract(VERIFIER_ROLE, converter.address, verification.target);
+      await roleManager.grantRoleToContract(AUDITOR_ROLE, seller.address, verification.target);
+
+      return { ...fixture, verification, AUDITOR_ROLE };
+    }
+
+    async function attestedProposalFixture() {
+      const fixture = await verificationFixture();
+      const { verification, verifier, converter, buyer, seller } = fixture;
+      await verification.connect(seller).propose(1, buyer.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await verification.connect(verifier).attest(0);
+      await verification.connect(converter).attest(0);
+      return fixture;
+    }
+
+    it("Should issue credits after the quorum and the challenge period", async function () {
+      const { verification, tokenContract, verifier, converter, buyer, seller } = await verificationFixture();
+
+      await expect(
+        verification.connect(seller).propose(1, buyer.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      )
+        .to.emit(verification, "IssuanceProposed")
+        .withArgs(0, seller.address, buyer.address, 1, 2023, 100, "ipfs://mrv");
+
+      await expect(verification.connect(verifier).attest(0))
+        .to.emit(verification, "ProposalAttested")
+        .withArgs(0, verifier.address, 1)
+        .and.not.to.emit(verification, "ChallengePeriodStarted");
+
+      const tx = verification.connect(converter).attest(0);
+      await expect(tx).to.emit(verification, "ProposalAttested").withArgs(0, converter.address, 2);
+      await expect(tx).to.emit(verification, "ChallengePeriodStarted").withArgs(0, anyValue);
+
+      await expect(verification.issue(0)).to.be.revertedWithCustomError(verification, "ChallengePeriodActive");
+
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(verification.issue(0))
+        .to.emit(verification, "ProposalIssued")
+        .withArgs(0, 1, buyer.address, 100)
+        .and.to.emit(tokenContract, "CreditsIssued");
+
+      expect(await tokenContract.balanceOf(buyer.address)).to.equal(100);
+      const proposal = await verification.proposals(0);
+      expect(proposal.status).to.equal(5); // Issued
+      expect(proposal.creditsId).to.equal(1);
+      const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+      const data = await tokenContract.verificationData(key);
+      expect(data.mrvDataHash).to.equal("ipfs://mrv");
+      expect(data.isIssued).to.be.true;
+      expect(data.verifiedTonnage).to.equal(1000);
+      expect(data.issuedAmount).to.equal(100);
+      expect(await tokenContract.remainingIssuableSupply(1, 2023)).to.equal(900);
+
+      await expect(verification.issue(0)).to.be.revertedWithCustomError(verification, "ProposalNotAttested");
+    });
+
+    it("Should issue later tranches of a vintage against the verified tonnage of the first", async function () {
+      const { verification, tokenContract, verifier, converter, buyer, seller } = await attestedProposalFixture();
+      await time.increase(CHALLENGE_PERIOD);
+      await verification.issue(0);
+
+      // The verification data of a later tranche is ignored: the vintage keeps its cap of 1000
+      await verification.connect(seller).propose(1, seller.address, 2023, 900, 5000, "ipfs://other", "Gold", "Other");
+      await verification.connect(verifier).attest(1);
+      await verification.connect(converter).attest(1);
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(verification.issue(1)).to.emit(verification, "ProposalIssued").withArgs(1, 1, seller.address, 900);
+
+      const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2023]);
+      const data = await tokenContract.verificationData(key);
+      expect(data.mrvDataHash).to.equal("ipfs://mrv");
+      expect(data.verifiedTonnage).to.equal(1000);
+      expect(data.issuedAmount).to.equal(1000);
+      expect(await tokenContract.balanceOf(seller.address)).to.equal(900);
+
+      // Nothing is left of the cap
+      await verification.connect(seller).propose(1, buyer.address, 2023, 1, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await verification.connect(verifier).attest(2);
+      await verification.connect(converter).attest(2);
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(verification.issue(2)).to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded");
+    });
+
+    it("Should reject a second proposal for a vintage while one is open", async function () {
+      const { verification, seller, buyer } = await attestedProposalFixture();
+
+      await expect(
+        verification.connect(seller).propose(1, seller.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "VintageProposalOpen");
+      expect(await verification.hasOpenProposal(1, 2023)).to.be.true;
+      // Other vintages are unaffected
+      await verification.connect(seller).propose(1, seller.address, 2024, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+
+      // A rejected proposal frees the vintage
+      await verification.connect(seller).challenge(0, "Double counting");
+      await verification.resolveDispute(0, true);
+      expect(await verification.hasOpenProposal(1, 2023)).to.be.false;
+      await expect(
+        verification.connect(seller).propose(1, buyer.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.emit(verification, "IssuanceProposed");
+    });
+
+    it("Should reject invalid proposals", async function () {
+      const { verification, buyer, seller } = await verificationFixture();
+
+      await expect(
+        verification.connect(seller).propose(1, ethers.ZeroAddress, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "InvalidRecipient");
+      await expect(
+        verification.connect(seller).propose(1, buyer.address, 2023, 0, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "InvalidCreditAmount");
+      await expect(
+        verification.connect(seller).propose(1, buyer.address, 2023, 100, 99, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "InvalidVerifiedTonnage");
+      await expect(
+        verification.connect(seller).propose(1, buyer.address, 2023, 100, 1000, "", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "EmptyMRVDataHash");
+    });
+
+    it("Should only take proposals for existing projects from their developer or a verifier", async function () {
+      const { verification, verifier, buyer, seller } = await verificationFixture();
+
+      await expect(
+        verification.connect(buyer).propose(1, buyer.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "NotProjectDeveloperOrVerifier");
+      await expect(
+        verification.connect(seller).propose(99, seller.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "ProjectNotFound");
+      await expect(
+        verification.connect(verifier).propose(99, seller.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable")
+      ).to.be.revertedWithCustomError(verification, "ProjectNotFound");
+
+      await verification.connect(seller).propose(1, seller.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await verification.connect(verifier).propose(1, seller.address, 2024, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      expect(await verification.proposalCount()).to.equal(2);
+    });
+
+    it("Should let the proposer or the admin cancel an open proposal and free its vintage", async function () {
+      const { verification, projectRegistry, tokenContract, verifier, converter, buyer, seller } =
+        await verificationFixture();
+
+      // A proposal that never reaches the quorum
+      await verification.connect(verifier).propose(1, buyer.address, 2023, 100, 1000, "ipfs://junk", "Verra", "Renewable");
+      await expect(verification.connect(seller).cancel(0)).to.be.revertedWithCustomError(
+        verification,
+        "NotProposerOrAdmin"
+      );
+      await expect(verification.connect(verifier).cancel(0))
+        .to.emit(verification, "ProposalCancelled")
+        .withArgs(0, verifier.address);
+      expect((await verification.proposals(0)).status).to.equal(6); // Cancelled
+      expect(await verification.hasOpenProposal(1, 2023)).to.be.false;
+      await expect(verification.connect(converter).attest(0)).to.be.revertedWithCustomError(
+        verification,
+        "ProposalNotPending"
+      );
+      await expect(verification.cancel(0)).to.be.revertedWithCustomError(verification, "ProposalNotOpen");
+
+      // An attested proposal whose issuance keeps reverting
+      await verification.connect(seller).propose(1, buyer.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await verification.connect(verifier).attest(1);
+      await verification.connect(converter).attest(1);
+      await time.increase(CHALLENGE_PERIOD);
+      await projectRegistry.connect(verifier).setProjectStatus(1, PROJECT_SUSPENDED);
+      await expect(verification.issue(1)).to.be.revertedWithCustomError(tokenContract, "ProjectNotValidated");
+      await expect(verification.connect(buyer).cancel(1)).to.be.revertedWithCustomError(
+        verification,
+        "NotProposerOrAdmin"
+      );
+      await expect(verification.cancel(1)).to.emit(verification, "ProposalCancelled");
+      await expect(verification.issue(1)).to.be.revertedWithCustomError(verification, "ProposalNotAttested");
+      expect(await verification.hasOpenProposal(1, 2023)).to.be.false;
+    });
+
+    it("Should only accept one attestation per verifier and none from the proposer", async function () {
+      const { verification, verifier, buyer, seller, VERIFIER_ROLE } = await verificationFixture();
+
+      await verification.connect(verifier).propose(1, buyer.address, 2023, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await expect(verification.connect(verifier).attest(0)).to.be.revertedWithCustomError(
+        verification,
+        "SelfAttestation"
+      );
+
+      await verification.connect(seller).propose(1, buyer.address, 2024, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await verification.connect(verifier).attest(1);
+      expect(await verification.hasAttested(1, verifier.address)).to.be.true;
+      await expect(verification.connect(verifier).attest(1)).to.be.revertedWithCustomError(
+        verification,
+        "AlreadyAttested"
+      );
+      await expect(verification.connect(buyer).attest(1))
+        .to.be.revertedWithCustomError(verification, "AccessControlUnauthorizedAccount")
+        .withArgs(buyer.address, VERIFIER_ROLE);
+      await expect(verification.connect(verifier).attest(5)).to.be.revertedWithCustomError(
+        verification,
+        "ProposalNotPending"
+      );
+    });
+
+    it("Should prevent single-key issuance when the workflow is the only verifier", async function () {
+      const { roleManager, tokenContract, verification, verifier, buyer, VERIFIER_ROLE } =
+        await attestedProposalFixture();
+
+      await roleManager.revokeRoleFromContract(VERIFIER_ROLE, verifier.address, tokenContract.target);
+      await expect(
+        tokenContract.connect(verifier).setVerificationData(1, 2023, "ipfs://mrv", "Verra", "Renewable", 1000)
+      ).to.be.revertedWithCustomError(tokenContract, "AccessControlUnauthorizedAccount");
+
+      await time.increase(CHALLENGE_PERIOD);
+      await verification.connect(buyer).issue(0);
+      expect(await tokenContract.balanceOf(buyer.address)).to.equal(100);
+    });
+
+    it("Should not count the attestations of verifiers who lost their role", async function () {
+      const { roleManager, verification, tokenContract, verifier, converter, buyer, seller, VERIFIER_ROLE } =
+        await attestedProposalFixture();
+      await verification.connect(seller).propose(1, buyer.address, 2024, 100, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await verification.connect(converter).attest(1);
+
+      await roleManager.revokeRoleFromContract(VERIFIER_ROLE, converter.address, verification.target);
+      await time.increase(CHALLENGE_PERIOD);
+
+      // Attested with converter's attestation, proposal 0 no longer meets its quorum
+      await expect(verification.issue(0)).to.be.revertedWithCustomError(verification, "InsufficientAttestations");
+      expect(await tokenContract.totalSupply()).to.equal(0);
+
+      // Converter's attestation of the pending proposal 1 no longer counts either
+      await roleManager.grantRoleToContract(VERIFIER_ROLE, buyer.address, verification.target);
+      await expect(verification.connect(verifier).attest(1))
+        .to.emit(verification, "ProposalAttested")
+        .withArgs(1, verifier.address, 1)
+        .and.not.to.emit(verification, "ChallengePeriodStarted");
+      await expect(verification.connect(buyer).attest(1)).to.emit(verification, "ChallengePeriodStarted");
+      expect((await verification.proposals(1)).attestations).to.equal(2);
+    });
+
+    it("Should let a minter alone mint NFTs up to the rest of a verified tonnage", async function () {
+      const { verification, tokenContract, nftContract, minter } = await attestedProposalFixture();
+      await time.increase(CHALLENGE_PERIOD);
+      await verification.issue(0);
+
+      // The first proposal verified 1000 and issued 100; the remaining 900 need no further attestation
+      await nftContract.connect(minter).mint(minter.address, 1, 2023, 900, "ipfs://nft-0");
+      expect(await tokenContract.remainingIssuableSupply(1, 2023)).to.equal(0);
+      await expect(nftContract.connect(minter).mint(minter.address, 1, 2023, 1, "ipfs://nft-1"))
+        .to.be.revertedWithCustomError(tokenContract, "IssuanceCapExceeded")
+        .withArgs(1, 0);
+    });
+
+    it("Should let auditors dispute during the challenge period", async function () {
+      const { verification, seller, verifier, AUDITOR_ROLE } = await attestedProposalFixture();
+
+      await expect(verification.connect(verifier).challenge(0, "Double counting"))
+        .to.be.revertedWithCustomError(verification, "AccessControlUnauthorizedAccount")
+        .withArgs(verifier.address, AUDITOR_ROLE);
+
+      await expect(verification.connect(seller).challenge(0, "Double counting"))
+        .to.emit(verification, "ProposalChallenged")
+        .withArgs(0, seller.address, "Double counting");
+      expect((await verification.proposals(0)).status).to.equal(3); // Disputed
+
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(verification.issue(0)).to.be.revertedWithCustomError(verification, "ProposalNotAttested");
+    });
+
+    it("Should not accept disputes after the challenge period", async function () {
+      const { verification, seller } = await attestedProposalFixture();
+
+      await time.increase(CHALLENGE_PERIOD);
+      await expect(verification.connect(seller).challenge(0, "Too late")).to.be.revertedWithCustomError(
+        verification,
+        "ChallengePeriodEnded"
+      );
+    });
+
+    it("Should reject a proposal when the dispute is upheld", async function () {
+      const { verification, tokenContract, seller, buyer } = await attestedProposalFixture();
+
+      await verification.connect(seller).challenge(0, "Double counting");
+      await expect(verification.connect(buyer).resolveDispute(0, true)).to.be.revertedWithCustomError(
+        verification,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(verification.resolveDispute(0, true)).to.emit(verification, "DisputeResolved").withArgs(0, true);
+      expect((await verification.proposals(0)).status).to.equal(4); // Rejected
+
+      await expect(verification.issue(0)).to.be.revertedWithCustomError(verification, "ProposalNotAttested");
+      await expect(verification.resolveDispute(0, false)).to.be.revertedWithCustomError(
+        verification,
+        "ProposalNotDisputed"
+      );
+      expect(await tokenContract.totalSupply()).to.equal(0);
+    });
+
+    it("Should allow issuance right away when the dispute is dismissed", async function () {
+      const { verification, tokenContract, seller, buyer } = await attestedProposalFixture();
+
+      await verification.connect(seller).challenge(0, "Double counting");
+      await expect(verification.resolveDispute(0, false)).to.emit(verification, "DisputeResolved").withArgs(0, false);
+
+      await expect(verification.issue(0)).to.emit(verification, "ProposalIssued");
+      expect(await tokenContract.balanceOf(buyer.address)).to.equal(100);
+    });
+
+    it("Should let the admin update the quorum and challenge period", async function () {
+      const { verification, verifier, buyer, seller } = await verificationFixture();
+
+      await expect(verification.setQuorum(0)).to.be.revertedWithCustomError(verification, "InvalidQuorum");
+      await expect(verification.connect(buyer).setQuorum(1)).to.be.revertedWithCustomError(
+        verification,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(verification.setQuorum(1)).to.emit(verification, "QuorumUpdated").withArgs(1);
+      await expect(verification.setChallengePeriod(0)).to.emit(verification, "ChallengePeriodUpdated").withArgs(0);
+
+      await verification.connect(seller).propose(1, buyer.address, 2023, 5, 1000, "ipfs://mrv", "Verra", "Renewable");
+      await expect(verification.connect(verifier).attest(0)).to.emit(verification, "ChallengePeriodStarted");
+      await expect(verification.issue(0)).to.emit(verification, "ProposalIssued");
+    });
+  });
+
+  describe("RoleManager governance", function () {
+    const TIMELOCK_DELAY = 24 * 60 * 60;
+    // RoleManager.OperationState
+    const OPERATION_PENDING = 1;
+    const OPERATION_QUEUED = 2;
+    const OPERATION_EXECUTED = 3;
+    const OPERATION_CANCELLED = 4;
+
+    // Three approvers, two of whom must approve, and RoleManager as the only admin of itself and the NFT
+    async function governanceFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { roleManager, nftContract, owner, buyer, seller, converter } = fixture;
+      const DEFAULT_ADMIN_ROLE = await roleManager.DEFAULT_ADMIN_ROLE();
+      const approvers = [buyer, seller, converter];
+
+      await roleManager.configureGovernance(approvers.map((approver) => approver.address), 2, TIMELOCK_DELAY);
+      await roleManager.grantRole(DEFAULT_ADMIN_ROLE, roleManager.target);
+      await nftContract.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+      await roleManager.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+
+      return { ...fixture, DEFAULT_ADMIN_ROLE, approvers };
+    }
+
+    async function queuedOperationFixture() {
+      const fixture = await governanceFixture();
+      const { roleManager, nftContract, buyer, seller } = fixture;
+      const newMarketplace = ethers.Wallet.createRandom().address;
+      const data = nftContract.interface.encodeFunctionData("updateMarketplaceAddress", [newMarketplace]);
+
+      await roleManager.connect(buyer).proposeOperation(nftContract.target, data, "Move to the new marketplace");
+      await roleManager.connect(seller).approveOperation(0);
+
+      return { ...fixture, newMarketplace };
+    }
+
+    it("Should queue an operation once enough approvers approve and execute it after the delay", async function () {
+      const { roleManager, nftContract, buyer, seller } = await governanceFixture();
+      const newMarketplace = ethers.Wallet.createRandom().address;
+      const data = nftContract.interface.encodeFunctionData("updateMarketplaceAddress", [newMarketplace]);
+
+      await expect(roleManager.connect(buyer).proposeOperation(nftContract.target, data, "Move to the new marketplace"))
+        .to.emit(roleManager, "OperationProposed")
+        .withArgs(0, buyer.address, nftContract.target, data, "Move to the new marketplace")
+        .and.to.emit(roleManager, "OperationApproved")
+        .withArgs(0, buyer.address, 1);
+      expect((await roleManager.operations(0)).state).to.equal(OPERATION_PENDING);
+
+      await expect(roleManager.connect(seller).approveOperation(0))
+        .to.emit(roleManager, "OperationQueued")
+        .withArgs(0, anyValue);
+      const operation = await roleManager.operations(0);
+      expect(operation.state).to.equal(OPERATION_QUEUED);
+      expect(operation.approvals).to.equal(2);
+      expect(operation.readyAt).to.equal(BigInt(await time.latest()) + BigInt(TIMELOCK_DELAY));
+
+      await expect(roleManager.executeOperation(0)).to.be.revertedWithCustomError(roleManager, "TimelockActive");
+
+      await time.increaseTo(operation.readyAt);
+      await expect(roleManager.executeOperation(0))
+        .to.emit(roleManager, "OperationExecuted")
+        .withArgs(0)
+        .and.to.emit(nftContract, "MarketplaceAddressUpdated");
+      expect((await roleManager.operations(0)).state).to.equal(OPERATION_EXECUTED);
+      await expect(roleManager.executeOperation(0)).to.be.revertedWithCustomError(roleManager, "OperationNotQueued");
+    });
+
+    it("Should leave the former admin without direct access", async function () {
+      const { roleManager, nftContract, owner, buyer, MINTER_ROLE } = await governanceFixture();
+
+      await expect(nftContract.connect(owner).updateMarketplaceAddress(owner.address)).to.be.revertedWithCustomError(
+        nftContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        roleManager.connect(owner).grantRoleToContract(MINTER_ROLE, buyer.address, nftContract.target)
+      ).to.be.revertedWithCustomError(roleManager, "AccessControlUnauthorizedAccount");
+      await expect(roleManager.connect(owner).setTimelockDelay(0)).to.be.revertedWithCustomError(
+        roleManager,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should only let approvers propose, approve and cancel, once each", async function () {
+      const { roleManager, nftContract, buyer, seller, minter } = await governanceFixture();
+      const data = nftContract.interface.encodeFunctionData("setRoyalty", [100]);
+
+      await expect(
+        roleManager.connect(minter).proposeOperation(nftContract.target, data, "Lower royalties")
+      ).to.be.revertedWithCustomError(roleManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        roleManager.connect(buyer).proposeOperation(ethers.ZeroAddress, data, "Lower royalties")
+      ).to.be.revertedWith("Invalid contract address");
+
+      await roleManager.connect(buyer).proposeOperation(nftContract.target, data, "Lower royalties");
+      await expect(roleManager.connect(buyer).approveOperation(0)).to.be.revertedWithCustomError(roleManager, "AlreadyApproved");
+      await expect(roleManager.connect(minter).approveOperation(0)).to.be.revertedWithCustomError(
+        roleManager,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(roleManager.connect(minter).cancelOperation(0)).to.be.revertedWithCustomError(
+        roleManager,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await roleManager.connect(seller).approveOperation(0);
+      await expect(roleManager.connect(seller).approveOperation(0)).to.be.revertedWithCustomError(
+        roleManager,
+        "OperationNotPending"
+      );
+      await expect(roleManager.approveOperation(1)).to.be.revertedWithCustomError(
+        roleManager,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should cancel pending and queued operations", async function () {
+      const { roleManager, nftContract, converter, buyer } = await queuedOperationFixture();
+      const data = nftContract.interface.encodeFunctionData("setRoyalty", [100]);
+      await roleManager.connect(buyer).proposeOperation(nftContract.target, data, "Lower royalties");
+
+      await expect(roleManager.connect(converter).cancelOperation(0))
+        .to.emit(roleManager, "OperationCancelled")
+        .withArgs(0, converter.address);
+      await expect(roleManager.connect(converter).cancelOperation(1))
+        .to.emit(roleManager, "OperationCancelled")
+        .withArgs(1, converter.address);
+      expect((await roleManager.operations(0)).state).to.equal(OPERATION_CANCELLED);
+      expect((await roleManager.operations(1)).state).to.equal(OPERATION_CANCELLED);
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(roleManager.executeOperation(0)).to.be.revertedWithCustomError(roleManager, "OperationNotQueued");
+      await expect(roleManager.connect(converter).approveOperation(1)).to.be.revertedWithCustomError(
+        roleManager,
+        "OperationNotPending"
+      );
+      await expect(roleManager.connect(converter).cancelOperation(1)).to.be.revertedWithCustomError(
+        roleManager,
+        "OperationNotPending"
+      );
+    });
+
+    it("Should not count the approvals of revoked approvers", async function () {
+      const { roleManager, nftContract, buyer, seller, converter, newMarketplace } = await queuedOperationFixture();
+      const APPROVER_ROLE = await roleManager.APPROVER_ROLE();
+      const royaltyData = nftContract.interface.encodeFunctionData("setRoyalty", [100]);
+      await roleManager.connect(seller).proposeOperation(nftContract.target, royaltyData, "Lower royalties");
+
+      // Buyer and converter remove seller, who approved operations 0 and 1
+      const revokeData = roleManager.interface.encodeFunctionData("revokeRole", [APPROVER_ROLE, seller.address]);
+      await roleManager.connect(buyer).proposeOperation(roleManager.target, revokeData, "Remove an approver");
+      await roleManager.connect(converter).approveOperation(2);
+      await time.increase(TIMELOCK_DELAY);
+      await roleManager.executeOperation(2);
+      expect(await roleManager.hasRole(APPROVER_ROLE, seller.address)).to.be.false;
+
+      // Queued with seller's approval, operation 0 no longer has enough approvals
+      await expect(roleManager.executeOperation(0)).to.be.revertedWithCustomError(
+        roleManager,
+        "InsufficientApprovals"
+      );
+      expect(await nftContract.marketplaceAddress()).to.not.equal(newMarketplace);
+
+      // Seller's approval of the pending operation 1 no longer counts either
+      await expect(roleManager.connect(buyer).approveOperation(1))
+        .to.emit(roleManager, "OperationApproved")
+        .withArgs(1, buyer.address, 1)
+        .and.not.to.emit(roleManager, "OperationQueued");
+      await expect(roleManager.connect(converter).approveOperation(1)).to.emit(roleManager, "OperationQueued");
+      expect((await roleManager.operations(1)).approvals).to.equal(2);
+    });
+
+    it("Should route RoleManager's own admin calls and settings through governance", async function () {
+      const { roleManager, tokenContract, buyer, seller, CONVERTER_ROLE } = await governanceFixture();
+      const grant = roleManager.interface.encodeFunctionData("grantRoleToContract", [
+        CONVERTER_ROLE,
+        buyer.address,
+        tokenContract.target,
+      ]);
+      const threshold = roleManager.interface.encodeFunctionData("setApprovalThreshold", [3]);
+
+      await roleManager.connect(buyer).proposeOperation(roleManager.target, grant, "Grant the converter role");
+      await roleManager.connect(seller).approveOperation(0);
+      await roleManager.connect(buyer).proposeOperation(roleManager.target, threshold, "Require every approver");
+      await roleManager.connect(seller).approveOperation(1);
+      await time.increase(TIMELOCK_DELAY);
+
+      await expect(roleManager.executeOperation(0))
+        .to.emit(roleManager, "ContractRoleGranted")
+        .withArgs(CONVERTER_ROLE, buyer.address, tokenContract.target);
+      expect(await tokenContract.hasRole(CONVERTER_ROLE, buyer.address)).to.be.true;
+
+      await expect(roleManager.executeOperation(1)).to.emit(roleManager, "ApprovalThresholdUpdated").withArgs(3);
+      expect(await roleManager.approvalThreshold()).to.equal(3);
+    });
+
+    it("Should execute queued operations against the threshold they were queued with", async function () {
+      const { roleManager, nftContract, buyer, seller, converter, newMarketplace } = await queuedOperationFixture();
+      const threshold = roleManager.interface.encodeFunctionData("setApprovalThreshold", [3]);
+      const royaltyData = nftContract.interface.encodeFunctionData("setRoyalty", [100]);
+
+      await roleManager.connect(buyer).proposeOperation(roleManager.target, threshold, "Require every approver");
+      await roleManager.connect(seller).approveOperation(1);
+      await time.increase(TIMELOCK_DELAY);
+      await roleManager.executeOperation(1);
+      expect(await roleManager.approvalThreshold()).to.equal(3);
+
+      // Queued with two approvals under the old threshold, operation 0 still executes
+      expect((await roleManager.operations(0)).threshold).to.equal(2);
+      await roleManager.executeOperation(0);
+      expect(await nftContract.marketplaceAddress()).to.equal(newMarketplace);
+
+      // New operations need all three
+      await roleManager.connect(buyer).proposeOperation(nftContract.target, royaltyData, "Lower royalties");
+      await expect(roleManager.connect(seller).approveOperation(2)).to.not.emit(roleManager, "OperationQueued");
+      await expect(roleManager.connect(converter).approveOperation(2)).to.emit(roleManager, "OperationQueued");
+      expect((await roleManager.operations(2)).threshold).to.equal(3);
+    });
+
+    it("Should revert execution with the target's error and allow no more approvals than approvers", async function () {
+      const { roleManager, buyer, seller, approvers } = await governanceFixture();
+      const APPROVER_ROLE = await roleManager.APPROVER_ROLE();
+      const threshold = roleManager.interface.encodeFunctionData("setApprovalThreshold", [4]);
+      const revoke = roleManager.interface.encodeFunctionData("revokeRole", [APPROVER_ROLE, seller.address]);
+
+      await roleManager.connect(buyer).proposeOperation(roleManager.target, threshold, "Require four approvers");
+      await roleManager.connect(seller).approveOperation(0);
+      await time.increase(TIMELOCK_DELAY);
+      await expect(roleManager.executeOperation(0)).to.be.revertedWithCustomError(roleManager, "InvalidThreshold");
+      expect((await roleManager.operations(0)).state).to.equal(OPERATION_QUEUED);
+
+      // Two approvers are left after a revocation, which still meets the threshold of two
+      await roleManager.connect(buyer).proposeOperation(roleManager.target, revoke, "Remove an approver");
+      await roleManager.connect(seller).approveOperation(1);
+      await time.increase(TIMELOCK_DELAY);
+      await roleManager.executeOperation(1);
+      expect(await roleManager.getRoleMemberCount(APPROVER_ROLE)).to.equal(approvers.length - 1);
+
+      // Leaving a single approver would make the threshold unreachable
+      await expect(roleManager.connect(buyer).renounceRole(APPROVER_ROLE, buyer.address)).to.be.revertedWithCustomError(
+        roleManager,
+        "InvalidThreshold"
+      );
+    });
+
+    it("Should reject governance settings the approvers cannot meet", async function () {
+      const { roleManager, buyer, seller } = await deployCarbonCreditFixture();
+
+      await expect(roleManager.configureGovernance([buyer.address, seller.address], 3, 0)).to.be.revertedWithCustomError(
+        roleManager,
+        "InvalidThreshold"
+      );
+      await expect(roleManager.configureGovernance([buyer.address], 0, 0)).to.be.revertedWithCustomError(
+        roleManager,
+        "InvalidThreshold"
+      );
+      await expect(roleManager.configureGovernance([ethers.ZeroAddress], 1, 0)).to.be.revertedWith(
+        "Invalid account address"
+      );
+      await expect(roleManager.connect(buyer).configureGovernance([buyer.address], 1, 0)).to.be.revertedWithCustomError(
+        roleManager,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await expect(roleManager.configureGovernance([buyer.address, seller.address], 2, TIMELOCK_DELAY))
+        .to.emit(roleManager, "ApprovalThresholdUpdated")
+        .withArgs(2)
+        .and.to.emit(roleManager, "TimelockDelayUpdated")
+        .withArgs(TIMELOCK_DELAY);
+    });
+  });
+
+  describe("Emergency controls", function () {
+    // The seller holds 100 CCT of project 1 / 2020 and 50 of project 2 / 2021 and owns NFTs 0 and 1
+    // (project 1 / 2020); the guardian may pause the token, NFT, converter and marketplace.
+    async function guardianFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { roleManager, tokenContract, nftContract, converterContract, marketplace, minter, verifier, seller } = fixture;
+      const guardian = (await ethers.getSigners())[6];
+      const GUARDIAN_ROLE = await roleManager.GUARDIAN_ROLE();
+      const targets = [tokenContract.target, nftContract.target, converterContract.target, marketplace.target];
+
+      await roleManager.batchGrantRoles(
+        targets.map(() => GUARDIAN_ROLE),
+        targets.map(() => guardian.address),
+        targets
+      );
+
+      await tokenContract.connect(verifier).setVerificationData(1, 2020, "ipfs://mrv-2020", "Verra", "Renewable", tonnes(1000));
+      await tokenContract.connect(verifier).setVerificationData(2, 2021, "ipfs://mrv-2021", "Verra", "Forestry", tonnes(1000));
+      await tokenContract.connect(verifier).issueCredits(seller.address, 1, 2020, tonnes(100));
+      await tokenContract.connect(verifier).issueCredits(seller.address, 2, 2021, tonnes(50));
+
+      for (const tokenId of [0, 1]) {
+        await nftContract.connect(minter).mint(minter.address, 1, 2020, 10, `ipfs://nft-${tokenId}`);
+        await nftContract.connect(minter).transferFrom(minter.address, seller.address, tokenId);
+      }
+      await nftContract.connect(seller).setApprovalForAll(converterContract.target, true);
+
+      return { ...fixture, guardian, GUARDIAN_ROLE };
+    }
+
+    async function pausedFixture() {
+      const fixture = await guardianFixture();
+      const { tokenContract, nftContract, converterContract, marketplace, guardian } = fixture;
+      for (const contract of [tokenContract, nftContract, converterContract, marketplace]) {
+        await contract.connect(guardian).pause();
+      }
+      return fixture;
+    }
+
+    it("Should only let guardians pause and unpause", async function () {
+      const { tokenContract, nftContract, converterContract, marketplace, guardian, owner } = await guardianFixture();
+
+      for (const contract of [tokenContract, nftContract, converterContract, marketplace]) {
+        await expect(contract.connect(owner).pause()).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+        await expect(contract.connect(guardian).pause()).to.emit(contract, "Paused").withArgs(guardian.address);
+        expect(await contract.paused()).to.be.true;
+        await expect(contract.connect(owner).unpause()).to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+        await expect(contract.connect(guardian).unpause()).to.emit(contract, "Unpaused").withArgs(guardian.address);
+      }
+    });
+
+    it("Should block every token entry point while paused", async function () {
+      const { tokenContract, verifier, seller, buyer, converterContract } = await pausedFixture();
+      await tokenContract.connect(seller).approve(buyer.address, 100);
+      const converterSigner = await ethers.getImpersonatedSigner(converterContract.target);
+      await ethers.provider.send("hardhat_setBalance", [converterContract.target, "0xDE0B6B3A7640000"]);
+
+      await expect(
+        tokenContract.connect(verifier).setVerificationData(1, 2022, "ipfs://mrv-2022", "Verra", "Renewable", tonnes(1000))
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(verifier).issueCredits(seller.address, 1, 2020, tonnes(10))
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(converterSigner).mint(seller.address, 1, 2020, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(seller).transfer(buyer.address, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(seller).transferBatch(buyer.address, 1, 2020, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(buyer).transferFrom(seller.address, buyer.address, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(buyer).transferBatchFrom(seller.address, buyer.address, 1, 2020, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(seller).burn(10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(buyer).burnFrom(seller.address, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+      await expect(
+        tokenContract.connect(buyer).burnBatchFrom(seller.address, 1, 2020, 10)
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+    });
+
+    it("Should block every NFT entry point while paused", async function () {
+      const { nftContract, minter, seller, buyer } = await pausedFixture();
+
+      await expect(
+        nftContract.connect(minter).mint(minter.address, 1, 2020, 10, "ipfs://nft-2")
+      ).to.be.revertedWithCustomError(nftContract, "EnforcedPause");
+      await expect(
+        nftContract.connect(seller).transferFrom(seller.address, buyer.address, 0)
+      ).to.be.revertedWithCustomError(nftContract, "EnforcedPause");
+      await expect(
+        nftContract.connect(seller)["safeTransferFrom(address,address,uint256)"](seller.address, buyer.address, 0)
+      ).to.be.revertedWithCustomError(nftContract, "EnforcedPause");
+      await expect(nftContract.connect(seller).burn(0)).to.be.revertedWithCustomError(nftContract, "EnforcedPause");
+    });
+
+    it("Should block conversions while paused", async function () {
+      const { converterContract, tokenContract, nftContract, guardian, seller } = await pausedFixture();
+
+      await expect(converterContract.connect(seller).convertNFTtoTokens(0)).to.be.revertedWithCustomError(
+        converterContract,
+        "EnforcedPause"
+      );
+
+      // With only the converter unpaused, the NFT and token pauses still hold
+      await converterContract.connect(guardian).unpause();
+      await expect(converterContract.connect(seller).convertNFTtoTokens(0)).to.be.revertedWithCustomError(
+        nftContract,
+        "EnforcedPause"
+      );
+      await nftContract.connect(guardian).unpause();
+      await expect(converterContract.connect(seller).convertNFTtoTokens(0)).to.be.revertedWithCustomError(
+        tokenContract,
+        "EnforcedPause"
+      );
+      await tokenContract.connect(guardian).unpause();
+      await expect(converterContract.connect(seller).convertNFTtoTokens(0)).to.emit(converterContract, "ConvertedToTokens");
+    });
+
+    it("Should block every marketplace trading entry point while paused", async function () {
+      const { marketplace, seller, buyer } = await pausedFixture();
+      const price = ethers.parseEther("1");
+
+      await expect(
+        marketplace.connect(seller).listNFT(0, price, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(seller).listTokens(1, 2020, tonnes(10), price, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(buyer).buyNFT(0, { value: price })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(buyer).buyTokens(0, tonnes(1), { value: price })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(buyer).placeBuyOrder(1, 2020, tonnes(10), price, ethers.ZeroAddress, { value: price * 10n })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(seller).fillBuyOrder(0, tonnes(1))
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(seller).matchOrders(0, 0, tonnes(1))
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(seller).createEnglishAuction(0, price, 3600, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(seller).createDutchAuction(0, price * 2n, price, 3600, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(buyer).placeBid(0, price, { value: price })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(buyer).buyDutchAuction(0, { value: price })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace.connect(buyer).settleAuction(0)
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+
+      // Validly signed off-chain orders can't be filled either
+      const [, name, version, chainId, verifyingContract] = await marketplace.eip712Domain();
+      const domain = { name, version, chainId, verifyingContract };
+      const deadline = (await time.latest()) + 3600;
+      const nftOrder = { seller: seller.address, tokenId: 0, price, paymentToken: ethers.ZeroAddress, nonce: 0, deadline };
+      const tokenOrder = {
+        seller: seller.address,
+        creditsId: 1,
+        vintageYear: 2020,
+        amount: tonnes(10),
+        pricePerUnit: price,
+        paymentToken: ethers.ZeroAddress,
+        nonce: 0,
+        deadline,
+      };
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fillNFTOrder(nftOrder, await seller.signTypedData(domain, NFT_ORDER_TYPES, nftOrder), { value: price })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fillTokenOrder(tokenOrder, tonnes(1), await seller.signTypedData(domain, TOKEN_ORDER_TYPES, tokenOrder), {
+            value: price,
+          })
+      ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+    });
+
+    it("Should keep marketplace cancellations and withdrawals open while paused", async function () {
+      const { marketplace, tokenContract, guardian, seller, buyer } = await guardianFixture();
+      const price = ethers.parseEther("1");
+      await tokenContract.connect(seller).approve(marketplace.target, tonnes(10));
+      await marketplace.connect(seller).listTokens(1, 2020, tonnes(10), price, ethers.ZeroAddress);
+      await marketplace.connect(buyer).buyTokens(0, tonnes(1), { value: price });
+      await marketplace.connect(buyer).placeBuyOrder(2, 2021, tonnes(5), price, ethers.ZeroAddress, { value: price * 5n });
+      await marketplace.connect(guardian).pause();
+
+      await expect(marketplace.connect(seller).cancelTokenListing(0)).to.emit(marketplace, "TokenListingCancelled");
+      await expect(marketplace.connect(buyer).cancelBuyOrder(0))
+        .to.emit(marketplace, "BuyOrderCancelled")
+        .withArgs(0, price * 5n);
+      await expect(marketplace.connect(seller).withdrawProceeds(ethers.ZeroAddress))
+        .to.emit(marketplace, "ProceedsWithdrawn")
+        .withArgs(seller.address, ethers.ZeroAddress, price);
+    });
+
+    it("Should stop issuance through the verification workflow and retirements while the token is paused", async function () {
+      const { tokenContract, retirementContract, guardian, seller } = await guardianFixture();
+      await tokenContract.connect(seller).approve(retirementContract.target, 10);
+      await tokenContract.connect(guardian).pause();
+
+      await expect(
+        retirementContract.connect(seller).retireTokens(1, 2020, 10, "Acme Corp", "2024 offset")
+      ).to.be.revertedWithCustomError(tokenContract, "EnforcedPause");
+
+      await tokenContract.connect(guardian).unpause();
+      await expect(retirementContract.connect(seller).retireTokens(1, 2020, 10, "Acme Corp", "2024 offset")).to.emit(
+        retirementContract,
+        "CreditsRetired"
+      );
+    });
+
+    it("Should freeze token accounts", async function () {
+      const { tokenContract, verifier, guardian, seller, buyer } = await guardianFixture();
+
+      await expect(tokenContract.connect(seller).setAccountFrozen(buyer.address, true)).to.be.revertedWithCustomError(
+        tokenContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(tokenContract.connect(guardian).setAccountFrozen(seller.address, true))
+        .to.emit(tokenContract, "AccountFreezeUpdated")
+        .withArgs(seller.address, true);
+      expect(await tokenContract.frozenAccounts(seller.address)).to.be.true;
+
+      await expect(tokenContract.connect(seller).transfer(buyer.address, 10))
+        .to.be.revertedWithCustomError(tokenContract, "AccountFrozen")
+        .withArgs(seller.address);
+      await expect(tokenContract.connect(seller).burn(10))
+        .to.be.revertedWithCustomError(tokenContract, "AccountFrozen")
+        .withArgs(seller.address);
+      await expect(tokenContract.connect(verifier).issueCredits(seller.address, 1, 2020, tonnes(10)))
+        .to.be.revertedWithCustomError(tokenContract, "AccountFrozen")
+        .withArgs(seller.address);
+
+      await tokenContract.connect(guardian).setAccountFrozen(seller.address, false);
+      await tokenContract.connect(seller).transfer(buyer.address, 10);
+      expect(await tokenContract.balanceOf(buyer.address)).to.equal(10);
+    });
+
+    it("Should freeze token batches", async function () {
+      const { tokenContract, verifier, guardian, seller, buyer } = await guardianFixture();
+
+      await expect(tokenContract.connect(guardian).setBatchFrozen(1, 2020, true))
+        .to.emit(tokenContract, "BatchFreezeUpdated")
+        .withArgs(1, 2020, true);
+      expect(await tokenContract.frozenBatches(ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2020]))).to.be.true;
+
+      await expect(tokenContract.connect(seller).transferBatch(buyer.address, 1, 2020, tonnes(10)))
+        .to.be.revertedWithCustomError(tokenContract, "BatchFrozen")
+        .withArgs(1, 2020);
+      await expect(tokenContract.connect(verifier).issueCredits(buyer.address, 1, 2020, tonnes(10)))
+        .to.be.revertedWithCustomError(tokenContract, "BatchFrozen")
+        .withArgs(1, 2020);
+
+      // Other batches keep moving, including plain transfers that only draw from them
+      await tokenContract.connect(seller).transferBatch(buyer.address, 2, 2021, tonnes(10));
+      await tokenContract.connect(seller).transfer(buyer.address, tonnes(40));
+      await expect(tokenContract.connect(seller).transfer(buyer.address, 1))
+        .to.be.revertedWithCustomError(tokenContract, "BatchFrozen")
+        .withArgs(1, 2020);
+
+      await tokenContract.connect(guardian).setBatchFrozen(1, 2020, false);
+      await tokenContract.connect(seller).transferBatch(buyer.address, 1, 2020, tonnes(10));
+      expect(await tokenContract.batchBalanceOf(buyer.address, 1, 2020)).to.equal(tonnes(10));
+    });
+
+    it("Should freeze NFT accounts and batches", async function () {
+      const { nftContract, converterContract, tokenContract, minter, guardian, seller, buyer } = await guardianFixture();
+
+      await expect(nftContract.connect(guardian).setAccountFrozen(buyer.address, true))
+        .to.emit(nftContract, "AccountFreezeUpdated")
+        .withArgs(buyer.address, true);
+      await expect(nftContract.connect(seller).transferFrom(seller.address, buyer.address, 0))
+        .to.be.revertedWithCustomError(nftContract, "AccountFrozen")
+        .withArgs(buyer.address);
+      await nftContract.connect(guardian).setAccountFrozen(buyer.address, false);
+
+      await expect(nftContract.connect(guardian).setBatchFrozen(1, 2020, true))
+        .to.emit(nftContract, "BatchFreezeUpdated")
+        .withArgs(1, 2020, true);
+      expect(await nftContract.frozenBatches(1, 2020)).to.be.true;
+      await expect(nftContract.connect(seller).transferFrom(seller.address, buyer.address, 0))
+        .to.be.revertedWithCustomError(nftContract, "BatchFrozen")
+        .withArgs(1, 2020);
+      await expect(nftContract.connect(minter).mint(minter.address, 1, 2020, 10, "ipfs://nft-2"))
+        .to.be.revertedWithCustomError(nftContract, "BatchFrozen")
+        .withArgs(1, 2020);
+      await expect(converterContract.connect(seller).convertNFTtoTokens(0))
+        .to.be.revertedWithCustomError(nftContract, "BatchFrozen")
+        .withArgs(1, 2020);
+
+      // Freezing the token batch also stops conversions into it
+      await nftContract.connect(guardian).setBatchFrozen(1, 2020, false);
+      await tokenContract.connect(guardian).setBatchFrozen(1, 2020, true);
+      await expect(converterContract.connect(seller).convertNFTtoTokens(0))
+        .to.be.revertedWithCustomError(tokenContract, "BatchFrozen")
+        .withArgs(1, 2020);
+
+      await expect(nftContract.connect(seller).setBatchFrozen(1, 2020, true)).to.be.revertedWithCustomError(
+        nftContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Ignition deployment", function () {
+    const CarbonCreditSystemModule = require("../ignition/modules/CarbonCreditSystem.js").default;
+
+    async function ignitionFixture() {
+      const [deployer] = await ethers.getSigners();
+      const contracts = await ignition.deploy(CarbonCreditSystemModule);
+      return { ...contracts, deployer };
+    }
+
+    it("Should leave the deployer without the NFT minter role", async function () {
+      const { nft, converter, deployer } = await loadFixture(ignitionFixture);
+      const MINTER_ROLE = await nft.MINTER_ROLE();
+
+      expect(await nft.hasRole(MINTER_ROLE, deployer.address)).to.be.false;
+      expect(await nft.hasRole(await nft.CONVERTER_ROLE(), converter.target)).to.be.true;
+      await expect(
+        nft.connect(deployer).mint(deployer.address, 1, 2023, 10, "ipfs://test")
+      ).to.be.revertedWithCustomError(nft, "NotMinter");
+    });
+
+    it("Should leave the verification workflow as the only issuer of credits", async function () {
+      const { token, verification, deployer } = await loadFixture(ignitionFixture);
+      const VERIFIER_ROLE = await token.VERIFIER_ROLE();
+
+      expect(await token.hasRole(VERIFIER_ROLE, deployer.address)).to.be.false;
+      expect(await token.hasRole(VERIFIER_ROLE, verification.target)).to.be.true;
+    });
+  });
+
+  describe("Demo scenario", function () {
+    // The scenario `yarn seed:demo` runs on a local node, on top of the test deployment with the verification
+    // workflow as the only issuer, as the Ignition module sets it up
+    async function demoScenarioFixture() {
+      const fixture = await deployCarbonCreditFixture();
+      const { roleManager, tokenContract, owner, minter, verifier, converter, buyer, seller, VERIFIER_ROLE } = fixture;
+
+      const CarbonCreditVerification = await ethers.getContractFactory("CarbonCreditVerification");
+      const verification = await CarbonCreditVerification.deploy(tokenContract.target, roleManager.target, 2, 3 * 24 * 60 * 60);
+      await roleManager.grantRoleToContract(VERIFIER_ROLE, verification.target, tokenContract.target);
+      await roleManager.revokeRoleFromContract(VERIFIER_ROLE, verifier.address, tokenContract.target);
+
+      const demo = await seedDemo(
+        ethers,
+        { ...fixture, verification },
+        { admin: owner, minter, verifier, secondVerifier: converter, developer: seller, buyer }
+      );
+
+      return { ...fixture, verification, demo };
+    }
+
+    it("Should register verified projects across standards and vintages", async function () {
+      const { projectRegistry, tokenContract, verification, seller, demo } = await loadFixture(demoScenarioFixture);
+
+      // NFTs minted by the demo count against the same caps as issued tokens
+      const mintedAsNFTs = { "Kenya, Kasigau Corridor:2021": 50, "Ghana, Ashanti Region:2023": 20 };
+
+      expect(demo.projects.map((project) => project.creditsId)).to.deep.equal([3n, 4n, 5n, 6n]);
+      expect(new Set(demo.projects.map((project) => project.verificationStandard))).to.deep.equal(
+        new Set(["Verra", "Gold Standard"])
+      );
+      for (const project of demo.projects) {
+        expect(await projectRegistry.projectStatus(project.creditsId)).to.equal(PROJECT_ACTIVE);
+        expect((await projectRegistry.projects(project.creditsId)).developer).to.equal(seller.address);
+        for (const vintage of project.vintages) {
+          expect(await verification.hasOpenProposal(project.creditsId, vintage.year)).to.equal(!!vintage.pending);
+          if (vintage.pending) continue;
+          const key = ethers.solidityPackedKeccak256(["uint256", "uint256"], [project.creditsId, vintage.year]);
+          const data = await tokenContract.verificationData(key);
+          expect(data.verificationStandard).to.equal(project.verificationStandard);
+          expect(data.creditType).to.equal(project.creditType);
+          expect(data.verifiedTonnage).to.equal(tonnes(vintage.verified));
+          expect(data.issuedAmount).to.equal(tonnes(vintage.issued + (mintedAsNFTs[`${project.location}:${vintage.year}`] ?? 0)));
+        }
+      }
+      expect(await tokenContract.verifiedProjectCount()).to.equal(
+        DEMO_PROJECTS.flatMap((project) => project.vintages).filter((vintage) => !vintage.pending).length
+      );
+    });
+
+    it("Should leave NFTs, conversions, open listings and trades behind", async function () {
+      const { nftContract, tokenContract, marketplace, converterContract, buyer, seller, demo } =
+        await loadFixture(demoScenarioFixture);
+      const [forest, wind, cookstoves] = demo.projects;
+      const [forestNFT, windNFT] = demo.nftIds;
+
+      expect(await converterContract.conversionCount()).to.equal(2);
+      expect(await nftContract.ownerOf(forestNFT)).to.equal(buyer.address);
+      expect(await nftContract.ownerOf(windNFT)).to.equal(seller.address);
+      expect((await marketplace.nftListings(forestNFT)).active).to.be.false;
+      expect((await marketplace.nftListings(windNFT)).active).to.be.true;
+
+      // Cookstoves credits came from the issuance and from converting the cookstoves NFT
+      expect(await tokenContract.batchBalanceOf(seller.address, cookstoves.creditsId, 2023)).to.equal(tonnes(820));
+      expect(await tokenContract.batchBalanceOf(buyer.address, forest.creditsId, 2021)).to.equal(tonnes(25));
+      expect(await tokenContract.batchBalanceOf(buyer.address, forest.creditsId, 2022)).to.equal(tonnes(10));
+      expect(await tokenContract.batchBalanceOf(buyer.address, wind.creditsId, 2023)).to.equal(tonnes(15));
+
+      expect((await marketplace.tokenListings(demo.tokenListings[0])).amount).to.equal(tonnes(375));
+      expect((await marketplace.tokenListings(demo.tokenListings[3])).active).to.be.true;
+      const buyOrder = await marketplace.buyOrders(demo.buyOrderId);
+      expect(buyOrder.amount).to.equal(tonnes(15));
+      expect(buyOrder.active).to.be.true;
+    });
+
+    it("Should let tests trade on the seeded market", async function () {
+      const { marketplace, nftContract, stablecoin, buyer, demo } = await loadFixture(demoScenarioFixture);
+      const windNFT = demo.nftIds[1];
 
+      await stablecoin.connect(buyer).approve(marketplace.target, ethers.parseEther("350"));
+      await expect(marketplace.connect(buyer).buyNFT(windNFT))
+        .to.emit(marketplace, "NFTSold")
+        .withArgs(windNFT, buyer.address, ethers.parseEther("350"), stablecoin.target);
+      expect(await nftContract.ownerOf(windNFT)).to.equal(buyer.address);
+    });
   });
 });
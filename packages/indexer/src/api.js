@@ -0,0 +1,85 @@
+const express = require('express');
+const { graphql } = require('graphql');
+
+const { QueryError } = require('./queries');
+const { schema, createRootValue } = require('./schema');
+
+/**
+ * Creates the HTTP API:
+ *
+ *   GET  /status                                  indexing progress
+ *   GET  /projects[?verified=true]                projects (creditsId + vintageYear)
+ *   GET  /projects/:creditsId/:vintageYear        one project with its NFTs, trades and retirements
+ *   GET  /nfts, /listings, /buy-orders, /auctions, /trades, /retirements, /events
+ *   POST /graphql                                 the same data through GraphQL
+ *
+ * List endpoints take their filters as query parameters (see `queries.js`)
+ * plus `limit` and `offset`.
+ */
+function createApi(queries) {
+  const app = express();
+  const rootValue = createRootValue(queries);
+  app.use(express.json());
+
+  // Lets the React app on another port query the indexer
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
+
+  const list = (query) => (req, res) => res.json(query(req.query));
+
+  app.get('/status', (req, res) => res.json(queries.status()));
+  app.get('/projects', list(queries.projects));
+  app.get('/projects/:creditsId/:vintageYear', (req, res) => {
+    const { creditsId, vintageYear } = req.params;
+    const project = queries.project(creditsId, vintageYear);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    const batch = { creditsId, vintageYear };
+    res.json({
+      ...project,
+      nfts: queries.nfts({ ...batch, limit: 500 }),
+      trades: queries.trades(batch),
+      retirements: queries.retirements(batch),
+    });
+  });
+  app.get('/nfts', list(queries.nfts));
+  app.get('/listings', list(queries.listings));
+  app.get('/buy-orders', list(queries.buyOrders));
+  app.get('/auctions', list(queries.auctions));
+  app.get('/trades', list(queries.trades));
+  app.get('/retirements', list(queries.retirements));
+  app.get('/events', list(queries.events));
+
+  app.post('/graphql', async (req, res) => {
+    const { query, variables, operationName } = req.body || {};
+    if (typeof query !== 'string') {
+      return res
+        .status(400)
+        .json({ errors: [{ message: 'Missing GraphQL query' }] });
+    }
+    const result = await graphql({
+      schema,
+      source: query,
+      rootValue,
+      variableValues: variables,
+      operationName,
+    });
+    res.json(result);
+  });
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((error, req, res, next) => {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+module.exports = { createApi };
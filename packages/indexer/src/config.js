@@ -0,0 +1,38 @@
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+function intFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+function pathFromEnv(name, fallback) {
+  return path.resolve(
+    path.join(__dirname, '..'),
+    process.env[name] || fallback
+  );
+}
+
+/** Indexer settings, read from the environment (see `.env.example`). */
+module.exports = {
+  rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  deploymentsDir: pathFromEnv(
+    'IGNITION_DEPLOYMENTS_DIR',
+    '../hardhat/ignition/deployments'
+  ),
+  deploymentId: process.env.DEPLOYMENT_ID || undefined,
+  ignitionModule: process.env.IGNITION_MODULE || 'CarbonCreditSystemModule',
+  databasePath: pathFromEnv('DATABASE_PATH', './data/indexer.sqlite'),
+  port: intFromEnv('PORT', 4000),
+  startBlock: intFromEnv('START_BLOCK', 0),
+  confirmations: intFromEnv('CONFIRMATIONS', 0),
+  reorgDepth: intFromEnv('REORG_DEPTH', 64),
+  batchSize: Math.max(intFromEnv('BATCH_SIZE', 2000), 1),
+  pollIntervalMs: intFromEnv('POLL_INTERVAL_MS', 2000),
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// uint256 values are stored as decimal TEXT so nothing is truncated; sums
+// are computed with BigInt in the projections rather than in SQL.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of indexed blocks, used to detect reorgs
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  -- Every decoded contract event; derived tables below can be rebuilt from it
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, name);
+
+  CREATE TABLE IF NOT EXISTS projects (
+    credits_id TEXT NOT NULL,
+    vintage_year TEXT NOT NULL,
+    mrv_data_hash TEXT,
+    verification_standard TEXT,
+    credit_type TEXT,
+    verified_tonnage TEXT,
+    verified_at INTEGER,
+    issued TEXT NOT NULL DEFAULT '0',
+    nft_minted TEXT NOT NULL DEFAULT '0',
+    retired TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (credits_id, vintage_year)
+  );
+
+  CREATE TABLE IF NOT EXISTS nfts (
+    token_id TEXT PRIMARY KEY,
+    credits_id TEXT NOT NULL,
+    vintage_year TEXT NOT NULL,
+    carbon_tons TEXT NOT NULL,
+    minted_to TEXT NOT NULL,
+    token_uri TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'minted', -- minted | converted | retired | burned
+    minted_at INTEGER NOT NULL
+  );
+
+  -- NFT listings reuse the token ID on the contract, so every listing gets its own row here
+  CREATE TABLE IF NOT EXISTS listings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL, -- nft | token
+    listing_id TEXT NOT NULL, -- token ID for NFT listings, listing ID for token listings
+    seller TEXT NOT NULL,
+    credits_id TEXT,
+    vintage_year TEXT,
+    amount TEXT NOT NULL,
+    remaining TEXT NOT NULL,
+    price TEXT NOT NULL, -- total price for NFTs, price per ton for tokens
+    payment_token TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active', -- active | sold | cancelled
+    listed_at INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS listings_by_ref ON listings (kind, listing_id);
+
+  CREATE TABLE IF NOT EXISTS buy_orders (
+    order_id TEXT PRIMARY KEY,
+    buyer TEXT NOT NULL,
+    credits_id TEXT NOT NULL,
+    vintage_year TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    remaining TEXT NOT NULL,
+    price_per_unit TEXT NOT NULL,
+    payment_token TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active', -- active | filled | cancelled
+    placed_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS auctions (
+    auction_id TEXT PRIMARY KEY,
+    token_id TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    auction_type TEXT NOT NULL, -- english | dutch
+    payment_token TEXT NOT NULL,
+    start_price TEXT NOT NULL,
+    reserve_price TEXT NOT NULL,
+    end_time INTEGER NOT NULL,
+    highest_bidder TEXT,
+    highest_bid TEXT NOT NULL DEFAULT '0',
+    bid_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'active', -- active | settled | cancelled
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL, -- nft | token | order | auction | signed
+    ref_id TEXT NOT NULL, -- token ID, listing ID, order ID or auction ID
+    order_id TEXT, -- set when a token listing was matched against a buy order
+    buyer TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    token_id TEXT,
+    credits_id TEXT,
+    vintage_year TEXT,
+    amount TEXT NOT NULL,
+    total_price TEXT NOT NULL,
+    payment_token TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS trades_by_batch ON trades (credits_id, vintage_year);
+
+  CREATE TABLE IF NOT EXISTS retirements (
+    certificate_id TEXT PRIMARY KEY,
+    retiree TEXT NOT NULL,
+    credits_id TEXT NOT NULL,
+    vintage_year TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    beneficiary TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+`;
+
+// Bump when SCHEMA changes; older databases are dropped and re-indexed.
+const SCHEMA_VERSION = 2;
+
+/** Tables built from `events` by the projections; cleared before a replay. */
+const DERIVED_TABLES = [
+  'projects',
+  'nfts',
+  'listings',
+  'buy_orders',
+  'auctions',
+  'trades',
+  'retirements',
+];
+
+/**
+ * Opens (creating if needed) the indexer database at `databasePath` and
+ * applies the schema. A database written with another schema version is
+ * emptied first, so it is rebuilt from the chain.
+ *
+ * @param {string} databasePath File path, or `:memory:`.
+ */
+function openDatabase(databasePath) {
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  }
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  if (db.pragma('user_version', { simple: true }) !== SCHEMA_VERSION) {
+    const tables = db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+      .all();
+    for (const { name } of tables) db.exec(`DROP TABLE ${name}`);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+  db.exec(SCHEMA);
+  return db;
+}
+
+function getMeta(db, key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : undefined;
+}
+
+function setMeta(db, key, value) {
+  db.prepare(
+    'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+  ).run(key, String(value));
+}
+
+/**
+ * Empties the derived tables and resets their AUTOINCREMENT counters, so
+ * that rebuilding them gives listings and trades the same IDs as before.
+ */
+function clearDerivedTables(db) {
+  for (const table of DERIVED_TABLES) db.exec(`DELETE FROM ${table}`);
+  db.exec('DELETE FROM sqlite_sequence');
+}
+
+/** Drops every indexed block, event and derived row. */
+function clearIndex(db) {
+  db.transaction(() => {
+    db.exec('DELETE FROM blocks; DELETE FROM events;');
+    clearDerivedTables(db);
+    db.prepare("DELETE FROM meta WHERE key = 'lastIndexedBlock'").run();
+  })();
+}
+
+module.exports = {
+  DERIVED_TABLES,
+  openDatabase,
+  getMeta,
+  setMeta,
+  clearDerivedTables,
+  clearIndex,
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { Interface, getAddress } = require('ethers');
+
+/**
+ * Loads the contracts of an Ignition deployment: their addresses from
+ * `deployed_addresses.json` and their ABIs from the deployment's `artifacts`
+ * folder, so the indexer always follows exactly what was deployed.
+ *
+ * Only futures of `ignitionModule` are returned (e.g.
+ * `CarbonCreditSystemModule#CarbonCreditNFT`), which keeps mock stablecoins
+ * deployed into the same folder out of the index.
+ *
+ * @param {string} deploymentDir Path to `ignition/deployments/<deployment-id>`.
+ * @param {string} ignitionModule The Ignition module whose contracts to index.
+ * @returns {{ name: string, address: string, iface: Interface }[]}
+ */
+function loadDeployment(deploymentDir, ignitionModule) {
+  const addressesPath = path.join(deploymentDir, 'deployed_addresses.json');
+  if (!fs.existsSync(addressesPath)) {
+    throw new Error(
+      `No Ignition deployment found at ${deploymentDir}. Deploy with ` +
+        '`npx hardhat ignition deploy ./ignition/modules/CarbonCreditSystem.js --network localhost` first.'
+    );
+  }
+
+  const addresses = JSON.parse(fs.readFileSync(addressesPath, 'utf8'));
+  const contracts = Object.entries(addresses)
+    .filter(([futureId]) => futureId.startsWith(`${ignitionModule}#`))
+    .map(([futureId, address]) => {
+      const artifactPath = path.join(
+        deploymentDir,
+        'artifacts',
+        `${futureId}.json`
+      );
+      const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+      return {
+        name: artifact.contractName,
+        address: getAddress(address),
+        iface: new Interface(artifact.abi),
+      };
+    });
+
+  if (contracts.length === 0) {
+    throw new Error(
+      `Deployment ${deploymentDir} has no contracts from ${ignitionModule}`
+    );
+  }
+  return contracts;
+}
+
+/**
+ * Returns a stable identifier for a set of deployed contracts. The database
+ * is rebuilt whenever it changes, e.g. after redeploying to a fresh node.
+ */
+function deploymentFingerprint(contracts) {
+  return contracts
+    .map(({ name, address }) => `${name}=${address}`)
+    .sort()
+    .join(',');
+}
+
+module.exports = { loadDeployment, deploymentFingerprint };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { JsonRpcProvider } = require('ethers');
+
+const config = require('./config');
+const { openDatabase, clearIndex } = require('./db');
+const { loadDeployment } = require('./deployment');
+const { Indexer } = require('./indexer');
+const { createQueries } = require('./queries');
+const { createApi } = require('./api');
+
+async function main() {
+  const provider = new JsonRpcProvider(config.rpcUrl);
+  const { chainId } = await provider.getNetwork();
+
+  const deploymentDir = path.join(
+    config.deploymentsDir,
+    config.deploymentId || `chain-${chainId}`
+  );
+  const contracts = loadDeployment(deploymentDir, config.ignitionModule);
+  console.log(`Indexing ${contracts.length} contracts from ${deploymentDir}:`);
+  contracts.forEach(({ name, address }) => console.log(`  ${name} ${address}`));
+
+  const db = openDatabase(config.databasePath);
+  if (process.argv.includes('--reset')) clearIndex(db);
+
+  const indexer = new Indexer({
+    db,
+    provider,
+    contracts,
+    chainId: Number(chainId),
+    config,
+  });
+  const server = createApi(createQueries(db)).listen(config.port, () => {
+    console.log(
+      `API listening on http://localhost:${config.port} (GraphQL at /graphql)`
+    );
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+    provider.destroy();
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await indexer.start();
+  db.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
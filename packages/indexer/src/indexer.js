@@ -0,0 +1,229 @@
+const { getMeta, setMeta, clearDerivedTables, clearIndex } = require('./db');
+const { deploymentFingerprint } = require('./deployment');
+const { applyEvent } = require('./projections');
+
+/** Converts decoded event arguments to plain JSON, with uint256 values as decimal strings. */
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * Follows the deployed contracts block by block and writes their events to
+ * SQLite.
+ *
+ * Every batch of blocks is stored in a single transaction together with the
+ * hashes of the blocks it touched. Before each batch the stored hashes of the
+ * last `reorgDepth` blocks are compared with the chain; if they differ, the
+ * index is rolled back to the last common block and the derived tables are
+ * replayed from the remaining events.
+ */
+class Indexer {
+  /**
+   * @param {object} options
+   * @param {import('better-sqlite3').Database} options.db
+   * @param {import('ethers').JsonRpcProvider} options.provider
+   * @param {{ name: string, address: string, iface: import('ethers').Interface }[]} options.contracts
+   * @param {number} options.chainId
+   * @param {object} options.config Settings from `config.js`.
+   */
+  constructor({ db, provider, contracts, chainId, config }) {
+    this.db = db;
+    this.provider = provider;
+    this.contracts = contracts;
+    this.config = config;
+    this.byAddress = new Map(
+      contracts.map((contract) => [contract.address.toLowerCase(), contract])
+    );
+    this.running = false;
+
+    this.resetIfDeploymentChanged(chainId);
+  }
+
+  /** Clears the index when it was built for another chain or another set of contracts. */
+  resetIfDeploymentChanged(chainId) {
+    const fingerprint = `${chainId}:${deploymentFingerprint(this.contracts)}`;
+    if (getMeta(this.db, 'deployment') !== fingerprint) {
+      clearIndex(this.db);
+      setMeta(this.db, 'deployment', fingerprint);
+    }
+  }
+
+  /** The highest block whose events are in the database, or `startBlock - 1`. */
+  lastIndexedBlock() {
+    const stored = getMeta(this.db, 'lastIndexedBlock');
+    return stored === undefined ? this.config.startBlock - 1 : Number(stored);
+  }
+
+  /**
+   * Returns the block to roll back to if a stored block is no longer part of
+   * the canonical chain, or `null` if the index is consistent.
+   */
+  async findForkPoint() {
+    const stored = this.db
+      .prepare('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?')
+      .all(this.config.reorgDepth);
+
+    for (const [i, block] of stored.entries()) {
+      const canonical = await this.provider.getBlock(block.number);
+      if (canonical && canonical.hash === block.hash) {
+        return i === 0 ? null : block.number;
+      }
+    }
+    // Nothing within reach matched (e.g. the node was restarted): start over
+    return stored.length === 0 ? null : this.config.startBlock - 1;
+  }
+
+  /** Drops everything above `blockNumber` and rebuilds the derived tables from the remaining events. */
+  rollbackTo(blockNumber) {
+    const { db } = this;
+    db.transaction(() => {
+      db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+      db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+      setMeta(db, 'lastIndexedBlock', blockNumber);
+      this.replay();
+    })();
+    console.log(`Reorg detected: rolled back to block ${blockNumber}`);
+  }
+
+  /** Rebuilds every derived table from the `events` table. */
+  replay() {
+    const { db } = this;
+    clearDerivedTables(db);
+    const rows = db
+      .prepare(
+        `SELECT events.*, blocks.timestamp FROM events
+         JOIN blocks ON blocks.number = events.block_number
+         ORDER BY events.block_number, events.log_index`
+      )
+      .all();
+    for (const row of rows) {
+      applyEvent(db, {
+        contract: row.contract,
+        name: row.name,
+        args: JSON.parse(row.args),
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        transactionHash: row.transaction_hash,
+        timestamp: row.timestamp,
+      });
+    }
+  }
+
+  /**
+   * Indexes blocks `fromBlock`..`toBlock`. Returns false, without writing
+   * anything, if the chain changed while the batch was being fetched.
+   */
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.contracts.map((contract) => contract.address),
+      fromBlock,
+      toBlock,
+    });
+
+    // Fetch the header of every block with logs, plus the last block of the batch
+    const blockNumbers = new Set(logs.map((log) => log.blockNumber));
+    blockNumbers.add(toBlock);
+    const blocks = new Map();
+    for (const number of blockNumbers) {
+      const block = await this.provider.getBlock(number);
+      if (!block) return false;
+      blocks.set(number, block);
+    }
+    if (
+      logs.some((log) => blocks.get(log.blockNumber).hash !== log.blockHash)
+    ) {
+      return false;
+    }
+
+    const { db } = this;
+    const insertBlock = db.prepare(
+      'INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)'
+    );
+    const insertEvent = db.prepare(
+      `INSERT OR REPLACE INTO events (block_number, log_index, block_hash, transaction_hash, contract, address, name, args)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    db.transaction(() => {
+      for (const block of blocks.values()) {
+        insertBlock.run(block.number, block.hash, block.timestamp);
+      }
+      for (const log of logs) {
+        const contract = this.byAddress.get(log.address.toLowerCase());
+        const parsed = contract && contract.iface.parseLog(log);
+        if (!parsed) continue;
+
+        const event = {
+          contract: contract.name,
+          name: parsed.name,
+          args: serializeArgs(parsed.fragment, parsed.args),
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+          transactionHash: log.transactionHash,
+          timestamp: blocks.get(log.blockNumber).timestamp,
+        };
+        insertEvent.run(
+          event.blockNumber,
+          event.logIndex,
+          log.blockHash,
+          event.transactionHash,
+          event.contract,
+          contract.address,
+          event.name,
+          JSON.stringify(event.args)
+        );
+        applyEvent(db, event);
+      }
+      setMeta(db, 'lastIndexedBlock', toBlock);
+    })();
+    return true;
+  }
+
+  /** Catches up with the chain head (minus `confirmations`), handling reorgs first. */
+  async sync() {
+    const forkPoint = await this.findForkPoint();
+    if (forkPoint !== null) this.rollbackTo(forkPoint);
+
+    const head =
+      (await this.provider.getBlockNumber()) - this.config.confirmations;
+    let fromBlock = this.lastIndexedBlock() + 1;
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + this.config.batchSize - 1, head);
+      if (!(await this.indexRange(fromBlock, toBlock))) return;
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /** Syncs every `pollIntervalMs` until `stop` is called. Errors are logged and retried. */
+  async start() {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.sync();
+      } catch (error) {
+        console.error(
+          'Indexer sync failed:',
+          error.shortMessage || error.message
+        );
+      }
+      await new Promise((resolve) => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, this.config.pollIntervalMs);
+      });
+    }
+  }
+
+  /** Stops polling after the current sync. */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+}
+
+module.exports = { Indexer };
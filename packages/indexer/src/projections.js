@@ -0,0 +1,462 @@
+const { ZeroAddress } = require('ethers');
+
+/**
+ * Projections turn the raw event log into queryable tables. Each handler is
+ * keyed by `<contract>.<event>` and receives the database and one decoded
+ * event:
+ *
+ *   { contract, name, args, blockNumber, logIndex, transactionHash, timestamp }
+ *
+ * where `args` maps parameter names to strings (uint256 values in decimal).
+ * Handlers must only depend on events at or before the one being applied, so
+ * that replaying the event table after a reorg rebuilds the same state.
+ */
+
+function add(a, b) {
+  return (BigInt(a) + BigInt(b)).toString();
+}
+
+function ensureProject(db, creditsId, vintageYear) {
+  db.prepare(
+    'INSERT OR IGNORE INTO projects (credits_id, vintage_year) VALUES (?, ?)'
+  ).run(creditsId, vintageYear);
+}
+
+function addToProject(db, column, creditsId, vintageYear, amount) {
+  ensureProject(db, creditsId, vintageYear);
+  const row = db
+    .prepare(
+      `SELECT ${column} AS total FROM projects WHERE credits_id = ? AND vintage_year = ?`
+    )
+    .get(creditsId, vintageYear);
+  db.prepare(
+    `UPDATE projects SET ${column} = ? WHERE credits_id = ? AND vintage_year = ?`
+  ).run(add(row.total, amount), creditsId, vintageYear);
+}
+
+function getNFT(db, tokenId) {
+  return db.prepare('SELECT * FROM nfts WHERE token_id = ?').get(tokenId);
+}
+
+function activeListing(db, kind, listingId) {
+  return db
+    .prepare(
+      "SELECT * FROM listings WHERE kind = ? AND listing_id = ? AND status = 'active' ORDER BY id DESC LIMIT 1"
+    )
+    .get(kind, listingId);
+}
+
+function insertTrade(db, event, trade) {
+  db.prepare(
+    `INSERT INTO trades (kind, ref_id, order_id, buyer, seller, token_id, credits_id, vintage_year, amount,
+       total_price, payment_token, block_number, log_index, transaction_hash, timestamp)
+     VALUES (@kind, @refId, @orderId, @buyer, @seller, @tokenId, @creditsId, @vintageYear, @amount,
+       @totalPrice, @paymentToken, @blockNumber, @logIndex, @transactionHash, @timestamp)`
+  ).run({
+    orderId: null,
+    tokenId: null,
+    ...trade,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    timestamp: event.timestamp,
+  });
+}
+
+/** Records the sale of an NFT through a listing or an auction. */
+function recordNFTTrade(
+  db,
+  event,
+  kind,
+  refId,
+  tokenId,
+  buyer,
+  seller,
+  price,
+  paymentToken
+) {
+  const nft = getNFT(db, tokenId);
+  insertTrade(db, event, {
+    kind,
+    refId,
+    buyer,
+    seller,
+    tokenId,
+    creditsId: nft ? nft.credits_id : null,
+    vintageYear: nft ? nft.vintage_year : null,
+    amount: nft ? nft.carbon_tons : '0',
+    totalPrice: price,
+    paymentToken,
+  });
+}
+
+const handlers = {
+  'CarbonCreditToken.VerificationDataSet'(db, { args, timestamp }) {
+    ensureProject(db, args.creditsId, args.vintageYear);
+    db.prepare(
+      `UPDATE projects SET mrv_data_hash = ?, verification_standard = ?, credit_type = ?, verified_tonnage = ?, verified_at = ?
+       WHERE credits_id = ? AND vintage_year = ?`
+    ).run(
+      args.mrvDataHash,
+      args.verificationStandard,
+      args.creditType,
+      args.verifiedTonnage,
+      timestamp,
+      args.creditsId,
+      args.vintageYear
+    );
+  },
+
+  'CarbonCreditToken.CreditsIssued'(db, { args }) {
+    addToProject(db, 'issued', args.creditsId, args.vintageYear, args.amount);
+  },
+
+  'CarbonCreditNFT.CreditMinted'(db, { args, timestamp }) {
+    db.prepare(
+      `INSERT OR REPLACE INTO nfts (token_id, credits_id, vintage_year, carbon_tons, minted_to, token_uri, minted_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      args.tokenId,
+      args.creditsId,
+      args.vintageYear,
+      args.carbonTons,
+      args.to,
+      args.tokenURI,
+      timestamp
+    );
+    addToProject(
+      db,
+      'nft_minted',
+      args.creditsId,
+      args.vintageYear,
+      args.carbonTons
+    );
+  },
+
+  'CarbonCreditNFT.CreditBurned'(db, { args }) {
+    db.prepare("UPDATE nfts SET status = 'burned' WHERE token_id = ?").run(
+      args.tokenId
+    );
+  },
+
+  'CarbonCreditConverter.ConvertedToTokens'(db, { args }) {
+    db.prepare("UPDATE nfts SET status = 'converted' WHERE token_id = ?").run(
+      args.tokenId
+    );
+  },
+
+  // Re-bundled NFTs are minted to the converter and handed on to the caller
+  'CarbonCreditConverter.ConvertedToNFT'(db, { args }) {
+    db.prepare('UPDATE nfts SET minted_to = ? WHERE token_id = ?').run(
+      args.user,
+      args.tokenId
+    );
+  },
+
+  'CarbonCreditMarketplace.NFTListed'(db, event) {
+    const { args } = event;
+    // listNFT overwrites any earlier listing of the same token
+    db.prepare(
+      "UPDATE listings SET status = 'cancelled' WHERE kind = 'nft' AND listing_id = ? AND status = 'active'"
+    ).run(args.tokenId);
+    const nft = getNFT(db, args.tokenId);
+    const tons = nft ? nft.carbon_tons : '0';
+    db.prepare(
+      `INSERT INTO listings (kind, listing_id, seller, credits_id, vintage_year, amount, remaining, price,
+         payment_token, listed_at, transaction_hash)
+       VALUES ('nft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      args.tokenId,
+      args.seller,
+      nft ? nft.credits_id : null,
+      nft ? nft.vintage_year : null,
+      tons,
+      tons,
+      args.price,
+      args.paymentToken,
+      event.timestamp,
+      event.transactionHash
+    );
+  },
+
+  'CarbonCreditMarketplace.TokenListed'(db, event) {
+    const { args } = event;
+    db.prepare(
+      `INSERT INTO listings (kind, listing_id, seller, credits_id, vintage_year, amount, remaining, price,
+         payment_token, listed_at, transaction_hash)
+       VALUES ('token', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      args.listingId,
+      args.seller,
+      args.creditsId,
+      args.vintageYear,
+      args.amount,
+      args.amount,
+      args.pricePerUnit,
+      args.paymentToken,
+      event.timestamp,
+      event.transactionHash
+    );
+  },
+
+  'CarbonCreditMarketplace.NFTListingCancelled'(db, { args }) {
+    const listing = activeListing(db, 'nft', args.tokenId);
+    if (listing) {
+      db.prepare("UPDATE listings SET status = 'cancelled' WHERE id = ?").run(
+        listing.id
+      );
+    }
+  },
+
+  'CarbonCreditMarketplace.TokenListingCancelled'(db, { args }) {
+    const listing = activeListing(db, 'token', args.listingId);
+    if (listing) {
+      db.prepare("UPDATE listings SET status = 'cancelled' WHERE id = ?").run(
+        listing.id
+      );
+    }
+  },
+
+  'CarbonCreditMarketplace.NFTSold'(db, event) {
+    const { args } = event;
+    const listing = activeListing(db, 'nft', args.tokenId);
+    if (!listing) return;
+    db.prepare(
+      "UPDATE listings SET status = 'sold', remaining = '0' WHERE id = ?"
+    ).run(listing.id);
+    recordNFTTrade(
+      db,
+      event,
+      'nft',
+      args.tokenId,
+      args.tokenId,
+      args.buyer,
+      listing.seller,
+      args.price,
+      args.paymentToken
+    );
+  },
+
+  'CarbonCreditMarketplace.TokenSold'(db, event) {
+    const { args } = event;
+    const listing = activeListing(db, 'token', args.listingId);
+    if (!listing) return;
+    db.prepare(
+      'UPDATE listings SET remaining = ?, status = ? WHERE id = ?'
+    ).run(
+      args.remainingAmount,
+      args.remainingAmount === '0' ? 'sold' : 'active',
+      listing.id
+    );
+    insertTrade(db, event, {
+      kind: 'token',
+      refId: args.listingId,
+      buyer: args.buyer,
+      seller: listing.seller,
+      creditsId: listing.credits_id,
+      vintageYear: listing.vintage_year,
+      amount: args.amount,
+      totalPrice: args.totalPrice,
+      paymentToken: args.paymentToken,
+    });
+  },
+
+  'CarbonCreditMarketplace.BuyOrderPlaced'(db, { args, timestamp }) {
+    db.prepare(
+      `INSERT OR REPLACE INTO buy_orders (order_id, buyer, credits_id, vintage_year, amount, remaining,
+         price_per_unit, payment_token, placed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      args.orderId,
+      args.buyer,
+      args.creditsId,
+      args.vintageYear,
+      args.amount,
+      args.amount,
+      args.pricePerUnit,
+      args.paymentToken,
+      timestamp
+    );
+  },
+
+  'CarbonCreditMarketplace.BuyOrderFilled'(db, event) {
+    const { args } = event;
+    const order = db
+      .prepare('SELECT * FROM buy_orders WHERE order_id = ?')
+      .get(args.orderId);
+    if (!order) return;
+    db.prepare(
+      'UPDATE buy_orders SET remaining = ?, status = ? WHERE order_id = ?'
+    ).run(
+      args.remainingAmount,
+      args.remainingAmount === '0' ? 'filled' : 'active',
+      args.orderId
+    );
+
+    // matchOrders emits TokenSold right before BuyOrderFilled; link that trade instead of counting it twice
+    const matched = db
+      .prepare(
+        "SELECT id FROM trades WHERE kind = 'token' AND transaction_hash = ? AND log_index = ?"
+      )
+      .get(event.transactionHash, event.logIndex - 1);
+    if (matched) {
+      db.prepare('UPDATE trades SET order_id = ? WHERE id = ?').run(
+        args.orderId,
+        matched.id
+      );
+      return;
+    }
+    insertTrade(db, event, {
+      kind: 'order',
+      refId: args.orderId,
+      orderId: args.orderId,
+      buyer: order.buyer,
+      seller: args.seller,
+      creditsId: order.credits_id,
+      vintageYear: order.vintage_year,
+      amount: args.amount,
+      totalPrice: args.totalPrice,
+      paymentToken: args.paymentToken,
+    });
+  },
+
+  'CarbonCreditMarketplace.BuyOrderCancelled'(db, { args }) {
+    db.prepare(
+      "UPDATE buy_orders SET status = 'cancelled' WHERE order_id = ?"
+    ).run(args.orderId);
+  },
+
+  // Signed orders live off-chain until filled, so only their fills are indexed
+  'CarbonCreditMarketplace.SignedNFTOrderFilled'(db, event) {
+    const { args } = event;
+    recordNFTTrade(
+      db,
+      event,
+      'signed',
+      args.orderHash,
+      args.tokenId,
+      args.buyer,
+      args.seller,
+      args.price,
+      args.paymentToken
+    );
+  },
+
+  'CarbonCreditMarketplace.SignedTokenOrderFilled'(db, event) {
+    const { args } = event;
+    insertTrade(db, event, {
+      kind: 'signed',
+      refId: args.orderHash,
+      buyer: args.buyer,
+      seller: args.seller,
+      creditsId: args.creditsId,
+      vintageYear: args.vintageYear,
+      amount: args.amount,
+      totalPrice: args.totalPrice,
+      paymentToken: args.paymentToken,
+    });
+  },
+
+  'CarbonCreditMarketplace.AuctionCreated'(db, { args, timestamp }) {
+    db.prepare(
+      `INSERT OR REPLACE INTO auctions (auction_id, token_id, seller, auction_type, payment_token, start_price,
+         reserve_price, end_time, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      args.auctionId,
+      args.tokenId,
+      args.seller,
+      args.auctionType === '0' ? 'english' : 'dutch',
+      args.paymentToken,
+      args.startPrice,
+      args.reservePrice,
+      Number(args.endTime),
+      timestamp
+    );
+  },
+
+  'CarbonCreditMarketplace.BidPlaced'(db, { args }) {
+    db.prepare(
+      'UPDATE auctions SET highest_bidder = ?, highest_bid = ?, bid_count = bid_count + 1 WHERE auction_id = ?'
+    ).run(args.bidder, args.amount, args.auctionId);
+  },
+
+  'CarbonCreditMarketplace.AuctionSettled'(db, event) {
+    const { args } = event;
+    const auction = db
+      .prepare('SELECT * FROM auctions WHERE auction_id = ?')
+      .get(args.auctionId);
+    if (!auction) return;
+    db.prepare(
+      "UPDATE auctions SET status = 'settled' WHERE auction_id = ?"
+    ).run(args.auctionId);
+    // A zero winner means the auction closed without a sale
+    if (args.winner === ZeroAddress) return;
+
+    db.prepare(
+      'UPDATE auctions SET highest_bidder = ?, highest_bid = ? WHERE auction_id = ?'
+    ).run(args.winner, args.price, args.auctionId);
+    recordNFTTrade(
+      db,
+      event,
+      'auction',
+      args.auctionId,
+      auction.token_id,
+      args.winner,
+      auction.seller,
+      args.price,
+      auction.payment_token
+    );
+  },
+
+  'CarbonCreditMarketplace.AuctionCancelled'(db, { args }) {
+    db.prepare(
+      "UPDATE auctions SET status = 'cancelled' WHERE auction_id = ?"
+    ).run(args.auctionId);
+  },
+
+  'CarbonCreditRetirement.CreditsRetired'(db, event) {
+    const { args } = event;
+    db.prepare(
+      `INSERT OR REPLACE INTO retirements (certificate_id, retiree, credits_id, vintage_year, amount, beneficiary,
+         reason, block_number, transaction_hash, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      args.certificateId,
+      args.retiree,
+      args.creditsId,
+      args.vintageYear,
+      args.amount,
+      args.beneficiary,
+      args.reason,
+      event.blockNumber,
+      event.transactionHash,
+      event.timestamp
+    );
+    addToProject(db, 'retired', args.creditsId, args.vintageYear, args.amount);
+
+    // NFT retirements burn the NFT earlier in the same transaction
+    const burned = db
+      .prepare(
+        "SELECT args FROM events WHERE transaction_hash = ? AND contract = 'CarbonCreditNFT' AND name = 'CreditBurned' AND log_index < ?"
+      )
+      .get(event.transactionHash, event.logIndex);
+    if (burned) {
+      const { tokenId } = JSON.parse(burned.args);
+      db.prepare("UPDATE nfts SET status = 'retired' WHERE token_id = ?").run(
+        tokenId
+      );
+    }
+  },
+};
+
+/**
+ * Applies one decoded event to the derived tables. Events without a handler
+ * (transfers, role changes, fee updates, ...) are only kept in `events`.
+ */
+function applyEvent(db, event) {
+  const handler = handlers[`${event.contract}.${event.name}`];
+  if (handler) handler(db, event);
+}
+
+module.exports = { applyEvent };
@@ -0,0 +1,232 @@
+const { getAddress, isAddress } = require('ethers');
+
+const { getMeta } = require('./db');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/** Thrown for invalid filters; the API answers it with 400. */
+class QueryError extends Error {}
+
+function toCamelCase(row) {
+  if (!row) return row;
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    result[key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  }
+  return result;
+}
+
+function pagination({ limit, offset } = {}) {
+  const parsedLimit = limit == null ? DEFAULT_LIMIT : Number(limit);
+  const parsedOffset = offset == null ? 0 : Number(offset);
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > MAX_LIMIT
+  ) {
+    throw new QueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    throw new QueryError('offset must be a non-negative integer');
+  }
+  return { limit: parsedLimit, offset: parsedOffset };
+}
+
+function address(value, name) {
+  if (!isAddress(value)) throw new QueryError(`${name} must be an address`);
+  return getAddress(value);
+}
+
+function oneOf(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw new QueryError(`${name} must be one of ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Builds `SELECT * FROM table WHERE ...` from the filters that are set.
+ * `columns` maps filter names to a column and an optional validator;
+ * `conditions` are extra SQL clauses that always apply.
+ */
+function select(db, table, columns, filters, orderBy, conditions = []) {
+  const clauses = [...conditions];
+  const params = {};
+  for (const [name, { column, parse }] of Object.entries(columns)) {
+    const value = filters[name];
+    if (value === undefined || value === null || value === '') continue;
+    clauses.push(`${column} = @${name}`);
+    params[name] = parse ? parse(String(value), name) : String(value);
+  }
+  const { limit, offset } = pagination(filters);
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  return db
+    .prepare(
+      `SELECT * FROM ${table} ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`
+    )
+    .all({ ...params, limit, offset })
+    .map(toCamelCase);
+}
+
+const batchColumns = {
+  creditsId: { column: 'credits_id' },
+  vintageYear: { column: 'vintage_year' },
+};
+
+/** Read-only queries shared by the REST and GraphQL APIs. */
+function createQueries(db) {
+  return {
+    status() {
+      const lastIndexedBlock = getMeta(db, 'lastIndexedBlock');
+      return {
+        deployment: getMeta(db, 'deployment') || null,
+        lastIndexedBlock:
+          lastIndexedBlock === undefined ? null : Number(lastIndexedBlock),
+        eventCount: db.prepare('SELECT COUNT(*) AS count FROM events').get()
+          .count,
+      };
+    },
+
+    projects(filters = {}) {
+      const verified = filters.verified === true || filters.verified === 'true';
+      return select(
+        db,
+        'projects',
+        batchColumns,
+        filters,
+        'CAST(credits_id AS INTEGER), CAST(vintage_year AS INTEGER)',
+        verified ? ['mrv_data_hash IS NOT NULL'] : []
+      );
+    },
+
+    project(creditsId, vintageYear) {
+      return toCamelCase(
+        db
+          .prepare(
+            'SELECT * FROM projects WHERE credits_id = ? AND vintage_year = ?'
+          )
+          .get(String(creditsId), String(vintageYear))
+      );
+    },
+
+    nfts(filters = {}) {
+      return select(
+        db,
+        'nfts',
+        {
+          ...batchColumns,
+          status: {
+            column: 'status',
+            parse: (v, n) =>
+              oneOf(v, ['minted', 'converted', 'retired', 'burned'], n),
+          },
+        },
+        filters,
+        'CAST(token_id AS INTEGER)'
+      );
+    },
+
+    listings(filters = {}) {
+      return select(
+        db,
+        'listings',
+        {
+          ...batchColumns,
+          kind: {
+            column: 'kind',
+            parse: (v, n) => oneOf(v, ['nft', 'token'], n),
+          },
+          status: {
+            column: 'status',
+            parse: (v, n) => oneOf(v, ['active', 'sold', 'cancelled'], n),
+          },
+          seller: { column: 'seller', parse: address },
+          paymentToken: { column: 'payment_token', parse: address },
+        },
+        filters,
+        'id DESC'
+      );
+    },
+
+    buyOrders(filters = {}) {
+      return select(
+        db,
+        'buy_orders',
+        {
+          ...batchColumns,
+          status: {
+            column: 'status',
+            parse: (v, n) => oneOf(v, ['active', 'filled', 'cancelled'], n),
+          },
+          buyer: { column: 'buyer', parse: address },
+        },
+        filters,
+        'CAST(order_id AS INTEGER) DESC'
+      );
+    },
+
+    auctions(filters = {}) {
+      return select(
+        db,
+        'auctions',
+        {
+          status: {
+            column: 'status',
+            parse: (v, n) => oneOf(v, ['active', 'settled', 'cancelled'], n),
+          },
+          seller: { column: 'seller', parse: address },
+          tokenId: { column: 'token_id' },
+        },
+        filters,
+        'CAST(auction_id AS INTEGER) DESC'
+      );
+    },
+
+    trades(filters = {}) {
+      return select(
+        db,
+        'trades',
+        {
+          ...batchColumns,
+          kind: {
+            column: 'kind',
+            parse: (v, n) =>
+              oneOf(v, ['nft', 'token', 'order', 'auction', 'signed'], n),
+          },
+          buyer: { column: 'buyer', parse: address },
+          seller: { column: 'seller', parse: address },
+          tokenId: { column: 'token_id' },
+        },
+        filters,
+        'block_number DESC, log_index DESC'
+      );
+    },
+
+    retirements(filters = {}) {
+      return select(
+        db,
+        'retirements',
+        { ...batchColumns, retiree: { column: 'retiree', parse: address } },
+        filters,
+        'CAST(certificate_id AS INTEGER) DESC'
+      );
+    },
+
+    events(filters = {}) {
+      return select(
+        db,
+        'events',
+        {
+          contract: { column: 'contract' },
+          name: { column: 'name' },
+          transactionHash: { column: 'transaction_hash' },
+        },
+        filters,
+        'block_number DESC, log_index DESC'
+      ).map((event) => ({ ...event, args: JSON.parse(event.args) }));
+    },
+  };
+}
+
+module.exports = { createQueries, QueryError };
@@ -0,0 +1,194 @@
+const { buildSchema } = require('graphql');
+
+// uint256 values are exposed as decimal strings, like the REST API.
+const schema = buildSchema(`
+  type Status {
+    deployment: String
+    lastIndexedBlock: Int
+    eventCount: Int!
+  }
+
+  type Project {
+    creditsId: String!
+    vintageYear: String!
+    mrvDataHash: String
+    verificationStandard: String
+    creditType: String
+    "Issuance cap of the vintage"
+    verifiedTonnage: String
+    verifiedAt: Int
+    issued: String!
+    nftMinted: String!
+    retired: String!
+    nfts: [NFT!]!
+    trades(limit: Int, offset: Int): [Trade!]!
+    retirements(limit: Int, offset: Int): [Retirement!]!
+  }
+
+  type NFT {
+    tokenId: String!
+    creditsId: String!
+    vintageYear: String!
+    carbonTons: String!
+    mintedTo: String!
+    tokenUri: String!
+    status: String!
+    mintedAt: Int!
+  }
+
+  type Listing {
+    id: Int!
+    kind: String!
+    listingId: String!
+    seller: String!
+    creditsId: String
+    vintageYear: String
+    amount: String!
+    remaining: String!
+    price: String!
+    paymentToken: String!
+    status: String!
+    listedAt: Int!
+    transactionHash: String!
+  }
+
+  type BuyOrder {
+    orderId: String!
+    buyer: String!
+    creditsId: String!
+    vintageYear: String!
+    amount: String!
+    remaining: String!
+    pricePerUnit: String!
+    paymentToken: String!
+    status: String!
+    placedAt: Int!
+  }
+
+  type Auction {
+    auctionId: String!
+    tokenId: String!
+    seller: String!
+    auctionType: String!
+    paymentToken: String!
+    startPrice: String!
+    reservePrice: String!
+    endTime: Int!
+    highestBidder: String
+    highestBid: String!
+    bidCount: Int!
+    status: String!
+    createdAt: Int!
+  }
+
+  type Trade {
+    id: Int!
+    kind: String!
+    refId: String!
+    orderId: String
+    buyer: String!
+    seller: String!
+    tokenId: String
+    creditsId: String
+    vintageYear: String
+    amount: String!
+    totalPrice: String!
+    paymentToken: String!
+    blockNumber: Int!
+    transactionHash: String!
+    timestamp: Int!
+  }
+
+  type Retirement {
+    certificateId: String!
+    retiree: String!
+    creditsId: String!
+    vintageYear: String!
+    amount: String!
+    beneficiary: String!
+    reason: String!
+    blockNumber: Int!
+    transactionHash: String!
+    timestamp: Int!
+  }
+
+  type Event {
+    blockNumber: Int!
+    logIndex: Int!
+    transactionHash: String!
+    contract: String!
+    address: String!
+    name: String!
+    "Decoded arguments as a JSON object"
+    args: String!
+  }
+
+  type Query {
+    status: Status!
+    projects(verified: Boolean, creditsId: String, limit: Int, offset: Int): [Project!]!
+    project(creditsId: String!, vintageYear: String!): Project
+    nfts(creditsId: String, vintageYear: String, status: String, limit: Int, offset: Int): [NFT!]!
+    listings(
+      kind: String
+      status: String
+      seller: String
+      creditsId: String
+      vintageYear: String
+      paymentToken: String
+      limit: Int
+      offset: Int
+    ): [Listing!]!
+    buyOrders(status: String, buyer: String, creditsId: String, vintageYear: String, limit: Int, offset: Int): [BuyOrder!]!
+    auctions(status: String, seller: String, tokenId: String, limit: Int, offset: Int): [Auction!]!
+    trades(
+      kind: String
+      buyer: String
+      seller: String
+      tokenId: String
+      creditsId: String
+      vintageYear: String
+      limit: Int
+      offset: Int
+    ): [Trade!]!
+    retirements(retiree: String, creditsId: String, vintageYear: String, limit: Int, offset: Int): [Retirement!]!
+    events(contract: String, name: String, transactionHash: String, limit: Int, offset: Int): [Event!]!
+  }
+`);
+
+/** Adds the nested fields of a project row. */
+function withRelations(queries, project) {
+  if (!project) return project;
+  const batch = {
+    creditsId: project.creditsId,
+    vintageYear: project.vintageYear,
+  };
+  return {
+    ...project,
+    nfts: () => queries.nfts({ ...batch, limit: 500 }),
+    trades: (args) => queries.trades({ ...batch, ...args }),
+    retirements: (args) => queries.retirements({ ...batch, ...args }),
+  };
+}
+
+/** Root resolvers for `schema`, backed by the shared queries. */
+function createRootValue(queries) {
+  return {
+    status: () => queries.status(),
+    projects: (args) =>
+      queries.projects(args).map((project) => withRelations(queries, project)),
+    project: ({ creditsId, vintageYear }) =>
+      withRelations(queries, queries.project(creditsId, vintageYear)),
+    nfts: (args) => queries.nfts(args),
+    listings: (args) => queries.listings(args),
+    buyOrders: (args) => queries.buyOrders(args),
+    auctions: (args) => queries.auctions(args),
+    trades: (args) => queries.trades(args),
+    retirements: (args) => queries.retirements(args),
+    events: (args) =>
+      queries
+        .events(args)
+        .map((event) => ({ ...event, args: JSON.stringify(event.args) })),
+  };
+}
+
+module.exports = { schema, createRootValue };
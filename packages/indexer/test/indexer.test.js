@@ -0,0 +1,304 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Interface, ZeroAddress, getAddress, id } = require('ethers');
+
+const { DERIVED_TABLES, openDatabase } = require('../src/db');
+const { Indexer } = require('../src/indexer');
+
+const TONNE = 10n ** 18n;
+const seller = getAddress('0x00000000000000000000000000000000000000a1');
+const buyer = getAddress('0x00000000000000000000000000000000000000b1');
+const otherBuyer = getAddress('0x00000000000000000000000000000000000000b2');
+
+const contracts = [
+  {
+    name: 'CarbonCreditToken',
+    address: getAddress('0x0000000000000000000000000000000000000c01'),
+    iface: new Interface([
+      'event VerificationDataSet(uint256 indexed creditsId, uint256 vintageYear, string mrvDataHash, string verificationStandard, string creditType, uint256 verifiedTonnage)',
+      'event CreditsIssued(uint256 indexed creditsId, uint256 vintageYear, address indexed to, uint256 amount, string mrvDataHash)',
+    ]),
+  },
+  {
+    name: 'CarbonCreditMarketplace',
+    address: getAddress('0x0000000000000000000000000000000000000c02'),
+    iface: new Interface([
+      'event TokenListed(uint256 indexed listingId, address indexed seller, uint256 indexed creditsId, uint256 vintageYear, uint256 amount, uint256 pricePerUnit, address paymentToken)',
+      'event TokenSold(uint256 indexed listingId, address indexed buyer, uint256 amount, uint256 totalPrice, uint256 remainingAmount, address paymentToken)',
+    ]),
+  },
+  {
+    name: 'CarbonCreditRetirement',
+    address: getAddress('0x0000000000000000000000000000000000000c03'),
+    iface: new Interface([
+      'event CreditsRetired(uint256 indexed certificateId, address indexed retiree, uint256 indexed creditsId, uint256 vintageYear, uint256 amount, string beneficiary, string reason)',
+    ]),
+  },
+];
+
+const config = {
+  startBlock: 0,
+  confirmations: 0,
+  reorgDepth: 8,
+  // Small batches so that a sync spans several of them
+  batchSize: 2,
+  pollIntervalMs: 0,
+};
+
+/**
+ * An in-memory chain implementing the provider methods the indexer uses.
+ * Blocks of different forks get different hashes, so a reorg replaces the
+ * hashes the indexer stored.
+ */
+class FakeChain {
+  constructor() {
+    this.blocks = [{ number: 0, hash: id('genesis'), timestamp: 0, logs: [] }];
+    this.fork = 0;
+  }
+
+  /** Mines a block holding `events`, each `[contractName, eventName, args]`. */
+  mine(...events) {
+    const number = this.blocks.length;
+    const hash = id(`${this.fork}:${number}`);
+    const logs = events.map(([contractName, eventName, args], index) => {
+      const contract = contracts.find(({ name }) => name === contractName);
+      return {
+        ...contract.iface.encodeEventLog(eventName, args),
+        address: contract.address,
+        blockNumber: number,
+        blockHash: hash,
+        index,
+        transactionHash: id(`tx:${hash}:${index}`),
+      };
+    });
+    this.blocks.push({ number, hash, timestamp: 1000 + number * 5, logs });
+  }
+
+  /** Drops the last `depth` blocks; blocks mined afterwards form a new fork. */
+  reorg(depth) {
+    this.blocks.length -= depth;
+    this.fork += 1;
+  }
+
+  async getBlockNumber() {
+    return this.blocks.length - 1;
+  }
+
+  async getBlock(number) {
+    const block = this.blocks[number];
+    return block
+      ? { number, hash: block.hash, timestamp: block.timestamp }
+      : null;
+  }
+
+  async getLogs({ fromBlock, toBlock }) {
+    return this.blocks
+      .slice(fromBlock, toBlock + 1)
+      .flatMap((block) => block.logs);
+  }
+}
+
+function createIndexer(chain) {
+  return new Indexer({
+    db: openDatabase(':memory:'),
+    provider: chain,
+    contracts,
+    chainId: 31337,
+    config,
+  });
+}
+
+/** Every row of every derived table, for comparing two indexes. */
+function snapshot(db) {
+  return Object.fromEntries(
+    DERIVED_TABLES.map((table) => [
+      table,
+      db.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all(),
+    ])
+  );
+}
+
+function project(db) {
+  return db
+    .prepare(
+      "SELECT * FROM projects WHERE credits_id = '1' AND vintage_year = '2023'"
+    )
+    .get();
+}
+
+describe('Indexer', () => {
+  let chain;
+
+  beforeEach(() => {
+    chain = new FakeChain();
+    chain.mine(
+      [
+        'CarbonCreditToken',
+        'VerificationDataSet',
+        [1, 2023, 'ipfs://mrv', 'Verra', 'Forestry', 1000n * TONNE],
+      ],
+      [
+        'CarbonCreditToken',
+        'CreditsIssued',
+        [1, 2023, seller, 500n * TONNE, 'ipfs://mrv'],
+      ]
+    );
+    chain.mine([
+      'CarbonCreditMarketplace',
+      'TokenListed',
+      [0, seller, 1, 2023, 100n * TONNE, 2n * TONNE, ZeroAddress],
+    ]);
+    chain.mine([
+      'CarbonCreditMarketplace',
+      'TokenSold',
+      [0, buyer, 40n * TONNE, 80n * TONNE, 60n * TONNE, ZeroAddress],
+    ]);
+    chain.mine([
+      'CarbonCreditRetirement',
+      'CreditsRetired',
+      [0, buyer, 1, 2023, 10n * TONNE, 'Acme', 'Offsetting 2023 travel'],
+    ]);
+  });
+
+  it('projects events into the derived tables', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+    const { db } = indexer;
+
+    assert.equal(indexer.lastIndexedBlock(), 4);
+    assert.equal(
+      db.prepare('SELECT COUNT(*) AS count FROM events').get().count,
+      5
+    );
+    assert.deepEqual(
+      {
+        verificationStandard: project(db).verification_standard,
+        verifiedTonnage: project(db).verified_tonnage,
+        issued: project(db).issued,
+        retired: project(db).retired,
+      },
+      {
+        verificationStandard: 'Verra',
+        verifiedTonnage: (1000n * TONNE).toString(),
+        issued: (500n * TONNE).toString(),
+        retired: (10n * TONNE).toString(),
+      }
+    );
+
+    const listing = db.prepare('SELECT * FROM listings').get();
+    assert.equal(listing.seller, seller);
+    assert.equal(listing.remaining, (60n * TONNE).toString());
+    assert.equal(listing.status, 'active');
+
+    const trades = db.prepare('SELECT * FROM trades').all();
+    assert.equal(trades.length, 1);
+    assert.equal(trades[0].kind, 'token');
+    assert.equal(trades[0].buyer, buyer);
+    assert.equal(trades[0].seller, seller);
+    assert.equal(trades[0].credits_id, '1');
+    assert.equal(trades[0].total_price, (80n * TONNE).toString());
+
+    const retirement = db.prepare('SELECT * FROM retirements').get();
+    assert.equal(retirement.beneficiary, 'Acme');
+    assert.equal(retirement.timestamp, 1020);
+  });
+
+  it('finds no fork point while the stored blocks are canonical', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    assert.equal(await indexer.findForkPoint(), null);
+  });
+
+  it('finds the last common block after a reorg', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    chain.reorg(2);
+    chain.mine();
+    chain.mine();
+    assert.equal(await indexer.findForkPoint(), 2);
+  });
+
+  it('restarts from the start block when no stored block is canonical', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    chain.reorg(4);
+    chain.mine();
+    assert.equal(await indexer.findForkPoint(), config.startBlock - 1);
+  });
+
+  it('rolls back orphaned events and indexes the new fork', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    // The sale and the retirement are replaced by a sale of the whole listing
+    chain.reorg(2);
+    chain.mine([
+      'CarbonCreditMarketplace',
+      'TokenSold',
+      [0, otherBuyer, 100n * TONNE, 200n * TONNE, 0, ZeroAddress],
+    ]);
+    chain.mine();
+    chain.mine();
+    await indexer.sync();
+    const { db } = indexer;
+
+    assert.equal(indexer.lastIndexedBlock(), 5);
+    const blocks = db.prepare('SELECT number, hash FROM blocks').all();
+    for (const block of blocks) {
+      assert.equal(block.hash, chain.blocks[block.number].hash);
+    }
+    assert.deepEqual(
+      db.prepare('SELECT name FROM events ORDER BY block_number').all(),
+      [
+        { name: 'VerificationDataSet' },
+        { name: 'CreditsIssued' },
+        { name: 'TokenListed' },
+        { name: 'TokenSold' },
+      ]
+    );
+
+    assert.equal(project(db).retired, '0');
+    assert.equal(db.prepare('SELECT * FROM retirements').all().length, 0);
+    const listing = db.prepare('SELECT * FROM listings').get();
+    assert.equal(listing.remaining, '0');
+    assert.equal(listing.status, 'sold');
+    const trades = db.prepare('SELECT * FROM trades').all();
+    assert.equal(trades.length, 1);
+    assert.equal(trades[0].buyer, otherBuyer);
+    assert.equal(trades[0].amount, (100n * TONNE).toString());
+  });
+
+  it('rebuilds after a reorg the same tables as a fresh index of the new fork', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    chain.reorg(2);
+    chain.mine([
+      'CarbonCreditMarketplace',
+      'TokenSold',
+      [0, otherBuyer, 25n * TONNE, 50n * TONNE, 75n * TONNE, ZeroAddress],
+    ]);
+    chain.mine([
+      'CarbonCreditMarketplace',
+      'TokenListed',
+      [1, otherBuyer, 1, 2023, 25n * TONNE, 3n * TONNE, ZeroAddress],
+    ]);
+    await indexer.sync();
+
+    const fresh = createIndexer(chain);
+    await fresh.sync();
+    assert.deepEqual(snapshot(indexer.db), snapshot(fresh.db));
+  });
+
+  it('replays the event table into the same derived tables', async () => {
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+    const before = snapshot(indexer.db);
+
+    indexer.replay();
+    assert.deepEqual(snapshot(indexer.db), before);
+  });
+});
@@ -0,0 +1,31 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+import RoleMatrix from '@/components/admin/RoleMatrix';
+
+export default function Admin() {
+  const [isMounted, setIsMounted] = useState(false);
+
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  if (!isMounted) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-12 px-4">
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Roles</h2>
+        <p className="text-wood">
+          Who holds which role in each contract, including roles granted
+          directly on a contract. RoleManager admins can tick or untick cells
+          and apply the changes in a single batch.
+        </p>
+        <RoleMatrix />
+      </section>
+    </div>
+  );
+}
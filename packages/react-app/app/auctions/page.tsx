@@ -0,0 +1,66 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+import { useAccount } from 'wagmi';
+
+import AuctionCard from '@/components/auctions/AuctionCard';
+import CreateAuctionForm from '@/components/auctions/CreateAuctionForm';
+import Proceeds from '@/components/marketplace/Proceeds';
+import { useAuctions } from '@/hooks/useAuctions';
+
+export default function Auctions() {
+  const [isMounted, setIsMounted] = useState(false);
+  const { isConnected } = useAccount();
+  const { auctions, isLoading } = useAuctions();
+
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  if (!isMounted) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-12 px-4">
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Live auctions</h2>
+        {isLoading ? (
+          <p>Loading auctions…</p>
+        ) : auctions.length === 0 ? (
+          <p className="text-wood">No auctions are running right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {auctions.map((auction) => (
+              <AuctionCard
+                key={auction.auctionId.toString()}
+                auction={auction}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+
+      {isConnected ? (
+        <>
+          <section className="flex flex-col gap-4">
+            <h2 className="text-2xl font-bold">Your proceeds</h2>
+            <Proceeds />
+          </section>
+
+          <section className="flex flex-col gap-4">
+            <h2 className="text-2xl font-bold">Sell at auction</h2>
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+              <CreateAuctionForm />
+            </div>
+          </section>
+        </>
+      ) : (
+        <p className="text-wood">
+          Connect a wallet to bid or to auction your NFTs.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+'use client';
+
+import { useParams } from 'next/navigation';
+import { useEffect, useState } from 'react';
+
+import Certificate from '@/components/retirement/Certificate';
+import { useRetirement } from '@/hooks/useRetirements';
+import { parseIntegerInput } from '@/lib/format';
+
+export default function CertificatePage() {
+  const [isMounted, setIsMounted] = useState(false);
+  const { id } = useParams<{ id: string }>();
+  const { retirement, isLoading } = useRetirement(parseIntegerInput(id));
+
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  if (!isMounted) {
+    return null;
+  }
+
+  if (isLoading) {
+    return <p className="px-4">Loading certificate…</p>;
+  }
+
+  if (!retirement) {
+    return <p className="px-4 text-wood">Certificate #{id} does not exist.</p>;
+  }
+
+  return (
+    <div className="flex flex-col gap-6 px-4">
+      <Certificate retirement={retirement} />
+      <button
+        className="mx-auto rounded-md bg-forest px-4 py-2 text-snow print:hidden"
+        onClick={() => window.print()}
+      >
+        Print certificate
+      </button>
+    </div>
+  );
+}
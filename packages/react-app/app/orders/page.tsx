@@ -0,0 +1,72 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+import { useAccount } from 'wagmi';
+
+import BuyOrderCard from '@/components/orderbook/BuyOrderCard';
+import DepthTable from '@/components/orderbook/DepthTable';
+import PlaceBuyOrderForm from '@/components/orderbook/PlaceBuyOrderForm';
+import { useOrderBook } from '@/hooks/useOrderBook';
+
+export default function OrderBook() {
+  const [isMounted, setIsMounted] = useState(false);
+  const { isConnected } = useAccount();
+  const { buyOrders, markets, isLoading } = useOrderBook();
+
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  if (!isMounted) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-12 px-4">
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Market depth</h2>
+        {isLoading ? (
+          <p>Loading order book…</p>
+        ) : markets.length === 0 ? (
+          <p className="text-wood">There are no open bids or asks.</p>
+        ) : (
+          <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+            {markets.map((market) => (
+              <DepthTable
+                key={`${market.creditsId}-${market.vintageYear}-${market.paymentToken}`}
+                market={market}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Open bids</h2>
+        {isLoading ? (
+          <p>Loading bids…</p>
+        ) : buyOrders.length === 0 ? (
+          <p className="text-wood">No buy orders are open right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {buyOrders.map((order) => (
+              <BuyOrderCard key={order.orderId.toString()} order={order} />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Buy credits</h2>
+        {isConnected ? (
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <PlaceBuyOrderForm />
+          </div>
+        ) : (
+          <p className="text-wood">Connect a wallet to place a bid.</p>
+        )}
+      </section>
+    </div>
+  );
+}
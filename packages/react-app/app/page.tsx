@@ -4,35 +4,119 @@ import { useEffect, useState } from 'react';
 
 import { useAccount } from 'wagmi';
 
+import ListNFTForm from '@/components/marketplace/ListNFTForm';
+import ImportOrderForm from '@/components/marketplace/ImportOrderForm';
+import ListTokensForm from '@/components/marketplace/ListTokensForm';
+import NFTListingCard from '@/components/marketplace/NFTListingCard';
+import Proceeds from '@/components/marketplace/Proceeds';
+import SignOrderForm from '@/components/marketplace/SignOrderForm';
+import SignedOrderCard from '@/components/marketplace/SignedOrderCard';
+import TokenListingCard from '@/components/marketplace/TokenListingCard';
+import TreasuryPanel from '@/components/treasury/TreasuryPanel';
+import { useMarketplaceListings } from '@/hooks/useMarketplaceListings';
+import { useSignedOrders } from '@/hooks/useSignedOrders';
+
 export default function Home() {
-  const [userAddress, setUserAddress] = useState('');
   const [isMounted, setIsMounted] = useState(false);
-  const { address, isConnected } = useAccount();
+  const { isConnected } = useAccount();
+  const { nftListings, tokenListings, isLoading } = useMarketplaceListings();
+  const signedOrders = useSignedOrders();
+  const signedListings = [
+    ...signedOrders.nftOrders,
+    ...signedOrders.tokenOrders,
+  ];
 
   useEffect(() => {
     setIsMounted(true);
   }, []);
 
-  useEffect(() => {
-    if (isConnected && address) {
-      setUserAddress(address);
-    }
-  }, [address, isConnected]);
-
   if (!isMounted) {
     return null;
   }
 
   return (
-    <div className="flex flex-col justify-center items-center">
-      <div className="h1">
-        There you go... a canvas for your next Celo project!
-      </div>
-      {isConnected ? (
-        <div className="h2 text-center">Your address: {userAddress}</div>
-      ) : (
-        <div>No Wallet Connected</div>
+    <div className="flex flex-col gap-12 px-4">
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Carbon credit NFTs</h2>
+        {isLoading ? (
+          <p>Loading listings…</p>
+        ) : nftListings.length === 0 ? (
+          <p className="text-wood">No NFTs are listed right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {nftListings.map((listing) => (
+              <NFTListingCard
+                key={listing.tokenId.toString()}
+                listing={listing}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Carbon credit tokens</h2>
+        {isLoading ? (
+          <p>Loading listings…</p>
+        ) : tokenListings.length === 0 ? (
+          <p className="text-wood">No tokens are listed right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {tokenListings.map((listing) => (
+              <TokenListingCard
+                key={listing.listingId.toString()}
+                listing={listing}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Signed listings</h2>
+        {signedOrders.isLoading ? (
+          <p>Loading listings…</p>
+        ) : signedListings.length === 0 ? (
+          <p className="text-wood">
+            No signed listings in this browser. Sellers can share theirs with
+            &ldquo;Copy order&rdquo;.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {signedListings.map((order) => (
+              <SignedOrderCard key={order.hash} order={order} />
+            ))}
+          </div>
+        )}
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+          <ImportOrderForm />
+        </div>
+      </section>
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Sell credits</h2>
+        {isConnected ? (
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <ListNFTForm />
+            <ListTokensForm />
+            <SignOrderForm />
+          </div>
+        ) : (
+          <p className="text-wood">Connect a wallet to list your credits.</p>
+        )}
+      </section>
+
+      {isConnected && (
+        <section className="flex flex-col gap-4">
+          <h2 className="text-2xl font-bold">Your proceeds</h2>
+          <Proceeds />
+        </section>
       )}
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Fees and treasury</h2>
+        <TreasuryPanel />
+      </section>
     </div>
   );
 }
@@ -0,0 +1,51 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+import { useAccount } from 'wagmi';
+
+import CertificateList from '@/components/retirement/CertificateList';
+import RetireNFTForm from '@/components/retirement/RetireNFTForm';
+import RetireTokensForm from '@/components/retirement/RetireTokensForm';
+
+export default function Retire() {
+  const [isMounted, setIsMounted] = useState(false);
+  const { isConnected } = useAccount();
+
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  if (!isMounted) {
+    return null;
+  }
+
+  if (!isConnected) {
+    return (
+      <div className="px-4 text-wood">
+        Connect a wallet to retire your credits.
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-12 px-4">
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Retire credits</h2>
+        <p className="text-wood">
+          Retiring burns your credits permanently and issues a non-transferable
+          retirement certificate naming the beneficiary.
+        </p>
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+          <RetireTokensForm />
+          <RetireNFTForm />
+        </div>
+      </section>
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Your certificates</h2>
+        <CertificateList />
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+import { useAccount } from 'wagmi';
+
+import MintProjectNFTForm from '@/components/verification/MintProjectNFTForm';
+import ProposalCard from '@/components/verification/ProposalCard';
+import ProposeIssuanceForm from '@/components/verification/ProposeIssuanceForm';
+import VerifiedVintagesTable from '@/components/verification/VerifiedVintagesTable';
+import {
+  useMinterRole,
+  useOpenProposals,
+  useVerificationRoles,
+} from '@/hooks/useVerification';
+
+export default function Verify() {
+  const [isMounted, setIsMounted] = useState(false);
+  const { isConnected } = useAccount();
+  const { proposals, isLoading } = useOpenProposals();
+  const { quorum, isVerifier, isAuditor, isAdmin } = useVerificationRoles();
+  const isMinter = useMinterRole();
+
+  useEffect(() => {
+    setIsMounted(true);
+  }, []);
+
+  if (!isMounted) {
+    return null;
+  }
+
+  // Proposals the connected verifier still has to attest come first
+  const awaitingYou = proposals.filter(
+    (proposal) =>
+      isVerifier && proposal.status === 'Pending' && !proposal.attestedByYou
+  );
+  const others = proposals.filter(
+    (proposal) => !awaitingYou.includes(proposal)
+  );
+
+  const renderProposals = (list: typeof proposals) => (
+    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+      {list.map((proposal) => (
+        <ProposalCard
+          key={proposal.proposalId.toString()}
+          proposal={proposal}
+          quorum={quorum}
+          isVerifier={isVerifier}
+          isAuditor={isAuditor}
+          isAdmin={isAdmin}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col gap-12 px-4">
+      {isVerifier && (
+        <section className="flex flex-col gap-4">
+          <h2 className="text-2xl font-bold">Verifier inbox</h2>
+          {awaitingYou.length === 0 ? (
+            <p className="text-wood">No proposals are waiting for you.</p>
+          ) : (
+            renderProposals(awaitingYou)
+          )}
+        </section>
+      )}
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Open proposals</h2>
+        {isLoading ? (
+          <p>Loading proposals…</p>
+        ) : others.length === 0 ? (
+          <p className="text-wood">No other proposals are open.</p>
+        ) : (
+          renderProposals(others)
+        )}
+      </section>
+
+      {isMinter && (
+        <section className="flex flex-col gap-4">
+          <h2 className="text-2xl font-bold">Project NFTs</h2>
+          <p className="text-wood">
+            Your role lets you mint project NFTs of verified vintages. They
+            count against the issuance cap that attested proposals set for each
+            vintage.
+          </p>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <MintProjectNFTForm />
+          </div>
+        </section>
+      )}
+
+      <section className="flex flex-col gap-4">
+        <h2 className="text-2xl font-bold">Verified vintages</h2>
+        <VerifiedVintagesTable />
+      </section>
+
+      {isConnected ? (
+        <section className="flex flex-col gap-4">
+          <h2 className="text-2xl font-bold">Propose credits</h2>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <ProposeIssuanceForm />
+          </div>
+        </section>
+      ) : (
+        <p className="text-wood">
+          Connect a wallet to propose, attest or dispute issuances.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { type CreditBatch, batchKey } from '@/hooks/useCreditBatches';
+import { formatCarbon } from '@/lib/format';
+
+interface Props {
+  batches: CreditBatch[];
+  value: string;
+  onChange: (key: string) => void;
+}
+
+/** Picks one of the holder's CarbonCreditToken batches by its `batchKey`. */
+export default function BatchSelect({ batches, value, onChange }: Props) {
+  return (
+    <select
+      className="rounded-md border border-black bg-snow px-3 py-2"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="" disabled>
+        {batches.length === 0 ? 'No credit batches held' : 'Select a batch'}
+      </option>
+      {batches.map((batch) => (
+        <option key={batchKey(batch)} value={batchKey(batch)}>
+          Project #{batch.creditsId.toString()} · {batch.vintageYear.toString()}{' '}
+          vintage · {formatCarbon(batch.amount)} CCT
+        </option>
+      ))}
+    </select>
+  );
+}
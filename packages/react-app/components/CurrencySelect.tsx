@@ -0,0 +1,25 @@
+import type { Address } from 'viem';
+
+import { paymentCurrencies } from '@/lib/currencies';
+
+interface Props {
+  value: Address;
+  onChange: (paymentToken: Address) => void;
+}
+
+/** Picks the currency a listing is priced in (CELO or a configured stablecoin). */
+export default function CurrencySelect({ value, onChange }: Props) {
+  return (
+    <select
+      className="rounded-md border border-black bg-snow px-3 py-2"
+      value={value}
+      onChange={(e) => onChange(e.target.value as Address)}
+    >
+      {paymentCurrencies.map((currency) => (
+        <option key={currency.address} value={currency.address}>
+          {currency.symbol}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -2,12 +2,24 @@ import { Disclosure } from '@headlessui/react';
 import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
 import Image from 'next/image';
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
 import { useEffect, useState } from 'react';
 import { useConnect } from 'wagmi';
 import { injected } from 'wagmi/connectors';
 
+const navigation = [
+  { name: 'Marketplace', href: '/' },
+  { name: 'Order book', href: '/orders' },
+  { name: 'Auctions', href: '/auctions' },
+  { name: 'Retire', href: '/retire' },
+  { name: 'Verify', href: '/verify' },
+  { name: 'Admin', href: '/admin' },
+];
+
 export default function Header() {
   const [hideConnectBtn, setHideConnectBtn] = useState(false);
+  const pathname = usePathname();
   const { connect } = useConnect();
 
   useEffect(() => {
@@ -18,7 +30,10 @@ export default function Header() {
   }, []);
 
   return (
-    <Disclosure as="nav" className="bg-prosperity border-b border-black">
+    <Disclosure
+      as="nav"
+      className="bg-prosperity border-b border-black print:hidden"
+    >
       {({ open }) => (
         <>
           <div className="mx-auto max-w-7xl px-2 sm:px-6 lg:px-8">
@@ -45,12 +60,19 @@ export default function Header() {
                   />
                 </div>
                 <div className="hidden sm:ml-6 sm:flex sm:space-x-8">
-                  <a
-                    href="#"
-                    className="inline-flex items-center border-b-2 border-black px-1 pt-1 text-sm font-medium text-gray-900"
-                  >
-                    Home
-                  </a>
+                  {navigation.map((item) => (
+                    <Link
+                      key={item.name}
+                      href={item.href}
+                      className={`inline-flex items-center border-b-2 px-1 pt-1 text-sm font-medium text-gray-900 ${
+                        pathname === item.href
+                          ? 'border-black'
+                          : 'border-transparent'
+                      }`}
+                    >
+                      {item.name}
+                    </Link>
+                  ))}
                 </div>
               </div>
               <div className="absolute inset-y-0 right-0 flex items-center pr-2 sm:static sm:inset-auto sm:ml-6 sm:pr-0">
@@ -68,13 +90,20 @@ export default function Header() {
 
           <Disclosure.Panel className="sm:hidden">
             <div className="space-y-1 pt-2 pb-4">
-              <Disclosure.Button
-                as="a"
-                href="#"
-                className="block border-l-4 border-black py-2 pl-3 pr-4 text-base font-medium text-black"
-              >
-                Home
-              </Disclosure.Button>
+              {navigation.map((item) => (
+                <Disclosure.Button
+                  key={item.name}
+                  as={Link}
+                  href={item.href}
+                  className={`block border-l-4 py-2 pl-3 pr-4 text-base font-medium text-black ${
+                    pathname === item.href
+                      ? 'border-black'
+                      : 'border-transparent'
+                  }`}
+                >
+                  {item.name}
+                </Disclosure.Button>
+              ))}
               {/* Add here your custom menu elements */}
             </div>
           </Disclosure.Panel>
@@ -0,0 +1,198 @@
+import { useState } from 'react';
+import { isAddress, zeroHash, type Address, type Hex } from 'viem';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { useRoleMatrix, type RoleColumn } from '@/hooks/useRoleMatrix';
+import { shortenAddress } from '@/lib/format';
+
+interface RoleChange {
+  role: Hex;
+  account: Address;
+  target: Address;
+  grant: boolean;
+}
+
+const changeKey = (column: RoleColumn, account: Address) =>
+  `${column.contract.address}:${column.role.role}:${account}`.toLowerCase();
+
+const holds = (column: RoleColumn, account: Address) =>
+  column.members.some(
+    (member) => member.toLowerCase() === account.toLowerCase()
+  );
+
+/**
+ * Shows which account holds which role in every contract administered through
+ * RoleManager. Admins tick and untick cells to stage grants and revocations,
+ * then apply them with one batch transaction for each kind.
+ */
+export default function RoleMatrix() {
+  const { roleManagerContract } = useContracts();
+  const { columns, accounts, isAdmin, isLoading } = useRoleMatrix();
+  const [changes, setChanges] = useState<Record<string, RoleChange>>({});
+  const [newAccounts, setNewAccounts] = useState<Address[]>([]);
+  const [accountInput, setAccountInput] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const rows = [
+    ...accounts,
+    ...newAccounts.filter(
+      (account) =>
+        !accounts.some((held) => held.toLowerCase() === account.toLowerCase())
+    ),
+  ];
+  const pending = Object.values(changes);
+  const grants = pending.filter((change) => change.grant);
+  const revocations = pending.filter((change) => !change.grant);
+
+  const toggle = (column: RoleColumn, account: Address) => {
+    const key = changeKey(column, account);
+    setChanges((current) => {
+      const { [key]: staged, ...rest } = current;
+      if (staged) return rest;
+      return {
+        ...rest,
+        [key]: {
+          role: column.role.role,
+          account,
+          target: column.contract.address,
+          grant: !holds(column, account),
+        },
+      };
+    });
+  };
+
+  const addAccount = () => {
+    const account = accountInput.trim();
+    if (!isAddress(account)) return;
+    setNewAccounts((current) => [...current, account]);
+    setAccountInput('');
+  };
+
+  const apply = async () => {
+    for (const [functionName, batch] of [
+      ['batchGrantRoles', grants],
+      ['batchRevokeRoles', revocations],
+    ] as const) {
+      if (batch.length === 0) continue;
+      const receipt = await execute({
+        ...roleManagerContract,
+        functionName,
+        args: [
+          batch.map((change) => change.role),
+          batch.map((change) => change.account),
+          batch.map((change) => change.target),
+        ],
+      });
+      if (!receipt) return;
+      // Unstage what was applied, in case the other batch fails
+      setChanges((current) =>
+        Object.fromEntries(
+          Object.entries(current).filter(
+            ([, change]) => !batch.includes(change)
+          )
+        )
+      );
+    }
+    setNewAccounts([]);
+  };
+
+  if (isLoading) {
+    return <p>Loading roles…</p>;
+  }
+
+  if (columns.length === 0) {
+    return (
+      <p className="text-wood">No contract addresses are configured yet.</p>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="overflow-x-auto">
+        <table className="w-full border border-black bg-snow text-left text-sm">
+          <thead className="border-b border-black bg-sand">
+            <tr>
+              <th className="px-3 py-2">Account</th>
+              {columns.map((column) => (
+                <th
+                  key={`${column.contract.address}:${column.role.role}`}
+                  className="px-3 py-2"
+                >
+                  <div>{column.contract.name.replace('CarbonCredit', '')}</div>
+                  <div className="font-normal text-wood">
+                    {column.role.name}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((account) => (
+              <tr key={account} className="border-b border-sand">
+                <td className="px-3 py-2 font-mono" title={account}>
+                  {shortenAddress(account)}
+                </td>
+                {columns.map((column) => {
+                  const key = changeKey(column, account);
+                  const staged = changes[key];
+                  const checked = staged
+                    ? staged.grant
+                    : holds(column, account);
+                  // RoleManager must stay an admin of the contracts it manages
+                  const isLocked =
+                    column.role.role === zeroHash &&
+                    account.toLowerCase() ===
+                      roleManagerContract.address?.toLowerCase();
+                  return (
+                    <td
+                      key={key}
+                      className={`px-3 py-2 text-center ${
+                        staged ? 'bg-sand' : ''
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={checked}
+                        disabled={!isAdmin || isLocked || isPending}
+                        onChange={() => toggle(column, account)}
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {isAdmin && (
+        <div className="flex flex-col gap-3 md:flex-row md:items-center">
+          <input
+            className="rounded-md border border-black px-3 py-2 md:w-96"
+            placeholder="Add an account (0x…)"
+            value={accountInput}
+            onChange={(e) => setAccountInput(e.target.value)}
+          />
+          <button
+            className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+            disabled={!isAddress(accountInput.trim())}
+            onClick={addAccount}
+          >
+            Add row
+          </button>
+          <button
+            className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled md:ml-auto"
+            disabled={pending.length === 0 || isPending}
+            onClick={apply}
+          >
+            {isPending
+              ? 'Applying…'
+              : `Apply ${grants.length} grant(s), ${revocations.length} revocation(s)`}
+          </button>
+        </div>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
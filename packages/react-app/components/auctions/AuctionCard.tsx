@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { zeroAddress } from 'viem';
+import { useAccount } from 'wagmi';
+
+import type { Auction } from '@/hooks/useAuctions';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { usePaymentAllowance } from '@/hooks/usePaymentAllowance';
+import { getPaymentCurrency } from '@/lib/currencies';
+import {
+  formatDateTime,
+  formatPrice,
+  parsePriceInput,
+  shortenAddress,
+} from '@/lib/format';
+
+interface Props {
+  auction: Auction;
+}
+
+/**
+ * Shows a live auction. English auctions take bids until they end and are
+ * then settled by anyone; Dutch auctions sell to the first buyer at the
+ * current, declining price.
+ */
+export default function AuctionCard({ auction }: Props) {
+  const { marketplaceContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [bidInput, setBidInput] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const isSeller = address?.toLowerCase() === auction.seller.toLowerCase();
+  const hasBids = auction.highestBidder !== zeroAddress;
+  const hasEnded = BigInt(Math.floor(Date.now() / 1000)) >= auction.endTime;
+  const isEnglish = auction.auctionType === 'English';
+
+  const bid = parsePriceInput(bidInput, auction.paymentToken);
+  const minimumBid = hasBids
+    ? auction.highestBid + BigInt(1)
+    : auction.reservePrice;
+  const isValidBid = bid !== undefined && bid >= minimumBid;
+  const payment = isEnglish ? bid ?? BigInt(0) : auction.currentPrice;
+
+  const { isNative, isApproved, approveRequest } = usePaymentAllowance(
+    auction.paymentToken,
+    payment
+  );
+
+  const approve = () => execute(approveRequest);
+
+  const placeBid = async () => {
+    const receipt = await execute({
+      ...marketplaceContract,
+      functionName: 'placeBid',
+      args: [auction.auctionId, bid],
+      value: isNative ? bid : undefined,
+    });
+    if (receipt) setBidInput('');
+  };
+
+  // The price only falls while the transaction is pending, so paying the
+  // price read now always covers it; the excess CELO is credited to the
+  // buyer's proceeds.
+  const buy = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'buyDutchAuction',
+      args: [auction.auctionId],
+      value: isNative ? auction.currentPrice : undefined,
+    });
+
+  const settle = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'settleAuction',
+      args: [auction.auctionId],
+    });
+
+  const cancel = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'cancelAuction',
+      args: [auction.auctionId],
+    });
+
+  const symbol = getPaymentCurrency(auction.paymentToken).symbol;
+
+  const renderAction = () => {
+    if (isEnglish && hasEnded) {
+      return (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || isPending}
+          onClick={settle}
+        >
+          {isPending ? 'Settling…' : 'Settle auction'}
+        </button>
+      );
+    }
+    if (hasEnded) {
+      return <p className="text-sm text-wood">This auction has ended.</p>;
+    }
+    if (isSeller) {
+      return hasBids ? (
+        <p className="text-sm text-wood">Bids received; wait for the end.</p>
+      ) : (
+        <button
+          className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+          disabled={isPending}
+          onClick={cancel}
+        >
+          {isPending ? 'Cancelling…' : 'Cancel auction'}
+        </button>
+      );
+    }
+    if (!isApproved) {
+      return (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || (isEnglish && !isValidBid) || isPending}
+          onClick={approve}
+        >
+          {isPending ? 'Approving…' : `Step 1: Approve ${symbol}`}
+        </button>
+      );
+    }
+    return isEnglish ? (
+      <button
+        className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+        disabled={!isConnected || !isValidBid || isPending}
+        onClick={placeBid}
+      >
+        {isPending ? 'Bidding…' : 'Place bid'}
+      </button>
+    ) : (
+      <button
+        className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+        disabled={!isConnected || isPending}
+        onClick={buy}
+      >
+        {isPending ? 'Buying…' : 'Buy now'}
+      </button>
+    );
+  };
+
+  return (
+    <div className="flex flex-col gap-2 rounded-lg border border-black bg-snow p-4">
+      <div className="text-sm text-wood">
+        {auction.auctionType} auction #{auction.auctionId.toString()} · NFT #
+        {auction.tokenId.toString()}
+      </div>
+      <div className="text-2xl font-semibold">
+        {formatPrice(auction.currentPrice, auction.paymentToken)}
+      </div>
+      <div className="text-sm">
+        {isEnglish
+          ? hasBids
+            ? `Leading bid by ${shortenAddress(auction.highestBidder)}`
+            : `Reserve: ${formatPrice(
+                auction.reservePrice,
+                auction.paymentToken
+              )}`
+          : `Falls to ${formatPrice(
+              auction.reservePrice,
+              auction.paymentToken
+            )}`}
+      </div>
+      <div className="text-sm">Seller: {shortenAddress(auction.seller)}</div>
+      <div className="text-sm">
+        {hasEnded ? 'Ended' : 'Ends'} {formatDateTime(auction.endTime)}
+      </div>
+      {isEnglish && !hasEnded && !isSeller && (
+        <input
+          className="rounded-md border border-black px-3 py-2"
+          placeholder={`Your bid (${symbol})`}
+          value={bidInput}
+          onChange={(e) => setBidInput(e.target.value.trim())}
+        />
+      )}
+      {renderAction()}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { type Address, zeroAddress } from 'viem';
+import { useAccount, useReadContract } from 'wagmi';
+
+import CurrencySelect from '@/components/CurrencySelect';
+import type { AuctionType } from '@/hooks/useAuctions';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { getPaymentCurrency } from '@/lib/currencies';
+import { parseIntegerInput, parsePriceInput } from '@/lib/format';
+
+const HOUR = BigInt(60 * 60);
+
+/**
+ * Puts a CarbonCreditNFT up for auction. As with fixed-price listings, the NFT
+ * stays in the seller's wallet until settlement and the marketplace needs to
+ * be its approved address.
+ */
+export default function CreateAuctionForm() {
+  const { marketplaceContract, nftContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [auctionType, setAuctionType] = useState<AuctionType>('English');
+  const [tokenIdInput, setTokenIdInput] = useState('');
+  const [startPriceInput, setStartPriceInput] = useState('');
+  const [reserveInput, setReserveInput] = useState('');
+  const [hoursInput, setHoursInput] = useState('24');
+  const [paymentToken, setPaymentToken] = useState<Address>(zeroAddress);
+  const { execute, isPending, error } = useContractTransaction();
+
+  const tokenId = parseIntegerInput(tokenIdInput);
+  const startPrice = parsePriceInput(startPriceInput, paymentToken);
+  const reservePrice = parsePriceInput(reserveInput, paymentToken);
+  const hours = parseIntegerInput(hoursInput) || undefined;
+  const isDutch = auctionType === 'Dutch';
+
+  const { data: owner } = useReadContract({
+    ...nftContract,
+    functionName: 'ownerOf',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: tokenId !== undefined },
+  });
+  const { data: approved } = useReadContract({
+    ...nftContract,
+    functionName: 'getApproved',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: tokenId !== undefined },
+  });
+
+  const isOwner =
+    !!address &&
+    typeof owner === 'string' &&
+    owner.toLowerCase() === address.toLowerCase();
+  const isApproved =
+    typeof approved === 'string' &&
+    approved.toLowerCase() === marketplaceContract.address?.toLowerCase();
+  const isComplete =
+    isOwner &&
+    reservePrice !== undefined &&
+    hours !== undefined &&
+    (!isDutch || (startPrice !== undefined && startPrice >= reservePrice));
+
+  const approve = () =>
+    execute({
+      ...nftContract,
+      functionName: 'approve',
+      args: [marketplaceContract.address, tokenId],
+    });
+
+  const create = async () => {
+    const duration = (hours ?? BigInt(0)) * HOUR;
+    const receipt = await execute(
+      isDutch
+        ? {
+            ...marketplaceContract,
+            functionName: 'createDutchAuction',
+            args: [tokenId, startPrice, reservePrice, duration, paymentToken],
+          }
+        : {
+            ...marketplaceContract,
+            functionName: 'createEnglishAuction',
+            args: [tokenId, reservePrice, duration, paymentToken],
+          }
+    );
+    if (receipt) {
+      setTokenIdInput('');
+      setStartPriceInput('');
+      setReserveInput('');
+    }
+  };
+
+  const symbol = getPaymentCurrency(paymentToken).symbol;
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Auction an NFT</h3>
+      <select
+        className="rounded-md border border-black bg-snow px-3 py-2"
+        value={auctionType}
+        onChange={(e) => setAuctionType(e.target.value as AuctionType)}
+      >
+        <option value="English">English (highest bid wins)</option>
+        <option value="Dutch">Dutch (declining price)</option>
+      </select>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Token ID"
+        value={tokenIdInput}
+        onChange={(e) => setTokenIdInput(e.target.value.trim())}
+      />
+      <div className="flex gap-2">
+        <div className="flex min-w-0 flex-1 flex-col gap-2">
+          {isDutch && (
+            <input
+              className="rounded-md border border-black px-3 py-2"
+              placeholder={`Start price (${symbol})`}
+              value={startPriceInput}
+              onChange={(e) => setStartPriceInput(e.target.value.trim())}
+            />
+          )}
+          <input
+            className="rounded-md border border-black px-3 py-2"
+            placeholder={`${isDutch ? 'Floor' : 'Reserve'} price (${symbol})`}
+            value={reserveInput}
+            onChange={(e) => setReserveInput(e.target.value.trim())}
+          />
+        </div>
+        <CurrencySelect value={paymentToken} onChange={setPaymentToken} />
+      </div>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Duration (hours)"
+        value={hoursInput}
+        onChange={(e) => setHoursInput(e.target.value.trim())}
+      />
+      {tokenId !== undefined && owner !== undefined && !isOwner && (
+        <p className="text-sm text-error">You do not own this NFT.</p>
+      )}
+      {isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || !isComplete || isPending}
+          onClick={create}
+        >
+          {isPending ? 'Starting…' : 'Start auction'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || !isOwner || isPending}
+          onClick={approve}
+        >
+          {isPending ? 'Approving…' : 'Step 1: Approve marketplace'}
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
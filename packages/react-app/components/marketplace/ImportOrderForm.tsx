@@ -0,0 +1,42 @@
+import { useState } from 'react';
+
+import { importOrder, saveOrder } from '@/lib/orders';
+
+/**
+ * Adds a signed listing shared by a seller (see "Copy order") to the local
+ * order store, so that it shows up among the signed listings.
+ */
+export default function ImportOrderForm() {
+  const [json, setJson] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const add = () => {
+    setError(null);
+    try {
+      saveOrder(importOrder(json));
+      setJson('');
+    } catch {
+      setError('This is not a signed listing.');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Add a signed listing</h3>
+      <textarea
+        className="min-h-24 rounded-md border border-black px-3 py-2 font-mono text-sm"
+        placeholder="Paste the order a seller shared"
+        value={json}
+        onChange={(e) => setJson(e.target.value)}
+      />
+      <button
+        className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+        disabled={!json.trim()}
+        onClick={add}
+      >
+        Add listing
+      </button>
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { type Address, zeroAddress } from 'viem';
+import { useAccount, useReadContract } from 'wagmi';
+
+import CurrencySelect from '@/components/CurrencySelect';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { getPaymentCurrency } from '@/lib/currencies';
+import { parseIntegerInput, parsePriceInput } from '@/lib/format';
+
+/**
+ * Lists a CarbonCreditNFT for sale. `listNFT` requires the marketplace to be
+ * the approved address for the token, so the form asks for that approval
+ * first when it is missing (e.g. after the NFT changed hands).
+ */
+export default function ListNFTForm() {
+  const { marketplaceContract, nftContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [tokenIdInput, setTokenIdInput] = useState('');
+  const [priceInput, setPriceInput] = useState('');
+  const [paymentToken, setPaymentToken] = useState<Address>(zeroAddress);
+  const { execute, isPending, error } = useContractTransaction();
+
+  const tokenId = parseIntegerInput(tokenIdInput);
+  const price = parsePriceInput(priceInput, paymentToken);
+
+  const { data: owner } = useReadContract({
+    ...nftContract,
+    functionName: 'ownerOf',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: tokenId !== undefined },
+  });
+  const { data: approved } = useReadContract({
+    ...nftContract,
+    functionName: 'getApproved',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: tokenId !== undefined },
+  });
+
+  const isOwner =
+    !!address &&
+    typeof owner === 'string' &&
+    owner.toLowerCase() === address.toLowerCase();
+  const isApproved =
+    typeof approved === 'string' &&
+    approved.toLowerCase() === marketplaceContract.address?.toLowerCase();
+
+  const approve = () =>
+    execute({
+      ...nftContract,
+      functionName: 'approve',
+      args: [marketplaceContract.address, tokenId],
+    });
+
+  const list = async () => {
+    const receipt = await execute({
+      ...marketplaceContract,
+      functionName: 'listNFT',
+      args: [tokenId, price, paymentToken],
+    });
+    if (receipt) {
+      setTokenIdInput('');
+      setPriceInput('');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">List an NFT</h3>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Token ID"
+        value={tokenIdInput}
+        onChange={(e) => setTokenIdInput(e.target.value.trim())}
+      />
+      <div className="flex gap-2">
+        <input
+          className="min-w-0 flex-1 rounded-md border border-black px-3 py-2"
+          placeholder={`Price (${getPaymentCurrency(paymentToken).symbol})`}
+          value={priceInput}
+          onChange={(e) => setPriceInput(e.target.value.trim())}
+        />
+        <CurrencySelect value={paymentToken} onChange={setPaymentToken} />
+      </div>
+      {tokenId !== undefined && owner !== undefined && !isOwner && (
+        <p className="text-sm text-error">You do not own this NFT.</p>
+      )}
+      {isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || !isOwner || !price || isPending}
+          onClick={list}
+        >
+          {isPending ? 'Listing…' : 'List NFT'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || !isOwner || isPending}
+          onClick={approve}
+        >
+          {isPending ? 'Approving…' : 'Step 1: Approve marketplace'}
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { type Address, zeroAddress } from 'viem';
+import { useAccount, useReadContract } from 'wagmi';
+
+import BatchSelect from '@/components/BatchSelect';
+import CurrencySelect from '@/components/CurrencySelect';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { batchKey, useCreditBatches } from '@/hooks/useCreditBatches';
+import { useTokenPermit } from '@/hooks/useTokenPermit';
+import { getPaymentCurrency } from '@/lib/currencies';
+import { parseCarbonInput, parsePriceInput } from '@/lib/format';
+
+/**
+ * Lists CarbonCreditTokens of one batch for sale. `listTokens` checks the
+ * seller's batch balance and marketplace allowance; without an allowance for
+ * the listed amount the seller signs an EIP-2612 permit instead, which
+ * `listTokensWithPermit` submits along with the listing. Listings are priced
+ * per ton so that buyers can fill them partially.
+ */
+export default function ListTokensForm() {
+  const { marketplaceContract, tokenContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [selectedBatch, setSelectedBatch] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [priceInput, setPriceInput] = useState('');
+  const [paymentToken, setPaymentToken] = useState<Address>(zeroAddress);
+  const [permitError, setPermitError] = useState<string | null>(null);
+  const { execute, isPending, error } = useContractTransaction();
+  const { signPermit } = useTokenPermit(marketplaceContract.address);
+
+  const amount = parseCarbonInput(amountInput);
+  const pricePerUnit = parsePriceInput(priceInput, paymentToken);
+
+  const { batches } = useCreditBatches(address);
+  const batch = batches.find((b) => batchKey(b) === selectedBatch);
+  const { data: allowance } = useReadContract({
+    ...tokenContract,
+    functionName: 'allowance',
+    args: address ? [address, marketplaceContract.address] : undefined,
+    query: { enabled: !!address },
+  });
+
+  const hasBalance =
+    amount !== undefined && batch !== undefined && batch.amount >= amount;
+  const isApproved =
+    amount !== undefined && (allowance as bigint | undefined) !== undefined
+      ? (allowance as bigint) >= amount
+      : false;
+
+  const list = async () => {
+    if (amount === undefined) return;
+    const listing = [
+      batch?.creditsId,
+      batch?.vintageYear,
+      amount,
+      pricePerUnit,
+      paymentToken,
+    ];
+
+    let permit;
+    setPermitError(null);
+    if (!isApproved) {
+      try {
+        permit = await signPermit(amount);
+      } catch (err) {
+        setPermitError((err as Error).message ?? 'Permit was not signed');
+        return;
+      }
+    }
+
+    const receipt = await execute(
+      permit
+        ? {
+            ...marketplaceContract,
+            functionName: 'listTokensWithPermit',
+            args: [...listing, permit.deadline, permit.v, permit.r, permit.s],
+          }
+        : {
+            ...marketplaceContract,
+            functionName: 'listTokens',
+            args: listing,
+          }
+    );
+    if (receipt) {
+      setAmountInput('');
+      setPriceInput('');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">List carbon tokens</h3>
+      <BatchSelect
+        batches={batches}
+        value={selectedBatch}
+        onChange={setSelectedBatch}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Amount (CCT)"
+        value={amountInput}
+        onChange={(e) => setAmountInput(e.target.value.trim())}
+      />
+      <div className="flex gap-2">
+        <input
+          className="min-w-0 flex-1 rounded-md border border-black px-3 py-2"
+          placeholder={`Price per ton (${
+            getPaymentCurrency(paymentToken).symbol
+          })`}
+          value={priceInput}
+          onChange={(e) => setPriceInput(e.target.value.trim())}
+        />
+        <CurrencySelect value={paymentToken} onChange={setPaymentToken} />
+      </div>
+      {amount !== undefined && batch !== undefined && !hasBalance && (
+        <p className="text-sm text-error">
+          Insufficient balance in this batch.
+        </p>
+      )}
+      <button
+        className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+        disabled={!isConnected || !hasBalance || !pricePerUnit || isPending}
+        onClick={list}
+      >
+        {isPending
+          ? 'Listing…'
+          : isApproved
+          ? 'List tokens'
+          : 'Sign permit and list tokens'}
+      </button>
+      {(permitError ?? error) && (
+        <p className="text-sm text-error">{permitError ?? error}</p>
+      )}
+    </div>
+  );
+}
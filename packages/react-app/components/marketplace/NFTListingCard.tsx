@@ -0,0 +1,87 @@
+import { useAccount } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import type { NFTListing } from '@/hooks/useMarketplaceListings';
+import { usePaymentAllowance } from '@/hooks/usePaymentAllowance';
+import { getPaymentCurrency } from '@/lib/currencies';
+import { formatCarbon, formatPrice, shortenAddress } from '@/lib/format';
+
+interface Props {
+  listing: NFTListing;
+}
+
+export default function NFTListingCard({ listing }: Props) {
+  const { marketplaceContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const { execute, isPending, error } = useContractTransaction();
+  const isSeller = address?.toLowerCase() === listing.seller.toLowerCase();
+  const { isNative, isApproved, approveRequest } = usePaymentAllowance(
+    listing.paymentToken,
+    listing.price
+  );
+
+  const approve = () => execute(approveRequest);
+
+  const buy = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'buyNFT',
+      args: [listing.tokenId],
+      value: isNative ? listing.price : undefined,
+    });
+
+  const cancel = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'cancelNFTListing',
+      args: [listing.tokenId],
+    });
+
+  return (
+    <div className="flex flex-col gap-2 rounded-lg border border-black bg-snow p-4">
+      <div className="text-sm text-wood">NFT #{listing.tokenId.toString()}</div>
+      <div className="text-2xl font-semibold">
+        {formatCarbon(listing.carbonTons)} t CO₂
+      </div>
+      <div className="text-sm">
+        Project #{listing.creditsId.toString()} ·{' '}
+        {listing.vintageYear.toString()} vintage
+      </div>
+      <div className="text-sm">Seller: {shortenAddress(listing.seller)}</div>
+      <div className="font-medium">
+        {formatPrice(listing.price, listing.paymentToken)}
+      </div>
+      {isSeller ? (
+        <button
+          className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+          disabled={isPending}
+          onClick={cancel}
+        >
+          {isPending ? 'Cancelling…' : 'Cancel listing'}
+        </button>
+      ) : isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || isPending}
+          onClick={buy}
+        >
+          {isPending ? 'Buying…' : 'Buy'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || isPending}
+          onClick={approve}
+        >
+          {isPending
+            ? 'Approving…'
+            : `Step 1: Approve ${
+                getPaymentCurrency(listing.paymentToken).symbol
+              }`}
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
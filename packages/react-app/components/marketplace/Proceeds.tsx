@@ -0,0 +1,47 @@
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { useProceeds } from '@/hooks/useProceeds';
+import { formatPrice } from '@/lib/format';
+
+/**
+ * Lists what the marketplace owes the connected account — sale proceeds,
+ * royalties and refunded bids — and lets them withdraw it.
+ */
+export default function Proceeds() {
+  const { marketplaceContract } = useContracts();
+  const proceeds = useProceeds();
+  const { execute, isPending, error } = useContractTransaction();
+
+  if (proceeds.length === 0) {
+    return <p className="text-wood">You have nothing to withdraw.</p>;
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      {proceeds.map(({ paymentToken, amount }) => (
+        <div
+          key={paymentToken}
+          className="flex items-center justify-between gap-4 rounded-lg border border-black bg-snow p-4"
+        >
+          <span className="font-medium">
+            {formatPrice(amount, paymentToken)}
+          </span>
+          <button
+            className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+            disabled={isPending}
+            onClick={() =>
+              execute({
+                ...marketplaceContract,
+                functionName: 'withdrawProceeds',
+                args: [paymentToken],
+              })
+            }
+          >
+            {isPending ? 'Withdrawing…' : 'Withdraw'}
+          </button>
+        </div>
+      ))}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
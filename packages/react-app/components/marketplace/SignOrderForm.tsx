@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { type Address, zeroAddress } from 'viem';
+import { useAccount, useConfig, useReadContract } from 'wagmi';
+
+import BatchSelect from '@/components/BatchSelect';
+import CurrencySelect from '@/components/CurrencySelect';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { batchKey, useCreditBatches } from '@/hooks/useCreditBatches';
+import { getPaymentCurrency } from '@/lib/currencies';
+import {
+  parseCarbonInput,
+  parseIntegerInput,
+  parsePriceInput,
+} from '@/lib/format';
+import { saveOrder, signOrder } from '@/lib/orders';
+
+const DAY = 24 * 60 * 60;
+
+const validityOptions = [
+  { label: '1 day', seconds: DAY },
+  { label: '7 days', seconds: 7 * DAY },
+  { label: '30 days', seconds: 30 * DAY },
+];
+
+/**
+ * Signs an NFT or token listing off-chain and adds it to the local order
+ * store. Signing costs no gas; the marketplace only needs to be able to move
+ * the credits when a buyer fills the order, so the form asks once for an
+ * operator approval (NFTs) or an allowance covering the amount (tokens).
+ * "Cancel all signed listings" bumps the seller's order nonce, voiding every
+ * listing they signed before in one transaction.
+ */
+export default function SignOrderForm() {
+  const { marketplaceContract, nftContract, tokenContract } = useContracts();
+  const config = useConfig();
+  const { address, isConnected } = useAccount();
+  const [kind, setKind] = useState<'nft' | 'token'>('nft');
+  const [tokenIdInput, setTokenIdInput] = useState('');
+  const [selectedBatch, setSelectedBatch] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [priceInput, setPriceInput] = useState('');
+  const [paymentToken, setPaymentToken] = useState<Address>(zeroAddress);
+  const [validity, setValidity] = useState(validityOptions[1].seconds);
+  const [isSigning, setIsSigning] = useState(false);
+  const [signError, setSignError] = useState<string | null>(null);
+  const { execute, isPending, error } = useContractTransaction();
+
+  const tokenId = parseIntegerInput(tokenIdInput);
+  const amount = parseCarbonInput(amountInput);
+  const price = parsePriceInput(priceInput, paymentToken);
+
+  const { batches } = useCreditBatches(address);
+  const batch = batches.find((b) => batchKey(b) === selectedBatch);
+
+  const { data: owner } = useReadContract({
+    ...nftContract,
+    functionName: 'ownerOf',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: kind === 'nft' && tokenId !== undefined },
+  });
+  const { data: isOperator } = useReadContract({
+    ...nftContract,
+    functionName: 'isApprovedForAll',
+    args: address ? [address, marketplaceContract.address] : undefined,
+    query: { enabled: kind === 'nft' && !!address },
+  });
+  const { data: allowance } = useReadContract({
+    ...tokenContract,
+    functionName: 'allowance',
+    args: address ? [address, marketplaceContract.address] : undefined,
+    query: { enabled: kind === 'token' && !!address },
+  });
+
+  const isOwner =
+    !!address &&
+    typeof owner === 'string' &&
+    owner.toLowerCase() === address.toLowerCase();
+  const hasBalance =
+    amount !== undefined && batch !== undefined && batch.amount >= amount;
+  const isReady = kind === 'nft' ? isOwner : hasBalance;
+  const isApproved =
+    kind === 'nft'
+      ? isOperator === true
+      : amount !== undefined &&
+        (allowance as bigint | undefined) !== undefined &&
+        (allowance as bigint) >= amount;
+
+  const approve = () =>
+    kind === 'nft'
+      ? execute({
+          ...nftContract,
+          functionName: 'setApprovalForAll',
+          args: [marketplaceContract.address, true],
+        })
+      : execute({
+          ...tokenContract,
+          functionName: 'approve',
+          args: [marketplaceContract.address, amount],
+        });
+
+  const sign = async () => {
+    if (!price) return;
+    setIsSigning(true);
+    setSignError(null);
+    try {
+      const order = await signOrder(
+        config,
+        kind === 'nft'
+          ? {
+              kind,
+              order: { tokenId: tokenId as bigint, price, paymentToken },
+            }
+          : {
+              kind,
+              order: {
+                creditsId: batch?.creditsId as bigint,
+                vintageYear: batch?.vintageYear as bigint,
+                amount: amount as bigint,
+                pricePerUnit: price,
+                paymentToken,
+              },
+            },
+        validity
+      );
+      saveOrder(order);
+      setTokenIdInput('');
+      setAmountInput('');
+      setPriceInput('');
+    } catch (err) {
+      setSignError((err as Error).message ?? 'Listing was not signed');
+    } finally {
+      setIsSigning(false);
+    }
+  };
+
+  const cancelAll = () =>
+    execute({ ...marketplaceContract, functionName: 'incrementOrderNonce' });
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Sign a gas-free listing</h3>
+      <div className="flex gap-2">
+        {(['nft', 'token'] as const).map((option) => (
+          <button
+            key={option}
+            className={`flex-1 rounded-md border border-black px-3 py-2 ${
+              kind === option ? 'bg-forest text-snow' : ''
+            }`}
+            onClick={() => setKind(option)}
+          >
+            {option === 'nft' ? 'NFT' : 'Tokens'}
+          </button>
+        ))}
+      </div>
+      {kind === 'nft' ? (
+        <input
+          className="rounded-md border border-black px-3 py-2"
+          placeholder="Token ID"
+          value={tokenIdInput}
+          onChange={(e) => setTokenIdInput(e.target.value.trim())}
+        />
+      ) : (
+        <>
+          <BatchSelect
+            batches={batches}
+            value={selectedBatch}
+            onChange={setSelectedBatch}
+          />
+          <input
+            className="rounded-md border border-black px-3 py-2"
+            placeholder="Amount (CCT)"
+            value={amountInput}
+            onChange={(e) => setAmountInput(e.target.value.trim())}
+          />
+        </>
+      )}
+      <div className="flex gap-2">
+        <input
+          className="min-w-0 flex-1 rounded-md border border-black px-3 py-2"
+          placeholder={`${kind === 'nft' ? 'Price' : 'Price per ton'} (${
+            getPaymentCurrency(paymentToken).symbol
+          })`}
+          value={priceInput}
+          onChange={(e) => setPriceInput(e.target.value.trim())}
+        />
+        <CurrencySelect value={paymentToken} onChange={setPaymentToken} />
+      </div>
+      <select
+        className="rounded-md border border-black px-3 py-2"
+        value={validity}
+        onChange={(e) => setValidity(Number(e.target.value))}
+      >
+        {validityOptions.map((option) => (
+          <option key={option.seconds} value={option.seconds}>
+            Valid for {option.label}
+          </option>
+        ))}
+      </select>
+      {kind === 'nft' &&
+        tokenId !== undefined &&
+        owner !== undefined &&
+        !isOwner && (
+          <p className="text-sm text-error">You do not own this NFT.</p>
+        )}
+      {kind === 'token' &&
+        amount !== undefined &&
+        batch !== undefined &&
+        !hasBalance && (
+          <p className="text-sm text-error">
+            Insufficient balance in this batch.
+          </p>
+        )}
+      {isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || !isReady || !price || isSigning}
+          onClick={sign}
+        >
+          {isSigning ? 'Signing…' : 'Sign listing'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || !isReady || isPending}
+          onClick={approve}
+        >
+          {isPending ? 'Approving…' : 'Step 1: Approve marketplace'}
+        </button>
+      )}
+      <button
+        className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+        disabled={!isConnected || isPending}
+        onClick={cancelAll}
+      >
+        Cancel all signed listings
+      </button>
+      {(signError ?? error) && (
+        <p className="text-sm text-error">{signError ?? error}</p>
+      )}
+    </div>
+  );
+}
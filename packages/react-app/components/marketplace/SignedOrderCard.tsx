@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { useAccount, useReadContract } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { usePaymentAllowance } from '@/hooks/usePaymentAllowance';
+import type { SignedNFTOrder, SignedTokenOrder } from '@/hooks/useSignedOrders';
+import { getPaymentCurrency } from '@/lib/currencies';
+import {
+  formatCarbon,
+  formatDateTime,
+  formatPrice,
+  parseCarbonInput,
+  shortenAddress,
+  tokenPrice,
+} from '@/lib/format';
+import { exportOrder, removeOrders } from '@/lib/orders';
+
+interface Props {
+  order: SignedNFTOrder | SignedTokenOrder;
+}
+
+/**
+ * Shows a listing signed off-chain. Buyers fill it with `fillNFTOrder` or
+ * `fillTokenOrder`, which check the seller's signature, nonce and deadline;
+ * token orders may be filled partially. The seller can copy the order to
+ * share it with buyers, or remove it from this browser (which does not
+ * cancel it; see "Cancel all signed listings").
+ */
+export default function SignedOrderCard({ order }: Props) {
+  const { marketplaceContract, nftContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [amountInput, setAmountInput] = useState('');
+  const [isCopied, setIsCopied] = useState(false);
+  const { execute, isPending, error } = useContractTransaction();
+  const { seller, paymentToken, deadline } = order.order;
+  const isSeller = address?.toLowerCase() === seller.toLowerCase();
+
+  const { data: carbonTons } = useReadContract({
+    ...nftContract,
+    functionName: 'carbonAmount',
+    args: order.kind === 'nft' ? [order.order.tokenId] : undefined,
+    query: { enabled: order.kind === 'nft' },
+  });
+  const { data: batch } = useReadContract({
+    ...nftContract,
+    functionName: 'creditBatch',
+    args: order.kind === 'nft' ? [order.order.tokenId] : undefined,
+    query: { enabled: order.kind === 'nft' },
+  });
+  const [creditsId, vintageYear] =
+    order.kind === 'nft'
+      ? (batch as [bigint, bigint] | undefined) ?? []
+      : [order.order.creditsId, order.order.vintageYear];
+
+  const amount = parseCarbonInput(amountInput);
+  const isValidAmount =
+    order.kind === 'nft' || (amount !== undefined && amount <= order.remaining);
+  const totalPrice =
+    order.kind === 'nft'
+      ? order.order.price
+      : tokenPrice(amount ?? BigInt(0), order.order.pricePerUnit);
+
+  const { isNative, isApproved, approveRequest } = usePaymentAllowance(
+    paymentToken,
+    totalPrice
+  );
+
+  const approve = () => execute(approveRequest);
+
+  const buy = async () => {
+    const value = isNative ? totalPrice : undefined;
+    const receipt = await execute(
+      order.kind === 'nft'
+        ? {
+            ...marketplaceContract,
+            functionName: 'fillNFTOrder',
+            args: [order.order, order.signature],
+            value,
+          }
+        : {
+            ...marketplaceContract,
+            functionName: 'fillTokenOrder',
+            args: [order.order, amount, order.signature],
+            value,
+          }
+    );
+    if (receipt) setAmountInput('');
+  };
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(exportOrder(order));
+    setIsCopied(true);
+  };
+
+  return (
+    <div className="flex flex-col gap-2 rounded-lg border border-black bg-snow p-4">
+      <div className="text-sm text-wood">
+        {order.kind === 'nft'
+          ? `Signed NFT #${order.order.tokenId.toString()}`
+          : 'Signed token listing'}{' '}
+        · until {formatDateTime(deadline)}
+      </div>
+      <div className="text-2xl font-semibold">
+        {order.kind === 'nft' ? (
+          `${formatCarbon(
+            (carbonTons as bigint | undefined) ?? BigInt(0)
+          )} t CO₂`
+        ) : (
+          <>
+            {formatCarbon(order.remaining)} CCT
+            <span className="text-sm font-normal text-wood"> remaining</span>
+          </>
+        )}
+      </div>
+      {creditsId !== undefined && (
+        <div className="text-sm">
+          Project #{creditsId.toString()} · {vintageYear?.toString()} vintage
+        </div>
+      )}
+      <div className="text-sm">Seller: {shortenAddress(seller)}</div>
+      <div className="font-medium">
+        {order.kind === 'nft'
+          ? formatPrice(order.order.price, paymentToken)
+          : `${formatPrice(order.order.pricePerUnit, paymentToken)} / t CO₂`}
+      </div>
+      {isSeller ? (
+        <div className="flex gap-2">
+          <button
+            className="flex-1 rounded-md border border-black px-4 py-2"
+            onClick={copy}
+          >
+            {isCopied ? 'Copied' : 'Copy order'}
+          </button>
+          <button
+            className="flex-1 rounded-md border border-black px-4 py-2"
+            onClick={() => removeOrders([order.hash])}
+          >
+            Remove
+          </button>
+        </div>
+      ) : (
+        <>
+          {order.kind === 'token' && (
+            <>
+              <input
+                className="rounded-md border border-black px-3 py-2"
+                placeholder={`Amount (max ${formatCarbon(order.remaining)})`}
+                value={amountInput}
+                onChange={(e) => setAmountInput(e.target.value.trim())}
+              />
+              {amount !== undefined && !isValidAmount && (
+                <p className="text-sm text-error">
+                  Only {formatCarbon(order.remaining)} CCT left in this listing.
+                </p>
+              )}
+              {amount !== undefined && isValidAmount && (
+                <div className="text-sm">
+                  Total: {formatPrice(totalPrice, paymentToken)}
+                </div>
+              )}
+            </>
+          )}
+          {isApproved ? (
+            <button
+              className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+              disabled={!isConnected || !isValidAmount || isPending}
+              onClick={buy}
+            >
+              {isPending ? 'Buying…' : 'Buy'}
+            </button>
+          ) : (
+            <button
+              className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+              disabled={!isConnected || !isValidAmount || isPending}
+              onClick={approve}
+            >
+              {isPending
+                ? 'Approving…'
+                : `Step 1: Approve ${getPaymentCurrency(paymentToken).symbol}`}
+            </button>
+          )}
+        </>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { useAccount } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import type { TokenListing } from '@/hooks/useMarketplaceListings';
+import { usePaymentAllowance } from '@/hooks/usePaymentAllowance';
+import { getPaymentCurrency } from '@/lib/currencies';
+import {
+  formatCarbon,
+  formatPrice,
+  parseCarbonInput,
+  shortenAddress,
+  tokenPrice,
+} from '@/lib/format';
+
+interface Props {
+  listing: TokenListing;
+}
+
+/**
+ * Shows a token listing with its remaining quantity. Buyers may take any part
+ * of it; the total they pay is the amount times the listing's price per ton.
+ */
+export default function TokenListingCard({ listing }: Props) {
+  const { marketplaceContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [amountInput, setAmountInput] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+  const isSeller = address?.toLowerCase() === listing.seller.toLowerCase();
+
+  const amount = parseCarbonInput(amountInput);
+  const isValidAmount = amount !== undefined && amount <= listing.amount;
+  const totalPrice = tokenPrice(amount ?? BigInt(0), listing.pricePerUnit);
+
+  const { isNative, isApproved, approveRequest } = usePaymentAllowance(
+    listing.paymentToken,
+    totalPrice
+  );
+
+  const approve = () => execute(approveRequest);
+
+  const buy = async () => {
+    const receipt = await execute({
+      ...marketplaceContract,
+      functionName: 'buyTokens',
+      args: [listing.listingId, amount],
+      value: isNative ? totalPrice : undefined,
+    });
+    if (receipt) setAmountInput('');
+  };
+
+  const cancel = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'cancelTokenListing',
+      args: [listing.listingId],
+    });
+
+  return (
+    <div className="flex flex-col gap-2 rounded-lg border border-black bg-snow p-4">
+      <div className="text-sm text-wood">
+        Listing #{listing.listingId.toString()}
+      </div>
+      <div className="text-2xl font-semibold">
+        {formatCarbon(listing.amount)} CCT
+        <span className="text-sm font-normal text-wood"> remaining</span>
+      </div>
+      <div className="text-sm">
+        Project #{listing.creditsId.toString()} ·{' '}
+        {listing.vintageYear.toString()} vintage
+      </div>
+      <div className="text-sm">Seller: {shortenAddress(listing.seller)}</div>
+      <div className="font-medium">
+        {formatPrice(listing.pricePerUnit, listing.paymentToken)} / t CO₂
+      </div>
+      {isSeller ? (
+        <button
+          className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+          disabled={isPending}
+          onClick={cancel}
+        >
+          {isPending ? 'Cancelling…' : 'Cancel listing'}
+        </button>
+      ) : (
+        <>
+          <input
+            className="rounded-md border border-black px-3 py-2"
+            placeholder={`Amount (max ${formatCarbon(listing.amount)})`}
+            value={amountInput}
+            onChange={(e) => setAmountInput(e.target.value.trim())}
+          />
+          {amount !== undefined && !isValidAmount && (
+            <p className="text-sm text-error">
+              Only {formatCarbon(listing.amount)} CCT left in this listing.
+            </p>
+          )}
+          {isValidAmount && (
+            <div className="text-sm">
+              Total: {formatPrice(totalPrice, listing.paymentToken)}
+            </div>
+          )}
+          {isApproved ? (
+            <button
+              className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+              disabled={!isConnected || !isValidAmount || isPending}
+              onClick={buy}
+            >
+              {isPending ? 'Buying…' : 'Buy'}
+            </button>
+          ) : (
+            <button
+              className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+              disabled={!isConnected || !isValidAmount || isPending}
+              onClick={approve}
+            >
+              {isPending
+                ? 'Approving…'
+                : `Step 1: Approve ${
+                    getPaymentCurrency(listing.paymentToken).symbol
+                  }`}
+            </button>
+          )}
+        </>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
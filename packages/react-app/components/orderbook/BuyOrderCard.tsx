@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { useAccount, useReadContract } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { batchKey, useCreditBatches } from '@/hooks/useCreditBatches';
+import type { BuyOrder } from '@/hooks/useOrderBook';
+import {
+  formatCarbon,
+  formatPrice,
+  parseCarbonInput,
+  shortenAddress,
+  tokenPrice,
+} from '@/lib/format';
+
+interface Props {
+  order: BuyOrder;
+}
+
+/**
+ * Shows an open buy order. Holders of the wanted batch can sell into it at the
+ * order's price; `fillBuyOrder` moves their tokens with the marketplace's
+ * allowance, so an approval is requested first.
+ */
+export default function BuyOrderCard({ order }: Props) {
+  const { marketplaceContract, tokenContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [amountInput, setAmountInput] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+  const isBuyer = address?.toLowerCase() === order.buyer.toLowerCase();
+
+  const amount = parseCarbonInput(amountInput);
+  const { batches } = useCreditBatches(address);
+  const held =
+    batches.find((b) => batchKey(b) === batchKey(order))?.amount ?? BigInt(0);
+  const isValidAmount =
+    amount !== undefined && amount <= order.amount && amount <= held;
+
+  const { data: allowance } = useReadContract({
+    ...tokenContract,
+    functionName: 'allowance',
+    args: address ? [address, marketplaceContract.address] : undefined,
+    query: { enabled: !!address && !isBuyer },
+  });
+  const isApproved =
+    amount !== undefined && allowance !== undefined
+      ? (allowance as bigint) >= amount
+      : false;
+
+  const approve = () =>
+    execute({
+      ...tokenContract,
+      functionName: 'approve',
+      args: [marketplaceContract.address, amount],
+    });
+
+  const sell = async () => {
+    const receipt = await execute({
+      ...marketplaceContract,
+      functionName: 'fillBuyOrder',
+      args: [order.orderId, amount],
+    });
+    if (receipt) setAmountInput('');
+  };
+
+  const cancel = () =>
+    execute({
+      ...marketplaceContract,
+      functionName: 'cancelBuyOrder',
+      args: [order.orderId],
+    });
+
+  return (
+    <div className="flex flex-col gap-2 rounded-lg border border-black bg-snow p-4">
+      <div className="text-sm text-wood">Bid #{order.orderId.toString()}</div>
+      <div className="text-2xl font-semibold">
+        {formatCarbon(order.amount)} CCT
+        <span className="text-sm font-normal text-wood"> wanted</span>
+      </div>
+      <div className="text-sm">
+        Project #{order.creditsId.toString()} · {order.vintageYear.toString()}{' '}
+        vintage
+      </div>
+      <div className="text-sm">Buyer: {shortenAddress(order.buyer)}</div>
+      <div className="font-medium">
+        {formatPrice(order.pricePerUnit, order.paymentToken)} / t CO₂
+      </div>
+      {isBuyer ? (
+        <button
+          className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+          disabled={isPending}
+          onClick={cancel}
+        >
+          {isPending ? 'Cancelling…' : 'Cancel bid'}
+        </button>
+      ) : held === BigInt(0) ? (
+        <p className="text-sm text-wood">You hold none of this batch.</p>
+      ) : (
+        <>
+          <input
+            className="rounded-md border border-black px-3 py-2"
+            placeholder={`Amount (you hold ${formatCarbon(held)})`}
+            value={amountInput}
+            onChange={(e) => setAmountInput(e.target.value.trim())}
+          />
+          {isValidAmount && (
+            <div className="text-sm">
+              You receive:{' '}
+              {formatPrice(
+                tokenPrice(amount, order.pricePerUnit),
+                order.paymentToken
+              )}
+            </div>
+          )}
+          {isApproved ? (
+            <button
+              className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+              disabled={!isConnected || !isValidAmount || isPending}
+              onClick={sell}
+            >
+              {isPending ? 'Selling…' : 'Sell'}
+            </button>
+          ) : (
+            <button
+              className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+              disabled={!isConnected || !isValidAmount || isPending}
+              onClick={approve}
+            >
+              {isPending ? 'Approving…' : 'Step 1: Approve marketplace'}
+            </button>
+          )}
+        </>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
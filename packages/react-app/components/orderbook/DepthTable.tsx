@@ -0,0 +1,65 @@
+import type { DepthLevel, OrderBookMarket } from '@/hooks/useOrderBook';
+import { getPaymentCurrency } from '@/lib/currencies';
+import { formatCarbon, formatPrice } from '@/lib/format';
+
+interface Props {
+  market: OrderBookMarket;
+}
+
+/**
+ * Shows the bids and asks of one market side by side. Each price level gets a
+ * bar proportional to its amount, relative to the largest level on the book.
+ */
+export default function DepthTable({ market }: Props) {
+  const largest = [...market.bids, ...market.asks].reduce(
+    (max, level) => (level.amount > max ? level.amount : max),
+    BigInt(1)
+  );
+
+  const renderSide = (
+    title: string,
+    levels: DepthLevel[],
+    barClassName: string
+  ) => (
+    <div className="flex flex-1 flex-col gap-1">
+      <div className="flex justify-between text-sm font-semibold">
+        <span>{title}</span>
+        <span>Amount</span>
+      </div>
+      {levels.length === 0 ? (
+        <p className="text-sm text-wood">None</p>
+      ) : (
+        levels.map((level) => (
+          <div
+            key={level.pricePerUnit.toString()}
+            className="relative flex justify-between px-1 text-sm"
+          >
+            <div
+              className={`absolute inset-y-0 left-0 ${barClassName}`}
+              style={{
+                width: `${Number((level.amount * BigInt(100)) / largest)}%`,
+              }}
+            />
+            <span className="relative">
+              {formatPrice(level.pricePerUnit, market.paymentToken)}
+            </span>
+            <span className="relative">{formatCarbon(level.amount)} CCT</span>
+          </div>
+        ))
+      )}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">
+        Project #{market.creditsId.toString()} · {market.vintageYear.toString()}{' '}
+        vintage · {getPaymentCurrency(market.paymentToken).symbol}
+      </h3>
+      <div className="flex flex-col gap-4 sm:flex-row">
+        {renderSide('Bids (per ton)', market.bids, 'bg-prosperity')}
+        {renderSide('Asks (per ton)', market.asks, 'bg-sand')}
+      </div>
+    </div>
+  );
+}
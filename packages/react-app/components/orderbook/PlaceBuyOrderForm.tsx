@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { type Address, zeroAddress } from 'viem';
+import { useAccount } from 'wagmi';
+
+import CurrencySelect from '@/components/CurrencySelect';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { usePaymentAllowance } from '@/hooks/usePaymentAllowance';
+import { getPaymentCurrency } from '@/lib/currencies';
+import {
+  formatPrice,
+  parseCarbonInput,
+  parseIntegerInput,
+  parsePriceInput,
+  tokenPrice,
+} from '@/lib/format';
+
+/**
+ * Places a buy order (bid) for a batch. The marketplace escrows the full
+ * amount times the price per ton: CELO is sent with the transaction, while
+ * stablecoins need an approval first.
+ */
+export default function PlaceBuyOrderForm() {
+  const { marketplaceContract } = useContracts();
+  const { isConnected } = useAccount();
+  const [creditsIdInput, setCreditsIdInput] = useState('');
+  const [vintageInput, setVintageInput] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [priceInput, setPriceInput] = useState('');
+  const [paymentToken, setPaymentToken] = useState<Address>(zeroAddress);
+  const { execute, isPending, error } = useContractTransaction();
+
+  const creditsId = parseIntegerInput(creditsIdInput);
+  const vintageYear = parseIntegerInput(vintageInput);
+  const amount = parseCarbonInput(amountInput);
+  const pricePerUnit = parsePriceInput(priceInput, paymentToken);
+  const escrow = tokenPrice(amount ?? BigInt(0), pricePerUnit ?? BigInt(0));
+  const isComplete =
+    creditsId !== undefined &&
+    vintageYear !== undefined &&
+    amount !== undefined &&
+    !!pricePerUnit;
+
+  const { isNative, isApproved, approveRequest } = usePaymentAllowance(
+    paymentToken,
+    escrow
+  );
+
+  const approve = () => execute(approveRequest);
+
+  const place = async () => {
+    const receipt = await execute({
+      ...marketplaceContract,
+      functionName: 'placeBuyOrder',
+      args: [creditsId, vintageYear, amount, pricePerUnit, paymentToken],
+      value: isNative ? escrow : undefined,
+    });
+    if (receipt) {
+      setAmountInput('');
+      setPriceInput('');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Place a bid</h3>
+      <div className="flex gap-2">
+        <input
+          className="min-w-0 flex-1 rounded-md border border-black px-3 py-2"
+          placeholder="Project ID"
+          value={creditsIdInput}
+          onChange={(e) => setCreditsIdInput(e.target.value.trim())}
+        />
+        <input
+          className="min-w-0 flex-1 rounded-md border border-black px-3 py-2"
+          placeholder="Vintage year"
+          value={vintageInput}
+          onChange={(e) => setVintageInput(e.target.value.trim())}
+        />
+      </div>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Amount (CCT)"
+        value={amountInput}
+        onChange={(e) => setAmountInput(e.target.value.trim())}
+      />
+      <div className="flex gap-2">
+        <input
+          className="min-w-0 flex-1 rounded-md border border-black px-3 py-2"
+          placeholder={`Max price per ton (${
+            getPaymentCurrency(paymentToken).symbol
+          })`}
+          value={priceInput}
+          onChange={(e) => setPriceInput(e.target.value.trim())}
+        />
+        <CurrencySelect value={paymentToken} onChange={setPaymentToken} />
+      </div>
+      {isComplete && (
+        <div className="text-sm">
+          Escrowed: {formatPrice(escrow, paymentToken)}
+        </div>
+      )}
+      {isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || !isComplete || isPending}
+          onClick={place}
+        >
+          {isPending ? 'Placing…' : 'Place bid'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || !isComplete || isPending}
+          onClick={approve}
+        >
+          {isPending
+            ? 'Approving…'
+            : `Step 1: Approve ${getPaymentCurrency(paymentToken).symbol}`}
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import type { Retirement } from '@/hooks/useRetirements';
+import { formatCarbon, formatTimestamp } from '@/lib/format';
+
+interface Props {
+  retirement: Retirement;
+}
+
+export default function Certificate({ retirement }: Props) {
+  return (
+    <article className="mx-auto flex max-w-2xl flex-col gap-6 border-4 border-double border-forest bg-snow p-10 text-center">
+      <header className="flex flex-col gap-1">
+        <p className="text-sm uppercase tracking-widest text-wood">
+          Certificate #{retirement.certificateId.toString()}
+        </p>
+        <h1 className="text-3xl font-bold">Carbon Credit Retirement</h1>
+      </header>
+
+      <p>This certifies that</p>
+      <p className="text-4xl font-semibold text-forest">
+        {formatCarbon(retirement.amount)} tonnes CO₂
+      </p>
+      <p>were permanently retired on behalf of</p>
+      <p className="text-2xl font-semibold">{retirement.beneficiary}</p>
+      {retirement.reason && <p className="italic">“{retirement.reason}”</p>}
+
+      <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-left text-sm">
+        <dt className="text-wood">Credits ID</dt>
+        <dd>{retirement.creditsId.toString()}</dd>
+        <dt className="text-wood">Vintage</dt>
+        <dd>{retirement.vintageYear.toString()}</dd>
+        <dt className="text-wood">Retired asset</dt>
+        <dd>
+          {retirement.isNFT
+            ? `CarbonCreditNFT #${retirement.nftTokenId}`
+            : 'CarbonCreditToken (CCT)'}
+        </dd>
+        <dt className="text-wood">Retired by</dt>
+        <dd className="break-all">{retirement.retiree}</dd>
+        <dt className="text-wood">Date</dt>
+        <dd>{formatTimestamp(retirement.retiredAt)}</dd>
+      </dl>
+    </article>
+  );
+}
@@ -0,0 +1,58 @@
+import Link from 'next/link';
+import { useAccount } from 'wagmi';
+
+import { useRetirementsByRetiree } from '@/hooks/useRetirements';
+import { formatCarbon, formatTimestamp } from '@/lib/format';
+
+export default function CertificateList() {
+  const { address } = useAccount();
+  const { retirements, isLoading } = useRetirementsByRetiree(address);
+
+  if (isLoading) {
+    return <p>Loading certificates…</p>;
+  }
+
+  if (retirements.length === 0) {
+    return <p className="text-wood">You have not retired any credits yet.</p>;
+  }
+
+  return (
+    <table className="w-full border border-black bg-snow text-left text-sm">
+      <thead className="border-b border-black bg-sand">
+        <tr>
+          <th className="px-3 py-2">Certificate</th>
+          <th className="px-3 py-2">Beneficiary</th>
+          <th className="px-3 py-2">Credits</th>
+          <th className="px-3 py-2">Amount</th>
+          <th className="px-3 py-2">Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {retirements.map((retirement) => (
+          <tr
+            key={retirement.certificateId.toString()}
+            className="border-b border-sand"
+          >
+            <td className="px-3 py-2">
+              <Link
+                className="text-forest underline"
+                href={`/certificates/${retirement.certificateId}`}
+              >
+                #{retirement.certificateId.toString()}
+              </Link>
+            </td>
+            <td className="px-3 py-2">{retirement.beneficiary}</td>
+            <td className="px-3 py-2">
+              #{retirement.creditsId.toString()} /{' '}
+              {retirement.vintageYear.toString()}
+            </td>
+            <td className="px-3 py-2">{formatCarbon(retirement.amount)} t</td>
+            <td className="px-3 py-2">
+              {formatTimestamp(retirement.retiredAt)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { useAccount, useReadContract } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { parseIntegerInput } from '@/lib/format';
+
+/**
+ * Retires a CarbonCreditNFT through CarbonCreditRetirement. The registry
+ * burns the NFT (recording the batch it was minted for), so it has to be
+ * approved for the token first.
+ */
+export default function RetireNFTForm() {
+  const { nftContract, retirementContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [tokenIdInput, setTokenIdInput] = useState('');
+  const [beneficiary, setBeneficiary] = useState('');
+  const [reason, setReason] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const tokenId = parseIntegerInput(tokenIdInput);
+
+  const { data: owner } = useReadContract({
+    ...nftContract,
+    functionName: 'ownerOf',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: tokenId !== undefined },
+  });
+  const { data: approved } = useReadContract({
+    ...nftContract,
+    functionName: 'getApproved',
+    args: tokenId !== undefined ? [tokenId] : undefined,
+    query: { enabled: tokenId !== undefined },
+  });
+
+  const isOwner =
+    !!address &&
+    typeof owner === 'string' &&
+    owner.toLowerCase() === address.toLowerCase();
+  const isApproved =
+    typeof approved === 'string' &&
+    approved.toLowerCase() === retirementContract.address?.toLowerCase();
+  const isComplete = isOwner && beneficiary.trim().length > 0;
+
+  const approve = () =>
+    execute({
+      ...nftContract,
+      functionName: 'approve',
+      args: [retirementContract.address, tokenId],
+    });
+
+  const retire = async () => {
+    const receipt = await execute({
+      ...retirementContract,
+      functionName: 'retireNFT',
+      args: [tokenId, beneficiary.trim(), reason.trim()],
+    });
+    if (receipt) {
+      setTokenIdInput('');
+      setReason('');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Retire an NFT</h3>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Token ID"
+        value={tokenIdInput}
+        onChange={(e) => setTokenIdInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Beneficiary"
+        value={beneficiary}
+        onChange={(e) => setBeneficiary(e.target.value)}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Retirement reason"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      />
+      {tokenId !== undefined && owner !== undefined && !isOwner && (
+        <p className="text-sm text-error">You do not own this NFT.</p>
+      )}
+      {isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || !isComplete || isPending}
+          onClick={retire}
+        >
+          {isPending ? 'Retiring…' : 'Retire NFT'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || !isOwner || isPending}
+          onClick={approve}
+        >
+          {isPending ? 'Approving…' : 'Step 1: Approve retirement'}
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { useAccount, useReadContract } from 'wagmi';
+
+import BatchSelect from '@/components/BatchSelect';
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { batchKey, useCreditBatches } from '@/hooks/useCreditBatches';
+import { parseCarbonInput } from '@/lib/format';
+
+/**
+ * Retires CarbonCreditTokens of one batch through CarbonCreditRetirement. The
+ * registry burns the tokens using the holder's allowance, so the form requests
+ * an approval for the retired amount first.
+ */
+export default function RetireTokensForm() {
+  const { tokenContract, retirementContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [selectedBatch, setSelectedBatch] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [beneficiary, setBeneficiary] = useState('');
+  const [reason, setReason] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const amount = parseCarbonInput(amountInput);
+  const { batches } = useCreditBatches(address);
+  const batch = batches.find((b) => batchKey(b) === selectedBatch);
+
+  const { data: allowance } = useReadContract({
+    ...tokenContract,
+    functionName: 'allowance',
+    args: address ? [address, retirementContract.address] : undefined,
+    query: { enabled: !!address },
+  });
+
+  const isApproved =
+    amount !== undefined && allowance !== undefined
+      ? (allowance as bigint) >= amount
+      : false;
+  const isComplete =
+    batch !== undefined &&
+    amount !== undefined &&
+    batch.amount >= amount &&
+    beneficiary.trim().length > 0;
+
+  const approve = () =>
+    execute({
+      ...tokenContract,
+      functionName: 'approve',
+      args: [retirementContract.address, amount],
+    });
+
+  const retire = async () => {
+    const receipt = await execute({
+      ...retirementContract,
+      functionName: 'retireTokens',
+      args: [
+        batch?.creditsId,
+        batch?.vintageYear,
+        amount,
+        beneficiary.trim(),
+        reason.trim(),
+      ],
+    });
+    if (receipt) {
+      setAmountInput('');
+      setReason('');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Retire carbon tokens</h3>
+      <BatchSelect
+        batches={batches}
+        value={selectedBatch}
+        onChange={setSelectedBatch}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Amount (CCT)"
+        value={amountInput}
+        onChange={(e) => setAmountInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Beneficiary"
+        value={beneficiary}
+        onChange={(e) => setBeneficiary(e.target.value)}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Retirement reason"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      />
+      {isApproved ? (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || !isComplete || isPending}
+          onClick={retire}
+        >
+          {isPending ? 'Retiring…' : 'Retire tokens'}
+        </button>
+      ) : (
+        <button
+          className="rounded-md bg-prosperity px-4 py-2 text-black disabled:bg-disabled"
+          disabled={!isConnected || !isComplete || isPending}
+          onClick={approve}
+        >
+          {isPending ? 'Approving…' : 'Step 1: Approve retirement'}
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
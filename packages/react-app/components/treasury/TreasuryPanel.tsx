@@ -0,0 +1,76 @@
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { useTreasury } from '@/hooks/useTreasury';
+import { formatPrice, shortenAddress } from '@/lib/format';
+
+/**
+ * Shows the marketplace's protocol fee, the fees accrued to the treasury in
+ * each currency and the latest fee collections. Anyone may sweep an accrued
+ * balance; it is always sent to the configured treasury address.
+ */
+export default function TreasuryPanel() {
+  const { marketplaceContract } = useContracts();
+  const { protocolFeeBps, treasury, balances, recentFees } = useTreasury();
+  const { execute, isPending, error } = useContractTransaction();
+
+  return (
+    <div className="flex flex-col gap-4 rounded-lg border border-black bg-snow p-4">
+      <p>
+        Protocol fee:{' '}
+        <span className="font-medium">
+          {protocolFeeBps === undefined
+            ? '…'
+            : `${Number(protocolFeeBps) / 100}%`}
+        </span>
+        {treasury && (
+          <span className="text-wood">
+            {' '}
+            — paid to {shortenAddress(treasury)}
+          </span>
+        )}
+      </p>
+
+      <div className="flex flex-col gap-2">
+        {balances.map(({ paymentToken, amount }) => (
+          <div
+            key={paymentToken}
+            className="flex items-center justify-between gap-4"
+          >
+            <span>{formatPrice(amount, paymentToken)}</span>
+            <button
+              className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+              disabled={isPending || amount === BigInt(0)}
+              onClick={() =>
+                execute({
+                  ...marketplaceContract,
+                  functionName: 'withdrawTreasury',
+                  args: [paymentToken],
+                })
+              }
+            >
+              {isPending ? 'Withdrawing…' : 'Withdraw to treasury'}
+            </button>
+          </div>
+        ))}
+      </div>
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      <div className="flex flex-col gap-1">
+        <h3 className="font-bold">Recent fees</h3>
+        {recentFees.length === 0 ? (
+          <p className="text-wood">No fees have been collected yet.</p>
+        ) : (
+          recentFees.map((fee) => (
+            <p
+              key={`${fee.transactionHash}-${fee.paymentToken}`}
+              className="text-sm"
+            >
+              {formatPrice(fee.amount, fee.paymentToken)} from{' '}
+              {shortenAddress(fee.seller)} in block {fee.blockNumber.toString()}
+            </p>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { useAccount } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { parseCarbonInput, parseIntegerInput } from '@/lib/format';
+
+/**
+ * Mints a CarbonCreditNFT for a verified vintage of an active project
+ * (`CarbonCreditNFT.mint`). The NFT counts against the vintage's issuance cap
+ * just like issued CCT. Minting approves the marketplace on behalf of the
+ * minter, so the NFT is minted to the connected account, ready to list or to
+ * hand over to the project.
+ */
+export default function MintProjectNFTForm() {
+  const { nftContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [projectInput, setProjectInput] = useState('');
+  const [vintageInput, setVintageInput] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [tokenURI, setTokenURI] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const creditsId = parseIntegerInput(projectInput) || undefined;
+  const vintageYear = parseIntegerInput(vintageInput) || undefined;
+  const carbonTons = parseCarbonInput(amountInput);
+  const isComplete =
+    creditsId !== undefined &&
+    vintageYear !== undefined &&
+    carbonTons !== undefined &&
+    tokenURI.trim().length > 0;
+
+  const mint = async () => {
+    const receipt = await execute({
+      ...nftContract,
+      functionName: 'mint',
+      args: [address, creditsId, vintageYear, carbonTons, tokenURI.trim()],
+    });
+    if (receipt) {
+      setAmountInput('');
+      setTokenURI('');
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Mint a project NFT</h3>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Project ID"
+        value={projectInput}
+        onChange={(e) => setProjectInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Vintage year"
+        value={vintageInput}
+        onChange={(e) => setVintageInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Carbon amount (t CO₂e)"
+        value={amountInput}
+        onChange={(e) => setAmountInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Metadata URI (e.g. ipfs://…)"
+        value={tokenURI}
+        onChange={(e) => setTokenURI(e.target.value)}
+      />
+      <button
+        className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+        disabled={!isConnected || !isComplete || isPending}
+        onClick={mint}
+      >
+        {isPending ? 'Minting…' : 'Mint NFT'}
+      </button>
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
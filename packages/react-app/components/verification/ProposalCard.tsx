@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import { useAccount } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import type { Proposal } from '@/hooks/useVerification';
+import { formatCarbon, formatDateTime, shortenAddress } from '@/lib/format';
+
+interface Props {
+  proposal: Proposal;
+  quorum: bigint;
+  isVerifier: boolean;
+  isAuditor: boolean;
+  isAdmin: boolean;
+}
+
+/**
+ * Shows an open issuance proposal with the action the connected account can
+ * take at its current stage: verifiers attest pending proposals, auditors
+ * dispute them during the challenge period, the admin resolves disputes and
+ * anyone issues the credits once the challenge period is over. The proposer
+ * and the admin can also cancel the proposal, which frees its vintage for a
+ * new one.
+ */
+export default function ProposalCard({
+  proposal,
+  quorum,
+  isVerifier,
+  isAuditor,
+  isAdmin,
+}: Props) {
+  const { verificationContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [reason, setReason] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const isProposer = address?.toLowerCase() === proposal.proposer.toLowerCase();
+  const challengeEnded =
+    BigInt(Math.floor(Date.now() / 1000)) >= proposal.challengeEndsAt;
+
+  const attest = () =>
+    execute({
+      ...verificationContract,
+      functionName: 'attest',
+      args: [proposal.proposalId],
+    });
+
+  const challenge = async () => {
+    const receipt = await execute({
+      ...verificationContract,
+      functionName: 'challenge',
+      args: [proposal.proposalId, reason.trim()],
+    });
+    if (receipt) setReason('');
+  };
+
+  const resolve = (upheld: boolean) =>
+    execute({
+      ...verificationContract,
+      functionName: 'resolveDispute',
+      args: [proposal.proposalId, upheld],
+    });
+
+  const cancel = () =>
+    execute({
+      ...verificationContract,
+      functionName: 'cancel',
+      args: [proposal.proposalId],
+    });
+
+  const issue = () =>
+    execute({
+      ...verificationContract,
+      functionName: 'issue',
+      args: [proposal.proposalId],
+    });
+
+  const renderStage = () => {
+    if (proposal.status === 'Pending') {
+      return `Attestations: ${proposal.attestations.toString()} of ${quorum.toString()}`;
+    }
+    if (proposal.status === 'Disputed') {
+      return 'Disputed by an auditor';
+    }
+    return challengeEnded
+      ? 'Challenge period over'
+      : `Challenge period ends ${formatDateTime(proposal.challengeEndsAt)}`;
+  };
+
+  const renderAction = () => {
+    if (proposal.status === 'Pending') {
+      if (!isVerifier) {
+        return (
+          <p className="text-sm text-wood">
+            Waiting for verifier attestations.
+          </p>
+        );
+      }
+      if (isProposer || proposal.attestedByYou) {
+        return (
+          <p className="text-sm text-wood">
+            {isProposer
+              ? 'You cannot attest your own proposal.'
+              : 'You attested this proposal.'}
+          </p>
+        );
+      }
+      return (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || isPending}
+          onClick={attest}
+        >
+          {isPending ? 'Attesting…' : 'Attest'}
+        </button>
+      );
+    }
+    if (proposal.status === 'Disputed') {
+      return isAdmin ? (
+        <div className="flex gap-2">
+          <button
+            className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+            disabled={isPending}
+            onClick={() => resolve(false)}
+          >
+            Dismiss dispute
+          </button>
+          <button
+            className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+            disabled={isPending}
+            onClick={() => resolve(true)}
+          >
+            Reject proposal
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-wood">Waiting for the admin to resolve.</p>
+      );
+    }
+    if (challengeEnded) {
+      return (
+        <button
+          className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+          disabled={!isConnected || isPending}
+          onClick={issue}
+        >
+          {isPending ? 'Issuing…' : 'Issue credits'}
+        </button>
+      );
+    }
+    if (!isAuditor) {
+      return <p className="text-sm text-wood">Open to disputes by auditors.</p>;
+    }
+    return (
+      <>
+        <input
+          className="rounded-md border border-black px-3 py-2"
+          placeholder="Reason for the dispute"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <button
+          className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+          disabled={reason.trim().length === 0 || isPending}
+          onClick={challenge}
+        >
+          {isPending ? 'Disputing…' : 'Dispute'}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className="flex flex-col gap-2 rounded-lg border border-black bg-snow p-4">
+      <div className="text-sm text-wood">
+        Proposal #{proposal.proposalId.toString()} · {proposal.status}
+      </div>
+      <div className="text-2xl font-semibold">
+        {formatCarbon(proposal.amount)} CCT · {proposal.vintageYear.toString()}
+      </div>
+      <div className="text-sm">
+        Project #{proposal.creditsId.toString()} ·{' '}
+        {formatCarbon(proposal.verifiedTonnage)} t verified
+      </div>
+      <div className="text-sm">
+        {proposal.verificationStandard} · {proposal.creditType}
+      </div>
+      <div className="break-all text-sm">MRV: {proposal.mrvDataHash}</div>
+      <div className="text-sm">
+        Proposed by {shortenAddress(proposal.proposer)} for{' '}
+        {shortenAddress(proposal.recipient)}
+      </div>
+      <div className="text-sm">{renderStage()}</div>
+      {renderAction()}
+      {(isProposer || isAdmin) && (
+        <button
+          className="rounded-md border border-black px-4 py-2 disabled:text-disabled"
+          disabled={isPending}
+          onClick={cancel}
+        >
+          Cancel proposal
+        </button>
+      )}
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { type ChangeEvent, useState } from 'react';
+import { isAddress, sha256 } from 'viem';
+import { useAccount } from 'wagmi';
+
+import { useContractTransaction } from '@/hooks/useContractTransaction';
+import { useContracts } from '@/hooks/useContracts';
+import { parseCarbonInput, parseIntegerInput } from '@/lib/format';
+
+const standards = [
+  'Verra',
+  'Gold Standard',
+  'Climate Action Reserve',
+  'American Carbon Registry',
+  'Plan Vivo',
+];
+
+const creditTypes = [
+  'Renewable',
+  'Forestry',
+  'Cookstoves',
+  'Methane capture',
+  'Blue carbon',
+];
+
+/**
+ * Proposes issuing a tranche of credits for a vintage of a registered project,
+ * which only its developer or a verifier may do. The credits are only issued
+ * once enough verifiers have attested the proposal and its challenge period
+ * has passed without a successful dispute. The verified tonnage and MRV data
+ * set the vintage's issuance cap on its first tranche; later tranches top up
+ * against that cap. An MRV report picked in the form never leaves the
+ * browser: only its SHA-256 hash is proposed as the `mrvDataHash`.
+ */
+export default function ProposeIssuanceForm() {
+  const { verificationContract } = useContracts();
+  const { address, isConnected } = useAccount();
+  const [projectInput, setProjectInput] = useState('');
+  const [recipient, setRecipient] = useState('');
+  const [vintageInput, setVintageInput] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  const [tonnageInput, setTonnageInput] = useState('');
+  const [mrvDataHash, setMrvDataHash] = useState('');
+  // A file input can't be cleared through its value, so it is remounted instead
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [isHashing, setIsHashing] = useState(false);
+  const [verificationStandard, setVerificationStandard] = useState('');
+  const [creditType, setCreditType] = useState('');
+  const { execute, isPending, error } = useContractTransaction();
+
+  const to = recipient.trim() || address;
+  const creditsId = parseIntegerInput(projectInput) || undefined;
+  const vintageYear = parseIntegerInput(vintageInput) || undefined;
+  const amount = parseCarbonInput(amountInput);
+  const verifiedTonnage = parseCarbonInput(tonnageInput);
+  const exceedsTonnage =
+    amount !== undefined &&
+    verifiedTonnage !== undefined &&
+    amount > verifiedTonnage;
+  const isComplete =
+    to !== undefined &&
+    isAddress(to) &&
+    creditsId !== undefined &&
+    vintageYear !== undefined &&
+    amount !== undefined &&
+    verifiedTonnage !== undefined &&
+    !exceedsTonnage &&
+    mrvDataHash.trim().length > 0 &&
+    verificationStandard.trim().length > 0 &&
+    creditType.trim().length > 0;
+
+  const hashFile = async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    setMrvDataHash('');
+    if (!file) return;
+    setIsHashing(true);
+    try {
+      setMrvDataHash(sha256(new Uint8Array(await file.arrayBuffer())));
+    } finally {
+      setIsHashing(false);
+    }
+  };
+
+  const propose = async () => {
+    const receipt = await execute({
+      ...verificationContract,
+      functionName: 'propose',
+      args: [
+        creditsId,
+        to,
+        vintageYear,
+        amount,
+        verifiedTonnage,
+        mrvDataHash.trim(),
+        verificationStandard.trim(),
+        creditType.trim(),
+      ],
+    });
+    if (receipt) {
+      setAmountInput('');
+      setMrvDataHash('');
+      setFileInputKey((key) => key + 1);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-black bg-snow p-4">
+      <h3 className="text-lg font-semibold">Propose an issuance</h3>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Project ID"
+        value={projectInput}
+        onChange={(e) => setProjectInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Recipient (defaults to you)"
+        value={recipient}
+        onChange={(e) => setRecipient(e.target.value)}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Vintage year"
+        value={vintageInput}
+        onChange={(e) => setVintageInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Amount (CCT)"
+        value={amountInput}
+        onChange={(e) => setAmountInput(e.target.value.trim())}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        placeholder="Verified tonnage of the vintage (t CO₂e)"
+        value={tonnageInput}
+        onChange={(e) => setTonnageInput(e.target.value.trim())}
+      />
+      {exceedsTonnage && (
+        <p className="text-sm text-error">
+          The amount cannot exceed the verified tonnage.
+        </p>
+      )}
+      <label className="flex flex-col gap-1 text-sm">
+        MRV report
+        <input
+          key={fileInputKey}
+          type="file"
+          className="rounded-md border border-black px-3 py-2"
+          onChange={hashFile}
+        />
+      </label>
+      <input
+        className="rounded-md border border-black px-3 py-2 font-mono"
+        placeholder="MRV data hash (or e.g. ipfs://…)"
+        value={isHashing ? 'Hashing…' : mrvDataHash}
+        disabled={isHashing}
+        onChange={(e) => setMrvDataHash(e.target.value)}
+      />
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        list="verification-standards"
+        placeholder="Verification standard"
+        value={verificationStandard}
+        onChange={(e) => setVerificationStandard(e.target.value)}
+      />
+      <datalist id="verification-standards">
+        {standards.map((standard) => (
+          <option key={standard} value={standard} />
+        ))}
+      </datalist>
+      <input
+        className="rounded-md border border-black px-3 py-2"
+        list="credit-types"
+        placeholder="Credit type"
+        value={creditType}
+        onChange={(e) => setCreditType(e.target.value)}
+      />
+      <datalist id="credit-types">
+        {creditTypes.map((type) => (
+          <option key={type} value={type} />
+        ))}
+      </datalist>
+      <button
+        className="rounded-md bg-forest px-4 py-2 text-snow disabled:bg-disabled"
+        disabled={!isConnected || !isComplete || isHashing || isPending}
+        onClick={propose}
+      >
+        {isPending ? 'Proposing…' : 'Propose issuance'}
+      </button>
+      {error && <p className="text-sm text-error">{error}</p>}
+    </div>
+  );
+}
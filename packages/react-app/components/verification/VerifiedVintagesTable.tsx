@@ -0,0 +1,144 @@
+import { useState } from 'react';
+
+import { batchKey } from '@/hooks/useCreditBatches';
+import { useVerifiedVintages } from '@/hooks/useVerifiedVintages';
+import { formatCarbon, parseIntegerInput } from '@/lib/format';
+
+/**
+ * Lists the verified vintages of CarbonCreditToken, or only those with
+ * issued credits, filtered on-chain by standard, credit type and vintage
+ * range. Standards and credit types match exactly. The vintages are shown a
+ * page at a time, in verification order.
+ */
+export default function VerifiedVintagesTable() {
+  const [list, setList] = useState<'verified' | 'issued'>('verified');
+  const [standard, setStandard] = useState('');
+  const [creditType, setCreditType] = useState('');
+  const [fromInput, setFromInput] = useState('');
+  const [toInput, setToInput] = useState('');
+  // Offsets of the pages visited so far; the last one is shown
+  const [offsets, setOffsets] = useState([BigInt(0)]);
+  const { vintages, matchCount, nextOffset, hasMore, isLoading } =
+    useVerifiedVintages(
+      {
+        issuedOnly: list === 'issued',
+        verificationStandard: standard.trim(),
+        creditType: creditType.trim(),
+        fromYear: parseIntegerInput(fromInput),
+        toYear: parseIntegerInput(toInput),
+      },
+      offsets[offsets.length - 1]
+    );
+
+  // Changing a filter starts over from the first page
+  const refilter = (set: (value: string) => void, value: string) => {
+    set(value);
+    setOffsets([BigInt(0)]);
+  };
+
+  const input = (
+    value: string,
+    onChange: (value: string) => void,
+    placeholder: string,
+    width: string
+  ) => (
+    <input
+      className={`${width} rounded-md border border-black px-3 py-2`}
+      placeholder={placeholder}
+      value={value}
+      onChange={(e) => refilter(onChange, e.target.value)}
+    />
+  );
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex flex-wrap gap-2">
+        {(['verified', 'issued'] as const).map((option) => (
+          <button
+            key={option}
+            className={`rounded-md border border-black px-3 py-2 ${
+              list === option ? 'bg-forest text-snow' : ''
+            }`}
+            onClick={() => {
+              setList(option);
+              setOffsets([BigInt(0)]);
+            }}
+          >
+            {option === 'verified' ? 'All verified' : 'With issued credits'}
+          </button>
+        ))}
+        {input(standard, setStandard, 'Any standard', 'w-40')}
+        {input(creditType, setCreditType, 'Any credit type', 'w-40')}
+        {input(fromInput, setFromInput, 'From year', 'w-28')}
+        {input(toInput, setToInput, 'To year', 'w-28')}
+      </div>
+      {matchCount !== undefined && (
+        <p className="text-sm text-wood">
+          {matchCount.toString()} vintage{matchCount === BigInt(1) ? '' : 's'}{' '}
+          match.
+        </p>
+      )}
+      {isLoading ? (
+        <p>Loading vintages…</p>
+      ) : vintages.length === 0 ? (
+        <p className="text-wood">
+          {hasMore ? 'No matches on this page.' : 'No vintages match.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full border border-black bg-snow text-left text-sm">
+            <thead className="border-b border-black bg-sand">
+              <tr>
+                <th className="px-3 py-2">Credits</th>
+                <th className="px-3 py-2">Standard</th>
+                <th className="px-3 py-2">Credit type</th>
+                <th className="px-3 py-2">Verified</th>
+                <th className="px-3 py-2">Issued</th>
+                <th className="px-3 py-2">MRV data</th>
+              </tr>
+            </thead>
+            <tbody>
+              {vintages.map((v) => (
+                <tr key={batchKey(v)} className="border-b border-sand">
+                  <td className="px-3 py-2">
+                    #{v.creditsId.toString()} / {v.vintageYear.toString()}
+                  </td>
+                  <td className="px-3 py-2">{v.verificationStandard}</td>
+                  <td className="px-3 py-2">{v.creditType}</td>
+                  <td className="px-3 py-2">
+                    {formatCarbon(v.verifiedTonnage)} t
+                  </td>
+                  <td className="px-3 py-2">
+                    {formatCarbon(v.issuedAmount)} t
+                  </td>
+                  <td
+                    className="max-w-xs truncate px-3 py-2 font-mono"
+                    title={v.mrvDataHash}
+                  >
+                    {v.mrvDataHash}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="flex gap-2">
+        <button
+          className="rounded-md border border-black px-3 py-2 disabled:text-disabled"
+          disabled={offsets.length === 1}
+          onClick={() => setOffsets(offsets.slice(0, -1))}
+        >
+          Previous
+        </button>
+        <button
+          className="rounded-md border border-black px-3 py-2 disabled:text-disabled"
+          disabled={!hasMore}
+          onClick={() => setOffsets([...offsets, nextOffset])}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+}
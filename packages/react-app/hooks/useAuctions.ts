@@ -0,0 +1,89 @@
+import type { Address } from 'viem';
+import { useReadContract, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export type AuctionType = 'English' | 'Dutch';
+
+export interface Auction {
+  auctionId: bigint;
+  tokenId: bigint;
+  seller: Address;
+  auctionType: AuctionType;
+  paymentToken: Address;
+  startPrice: bigint;
+  reservePrice: bigint;
+  startTime: bigint;
+  endTime: bigint;
+  highestBidder: Address;
+  highestBid: bigint;
+  /** Leading bid (English) or declining price (Dutch) at the latest block. */
+  currentPrice: bigint;
+}
+
+// Public mapping getter tuple; the AuctionType enum is returned as a number.
+type AuctionResult = [
+  bigint,
+  Address,
+  number,
+  Address,
+  bigint,
+  bigint,
+  bigint,
+  bigint,
+  Address,
+  bigint,
+  boolean
+];
+
+/** Reads every auction on CarbonCreditMarketplace that has not been settled or cancelled. */
+export function useAuctions() {
+  const { marketplaceContract } = useContracts();
+  const { data: auctionCount } = useReadContract({
+    ...marketplaceContract,
+    functionName: 'auctionCount',
+  });
+  const auctionIds = Array.from(
+    { length: Number((auctionCount as bigint | undefined) ?? BigInt(0)) },
+    (_, i) => BigInt(i)
+  );
+
+  const { data, isLoading } = useReadContracts({
+    contracts: auctionIds.flatMap((auctionId) => [
+      {
+        ...marketplaceContract,
+        functionName: 'auctions',
+        args: [auctionId],
+      } as const,
+      {
+        ...marketplaceContract,
+        functionName: 'currentPrice',
+        args: [auctionId],
+      } as const,
+    ]),
+    query: { enabled: auctionIds.length > 0 },
+  });
+
+  const auctions: Auction[] = [];
+  auctionIds.forEach((auctionId, i) => {
+    const auction = data?.[i * 2]?.result as AuctionResult | undefined;
+    if (!auction || !auction[10]) return;
+    auctions.push({
+      auctionId,
+      tokenId: auction[0],
+      seller: auction[1],
+      auctionType: auction[2] === 0 ? 'English' : 'Dutch',
+      paymentToken: auction[3],
+      startPrice: auction[4],
+      reservePrice: auction[5],
+      startTime: auction[6],
+      endTime: auction[7],
+      highestBidder: auction[8],
+      highestBid: auction[9],
+      currentPrice:
+        (data?.[i * 2 + 1]?.result as bigint | undefined) ?? BigInt(0),
+    });
+  });
+
+  return { auctions, isLoading };
+}
@@ -0,0 +1,69 @@
+import { useQueryClient } from '@tanstack/react-query';
+import { useCallback, useState } from 'react';
+import { type Abi, BaseError, encodeFunctionData } from 'viem';
+import { useConfig, useWriteContract } from 'wagmi';
+import { getAccount, waitForTransactionReceipt } from 'wagmi/actions';
+
+import { canRelay, relayRequest, signForwardRequest } from '@/lib/relayer';
+
+type WriteParameters = Parameters<
+  ReturnType<typeof useWriteContract>['writeContractAsync']
+>[0];
+
+// The ABIs are imported from JSON, so payable functions can't be told apart
+// from the rest at the type level; allow `value` on every request.
+type WriteRequest = Omit<WriteParameters, 'value'> & { value?: bigint };
+
+/**
+ * Sends a contract write, waits for it to be mined and refreshes every
+ * cached contract read so that listings and balances pick up the change.
+ * MiniPay users, who may hold no CELO for gas, sign the call instead and
+ * the relayer submits it through CarbonCreditForwarder; calls sending CELO
+ * are always sent by the wallet.
+ */
+export function useContractTransaction() {
+  const config = useConfig();
+  const queryClient = useQueryClient();
+  const { writeContractAsync } = useWriteContract();
+  const [isPending, setIsPending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const execute = useCallback(
+    async (request: WriteRequest) => {
+      setIsPending(true);
+      setError(null);
+      try {
+        const hash =
+          canRelay(getAccount(config).chainId, request.address) &&
+          !request.value
+            ? await relayRequest(
+                await signForwardRequest(
+                  config,
+                  request.address,
+                  encodeFunctionData({
+                    abi: request.abi as Abi,
+                    functionName: request.functionName,
+                    args: request.args as readonly unknown[],
+                  })
+                )
+              )
+            : await writeContractAsync(request as WriteParameters);
+        const receipt = await waitForTransactionReceipt(config, { hash });
+        await queryClient.invalidateQueries();
+        return receipt;
+      } catch (err) {
+        setError(
+          err instanceof BaseError
+            ? err.shortMessage
+            : (err as Error).message ?? 'Transaction failed'
+        );
+        return undefined;
+      } finally {
+        setIsPending(false);
+      }
+    },
+    [config, queryClient, writeContractAsync]
+  );
+
+  return { execute, isPending, error };
+}
@@ -0,0 +1,16 @@
+import { useMemo } from 'react';
+import { useAccount, useChainId } from 'wagmi';
+
+import { getContracts } from '@/lib/contracts';
+
+/**
+ * Returns the contract configs of the wallet's chain (or of the configured
+ * chain while disconnected), so that reads and writes follow the network
+ * picked in AppProvider's chain switcher.
+ */
+export function useContracts() {
+  const { chainId: accountChainId } = useAccount();
+  const configChainId = useChainId();
+  const chainId = accountChainId ?? configChainId;
+  return useMemo(() => getContracts(chainId), [chainId]);
+}
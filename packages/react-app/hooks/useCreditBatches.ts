@@ -0,0 +1,37 @@
+import type { Address } from 'viem';
+import { useReadContract } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export interface CreditBatch {
+  creditsId: bigint;
+  vintageYear: bigint;
+  amount: bigint;
+}
+
+/** Reads the CarbonCreditToken batches (creditsId, vintageYear) held by an account. */
+export function useCreditBatches(account: Address | undefined) {
+  const { tokenContract } = useContracts();
+  const { data, isLoading } = useReadContract({
+    ...tokenContract,
+    functionName: 'getBatchesOf',
+    args: account ? [account] : undefined,
+    query: { enabled: !!account },
+  });
+  const [creditsIds, vintageYears, amounts] = (data as
+    | [bigint[], bigint[], bigint[]]
+    | undefined) ?? [[], [], []];
+
+  const batches: CreditBatch[] = creditsIds.map((creditsId, i) => ({
+    creditsId,
+    vintageYear: vintageYears[i],
+    amount: amounts[i],
+  }));
+
+  return { batches, isLoading };
+}
+
+/** Identifies a batch in form state, e.g. `"3-2024"`. */
+export function batchKey(batch: { creditsId: bigint; vintageYear: bigint }) {
+  return `${batch.creditsId}-${batch.vintageYear}`;
+}
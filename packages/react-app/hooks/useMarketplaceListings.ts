@@ -0,0 +1,138 @@
+import type { Address } from 'viem';
+import { useReadContract, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export interface NFTListing {
+  tokenId: bigint;
+  seller: Address;
+  price: bigint;
+  paymentToken: Address;
+  carbonTons: bigint;
+  creditsId: bigint;
+  vintageYear: bigint;
+}
+
+export interface TokenListing {
+  listingId: bigint;
+  seller: Address;
+  creditsId: bigint;
+  vintageYear: bigint;
+  /** Amount still for sale; partial fills reduce it. */
+  amount: bigint;
+  pricePerUnit: bigint;
+  paymentToken: Address;
+}
+
+// Public mapping getters return the struct fields as a positional tuple.
+type NFTListingResult = [bigint, Address, bigint, Address, boolean];
+type TokenListingResult = [
+  Address,
+  bigint,
+  bigint,
+  bigint,
+  bigint,
+  Address,
+  boolean
+];
+type CreditBatchResult = [bigint, bigint];
+
+function range(count: bigint | undefined) {
+  return Array.from({ length: Number(count ?? BigInt(0)) }, (_, i) =>
+    BigInt(i)
+  );
+}
+
+/**
+ * Reads every NFT and token listing from CarbonCreditMarketplace and returns
+ * the ones that are still active.
+ *
+ * NFT listings are keyed by token ID, so every minted token ID is checked;
+ * token listings are keyed by a sequential listing ID.
+ */
+export function useMarketplaceListings() {
+  const { marketplaceContract, nftContract } = useContracts();
+  const { data: tokenIdCounter } = useReadContract({
+    ...nftContract,
+    functionName: 'tokenIdCounter',
+  });
+  const { data: tokenListingCount } = useReadContract({
+    ...marketplaceContract,
+    functionName: 'tokenListingCount',
+  });
+
+  const tokenIds = range(tokenIdCounter);
+  const listingIds = range(tokenListingCount);
+
+  const nftReads = useReadContracts({
+    contracts: tokenIds.flatMap((tokenId) => [
+      {
+        ...marketplaceContract,
+        functionName: 'nftListings',
+        args: [tokenId],
+      } as const,
+      {
+        ...nftContract,
+        functionName: 'carbonAmount',
+        args: [tokenId],
+      } as const,
+      { ...nftContract, functionName: 'creditBatch', args: [tokenId] } as const,
+    ]),
+    query: { enabled: tokenIds.length > 0 },
+  });
+  const tokenReads = useReadContracts({
+    contracts: listingIds.map(
+      (listingId) =>
+        ({
+          ...marketplaceContract,
+          functionName: 'tokenListings',
+          args: [listingId],
+        } as const)
+    ),
+    query: { enabled: listingIds.length > 0 },
+  });
+
+  const nftListings: NFTListing[] = [];
+  tokenIds.forEach((tokenId, i) => {
+    const listing = nftReads.data?.[i * 3]?.result as
+      | NFTListingResult
+      | undefined;
+    const carbonTons = nftReads.data?.[i * 3 + 1]?.result as bigint | undefined;
+    const batch = nftReads.data?.[i * 3 + 2]?.result as
+      | CreditBatchResult
+      | undefined;
+    if (!listing || !listing[4]) return;
+    nftListings.push({
+      tokenId,
+      seller: listing[1],
+      price: listing[2],
+      paymentToken: listing[3],
+      carbonTons: carbonTons ?? BigInt(0),
+      creditsId: batch?.[0] ?? BigInt(0),
+      vintageYear: batch?.[1] ?? BigInt(0),
+    });
+  });
+
+  const tokenListings: TokenListing[] = [];
+  listingIds.forEach((listingId, i) => {
+    const listing = tokenReads.data?.[i]?.result as
+      | TokenListingResult
+      | undefined;
+    if (!listing || !listing[6]) return;
+    tokenListings.push({
+      listingId,
+      seller: listing[0],
+      creditsId: listing[1],
+      vintageYear: listing[2],
+      amount: listing[3],
+      pricePerUnit: listing[4],
+      paymentToken: listing[5],
+    });
+  });
+
+  return {
+    nftListings,
+    tokenListings,
+    isLoading: nftReads.isLoading || tokenReads.isLoading,
+  };
+}
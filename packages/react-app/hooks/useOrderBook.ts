@@ -0,0 +1,182 @@
+import { useQuery } from '@tanstack/react-query';
+import type { Address } from 'viem';
+import { useChainId, usePublicClient } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export interface BuyOrder {
+  orderId: bigint;
+  buyer: Address;
+  creditsId: bigint;
+  vintageYear: bigint;
+  /** Amount still wanted; fills reduce it. */
+  amount: bigint;
+  pricePerUnit: bigint;
+  paymentToken: Address;
+}
+
+export interface DepthLevel {
+  pricePerUnit: bigint;
+  amount: bigint;
+  orders: number;
+}
+
+/** Bids and asks for one batch, priced in one currency. */
+export interface OrderBookMarket {
+  creditsId: bigint;
+  vintageYear: bigint;
+  paymentToken: Address;
+  /** Highest price first. */
+  bids: DepthLevel[];
+  /** Lowest price first. */
+  asks: DepthLevel[];
+}
+
+interface OpenOrder {
+  creditsId: bigint;
+  vintageYear: bigint;
+  amount: bigint;
+  pricePerUnit: bigint;
+  paymentToken: Address;
+}
+
+// The marketplace ABI is imported from JSON, so event args are untyped.
+interface MarketplaceLog {
+  eventName: string;
+  args: Record<string, unknown>;
+}
+
+function marketKey(order: OpenOrder) {
+  return `${order.creditsId}-${
+    order.vintageYear
+  }-${order.paymentToken.toLowerCase()}`;
+}
+
+function aggregate(orders: OpenOrder[], highestFirst: boolean) {
+  const levels = new Map<bigint, DepthLevel>();
+  orders.forEach((order) => {
+    const level = levels.get(order.pricePerUnit) ?? {
+      pricePerUnit: order.pricePerUnit,
+      amount: BigInt(0),
+      orders: 0,
+    };
+    level.amount += order.amount;
+    level.orders += 1;
+    levels.set(order.pricePerUnit, level);
+  });
+  return Array.from(levels.values()).sort((a, b) =>
+    (
+      highestFirst
+        ? a.pricePerUnit < b.pricePerUnit
+        : a.pricePerUnit > b.pricePerUnit
+    )
+      ? 1
+      : -1
+  );
+}
+
+/**
+ * Replays the marketplace's listing and buy order events to rebuild the open
+ * order book: every active bid, plus the depth (amount per price level) of
+ * bids and asks for each batch and currency.
+ *
+ * Logs are fetched from the first block on every refresh, which suits a local
+ * node or a young deployment; busy networks should read from an indexer.
+ */
+export function useOrderBook() {
+  const { marketplaceContract } = useContracts();
+  const chainId = useChainId();
+  const client = usePublicClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['orderBook', chainId, marketplaceContract.address],
+    enabled: !!client && !!marketplaceContract.address,
+    queryFn: async () => {
+      const logs = (await client!.getContractEvents({
+        ...marketplaceContract,
+        fromBlock: BigInt(0),
+      })) as unknown as MarketplaceLog[];
+
+      const asks = new Map<bigint, OpenOrder>();
+      const bids = new Map<bigint, BuyOrder>();
+      logs.forEach(({ eventName, args }) => {
+        switch (eventName) {
+          case 'TokenListed':
+            asks.set(args.listingId as bigint, {
+              creditsId: args.creditsId as bigint,
+              vintageYear: args.vintageYear as bigint,
+              amount: args.amount as bigint,
+              pricePerUnit: args.pricePerUnit as bigint,
+              paymentToken: args.paymentToken as Address,
+            });
+            break;
+          case 'TokenSold': {
+            const ask = asks.get(args.listingId as bigint);
+            if (ask) ask.amount = args.remainingAmount as bigint;
+            break;
+          }
+          case 'TokenListingCancelled':
+            asks.delete(args.listingId as bigint);
+            break;
+          case 'BuyOrderPlaced':
+            bids.set(args.orderId as bigint, {
+              orderId: args.orderId as bigint,
+              buyer: args.buyer as Address,
+              creditsId: args.creditsId as bigint,
+              vintageYear: args.vintageYear as bigint,
+              amount: args.amount as bigint,
+              pricePerUnit: args.pricePerUnit as bigint,
+              paymentToken: args.paymentToken as Address,
+            });
+            break;
+          case 'BuyOrderFilled': {
+            const bid = bids.get(args.orderId as bigint);
+            if (bid) bid.amount = args.remainingAmount as bigint;
+            break;
+          }
+          case 'BuyOrderCancelled':
+            bids.delete(args.orderId as bigint);
+            break;
+        }
+      });
+
+      const openAsks = Array.from(asks.values()).filter((a) => a.amount > 0);
+      const openBids = Array.from(bids.values()).filter((b) => b.amount > 0);
+
+      const markets = new Map<string, OrderBookMarket>();
+      const marketFor = (order: OpenOrder) => {
+        const key = marketKey(order);
+        if (!markets.has(key)) {
+          markets.set(key, {
+            creditsId: order.creditsId,
+            vintageYear: order.vintageYear,
+            paymentToken: order.paymentToken,
+            bids: [],
+            asks: [],
+          });
+        }
+        return markets.get(key)!;
+      };
+      openAsks.forEach(marketFor);
+      openBids.forEach(marketFor);
+      markets.forEach((market, key) => {
+        market.asks = aggregate(
+          openAsks.filter((a) => marketKey(a) === key),
+          false
+        );
+        market.bids = aggregate(
+          openBids.filter((b) => marketKey(b) === key),
+          true
+        );
+      });
+
+      return { buyOrders: openBids, markets: Array.from(markets.values()) };
+    },
+  });
+
+  return {
+    buyOrders: data?.buyOrders ?? [],
+    markets: data?.markets ?? [],
+    isLoading,
+  };
+}
@@ -0,0 +1,35 @@
+import { type Address, erc20Abi } from 'viem';
+import { useAccount, useReadContract } from 'wagmi';
+
+import { isNativeCurrency } from '@/lib/currencies';
+import { useContracts } from '@/hooks/useContracts';
+
+/**
+ * Checks whether the connected account lets the marketplace pull `price` of
+ * a listing's ERC-20 payment token. CELO listings are paid with the
+ * transaction value and never need an approval.
+ */
+export function usePaymentAllowance(paymentToken: Address, price: bigint) {
+  const { marketplaceContract } = useContracts();
+  const { address } = useAccount();
+  const isNative = isNativeCurrency(paymentToken);
+
+  const { data: allowance } = useReadContract({
+    address: paymentToken,
+    abi: erc20Abi,
+    functionName: 'allowance',
+    args: [address as Address, marketplaceContract.address],
+    query: { enabled: !!address && !isNative },
+  });
+
+  return {
+    isNative,
+    isApproved: isNative || (allowance ?? BigInt(0)) >= price,
+    approveRequest: {
+      address: paymentToken,
+      abi: erc20Abi,
+      functionName: 'approve',
+      args: [marketplaceContract.address, price],
+    } as const,
+  };
+}
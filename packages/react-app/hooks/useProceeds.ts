@@ -0,0 +1,32 @@
+import type { Address } from 'viem';
+import { useAccount, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+import { paymentCurrencies } from '@/lib/currencies';
+
+/**
+ * Reads the connected account's withdrawable marketplace proceeds — sale
+ * payouts, royalties and refunded bids — in every configured currency.
+ */
+export function useProceeds() {
+  const { marketplaceContract } = useContracts();
+  const { address } = useAccount();
+  const { data } = useReadContracts({
+    contracts: paymentCurrencies.map(
+      (currency) =>
+        ({
+          ...marketplaceContract,
+          functionName: 'proceeds',
+          args: [address as Address, currency.address],
+        } as const)
+    ),
+    query: { enabled: !!address },
+  });
+
+  return paymentCurrencies
+    .map((currency, i) => ({
+      paymentToken: currency.address,
+      amount: (data?.[i]?.result as bigint | undefined) ?? BigInt(0),
+    }))
+    .filter((owed) => owed.amount > BigInt(0));
+}
@@ -0,0 +1,112 @@
+import type { Address } from 'viem';
+import { useReadContract, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export interface Retirement {
+  certificateId: bigint;
+  retiree: Address;
+  beneficiary: string;
+  reason: string;
+  creditsId: bigint;
+  vintageYear: bigint;
+  amount: bigint;
+  isNFT: boolean;
+  nftTokenId: bigint;
+  retiredAt: bigint;
+}
+
+// The `retirements` getter returns the struct fields as a positional tuple.
+type RetirementResult = [
+  Address,
+  string,
+  string,
+  bigint,
+  bigint,
+  bigint,
+  boolean,
+  bigint,
+  bigint
+];
+
+function toRetirement(
+  certificateId: bigint,
+  result: RetirementResult
+): Retirement {
+  const [
+    retiree,
+    beneficiary,
+    reason,
+    creditsId,
+    vintageYear,
+    amount,
+    isNFT,
+    nftTokenId,
+    retiredAt,
+  ] = result;
+  return {
+    certificateId,
+    retiree,
+    beneficiary,
+    reason,
+    creditsId,
+    vintageYear,
+    amount,
+    isNFT,
+    nftTokenId,
+    retiredAt,
+  };
+}
+
+/** Reads a single retirement certificate from CarbonCreditRetirement. */
+export function useRetirement(certificateId: bigint | undefined) {
+  const { retirementContract } = useContracts();
+  const { data, isLoading } = useReadContract({
+    ...retirementContract,
+    functionName: 'retirements',
+    args: certificateId !== undefined ? [certificateId] : undefined,
+    query: { enabled: certificateId !== undefined },
+  });
+  const result = data as RetirementResult | undefined;
+
+  return {
+    // Unknown certificate IDs read back as an empty record.
+    retirement:
+      certificateId !== undefined && result && Number(result[8]) > 0
+        ? toRetirement(certificateId, result)
+        : undefined,
+    isLoading,
+  };
+}
+
+/** Reads every retirement certificate held by a retiree. */
+export function useRetirementsByRetiree(retiree: Address | undefined) {
+  const { retirementContract } = useContracts();
+  const { data: certificateIds } = useReadContract({
+    ...retirementContract,
+    functionName: 'getRetirementsByRetiree',
+    args: retiree ? [retiree] : undefined,
+    query: { enabled: !!retiree },
+  });
+  const ids = (certificateIds as bigint[] | undefined) ?? [];
+
+  const { data, isLoading } = useReadContracts({
+    contracts: ids.map(
+      (certificateId) =>
+        ({
+          ...retirementContract,
+          functionName: 'retirements',
+          args: [certificateId],
+        } as const)
+    ),
+    query: { enabled: ids.length > 0 },
+  });
+
+  const retirements: Retirement[] = [];
+  ids.forEach((certificateId, i) => {
+    const result = data?.[i]?.result as RetirementResult | undefined;
+    if (result) retirements.push(toRetirement(certificateId, result));
+  });
+
+  return { retirements, isLoading };
+}
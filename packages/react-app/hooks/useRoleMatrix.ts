@@ -0,0 +1,148 @@
+import { keccak256, toHex, zeroHash, type Address, type Hex } from 'viem';
+import { useAccount, useReadContract, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+import type { Contracts } from '@/lib/contracts';
+
+export interface ManagedRole {
+  name: string;
+  role: Hex;
+}
+
+export interface ManagedContract {
+  name: string;
+  address: Address;
+  roles: ManagedRole[];
+}
+
+const role = (name: string): ManagedRole => ({
+  name,
+  role: name === 'DEFAULT_ADMIN_ROLE' ? zeroHash : keccak256(toHex(name)),
+});
+
+// Roles each contract defines, as granted through RoleManager (which also
+// lists its own governance approvers)
+const managedContractsOf = ({
+  converterContract,
+  marketplaceContract,
+  nftContract,
+  projectRegistryContract,
+  roleManagerContract,
+  tokenContract,
+  verificationContract,
+}: Contracts): ManagedContract[] =>
+  [
+    {
+      name: 'RoleManager',
+      address: roleManagerContract.address,
+      roles: [role('DEFAULT_ADMIN_ROLE'), role('APPROVER_ROLE')],
+    },
+    {
+      name: 'CarbonCreditNFT',
+      address: nftContract.address,
+      roles: [
+        role('DEFAULT_ADMIN_ROLE'),
+        role('MINTER_ROLE'),
+        role('CONVERTER_ROLE'),
+        role('GUARDIAN_ROLE'),
+      ],
+    },
+    {
+      name: 'CarbonCreditToken',
+      address: tokenContract.address,
+      roles: [
+        role('DEFAULT_ADMIN_ROLE'),
+        role('VERIFIER_ROLE'),
+        role('CONVERTER_ROLE'),
+        role('ISSUER_ROLE'),
+        role('GUARDIAN_ROLE'),
+      ],
+    },
+    {
+      name: 'CarbonCreditConverter',
+      address: converterContract.address,
+      roles: [role('DEFAULT_ADMIN_ROLE'), role('GUARDIAN_ROLE')],
+    },
+    {
+      name: 'CarbonCreditMarketplace',
+      address: marketplaceContract.address,
+      roles: [
+        role('DEFAULT_ADMIN_ROLE'),
+        role('FEE_MANAGER_ROLE'),
+        role('GUARDIAN_ROLE'),
+      ],
+    },
+    {
+      name: 'CarbonCreditProjectRegistry',
+      address: projectRegistryContract.address,
+      roles: [role('DEFAULT_ADMIN_ROLE'), role('VERIFIER_ROLE')],
+    },
+    {
+      name: 'CarbonCreditVerification',
+      address: verificationContract.address,
+      roles: [
+        role('DEFAULT_ADMIN_ROLE'),
+        role('VERIFIER_ROLE'),
+        role('AUDITOR_ROLE'),
+      ],
+    },
+  ].filter((managed) => !!managed.address);
+
+/** One column of the role matrix: a role in a contract. */
+export interface RoleColumn {
+  contract: ManagedContract;
+  role: ManagedRole;
+  members: Address[];
+}
+
+/**
+ * Reads the members of every role in every contract administered through
+ * RoleManager, and whether the connected account is a RoleManager admin.
+ */
+export function useRoleMatrix() {
+  const contracts = useContracts();
+  const { roleManagerContract } = contracts;
+  const { address } = useAccount();
+  const { data: isAdmin } = useReadContract({
+    ...roleManagerContract,
+    functionName: 'hasRole',
+    args: address ? [zeroHash, address] : undefined,
+    query: { enabled: !!address },
+  });
+
+  const pairs = managedContractsOf(contracts).flatMap((contract) =>
+    contract.roles.map((role) => ({ contract, role }))
+  );
+  const { data, isLoading } = useReadContracts({
+    contracts: pairs.map(({ contract, role }) => ({
+      ...roleManagerContract,
+      functionName: 'getRoleMembersInContract',
+      args: [role.role, contract.address],
+    })),
+  });
+
+  const columns: RoleColumn[] = pairs.map((pair, i) => ({
+    ...pair,
+    members: (data?.[i]?.result as Address[] | undefined) ?? [],
+  }));
+
+  // Every account holding at least one role, in the order first seen
+  const accounts: Address[] = [];
+  columns.forEach(({ members }) =>
+    members.forEach((member) => {
+      if (
+        !accounts.some(
+          (account) => account.toLowerCase() === member.toLowerCase()
+        )
+      )
+        accounts.push(member);
+    })
+  );
+
+  return {
+    columns,
+    accounts,
+    isAdmin: isAdmin === true,
+    isLoading,
+  };
+}
@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import { useChainId, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+import {
+  type NFTOrder,
+  type SignedOrder,
+  type TokenOrder,
+  loadOrders,
+  subscribeOrders,
+} from '@/lib/orders';
+
+export type SignedNFTOrder = SignedOrder & { kind: 'nft'; order: NFTOrder };
+
+export type SignedTokenOrder = SignedOrder & {
+  kind: 'token';
+  order: TokenOrder;
+  /** Amount still for sale; partial fills reduce it. */
+  remaining: bigint;
+};
+
+/**
+ * Reads the signed orders of the connected chain from the local order store
+ * and returns the ones that can still be filled: the seller has not bumped
+ * their order nonce since signing, the deadline has not passed and the
+ * marketplace's `orderFills` leaves something to buy.
+ */
+export function useSignedOrders() {
+  const { marketplaceContract } = useContracts();
+  const chainId = useChainId();
+  const [orders, setOrders] = useState<SignedOrder[]>([]);
+
+  useEffect(() => {
+    const refresh = () => setOrders(loadOrders());
+    refresh();
+    return subscribeOrders(refresh);
+  }, []);
+
+  const chainOrders = orders.filter((order) => order.chainId === chainId);
+  const sellers = Array.from(
+    new Set(chainOrders.map((order) => order.order.seller))
+  );
+
+  const { data: nonces, isLoading: isLoadingNonces } = useReadContracts({
+    contracts: sellers.map(
+      (seller) =>
+        ({
+          ...marketplaceContract,
+          functionName: 'orderNonces',
+          args: [seller],
+        } as const)
+    ),
+    query: { enabled: sellers.length > 0 },
+  });
+  const { data: fills, isLoading: isLoadingFills } = useReadContracts({
+    contracts: chainOrders.map(
+      (order) =>
+        ({
+          ...marketplaceContract,
+          functionName: 'orderFills',
+          args: [order.hash],
+        } as const)
+    ),
+    query: { enabled: chainOrders.length > 0 },
+  });
+
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  const nftOrders: SignedNFTOrder[] = [];
+  const tokenOrders: SignedTokenOrder[] = [];
+  chainOrders.forEach((order, i) => {
+    const nonce = nonces?.[sellers.indexOf(order.order.seller)]?.result;
+    const filled = fills?.[i]?.result;
+    if (nonce === undefined || filled === undefined) return;
+    if (nonce !== order.order.nonce || order.order.deadline < now) return;
+
+    if (order.kind === 'nft') {
+      if (filled === BigInt(0)) nftOrders.push(order);
+    } else if (filled < order.order.amount) {
+      tokenOrders.push({ ...order, remaining: order.order.amount - filled });
+    }
+  });
+
+  return {
+    nftOrders,
+    tokenOrders,
+    isLoading: isLoadingNonces || isLoadingFills,
+  };
+}
@@ -0,0 +1,57 @@
+import { useCallback } from 'react';
+import { type Address, parseSignature } from 'viem';
+import { useConfig } from 'wagmi';
+import { getAccount, readContract, signTypedData } from 'wagmi/actions';
+
+import { getContracts } from '@/lib/contracts';
+
+const permitTypes = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+} as const;
+
+/**
+ * Signs EIP-2612 permits letting `spender` spend the connected account's
+ * CarbonCreditTokens, so contracts taking a permit (e.g.
+ * `listTokensWithPermit`) need no separate approve transaction. Permits are
+ * valid for an hour.
+ */
+export function useTokenPermit(spender: Address) {
+  const config = useConfig();
+
+  const signPermit = useCallback(
+    async (value: bigint) => {
+      const { address: owner, chainId } = getAccount(config);
+      if (!owner || !chainId) throw new Error('Connect a wallet first');
+      const { tokenContract } = getContracts(chainId);
+
+      const nonce = (await readContract(config, {
+        ...tokenContract,
+        functionName: 'nonces',
+        args: [owner],
+      })) as bigint;
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 60);
+      const signature = await signTypedData(config, {
+        domain: {
+          name: 'CarbonCreditToken',
+          version: '1',
+          chainId,
+          verifyingContract: tokenContract.address,
+        },
+        types: permitTypes,
+        primaryType: 'Permit',
+        message: { owner, spender, value, nonce, deadline },
+      });
+      const { r, s, v, yParity } = parseSignature(signature);
+      return { deadline, v: Number(v ?? BigInt(27 + yParity)), r, s };
+    },
+    [config, spender]
+  );
+
+  return { signPermit };
+}
@@ -0,0 +1,77 @@
+import { useQuery } from '@tanstack/react-query';
+import type { Address } from 'viem';
+import { useChainId, usePublicClient, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+import { paymentCurrencies } from '@/lib/currencies';
+
+export interface FeeCollection {
+  paymentToken: Address;
+  seller: Address;
+  amount: bigint;
+  blockNumber: bigint;
+  transactionHash: string;
+}
+
+/**
+ * Reads the marketplace's protocol fee settings, the uncollected treasury
+ * balance in each configured currency, and the most recent ProtocolFeeCollected
+ * events (newest first).
+ */
+export function useTreasury(recentFeeCount = 10) {
+  const { marketplaceContract } = useContracts();
+  const chainId = useChainId();
+  const client = usePublicClient();
+
+  const { data: settings } = useReadContracts({
+    contracts: [
+      { ...marketplaceContract, functionName: 'protocolFeeBps' } as const,
+      { ...marketplaceContract, functionName: 'treasury' } as const,
+    ],
+  });
+  const { data: balances } = useReadContracts({
+    contracts: paymentCurrencies.map(
+      (currency) =>
+        ({
+          ...marketplaceContract,
+          functionName: 'treasuryBalance',
+          args: [currency.address],
+        } as const)
+    ),
+  });
+
+  const { data: recentFees } = useQuery({
+    queryKey: ['protocolFees', chainId, marketplaceContract.address],
+    enabled: !!client && !!marketplaceContract.address,
+    queryFn: async () => {
+      const logs = await client!.getContractEvents({
+        ...marketplaceContract,
+        eventName: 'ProtocolFeeCollected',
+        fromBlock: BigInt(0),
+      });
+      return logs
+        .slice(-recentFeeCount)
+        .reverse()
+        .map((log) => {
+          const args = log.args as Record<string, unknown>;
+          return {
+            paymentToken: args.paymentToken as Address,
+            seller: args.seller as Address,
+            amount: args.amount as bigint,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+          } as FeeCollection;
+        });
+    },
+  });
+
+  return {
+    protocolFeeBps: settings?.[0]?.result,
+    treasury: settings?.[1]?.result,
+    balances: paymentCurrencies.map((currency, i) => ({
+      paymentToken: currency.address,
+      amount: balances?.[i]?.result ?? BigInt(0),
+    })),
+    recentFees: recentFees ?? [],
+  };
+}
@@ -0,0 +1,173 @@
+import { keccak256, toHex, zeroHash, type Address } from 'viem';
+import { useAccount, useReadContract, useReadContracts } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export type ProposalStatus =
+  | 'None'
+  | 'Pending'
+  | 'Attested'
+  | 'Disputed'
+  | 'Rejected'
+  | 'Issued'
+  | 'Cancelled';
+
+// Matches the Status enum of CarbonCreditVerification
+const statuses: ProposalStatus[] = [
+  'None',
+  'Pending',
+  'Attested',
+  'Disputed',
+  'Rejected',
+  'Issued',
+  'Cancelled',
+];
+
+export interface Proposal {
+  proposalId: bigint;
+  proposer: Address;
+  recipient: Address;
+  creditsId: bigint;
+  vintageYear: bigint;
+  amount: bigint;
+  verifiedTonnage: bigint;
+  mrvDataHash: string;
+  verificationStandard: string;
+  creditType: string;
+  attestations: bigint;
+  challengeEndsAt: bigint;
+  status: ProposalStatus;
+  /** Whether the connected account attested this proposal. */
+  attestedByYou: boolean;
+}
+
+// Public mapping getter tuple; the Status enum is returned as a number.
+type ProposalResult = [
+  Address,
+  Address,
+  bigint,
+  bigint,
+  bigint,
+  bigint,
+  string,
+  string,
+  string,
+  bigint,
+  bigint,
+  number,
+  bigint
+];
+
+const VERIFIER_ROLE = keccak256(toHex('VERIFIER_ROLE'));
+const AUDITOR_ROLE = keccak256(toHex('AUDITOR_ROLE'));
+const MINTER_ROLE = keccak256(toHex('MINTER_ROLE'));
+
+/**
+ * Reads the attestation quorum and which roles the connected account holds on
+ * CarbonCreditVerification.
+ */
+export function useVerificationRoles() {
+  const { verificationContract } = useContracts();
+  const { address } = useAccount();
+  const { data: quorum } = useReadContract({
+    ...verificationContract,
+    functionName: 'quorum',
+    query: { enabled: !!address },
+  });
+  const { data } = useReadContracts({
+    contracts: [VERIFIER_ROLE, AUDITOR_ROLE, zeroHash].map(
+      (role) =>
+        ({
+          ...verificationContract,
+          functionName: 'hasRole',
+          args: [role, address as Address],
+        } as const)
+    ),
+    query: { enabled: !!address },
+  });
+
+  return {
+    quorum: quorum ?? BigInt(0),
+    isVerifier: data?.[0]?.result === true,
+    isAuditor: data?.[1]?.result === true,
+    isAdmin: data?.[2]?.result === true,
+  };
+}
+
+/**
+ * Reads whether the connected account may mint project NFTs directly
+ * (CarbonCreditNFT's MINTER_ROLE). Minted NFTs count against a vintage's
+ * issuance cap, which only an attested proposal sets.
+ */
+export function useMinterRole() {
+  const { nftContract } = useContracts();
+  const { address } = useAccount();
+  const { data: isMinter } = useReadContract({
+    ...nftContract,
+    functionName: 'hasRole',
+    args: address ? [MINTER_ROLE, address] : undefined,
+    query: { enabled: !!address },
+  });
+
+  return isMinter === true;
+}
+
+/**
+ * Reads every issuance proposal that is still open: collecting attestations,
+ * in its challenge period or disputed. Newest proposals come first.
+ */
+export function useOpenProposals() {
+  const { verificationContract } = useContracts();
+  const { address } = useAccount();
+  const { data: proposalCount } = useReadContract({
+    ...verificationContract,
+    functionName: 'proposalCount',
+  });
+  const proposalIds = Array.from(
+    { length: Number((proposalCount as bigint | undefined) ?? BigInt(0)) },
+    (_, i) => BigInt(i)
+  ).reverse();
+
+  const { data, isLoading } = useReadContracts({
+    contracts: proposalIds.flatMap((proposalId) => [
+      {
+        ...verificationContract,
+        functionName: 'proposals',
+        args: [proposalId],
+      } as const,
+      {
+        ...verificationContract,
+        functionName: 'hasAttested',
+        args: [proposalId, address as Address],
+      } as const,
+    ]),
+    query: { enabled: proposalIds.length > 0 },
+  });
+
+  const proposals: Proposal[] = [];
+  proposalIds.forEach((proposalId, i) => {
+    const proposal = data?.[i * 2]?.result as ProposalResult | undefined;
+    if (!proposal) return;
+    const status = statuses[proposal[11]];
+    if (status !== 'Pending' && status !== 'Attested' && status !== 'Disputed')
+      return;
+    proposals.push({
+      proposalId,
+      proposer: proposal[0],
+      recipient: proposal[1],
+      creditsId: proposal[2],
+      vintageYear: proposal[3],
+      amount: proposal[4],
+      verifiedTonnage: proposal[5],
+      mrvDataHash: proposal[6],
+      verificationStandard: proposal[7],
+      creditType: proposal[8],
+      attestations: proposal[9],
+      challengeEndsAt: proposal[10],
+      status,
+      attestedByYou: data?.[i * 2 + 1]?.result === true,
+    });
+  });
+
+  return { proposals, isLoading };
+}
@@ -0,0 +1,83 @@
+import { useReadContract } from 'wagmi';
+
+import { useContracts } from '@/hooks/useContracts';
+
+export interface VerifiedVintage {
+  creditsId: bigint;
+  vintageYear: bigint;
+  mrvDataHash: string;
+  verificationStandard: string;
+  creditType: string;
+  verifiedTonnage: bigint;
+  issuedAmount: bigint;
+  isIssued: boolean;
+}
+
+/** The criteria of CarbonCreditToken.ProjectFilter; empty values match any. */
+export interface VintageFilter {
+  issuedOnly: boolean;
+  verificationStandard: string;
+  creditType: string;
+  fromYear?: bigint;
+  toYear?: bigint;
+}
+
+// Largest page getProjects returns (MAX_PAGE_SIZE)
+const PAGE_SIZE = BigInt(100);
+
+// CarbonCreditToken.IssuanceFilter values
+const ANY = 0;
+const ISSUED = 1;
+
+/**
+ * Reads one page of the verified vintages of CarbonCreditToken matching
+ * `filter`, in verification order, starting from `offset`. The contract
+ * filters (`getProjects`) and counts (`countProjects`) the matches; a page
+ * may hold fewer than PAGE_SIZE of them, so the next page starts from the
+ * returned `nextOffset` rather than from the number of vintages shown.
+ */
+export function useVerifiedVintages(filter: VintageFilter, offset: bigint) {
+  const { tokenContract } = useContracts();
+  const projectFilter = {
+    creditType: filter.creditType,
+    verificationStandard: filter.verificationStandard,
+    minVintageYear: filter.fromYear ?? BigInt(0),
+    maxVintageYear: filter.toYear ?? BigInt(0),
+    issuance: filter.issuedOnly ? ISSUED : ANY,
+  };
+
+  const { data: total } = useReadContract({
+    ...tokenContract,
+    functionName: 'verifiedProjectCount',
+  });
+  const { data: matchCount } = useReadContract({
+    ...tokenContract,
+    functionName: 'countProjects',
+    args: [projectFilter],
+  });
+  const { data, isLoading } = useReadContract({
+    ...tokenContract,
+    functionName: 'getProjects',
+    args: [projectFilter, offset, PAGE_SIZE],
+  });
+
+  const [creditsIds, vintageYears, verificationData, nextOffset] = data ?? [
+    [],
+    [],
+    [],
+    offset,
+  ];
+  const vintages: VerifiedVintage[] = creditsIds.map((creditsId, i) => ({
+    creditsId,
+    vintageYear: vintageYears[i],
+    ...verificationData[i],
+  }));
+
+  return {
+    vintages,
+    matchCount,
+    nextOffset,
+    hasMore: total !== undefined && nextOffset < total,
+    isLoading,
+  };
+}
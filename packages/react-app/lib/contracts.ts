@@ -0,0 +1,96 @@
+import type { Address } from 'viem';
+
+import deployments from '@/abis/deployments.json';
+import {
+  carbonCreditConverterAbi,
+  carbonCreditForwarderAbi,
+  carbonCreditMarketplaceAbi,
+  carbonCreditNFTAbi,
+  carbonCreditProjectRegistryAbi,
+  carbonCreditRetirementAbi,
+  carbonCreditTokenAbi,
+  carbonCreditVerificationAbi,
+  roleManagerAbi,
+} from '@/lib/generated';
+
+/**
+ * Addresses for chains missing from the deployment manifest, provided
+ * through NEXT_PUBLIC_* environment variables (see `.env.example`).
+ */
+const fallbackAddresses = {
+  CarbonCreditMarketplace: process.env.NEXT_PUBLIC_MARKETPLACE_ADDRESS,
+  CarbonCreditNFT: process.env.NEXT_PUBLIC_NFT_ADDRESS,
+  CarbonCreditToken: process.env.NEXT_PUBLIC_TOKEN_ADDRESS,
+  CarbonCreditConverter: process.env.NEXT_PUBLIC_CONVERTER_ADDRESS,
+  CarbonCreditRetirement: process.env.NEXT_PUBLIC_RETIREMENT_ADDRESS,
+  CarbonCreditVerification: process.env.NEXT_PUBLIC_VERIFICATION_ADDRESS,
+  CarbonCreditProjectRegistry: process.env.NEXT_PUBLIC_PROJECT_REGISTRY_ADDRESS,
+  RoleManager: process.env.NEXT_PUBLIC_ROLE_MANAGER_ADDRESS,
+  CarbonCreditForwarder: process.env.NEXT_PUBLIC_FORWARDER_ADDRESS,
+};
+
+export type ContractName = keyof typeof fallbackAddresses;
+
+/**
+ * Returns where a contract is deployed on a chain: the address recorded in
+ * `abis/deployments.json`, which `packages/hardhat/sync-abis.js` generates
+ * from the Ignition deployments, or else the fallback address (where
+ * `sync-abis.js` records a local node's deployment).
+ */
+export function contractAddress(name: ContractName, chainId: number) {
+  const manifest = deployments as Record<
+    string,
+    Partial<Record<ContractName, string>>
+  >;
+  return (manifest[chainId]?.[name] ?? fallbackAddresses[name]) as Address;
+}
+
+/**
+ * The contract configs (address and ABI) of a chain, spread into wagmi
+ * calls. Components get the connected chain's through `useContracts`. The
+ * ABIs are the `as const` ones `sync-abis.js` generates from the Hardhat
+ * artifacts in `lib/generated.ts`, so function names and arguments are
+ * type-checked.
+ */
+export function getContracts(chainId: number) {
+  return {
+    marketplaceContract: {
+      address: contractAddress('CarbonCreditMarketplace', chainId),
+      abi: carbonCreditMarketplaceAbi,
+    },
+    nftContract: {
+      address: contractAddress('CarbonCreditNFT', chainId),
+      abi: carbonCreditNFTAbi,
+    },
+    tokenContract: {
+      address: contractAddress('CarbonCreditToken', chainId),
+      abi: carbonCreditTokenAbi,
+    },
+    converterContract: {
+      address: contractAddress('CarbonCreditConverter', chainId),
+      abi: carbonCreditConverterAbi,
+    },
+    retirementContract: {
+      address: contractAddress('CarbonCreditRetirement', chainId),
+      abi: carbonCreditRetirementAbi,
+    },
+    verificationContract: {
+      address: contractAddress('CarbonCreditVerification', chainId),
+      abi: carbonCreditVerificationAbi,
+    },
+    projectRegistryContract: {
+      address: contractAddress('CarbonCreditProjectRegistry', chainId),
+      abi: carbonCreditProjectRegistryAbi,
+    },
+    roleManagerContract: {
+      address: contractAddress('RoleManager', chainId),
+      abi: roleManagerAbi,
+    },
+    forwarderContract: {
+      address: contractAddress('CarbonCreditForwarder', chainId),
+      abi: carbonCreditForwarderAbi,
+    },
+  };
+}
+
+export type Contracts = ReturnType<typeof getContracts>;
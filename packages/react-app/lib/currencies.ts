@@ -0,0 +1,54 @@
+import { type Address, isAddressEqual, zeroAddress } from 'viem';
+
+export interface PaymentCurrency {
+  symbol: string;
+  address: Address;
+  decimals: number;
+}
+
+/** Marketplace listings use the zero address to mean native CELO. */
+export const NATIVE_CURRENCY: PaymentCurrency = {
+  symbol: 'CELO',
+  address: zeroAddress,
+  decimals: 18,
+};
+
+/**
+ * Currencies a listing can be priced in. The stablecoin addresses depend on
+ * the network (Mento cUSD/cEUR on Celo, MockStablecoin on a Hardhat node), so
+ * they come from NEXT_PUBLIC_* environment variables like the contracts do;
+ * stablecoins without a configured address are left out.
+ */
+export const paymentCurrencies: PaymentCurrency[] = [
+  NATIVE_CURRENCY,
+  {
+    symbol: 'cUSD',
+    address: process.env.NEXT_PUBLIC_CUSD_ADDRESS as Address,
+    decimals: 18,
+  },
+  {
+    symbol: 'cEUR',
+    address: process.env.NEXT_PUBLIC_CEUR_ADDRESS as Address,
+    decimals: 18,
+  },
+].filter((currency) => !!currency.address);
+
+/**
+ * Looks up the currency a listing is priced in. Tokens that are not
+ * configured are shown by their shortened address, assuming 18 decimals.
+ */
+export function getPaymentCurrency(address: Address): PaymentCurrency {
+  return (
+    paymentCurrencies.find((currency) =>
+      isAddressEqual(currency.address, address)
+    ) ?? {
+      symbol: `${address.slice(0, 6)}…${address.slice(-4)}`,
+      address,
+      decimals: 18,
+    }
+  );
+}
+
+export function isNativeCurrency(address: Address) {
+  return isAddressEqual(address, zeroAddress);
+}
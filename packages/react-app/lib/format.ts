@@ -0,0 +1,90 @@
+import { type Address, formatUnits, parseUnits, zeroAddress } from 'viem';
+
+import { getPaymentCurrency } from '@/lib/currencies';
+
+/** Shortens an address to the familiar `0x1234…abcd` form. */
+export function shortenAddress(address: string) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/**
+ * Formats a price in the smallest unit of its payment token (CELO when no
+ * token is given) as a string such as `12.5 cUSD`.
+ */
+export function formatPrice(
+  amount: bigint,
+  paymentToken: Address = zeroAddress
+) {
+  const currency = getPaymentCurrency(paymentToken);
+  return `${formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+}
+
+/**
+ * Decimals of carbon amounts: CCT balances, verified tonnage and NFT
+ * `carbonAmount` all count 10^18 units per tonne of CO₂e.
+ */
+export const CARBON_DECIMALS = 18;
+
+const TONNE = parseUnits('1', CARBON_DECIMALS);
+
+/** Formats a carbon amount in tonnes, such as `2.5` for 2.5 × 10^18 units. */
+export function formatCarbon(amount: bigint) {
+  return formatUnits(amount, CARBON_DECIMALS);
+}
+
+/**
+ * Parses a positive amount of tonnes typed into a form, with up to
+ * CARBON_DECIMALS decimals, into carbon units, if valid.
+ */
+export function parseCarbonInput(value: string) {
+  if (!/^\d+(\.\d{1,18})?$/.test(value)) return undefined;
+  const amount = parseUnits(value, CARBON_DECIMALS);
+  return amount > BigInt(0) ? amount : undefined;
+}
+
+/**
+ * Returns what the marketplace charges for `amount` carbon units at a price
+ * per whole tonne: the pro-rata price, rounded up.
+ */
+export function tokenPrice(amount: bigint, pricePerUnit: bigint) {
+  return (amount * pricePerUnit + TONNE - BigInt(1)) / TONNE;
+}
+
+/** Parses a non-negative whole number typed into a form, if valid. */
+export function parseIntegerInput(value: string) {
+  return /^\d+$/.test(value) ? BigInt(value) : undefined;
+}
+
+/**
+ * Parses a price typed into a form into the smallest unit of its payment
+ * token (CELO when no token is given), if valid.
+ */
+export function parsePriceInput(
+  value: string,
+  paymentToken: Address = zeroAddress
+) {
+  try {
+    return value
+      ? parseUnits(value, getPaymentCurrency(paymentToken).decimals)
+      : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/** Formats a block timestamp (in seconds) as a calendar date. */
+export function formatTimestamp(seconds: bigint) {
+  return new Date(Number(seconds) * 1000).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/** Formats a block timestamp (in seconds) as a date and time of day. */
+export function formatDateTime(seconds: bigint) {
+  return new Date(Number(seconds) * 1000).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
@@ -0,0 +1,230 @@
+import { type Address, type Hex, hashTypedData } from 'viem';
+import { type Config } from 'wagmi';
+import { getAccount, readContract, signTypedData } from 'wagmi/actions';
+
+import { getContracts } from '@/lib/contracts';
+
+/** EIP-712 types of the listings CarbonCreditMarketplace fills off signatures. */
+export const orderTypes = {
+  NFTOrder: [
+    { name: 'seller', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'price', type: 'uint256' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+  TokenOrder: [
+    { name: 'seller', type: 'address' },
+    { name: 'creditsId', type: 'uint256' },
+    { name: 'vintageYear', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'pricePerUnit', type: 'uint256' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+} as const;
+
+export interface NFTOrder {
+  seller: Address;
+  tokenId: bigint;
+  price: bigint;
+  paymentToken: Address;
+  nonce: bigint;
+  deadline: bigint;
+}
+
+export interface TokenOrder {
+  seller: Address;
+  creditsId: bigint;
+  vintageYear: bigint;
+  amount: bigint;
+  pricePerUnit: bigint;
+  paymentToken: Address;
+  nonce: bigint;
+  deadline: bigint;
+}
+
+type Order =
+  | { kind: 'nft'; order: NFTOrder }
+  | { kind: 'token'; order: TokenOrder };
+
+/** An order with its seller's signature, as `fillNFTOrder`/`fillTokenOrder` take it. */
+export type SignedOrder = {
+  chainId: number;
+  hash: Hex;
+  signature: Hex;
+} & Order;
+
+function marketplaceDomain(chainId: number) {
+  return {
+    name: 'CarbonCreditMarketplace',
+    version: '1',
+    chainId,
+    verifyingContract: getContracts(chainId).marketplaceContract.address,
+  };
+}
+
+/** The order hash the marketplace tracks fills under (`hashNFTOrder`/`hashTokenOrder`). */
+export function hashOrder(chainId: number, order: Order) {
+  return order.kind === 'nft'
+    ? hashTypedData({
+        domain: marketplaceDomain(chainId),
+        types: orderTypes,
+        primaryType: 'NFTOrder',
+        message: order.order,
+      })
+    : hashTypedData({
+        domain: marketplaceDomain(chainId),
+        types: orderTypes,
+        primaryType: 'TokenOrder',
+        message: order.order,
+      });
+}
+
+/**
+ * Asks the connected wallet to sign a listing valid for `duration` seconds.
+ * The order carries the seller's current order nonce, so
+ * `incrementOrderNonce` cancels it along with every other open order.
+ */
+export async function signOrder(
+  config: Config,
+  listing:
+    | { kind: 'nft'; order: Omit<NFTOrder, 'seller' | 'nonce' | 'deadline'> }
+    | {
+        kind: 'token';
+        order: Omit<TokenOrder, 'seller' | 'nonce' | 'deadline'>;
+      },
+  duration: number
+): Promise<SignedOrder> {
+  const { address: seller, chainId } = getAccount(config);
+  if (!seller || !chainId) throw new Error('Connect a wallet first');
+
+  const nonce = (await readContract(config, {
+    ...getContracts(chainId).marketplaceContract,
+    functionName: 'orderNonces',
+    args: [seller],
+  })) as bigint;
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + duration);
+  const domain = marketplaceDomain(chainId);
+
+  if (listing.kind === 'nft') {
+    const order = { ...listing.order, seller, nonce, deadline };
+    const signature = await signTypedData(config, {
+      domain,
+      types: orderTypes,
+      primaryType: 'NFTOrder',
+      message: order,
+    });
+    const signed = { kind: 'nft' as const, order };
+    return { ...signed, chainId, hash: hashOrder(chainId, signed), signature };
+  }
+  const order = { ...listing.order, seller, nonce, deadline };
+  const signature = await signTypedData(config, {
+    domain,
+    types: orderTypes,
+    primaryType: 'TokenOrder',
+    message: order,
+  });
+  const signed = { kind: 'token' as const, order };
+  return { ...signed, chainId, hash: hashOrder(chainId, signed), signature };
+}
+
+// Local order store. Signed orders only exist off-chain, so they are kept in
+// localStorage until filled, cancelled or expired; sellers share them with
+// buyers as JSON (see `exportOrder`/`importOrder`).
+
+const STORAGE_KEY = 'carbon-credits:signed-orders';
+const CHANGE_EVENT = 'signed-orders-change';
+
+function toJSON(value: SignedOrder | SignedOrder[]) {
+  return JSON.stringify(value, (_, field) =>
+    typeof field === 'bigint' ? field.toString() : field
+  );
+}
+
+const bigintFields = [
+  'tokenId',
+  'price',
+  'creditsId',
+  'vintageYear',
+  'amount',
+  'pricePerUnit',
+  'nonce',
+  'deadline',
+];
+
+function fromJSON(value: unknown): SignedOrder {
+  const parsed = value as SignedOrder;
+  if (
+    (parsed?.kind !== 'nft' && parsed?.kind !== 'token') ||
+    typeof parsed.signature !== 'string' ||
+    typeof parsed.chainId !== 'number' ||
+    typeof parsed.order !== 'object'
+  ) {
+    throw new Error('Not a signed order');
+  }
+  const order = Object.fromEntries(
+    Object.entries(parsed.order).map(([key, field]) => [
+      key,
+      bigintFields.includes(key) ? BigInt(field as string) : field,
+    ])
+  );
+  const signed = { ...parsed, order } as SignedOrder;
+  // Recompute the hash so that a tampered order is not stored under the original's
+  return { ...signed, hash: hashOrder(signed.chainId, signed) };
+}
+
+/** Reads every stored order, across chains. */
+export function loadOrders(): SignedOrder[] {
+  if (typeof window === 'undefined') return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return (stored as unknown[]).map(fromJSON);
+  } catch {
+    return [];
+  }
+}
+
+function storeOrders(orders: SignedOrder[]) {
+  localStorage.setItem(STORAGE_KEY, toJSON(orders));
+  // `storage` events only reach other tabs; notify this one too
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+/** Adds an order to the store, replacing any stored copy. */
+export function saveOrder(order: SignedOrder) {
+  storeOrders([
+    ...loadOrders().filter((stored) => stored.hash !== order.hash),
+    order,
+  ]);
+}
+
+/** Drops orders from the store by hash. */
+export function removeOrders(hashes: Hex[]) {
+  storeOrders(loadOrders().filter((stored) => !hashes.includes(stored.hash)));
+}
+
+/** Calls `listener` whenever the store changes, in this tab or another; returns the unsubscribe function. */
+export function subscribeOrders(listener: () => void) {
+  const onStorage = (event: StorageEvent) => {
+    if (event.key === STORAGE_KEY) listener();
+  };
+  window.addEventListener('storage', onStorage);
+  window.addEventListener(CHANGE_EVENT, listener);
+  return () => {
+    window.removeEventListener('storage', onStorage);
+    window.removeEventListener(CHANGE_EVENT, listener);
+  };
+}
+
+/** Serializes an order for sharing with buyers. */
+export function exportOrder(order: SignedOrder) {
+  return toJSON(order);
+}
+
+/** Parses an order shared by a seller; throws on malformed input. */
+export function importOrder(json: string) {
+  return fromJSON(JSON.parse(json));
+}
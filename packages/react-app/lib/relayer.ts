@@ -0,0 +1,124 @@
+import { type Address, type Hex, isAddressEqual } from 'viem';
+import { type Config } from 'wagmi';
+import { getAccount, readContract, signTypedData } from 'wagmi/actions';
+
+import { getContracts } from '@/lib/contracts';
+
+/**
+ * URL of the relayer that pays gas for signed requests (see
+ * `packages/hardhat/relayer`). Gasless transactions are off when unset.
+ */
+export const RELAYER_URL = process.env.NEXT_PUBLIC_RELAYER_URL;
+
+/** EIP-712 type of the requests CarbonCreditForwarder executes. */
+export const forwardRequestTypes = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' },
+  ],
+} as const;
+
+/**
+ * Gas forwarded to the relayed call. The relayer's transaction must carry
+ * more than this, so it is set generously rather than estimated.
+ */
+const RELAYED_CALL_GAS = BigInt(1000000);
+
+/** A signed request, as `CarbonCreditForwarder.execute` takes it. */
+export interface ForwardRequestData {
+  from: Address;
+  to: Address;
+  value: bigint;
+  gas: bigint;
+  deadline: number;
+  data: Hex;
+  signature: Hex;
+}
+
+/** The contracts of a chain that trust CarbonCreditForwarder. */
+function trustedContracts(chainId: number) {
+  const { marketplaceContract, converterContract, tokenContract, nftContract } =
+    getContracts(chainId);
+  return [marketplaceContract, converterContract, tokenContract, nftContract];
+}
+
+/**
+ * Whether calls to `address` on the wallet's chain can be relayed: a relayer
+ * is configured, the wallet is MiniPay (whose users may hold only stablecoins)
+ * and the contract trusts the forwarder.
+ */
+export function canRelay(chainId: number | undefined, address: Address) {
+  return (
+    chainId !== undefined &&
+    !!RELAYER_URL &&
+    typeof window !== 'undefined' &&
+    !!window.ethereum?.isMiniPay &&
+    trustedContracts(chainId).some(
+      (contract) =>
+        !!contract.address && isAddressEqual(contract.address, address)
+    )
+  );
+}
+
+/** Submits a signed request to the relayer and returns its transaction hash. */
+export async function relayRequest(request: ForwardRequestData) {
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      request: {
+        ...request,
+        value: request.value.toString(),
+        gas: request.gas.toString(),
+      },
+    }),
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error ?? 'Relayer request failed');
+  return body.transactionHash as Hex;
+}
+
+/**
+ * Asks the connected wallet to sign a request running `data` on `to` for
+ * its account, valid for an hour.
+ */
+export async function signForwardRequest(
+  config: Config,
+  to: Address,
+  data: Hex
+): Promise<ForwardRequestData> {
+  const { address: from, chainId } = getAccount(config);
+  if (!from || !chainId) throw new Error('Connect a wallet first');
+  const { forwarderContract } = getContracts(chainId);
+
+  const nonce = (await readContract(config, {
+    ...forwarderContract,
+    functionName: 'nonces',
+    args: [from],
+  })) as bigint;
+  const request = {
+    from,
+    to,
+    value: BigInt(0),
+    gas: RELAYED_CALL_GAS,
+    deadline: Math.floor(Date.now() / 1000) + 60 * 60,
+    data,
+  };
+  const signature = await signTypedData(config, {
+    domain: {
+      name: 'CarbonCreditForwarder',
+      version: '1',
+      chainId,
+      verifyingContract: forwarderContract.address,
+    },
+    types: forwardRequestTypes,
+    primaryType: 'ForwardRequest',
+    message: { ...request, nonce },
+  });
+  return { ...request, signature };
+}
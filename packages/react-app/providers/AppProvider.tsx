@@ -8,7 +8,7 @@ import {
   connectorsForWallets,
 } from '@rainbow-me/rainbowkit';
 import { WagmiProvider, createConfig, http } from 'wagmi';
-import { celo, celoAlfajores } from 'wagmi/chains';
+import { celo, celoAlfajores, hardhat } from 'wagmi/chains';
 
 import Layout from '../components/Layout';
 import { injectedWallet } from '@rainbow-me/rainbowkit/wallets';
@@ -26,12 +26,17 @@ const connectors = connectorsForWallets(
   }
 );
 
+// A local Hardhat node (e.g. to try gasless transactions with the relayer)
+// is only offered when NEXT_PUBLIC_ENABLE_HARDHAT is set.
 const config = createConfig({
   connectors,
-  chains: [celo, celoAlfajores],
+  chains: process.env.NEXT_PUBLIC_ENABLE_HARDHAT
+    ? [celo, celoAlfajores, hardhat]
+    : [celo, celoAlfajores],
   transports: {
     [celo.id]: http(),
     [celoAlfajores.id]: http(),
+    [hardhat.id]: http(),
   },
 });
 